@@ -4,54 +4,95 @@ const path = require('path');
 const logger = require('morgan');
 const session = require('express-session');
 
+const config = require('./config');
+// Fail on startup rather than on the first request that needs a missing secret:
+config.validate();
+
+const models = require('./models');
 const functions = require('./appFunctions');
+const errors = require('./lib/errors');
+const forecastSnapshots = require('./lib/weather/snapshots');
 const indexRouter = require('./routes/index');
 const loginRouter = require('./routes/login');
 const logoutRouter = require('./routes/logout');
 const authRouter = require('./routes/authenticate');
 const registerRouter = require('./routes/register');
+const forgotPasswordRouter = require('./routes/forgot-password');
+const resetPasswordRouter = require('./routes/reset-password');
+const verifyEmailRouter = require('./routes/verify-email');
+const sessionsRouter = require('./routes/sessions');
+const tokensRouter = require('./routes/tokens');
+const webhooksRouter = require('./routes/webhooks');
+const digestRouter = require('./routes/digest');
+const unsubscribeRouter = require('./routes/unsubscribe');
 const apiRouter = require('./routes/api/api');
 
+// Every forecast fetched from the weather service is archived for the saved locations it is the forecast of:
+forecastSnapshots.archiveFetchedForecasts();
+
 const app = express();
 
 // view engine setup
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'ejs');
 
-app.use(logger('dev'));
+// The request log would bury the output of the tests:
+if (config.env !== 'test') {
+    app.use(logger('dev'));
+}
+// Imported files of locations may be larger than any other request (see routes/api/locations.js):
+app.use('/api/locations/import', express.json({limit: '1mb'}));
 app.use(express.json());
 app.use(express.urlencoded({extended: false}));
 app.use(express.static(path.join(__dirname, 'public')));
 
-const Sequelize = require('sequelize');
 const SequelizeStore = require('connect-session-sequelize')(session.Store);
 
-const sequelize = new Sequelize({
-    "dialect": "sqlite",
-    "storage": "./database.sqlite3"
+// Sessions are stored in the Sessions table (see models/session.js), with the user they belong to, so that users can
+// see and revoke their sessions:
+const myStore = new SequelizeStore({
+    db: models.sequelize,
+    table: 'Session',
+    extendDefaultFields: (defaults, sessionData) => ({
+        data: defaults.data,
+        expires: defaults.expires,
+        userId: sessionData.userId || null,
+        userAgent: sessionData.userAgent || null,
+        ip: sessionData.ip || null,
+    }),
 });
 
-const myStore = new SequelizeStore({db: sequelize});
-
 app.use(session({
-    secret: "klogfewhj4liyeworfty4o8rvkjusghyfoegawbtgfc",
+    // The first secret signs the session cookie, all of them verify it:
+    secret: config.session.secrets,
     store: myStore,
     resave: false,
     saveUninitialized: false,
+    // Every request pushes the expiry forward, so that sessions only expire after a period of inactivity (which is
+    // longer for users who asked to be remembered - see controllers/auth.js):
+    rolling: true,
     cookie: {
-        maxAge: 1000 * 60,
+        maxAge: config.session.ttlMinutes * 60 * 1000,
     },
 }));
 
-myStore.sync();
-
-app.use(/\/|\/logout/, functions.assertLogin);
-app.use(/\/login|\/register|\/authenticate/, functions.assertUnsigned);
+app.use(/\/|\/logout|\/sessions|\/tokens|\/webhooks|\/digest/, functions.assertLogin);
+app.use(/\/login|\/register|\/authenticate|\/forgot-password|\/reset-password|\/verify-email/,
+    functions.assertUnsigned);
 app.use('/login', loginRouter);
 app.use('/logout', logoutRouter);
 app.use('/authenticate', authRouter);
 app.use('/register', registerRouter);
-app.use('/api', apiRouter);
+app.use('/forgot-password', forgotPasswordRouter);
+app.use('/reset-password', resetPasswordRouter);
+app.use('/verify-email', verifyEmailRouter);
+app.use('/sessions', sessionsRouter);
+app.use('/tokens', tokensRouter);
+app.use('/webhooks', webhooksRouter);
+app.use('/digest', digestRouter);
+// Unsubscribe links work whether the user is signed in or not:
+app.use('/unsubscribe', unsubscribeRouter);
+app.use('/api', apiRouter, errors.handleApiErrors);
 app.use('/', indexRouter);
 
 // catch 404 and forward to error handler
@@ -1,3 +1,6 @@
+const apiTokens = require('./lib/api-tokens');
+const errors = require('./lib/errors');
+
 function redirect(req, res, url) {
     if (!req.originalUrl.includes('/api/')) {
         res.redirect(url);
@@ -15,6 +18,35 @@ module.exports = {
         }
     },
 
+    /**
+     * Authenticate an API request, by a personal API token (Authorization: Bearer) or by the session cookie, and set
+     * req.userId to the user it is made for. Otherwise the request fails with an UnauthorizedError.
+     */
+    assertApiAuth: async function (req, res, next) {
+        if (req.get('authorization') !== undefined) {
+            try {
+                const apiToken = await apiTokens.authenticate(req.get('authorization'));
+                if (apiToken === null) {
+                    next(new errors.UnauthorizedError('Invalid API token.'));
+                } else if (!apiToken.allows(req.method)) {
+                    next(new errors.ForbiddenError('This API token is read-only.'));
+                } else {
+                    req.userId = apiToken.userId;
+                    req.apiToken = apiToken;
+                    next();
+                }
+            } catch (err) {
+                console.error(`Error in assertApiAuth:\n\n${err}`);
+                next(err);
+            }
+        } else if (!req.session.isLoggedIn) {
+            next(new errors.UnauthorizedError());
+        } else {
+            req.userId = req.session.userId;
+            next();
+        }
+    },
+
     assertUnsigned: function (req, res, next) {
         if (req.session.isLoggedIn) {
             redirect(req, res, '/');
@@ -34,14 +66,12 @@ module.exports = {
     logout: function (req, res, changeToURL = null) {
         req.session.isLoggedIn = false;
         req.session.firstNameLastName = '';
+        // A session without a user isn't listed in the sessions page:
+        req.session.userId = null;
         if (changeToURL === null) {
             res.render('logout');
         } else {
             res.json({changeToURL: changeToURL});
         }
     },
-
-    apiLogout: function (req, res) {
-        this.logout(req, res, '/login');
-    },
 }
@@ -0,0 +1,8 @@
+/**
+ * The database configuration in the format of sequelize-cli (see .sequelizerc).
+ */
+const config = require('.');
+
+module.exports = {
+    [config.env]: Object.assign({}, config.database.options, config.database.url ? {url: config.database.url} : {}),
+};
@@ -0,0 +1,98 @@
+const models = require('../../models');
+const errors = require('../../lib/errors');
+const rules = require('../../lib/alerts/rules');
+
+// A location can have this many rules:
+const MAX_RULES_PER_LOCATION = 20;
+
+/**
+ * Rules are created and deleted, but not changed: a changed rule would be a different rule than the one that alerted
+ * before.
+ */
+
+function isLocationId(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Collect the fields of a rule from the request body. threshold and dayOffset may be left out for null (no threshold,
+ * any day). Throws a ValidationError if a field is invalid.
+ * @param body
+ * @returns {{locationId: number, condition: string, threshold: number|null, dayOffset: number|null}}
+ */
+function readRuleFields(body) {
+    const fields = {
+        locationId: body.locationId,
+        condition: body.condition,
+        threshold: body.threshold === undefined ? null : body.threshold,
+        dayOffset: body.dayOffset === undefined ? null : body.dayOffset,
+    };
+    const fieldErrors = rules.validateRule(fields);
+    if (!isLocationId(fields.locationId)) {
+        fieldErrors.locationId = 'locationId must be the id of a location.';
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+        throw errors.ValidationError.forFields(fieldErrors);
+    }
+    return fields;
+}
+
+/**
+ * A rule as the API shows it, with its description in the user's units.
+ * @param rule
+ * @param settings
+ * @returns {{}}
+ */
+function toApiRule(rule, settings) {
+    return Object.assign(rule.toJSON(), {description: rules.describeRule(rule, settings)});
+}
+
+async function getUserSettings(req) {
+    return (await models.UserSetting.findForUser(req.userId)).toSettings();
+}
+
+module.exports = {
+
+    /**
+     * The user's rules, of one location if ?locationId= is given.
+     */
+    list: errors.handleErrors('alertRules(list)', async function (req, res) {
+        const where = {userId: req.userId};
+        if (req.query.locationId !== undefined) {
+            const locationId = Number(req.query.locationId);
+            if (!isLocationId(locationId)) {
+                throw errors.ValidationError.forField('locationId', 'locationId must be the id of a location.');
+            }
+            where.locationId = locationId;
+        }
+        const alertRules = await models.AlertRule.findAll({where: where, order: [['id', 'ASC']]});
+        const settings = await getUserSettings(req);
+        res.json({rules: alertRules.map(rule => toApiRule(rule, settings))});
+    }),
+
+    create: errors.handleErrors('alertRules(create)', async function (req, res) {
+        const fields = readRuleFields(req.body);
+        const location = await models.Location.findOne({where: {id: fields.locationId, userId: req.userId}});
+        if (!location) {
+            throw errors.ValidationError.forField('locationId', 'There is no such location.');
+        }
+        if (await models.AlertRule.count({where: {locationId: location.id}}) >= MAX_RULES_PER_LOCATION) {
+            throw new errors.ConflictError(`A location can have at most ${MAX_RULES_PER_LOCATION} alert rules.`);
+        }
+
+        const rule = await models.AlertRule.create(Object.assign({userId: req.userId}, fields));
+        res.status(201).location(`${req.baseUrl}/${rule.id}`).json({rule: toApiRule(rule, await getUserSettings(req))});
+    }),
+
+    /**
+     * Delete a rule. Its alerts stay in the inbox.
+     */
+    remove: errors.handleErrors('alertRules(remove)', async function (req, res) {
+        const rule = await models.AlertRule.findOne({where: {id: req.params.id, userId: req.userId}});
+        if (!rule) {
+            throw new errors.NotFoundError('Alert rule not found.');
+        }
+        await rule.destroy();
+        res.status(204).end();
+    }),
+}
@@ -0,0 +1,64 @@
+const models = require('../../models');
+const errors = require('../../lib/errors');
+
+/**
+ * The inbox of alerts that the alert rules of the user's locations triggered (see lib/alerts/scheduler.js).
+ */
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function readLimit(query) {
+    if (query.limit === undefined) {
+        return DEFAULT_LIMIT;
+    }
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw errors.ValidationError.forField('limit', `limit must be a whole number from 1 to ${MAX_LIMIT}.`);
+    }
+    return limit;
+}
+
+module.exports = {
+
+    /**
+     * The latest alerts, only the unread ones if ?unread=true, with the number of unread alerts.
+     */
+    list: errors.handleErrors('alerts(list)', async function (req, res) {
+        const where = {userId: req.userId};
+        if (req.query.unread === 'true') {
+            where.readAt = null;
+        }
+        const alerts = await models.Alert.findAll({
+            where: where,
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+            limit: readLimit(req.query),
+        });
+        const unreadCount = await models.Alert.count({where: {userId: req.userId, readAt: null}});
+        res.json({alerts: alerts, unreadCount: unreadCount});
+    }),
+
+    /**
+     * Mark an alert read ({"read": true}) or unread ({"read": false}).
+     */
+    update: errors.handleErrors('alerts(update)', async function (req, res) {
+        if (typeof req.body.read !== 'boolean') {
+            throw errors.ValidationError.forField('read', 'read must be true or false.');
+        }
+        const alert = await models.Alert.findOne({where: {id: req.params.id, userId: req.userId}});
+        if (!alert) {
+            throw new errors.NotFoundError('Alert not found.');
+        }
+        await alert.update({readAt: req.body.read ? alert.readAt || new Date() : null});
+        res.json({alert: alert});
+    }),
+
+    /**
+     * Mark every unread alert read.
+     */
+    markAllRead: errors.handleErrors('alerts(markAllRead)', async function (req, res) {
+        const [updatedCount] = await models.Alert.update({readAt: new Date()}, {
+            where: {userId: req.userId, readAt: null},
+        });
+        res.json({updated: updatedCount});
+    }),
+}
@@ -0,0 +1,165 @@
+const models = require('../../models');
+const errors = require('../../lib/errors');
+
+const {Op} = models.Sequelize;
+
+/**
+ * The archive of the forecasts of the user's locations (see lib/weather/snapshots.js).
+ */
+
+// Responses have at most this many snapshots, the latest ones, and say when there are more (truncated):
+const MAX_SNAPSHOTS = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Midnight UTC of a YYYY-MM-DD date.
+ * @param date
+ * @returns {Date}
+ */
+function toMidnight(date) {
+    return new Date(`${date}T00:00:00Z`);
+}
+
+/**
+ * Whether value is a valid YYYY-MM-DD date.
+ * @param value
+ * @returns {boolean}
+ */
+function isDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        return false;
+    }
+    const date = toMidnight(value);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Read a date query parameter. Throws a ValidationError if it is given and isn't a date.
+ * @param query
+ * @param name
+ * @returns {string|undefined}
+ */
+function readDate(query, name) {
+    if (query[name] !== undefined && !isDate(query[name])) {
+        throw errors.ValidationError.forField(name, `${name} must be a date, YYYY-MM-DD.`);
+    }
+    return query[name];
+}
+
+/**
+ * The user's location of ?locationId=. Throws a ValidationError if it is missing, and a NotFoundError if the user has
+ * no such location.
+ * @param req
+ * @returns {Promise<Location>}
+ */
+async function findQueryLocation(req) {
+    const locationId = Number(req.query.locationId);
+    if (!Number.isInteger(locationId) || locationId < 1) {
+        throw errors.ValidationError.forField('locationId', 'locationId must be the id of a location.');
+    }
+    const location = await models.Location.findOne({where: {id: locationId, userId: req.userId}});
+    if (!location) {
+        throw new errors.NotFoundError('Location not found.');
+    }
+    return location;
+}
+
+/**
+ * The latest MAX_SNAPSHOTS snapshots that match where, oldest first.
+ * @param where
+ * @returns {Promise<{snapshots: ForecastSnapshot[], truncated: boolean}>} truncated if more snapshots match
+ */
+async function findLatestSnapshots(where) {
+    const snapshots = await models.ForecastSnapshot.findAll({
+        where: where,
+        order: [['fetchedAt', 'DESC'], ['id', 'DESC']],
+        limit: MAX_SNAPSHOTS + 1,
+    });
+    return {snapshots: snapshots.slice(0, MAX_SNAPSHOTS).reverse(), truncated: snapshots.length > MAX_SNAPSHOTS};
+}
+
+/**
+ * The day after a YYYY-MM-DD date.
+ * @param date
+ * @returns {string} YYYY-MM-DD
+ */
+function getNextDate(date) {
+    const nextDate = toMidnight(date);
+    nextDate.setUTCDate(nextDate.getUTCDate() + 1);
+    return nextDate.toISOString().slice(0, 10);
+}
+
+module.exports = {
+
+    /**
+     * The snapshots of a location (?locationId=), oldest first, only those fetched from ?from= to ?to= (dates, UTC,
+     * inclusive) if given. At most MAX_SNAPSHOTS, the latest.
+     */
+    list: errors.handleErrors('forecastSnapshots(list)', async function (req, res) {
+        const from = readDate(req.query, 'from');
+        const to = readDate(req.query, 'to');
+        if (from !== undefined && to !== undefined && from > to) {
+            throw errors.ValidationError.forField('to', 'to must not be before from.');
+        }
+        const location = await findQueryLocation(req);
+
+        const where = {locationId: location.id};
+        if (from !== undefined || to !== undefined) {
+            where.fetchedAt = {};
+            if (from !== undefined) {
+                where.fetchedAt[Op.gte] = toMidnight(from);
+            }
+            if (to !== undefined) {
+                where.fetchedAt[Op.lt] = toMidnight(getNextDate(to));
+            }
+        }
+        res.json(await findLatestSnapshots(where));
+    }),
+
+    /**
+     * What the forecast of a location (?locationId=) said about a day (?date=), in every snapshot that has the day,
+     * oldest first. At most MAX_SNAPSHOTS, the latest.
+     */
+    history: errors.handleErrors('forecastSnapshots(history)', async function (req, res) {
+        const date = readDate(req.query, 'date');
+        if (date === undefined) {
+            throw errors.ValidationError.forField('date', 'date must be a date, YYYY-MM-DD.');
+        }
+        const location = await findQueryLocation(req);
+
+        const {snapshots, truncated} = await findLatestSnapshots(
+            {locationId: location.id, firstDate: {[Op.lte]: date}, lastDate: {[Op.gte]: date}});
+        res.json({
+            date: date,
+            truncated: truncated,
+            forecasts: snapshots.map(snapshot => ({
+                snapshotId: snapshot.id,
+                fetchedAt: snapshot.fetchedAt,
+                provider: snapshot.provider,
+                day: snapshot.getDay(date),
+            })).filter(forecast => forecast.day !== null),
+        });
+    }),
+
+    /**
+     * The dates that snapshots of a location (?locationId=) have forecasts of, latest first.
+     */
+    listDates: errors.handleErrors('forecastSnapshots(listDates)', async function (req, res) {
+        const location = await findQueryLocation(req);
+        // The days of a snapshot are consecutive, so its first and last dates are enough:
+        const ranges = await models.ForecastSnapshot.findAll({
+            where: {locationId: location.id},
+            attributes: ['firstDate', 'lastDate'],
+            group: ['firstDate', 'lastDate'],
+            raw: true,
+        });
+        const dates = new Set();
+        for (const range of ranges) {
+            for (let date = range.firstDate; date <= range.lastDate; date = getNextDate(date)) {
+                dates.add(date);
+            }
+        }
+        res.json({dates: Array.from(dates).sort().reverse()});
+    }),
+}
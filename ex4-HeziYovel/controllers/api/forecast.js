@@ -0,0 +1,105 @@
+const models = require('../../models');
+const forecast = require('../../lib/weather/forecast');
+const image = require('../../lib/weather/image');
+const errors = require('../../lib/errors');
+const validation = require('../../public/javascripts/validation');
+
+const VIEWS = ['daily', 'hourly'];
+
+/**
+ * Parse the lat and lon query parameters, validated like the coordinates of locations (see validation.js).
+ * @param query
+ * @returns {{lat: number, lon: number}}
+ */
+function readCoordinates(query) {
+    const fieldErrors = {};
+    for (const id of ['lat', 'lon']) {
+        const message = validation.getLatLonErrorMessage(typeof query[id] === 'string' ? query[id].trim() : '', id);
+        if (message !== '') {
+            fieldErrors[id] = message;
+        }
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+        throw errors.ValidationError.forFields(fieldErrors);
+    }
+    return {lat: Number(query.lat), lon: Number(query.lon)};
+}
+
+/**
+ * Collect the graphical forecast options from the query string. Missing options are left out, so that the defaults
+ * apply. Throws a ValidationError if an option is invalid.
+ * @param query
+ * @returns {{}}
+ */
+function readImageOptions(query) {
+    const options = {};
+    if (query.product !== undefined) {
+        if (typeof query.product !== 'string' || !image.isProduct(query.product)) {
+            throw errors.ValidationError.forField('product', `product must be one of: ${image.products.join(', ')}.`);
+        }
+        options.product = query.product;
+    }
+    if (query.lang !== undefined) {
+        if (!image.isLanguage(query.lang)) {
+            throw errors.ValidationError.forField('lang', `lang must be one of: ${image.languages.join(', ')}.`);
+        }
+        options.lang = query.lang;
+    }
+    if (query.tzshift !== undefined) {
+        const tzshift = typeof query.tzshift === 'string' && query.tzshift.trim() !== '' ? Number(query.tzshift) : NaN;
+        if (!image.isTzshift(tzshift)) {
+            const [min, max] = image.tzshiftLimits;
+            throw errors.ValidationError.forField('tzshift',
+                `tzshift must be a whole number of hours between ${min} and ${max}.`);
+        }
+        options.tzshift = tzshift;
+    }
+    return options;
+}
+
+module.exports = {
+
+    getForecast: errors.handleErrors('getForecast', async function (req, res) {
+        const {lat, lon} = readCoordinates(req.query);
+
+        const view = req.query.view || 'daily';
+        if (!VIEWS.includes(view)) {
+            throw errors.ValidationError.forField('view', `view must be one of: ${VIEWS.join(', ')}.`);
+        }
+
+        const product = forecast.resolveProduct(view, req.query.product);
+        if (product === null) {
+            throw errors.ValidationError.forField('product',
+                `product must be one of: ${forecast.getProducts(view).join(', ')}.`);
+        }
+
+        let normalizedForecast;
+        try {
+            normalizedForecast = await forecast.getForecast(lat, lon, product);
+        } catch (err) {
+            console.error(`Error in getForecast:\n\n${err}`);
+            throw new errors.UpstreamError("We couldn't get the forecast from the weather service.");
+        }
+        res.json({forecast: normalizedForecast});
+    }),
+
+    /**
+     * The URL of the graphical forecast of one of the user's saved locations (by name), in the user's units.
+     */
+    getImageURL: errors.handleErrors('getImageURL', async function (req, res) {
+        if (typeof req.query.name !== 'string' || req.query.name.trim() === '') {
+            throw errors.ValidationError.forField('name', 'name of a saved location is required.');
+        }
+        const options = readImageOptions(req.query);
+
+        const location = await models.Location.findOne({
+            where: {name: req.query.name.trim(), userId: req.userId},
+        });
+        if (!location) {
+            throw new errors.NotFoundError('Location not found.');
+        }
+        const setting = await models.UserSetting.findForUser(req.userId);
+        options.unit = image.unitFromTemperatureUnit(setting.temperatureUnit);
+        res.json({url: image.makeImageURL(location.lat, location.lon, options)});
+    }),
+}
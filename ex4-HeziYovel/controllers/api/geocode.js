@@ -0,0 +1,67 @@
+const geocoding = require('../../lib/geocoding');
+const validation = require('../../public/javascripts/validation');
+const errors = require('../../lib/errors');
+
+/**
+ * Parse the limit query parameter.
+ * @param stringValue - undefined for the default limit
+ * @returns {number}
+ */
+function readLimit(stringValue) {
+    if (stringValue === undefined) {
+        return geocoding.defaultLimit;
+    }
+    const limit = typeof stringValue === 'string' ? Number(stringValue) : NaN;
+    if (!Number.isInteger(limit) || limit < 1 || limit > geocoding.maxLimit) {
+        throw errors.ValidationError.forField('limit',
+            `limit must be a whole number between 1 and ${geocoding.maxLimit}.`);
+    }
+    return limit;
+}
+
+/**
+ * Parse the lat and lon query parameters, validated like the coordinates of locations (see validation.js).
+ * @param query
+ * @returns {{lat: number, lon: number}}
+ */
+function readCoordinates(query) {
+    const fieldErrors = {};
+    for (const id of ['lat', 'lon']) {
+        const message = validation.getLatLonErrorMessage(typeof query[id] === 'string' ? query[id].trim() : '', id);
+        if (message !== '') {
+            fieldErrors[id] = message;
+        }
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+        throw errors.ValidationError.forFields(fieldErrors);
+    }
+    return {lat: Number(query.lat), lon: Number(query.lon)};
+}
+
+module.exports = {
+
+    /**
+     * Places whose names start with q (for autocomplete).
+     */
+    search: errors.handleErrors('geocode(search)', async function (req, res) {
+        const query = typeof req.query.q === 'string' ? req.query.q : '';
+        if (query.trim().length < geocoding.minQueryLength) {
+            throw errors.ValidationError.forField('q',
+                `q must be at least ${geocoding.minQueryLength} characters long.`);
+        }
+        const limit = readLimit(req.query.limit);
+        res.json({places: await geocoding.search(query, limit)});
+    }),
+
+    /**
+     * The place nearest to lat/lon.
+     */
+    reverse: errors.handleErrors('geocode(reverse)', async function (req, res) {
+        const {lat, lon} = readCoordinates(req.query);
+        const place = await geocoding.reverse(lat, lon);
+        if (place === null) {
+            throw new errors.NotFoundError('There is no known place near these coordinates.');
+        }
+        res.json({place: place});
+    }),
+}
@@ -0,0 +1,123 @@
+const models = require('../../models');
+const forecast = require('../../lib/weather/forecast');
+const errors = require('../../lib/errors');
+const validation = require('../../public/javascripts/validation');
+
+// The forecast of a group is a summary of the first days of the daily forecast of every location:
+const SUMMARY_DAYS = 3;
+
+/**
+ * The name of a group in the request body. Group names follow the rules of location names (see validation.js).
+ * @param body
+ * @returns {string}
+ */
+function readGroupName(body) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const message = validation.getNameErrorMessage(name);
+    if (message !== '') {
+        throw errors.ValidationError.forField('name', message);
+    }
+    return name;
+}
+
+async function findUserGroup(req, id) {
+    const group = await models.LocationGroup.findOne({where: {id: id, userId: req.userId}});
+    if (!group) {
+        throw new errors.NotFoundError('Group not found.');
+    }
+    return group;
+}
+
+async function assertNameIsFree(req, name, group = null) {
+    if (group !== null && group.name === name) {
+        return;
+    }
+    if (await models.LocationGroup.findOne({where: {userId: req.userId, name: name}})) {
+        throw new errors.ConflictError(`A group named ${name} already exists.`, {field: 'name'});
+    }
+}
+
+/**
+ * The forecast summary of a location. A location whose forecast couldn't be fetched has an error instead, so that
+ * one failure doesn't hide the forecast of the whole group.
+ * @param location
+ * @returns {Promise<{location: {}, days: []}|{location: {}, error: string}>}
+ */
+async function getForecastSummary(location) {
+    const summary = {location: {id: location.id, name: location.name, lat: location.lat, lon: location.lon}};
+    try {
+        const locationForecast = await forecast.getForecast(location.lat, location.lon);
+        summary.days = locationForecast.daily.slice(0, SUMMARY_DAYS);
+    } catch (err) {
+        console.error(`Error in groups(getForecast) of location ${location.id}:\n\n${err}`);
+        summary.error = "We couldn't get the forecast from the weather service.";
+    }
+    return summary;
+}
+
+module.exports = {
+
+    /**
+     * The user's groups, with the number of locations in each.
+     */
+    list: errors.handleErrors('groups(list)', async function (req, res) {
+        const groups = await models.LocationGroup.findAll({where: {userId: req.userId}, order: [['name', 'ASC']]});
+        const counts = await models.Location.count({where: {userId: req.userId}, group: ['groupId']});
+        const countByGroup = new Map(counts.map(count => [count.groupId, count.count]));
+        res.json({
+            groups: groups.map(group => Object.assign(group.toJSON(), {
+                locationCount: countByGroup.get(group.id) || 0,
+            })),
+        });
+    }),
+
+    get: errors.handleErrors('groups(get)', async function (req, res) {
+        res.json({group: await findUserGroup(req, req.params.id)});
+    }),
+
+    create: errors.handleErrors('groups(create)', async function (req, res) {
+        const name = readGroupName(req.body);
+        await assertNameIsFree(req, name);
+
+        const group = await models.LocationGroup.create({userId: req.userId, name: name});
+        res.status(201).location(`${req.baseUrl}/${group.id}`).json({group: group});
+    }),
+
+    /**
+     * Rename a group.
+     */
+    update: errors.handleErrors('groups(update)', async function (req, res) {
+        const name = readGroupName(req.body);
+        const group = await findUserGroup(req, req.params.id);
+        await assertNameIsFree(req, name, group);
+
+        await group.update({name: name});
+        res.json({group: group});
+    }),
+
+    /**
+     * Delete a group. Its locations are kept, in no group.
+     */
+    remove: errors.handleErrors('groups(remove)', async function (req, res) {
+        const group = await findUserGroup(req, req.params.id);
+        await models.sequelize.transaction(async (transaction) => {
+            await models.Location.update({groupId: null}, {where: {groupId: group.id}, transaction: transaction});
+            await group.destroy({transaction: transaction});
+        });
+        res.status(204).end();
+    }),
+
+    /**
+     * The forecast summary of every location of a group (see getForecastSummary). A group may have any number of
+     * locations, so their forecasts are fetched one at a time rather than all at once from the weather service.
+     */
+    getForecast: errors.handleErrors('groups(getForecast)', async function (req, res) {
+        const group = await findUserGroup(req, req.params.id);
+        const locations = await models.Location.findAll({where: {groupId: group.id}, order: [['name', 'ASC']]});
+        const forecasts = [];
+        for (const location of locations) {
+            forecasts.push(await getForecastSummary(location));
+        }
+        res.json({group: {id: group.id, name: group.name}, forecasts: forecasts});
+    }),
+}
@@ -0,0 +1,515 @@
+const models = require('../../models');
+const errors = require('../../lib/errors');
+const validation = require('../../public/javascripts/validation');
+const locationFormats = require('../../lib/location-formats');
+const webhookEvents = require('../../lib/webhooks/events');
+
+// Larger files are probably not lists of places someone wants the forecast of:
+const MAX_IMPORT_ROWS = 1000;
+
+// Fields of a location besides its place: the group it is in (null for none), its tags, which replace the
+// location's tags when given, and whether it is a favorite:
+const ORGANIZATION_FIELDS = ['groupId', 'tags', 'isFavorite'];
+
+// Tags of locations are loaded with them, so that they are in the JSON of the locations (see models/location.js):
+const INCLUDE_TAGS = {model: models.Tag, as: 'tags'};
+
+// The order the user chose (see reorder):
+const POSITION_ORDER = [['position', 'ASC'], ['id', 'ASC']];
+
+// Locations are listed in the order the user chose, with the favorites first:
+const LIST_ORDER = [['isFavorite', 'DESC']].concat(POSITION_ORDER);
+
+/**
+ * Collect the location fields from the request body, validated like the form validates them (see validation.js).
+ * Throws a ValidationError with the message of every invalid or unknown field.
+ *
+ * @param body
+ * @param requireAll - true for create and full update (of the name, lat and lon), false for partial update
+ * @returns {{fields: {}, tags: string[]|undefined}} fields are the columns to save (groupId included), tags are
+ *                                                   undefined if they are not changed
+ */
+function readLocationFields(body, requireAll) {
+    const {fields, errors: locationErrors} = validation.validateLocation(body, requireAll, ORGANIZATION_FIELDS);
+    const fieldErrors = Object.assign({}, locationErrors);
+    if (body.groupId !== undefined) {
+        if (body.groupId === null || (Number.isInteger(body.groupId) && body.groupId > 0)) {
+            fields.groupId = body.groupId;
+        } else {
+            fieldErrors.groupId = 'groupId must be the id of a group, or null.';
+        }
+    }
+    if (body.isFavorite !== undefined) {
+        if (typeof body.isFavorite === 'boolean') {
+            fields.isFavorite = body.isFavorite;
+        } else {
+            fieldErrors.isFavorite = 'isFavorite must be true or false.';
+        }
+    }
+    let tags;
+    if (body.tags !== undefined) {
+        const {tags: validTags, error} = validation.validateTags(body.tags);
+        if (error === '') {
+            tags = validTags;
+        } else {
+            fieldErrors.tags = error;
+        }
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+        throw errors.ValidationError.forFields(fieldErrors);
+    }
+    if (Object.keys(fields).length === 0 && tags === undefined) {
+        const allFields = validation.locationFields.concat(ORGANIZATION_FIELDS);
+        throw new errors.ValidationError(`At least one of ${allFields.join(', ')} is required.`);
+    }
+    return {fields: fields, tags: tags};
+}
+
+/**
+ * Throw a ValidationError if groupId is not the id of one of the user's groups.
+ * @param req
+ * @param groupId - undefined or null are fine, they don't refer to a group
+ * @returns {Promise<void>}
+ */
+async function assertGroupExists(req, groupId) {
+    if (groupId === undefined || groupId === null) {
+        return;
+    }
+    const group = await models.LocationGroup.findOne({where: {id: groupId, userId: req.userId}});
+    if (!group) {
+        throw errors.ValidationError.forField('groupId', 'There is no such group.');
+    }
+}
+
+/**
+ * Replace the tags of a location, creating the tags the user doesn't have yet.
+ * @param req
+ * @param location
+ * @param tagNames - normalized (see validation.validateTags)
+ * @param transaction
+ * @returns {Promise<void>}
+ */
+async function setTags(req, location, tagNames, transaction) {
+    const tags = [];
+    for (const name of tagNames) {
+        const [tag] = await models.Tag.findOrCreate({
+            where: {userId: req.userId, name: name},
+            transaction: transaction,
+        });
+        tags.push(tag);
+    }
+    await location.setTags(tags, {transaction: transaction});
+}
+
+/**
+ * The position of a location that is added at the end of the user's list.
+ * @param req
+ * @param transaction
+ * @returns {Promise<number>}
+ */
+async function getNextPosition(req, transaction) {
+    const lastPosition = await models.Location.max('position', {where: {userId: req.userId}, transaction: transaction});
+    // max is NaN (or null, depending on the dialect) if the user has no locations:
+    return Number.isInteger(lastPosition) ? lastPosition + 1 : 0;
+}
+
+/**
+ * Save the changes of a location (a new one is built with models.Location.build, and is added at the end of the
+ * list) with its tags.
+ * @param req
+ * @param location
+ * @param fields
+ * @param tags - undefined to leave the tags as they are
+ * @returns {Promise<Location>} the saved location, with its tags
+ */
+async function saveLocation(req, location, fields, tags) {
+    await models.sequelize.transaction(async (transaction) => {
+        location.set(fields);
+        if (location.isNewRecord) {
+            location.position = await getNextPosition(req, transaction);
+        }
+        await location.save({transaction: transaction});
+        if (tags !== undefined) {
+            await setTags(req, location, tags, transaction);
+        }
+    });
+    return findUserLocation(req, location.id);
+}
+
+/**
+ * Delete locations of the user, and emit location.deleted for every one of them (see lib/webhooks).
+ * @param req
+ * @param where - which of the user's locations to delete
+ * @returns {Promise<number>} the number of deleted locations
+ */
+async function destroyLocations(req, where) {
+    const locations = await models.Location.findAll({where: Object.assign({userId: req.userId}, where)});
+    if (locations.length > 0) {
+        await models.Location.destroy({where: {id: locations.map(location => location.id)}});
+    }
+    for (const location of locations) {
+        await webhookEvents.emit(req.userId, 'location.deleted', {location: location});
+    }
+    return locations.length;
+}
+
+/**
+ * The where clause of the group and tag query parameters of the list: group is the id of a group or "none" (for
+ * locations that are in no group), and tag is a tag name.
+ * @param req
+ * @returns {Promise<{}|null>} null if no location can match (there is no such tag)
+ */
+async function readListFilter(req) {
+    const where = {userId: req.userId};
+    if (req.query.group !== undefined) {
+        const groupId = Number(req.query.group);
+        if (req.query.group === 'none') {
+            where.groupId = null;
+        } else if (Number.isInteger(groupId) && groupId > 0) {
+            where.groupId = groupId;
+        } else {
+            throw errors.ValidationError.forField('group', 'group must be the id of a group, or none.');
+        }
+    }
+    if (req.query.tag !== undefined) {
+        if (typeof req.query.tag !== 'string') {
+            throw errors.ValidationError.forField('tag', 'tag must be a tag name.');
+        }
+        const tag = await models.Tag.findOne({
+            where: {userId: req.userId, name: validation.normalizeTag(req.query.tag)},
+        });
+        if (!tag) {
+            return null;
+        }
+        const locationTags = await models.LocationTag.findAll({where: {tagId: tag.id}});
+        where.id = locationTags.map(locationTag => locationTag.locationId);
+    }
+    return where;
+}
+
+function findUserLocation(req, id) {
+    return models.Location.findOne({where: {id: id, userId: req.userId}, include: INCLUDE_TAGS});
+}
+
+function findUserLocationByName(req, name) {
+    return models.Location.findOne({where: {name: name, userId: req.userId}});
+}
+
+/**
+ * Check if renaming location to name would collide with another location of the same user.
+ * @param req
+ * @param location
+ * @param name - undefined if the location is not renamed
+ * @returns {Promise<boolean>}
+ */
+async function isNameTaken(req, location, name) {
+    if (name === undefined || name === location.name) {
+        return false;
+    }
+    return (await findUserLocationByName(req, name)) !== null;
+}
+
+/**
+ * Shared implementation of the full (PUT) and partial (PATCH) update.
+ * @param req
+ * @param res
+ * @param requireAll
+ * @returns {Promise<void>}
+ */
+async function updateLocation(req, res, requireAll) {
+    const {fields, tags} = readLocationFields(req.body, requireAll);
+
+    const location = await findUserLocation(req, req.params.id);
+    if (!location) {
+        throw new errors.NotFoundError('Location not found.');
+    }
+    if (await isNameTaken(req, location, fields.name)) {
+        throw new errors.ConflictError(`A location named ${fields.name} already exists.`, {field: 'name'});
+    }
+    await assertGroupExists(req, fields.groupId);
+
+    res.json({location: await saveLocation(req, location, fields, tags)});
+}
+
+function unknownFormatError() {
+    return errors.ValidationError.forField('format', `format must be one of ${locationFormats.names.join(', ')}.`);
+}
+
+/**
+ * The format of an import: the format query parameter, or else the Content-Type of the request.
+ * @param req
+ * @returns {*}
+ */
+function getImportFormat(req) {
+    if (req.query.format !== undefined) {
+        if (!locationFormats.isFormat(req.query.format)) {
+            throw unknownFormatError();
+        }
+        return locationFormats.getFormat(req.query.format);
+    }
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const format = locationFormats.getFormatOfContentType(contentType);
+    if (format === null) {
+        throw errors.ValidationError.forField('format',
+            `Send the format query parameter (one of ${locationFormats.names.join(', ')}) or a matching Content-Type.`);
+    }
+    return format;
+}
+
+/**
+ * Parse the rows of an import.
+ * @param req
+ * @param format
+ * @returns {{name, lat, lon}[]}
+ */
+function readImportRows(req, format) {
+    // A JSON body was already parsed by express.json, anything else is text (see routes/api/locations.js). A parsed
+    // body may be empty ([] is an empty import):
+    const isParsedJSON = Boolean(req.is('application/json')) && req.body !== null && typeof req.body === 'object';
+    if (typeof req.body !== 'string' && !(isParsedJSON && format.contentType.endsWith('json'))) {
+        throw new errors.ValidationError(`The request body must be a ${format.label} file.`);
+    }
+    let rows;
+    try {
+        rows = format.parse(req.body);
+    } catch (err) {
+        throw new errors.ValidationError(`The file is not valid ${format.label}: ${err.message}`);
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new errors.ValidationError(`A file may have at most ${MAX_IMPORT_ROWS} locations.`);
+    }
+    return rows;
+}
+
+/**
+ * Decide what importing every row does, like upsertByName would: a valid row creates a location, or updates the
+ * coordinates of the location with the same name. Invalid rows, and rows with the name of an earlier row, are
+ * rejected.
+ * @param rows
+ * @param existingLocations - of the user, by name
+ * @returns {{row: number, name: *, action: string, fields: {}, errors: {}|undefined}[]}
+ */
+function planImport(rows, existingLocations) {
+    const names = new Set();
+    return rows.map((row, index) => {
+        const {fields, errors: fieldErrors} = validation.validateLocation(row, true);
+        const result = {row: index + 1, name: fields.name === undefined ? row.name : fields.name, fields: fields};
+        if (fieldErrors === null && names.has(fields.name)) {
+            return Object.assign(result, {action: 'reject', errors: {name: 'An earlier row has the same name'}});
+        }
+        if (fieldErrors !== null) {
+            return Object.assign(result, {action: 'reject', errors: fieldErrors});
+        }
+        names.add(fields.name);
+        return Object.assign(result, {action: existingLocations.has(fields.name) ? 'update' : 'create'});
+    });
+}
+
+/**
+ * Wraps a controller action with the error handling all actions share (see errors.handleErrors). A location that was
+ * saved with the same name between the check and the insert is reported like the check would have.
+ * @param name - used in the error log
+ * @param action - async function (req, res)
+ * @returns {function(*=, *=, *=): Promise<void>}
+ */
+function handleErrors(name, action) {
+    return errors.handleErrors(name, async function (req, res) {
+        try {
+            await action(req, res);
+        } catch (err) {
+            if (err instanceof models.Sequelize.UniqueConstraintError) {
+                throw new errors.ConflictError('A location with this name already exists.', {field: 'name'});
+            }
+            throw err;
+        }
+    });
+}
+
+module.exports = {
+
+    /**
+     * The user's locations, optionally only those of a group or with a tag (see readListFilter).
+     */
+    list: handleErrors('locations(list)', async function (req, res) {
+        const where = await readListFilter(req);
+        const locations = where === null ? [] : await models.Location.findAll({
+            where: where,
+            include: INCLUDE_TAGS,
+            order: LIST_ORDER,
+        });
+        res.json({locations: locations});
+    }),
+
+    get: handleErrors('locations(get)', async function (req, res) {
+        const location = await findUserLocation(req, req.params.id);
+        if (!location) {
+            throw new errors.NotFoundError('Location not found.');
+        }
+        res.json({location: location});
+    }),
+
+    create: handleErrors('locations(create)', async function (req, res) {
+        const {fields, tags} = readLocationFields(req.body, true);
+        if (await findUserLocationByName(req, fields.name)) {
+            throw new errors.ConflictError(`A location named ${fields.name} already exists.`, {field: 'name'});
+        }
+        await assertGroupExists(req, fields.groupId);
+
+        const location = await saveLocation(req, models.Location.build({userId: req.userId}), fields, tags);
+        await webhookEvents.emit(req.userId, 'location.created', {location: location});
+        res.status(201).location(`${req.baseUrl}/${location.id}`).json({location: location});
+    }),
+
+    replace: handleErrors('locations(replace)', async function (req, res) {
+        await updateLocation(req, res, true);
+    }),
+
+    update: handleErrors('locations(update)', async function (req, res) {
+        await updateLocation(req, res, false);
+    }),
+
+    remove: handleErrors('locations(remove)', async function (req, res) {
+        const rowsDeleted = await destroyLocations(req, {id: req.params.id});
+        if (rowsDeleted === 0) {
+            throw new errors.NotFoundError('Location not found.');
+        }
+        res.status(204).end();
+    }),
+
+    /**
+     * Change the order of locations: req.body.ids are the ids of locations in their new order. They may be some of
+     * the user's locations (those of a filtered list), and then they only change places among themselves.
+     */
+    reorder: handleErrors('locations(reorder)', async function (req, res) {
+        const ids = req.body.ids;
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(Number.isInteger) || new Set(ids).size < ids.length) {
+            throw errors.ValidationError.forField('ids', 'ids must be an array of distinct location ids.');
+        }
+
+        await models.sequelize.transaction(async (transaction) => {
+            const locations = await models.Location.findAll({
+                where: {userId: req.userId},
+                order: POSITION_ORDER,
+                transaction: transaction,
+            });
+            const locationsById = new Map(locations.map(location => [location.id, location]));
+            const unknownId = ids.find(id => !locationsById.has(id));
+            if (unknownId !== undefined) {
+                throw errors.ValidationError.forField('ids', `There is no location with the id ${unknownId}.`);
+            }
+
+            // The places of the reordered locations in the list are taken by them in their new order:
+            const reorderedIds = new Set(ids);
+            let nextId = 0;
+            const orderedLocations = locations.map(location =>
+                reorderedIds.has(location.id) ? locationsById.get(ids[nextId++]) : location);
+            for (const [position, location] of orderedLocations.entries()) {
+                if (location.position !== position) {
+                    await location.update({position: position}, {transaction: transaction});
+                }
+            }
+        });
+
+        const locations = await models.Location.findAll({
+            where: {userId: req.userId},
+            include: INCLUDE_TAGS,
+            order: LIST_ORDER,
+        });
+        res.json({locations: locations});
+    }),
+
+    /**
+     * Download the user's locations as a file, in the format of the format query parameter (json by default).
+     */
+    exportLocations: handleErrors('locations(exportLocations)', async function (req, res) {
+        const formatName = req.query.format === undefined ? 'json' : req.query.format;
+        if (!locationFormats.isFormat(formatName)) {
+            throw unknownFormatError();
+        }
+        const format = locationFormats.getFormat(formatName);
+
+        const locations = await models.Location.findAll({where: {userId: req.userId}, order: LIST_ORDER});
+        res.type(format.contentType)
+            .attachment(`locations${format.extension}`)
+            .send(format.serialize(locations.map(location => ({
+                name: location.name,
+                lat: location.lat,
+                lon: location.lon,
+            }))));
+    }),
+
+    /**
+     * Import locations from a file (see lib/location-formats). Every row is reported as created, updated or rejected
+     * (with the errors of its fields). With the dryRun query parameter nothing is saved, so the report can be shown
+     * before importing; otherwise the valid rows are saved together, and the rejected ones are skipped.
+     */
+    importLocations: handleErrors('locations(importLocations)', async function (req, res) {
+        const dryRun = req.query.dryRun === 'true';
+        const format = getImportFormat(req);
+        const rows = readImportRows(req, format);
+
+        const existingLocations = new Map((await models.Location.findAll({where: {userId: req.userId}}))
+            .map(location => [location.name, location]));
+        const plan = planImport(rows, existingLocations);
+
+        if (!dryRun) {
+            const createdLocations = [];
+            await models.sequelize.transaction(async (transaction) => {
+                let position = await getNextPosition(req, transaction);
+                for (const result of plan) {
+                    if (result.action === 'create') {
+                        createdLocations.push(await models.Location.create(Object.assign({
+                            userId: req.userId,
+                            position: position++,
+                        }, result.fields), {transaction: transaction}));
+                    } else if (result.action === 'update') {
+                        const location = existingLocations.get(result.name);
+                        await location.update({lat: result.fields.lat, lon: result.fields.lon},
+                            {transaction: transaction});
+                    }
+                }
+            });
+            for (const location of createdLocations) {
+                await webhookEvents.emit(req.userId, 'location.created', {location: location});
+            }
+        }
+
+        const count = action => plan.filter(result => result.action === action).length;
+        res.json({
+            dryRun: dryRun,
+            summary: {created: count('create'), updated: count('update'), rejected: count('reject')},
+            rows: plan.map(({row, name, action, errors}) => ({row: row, name: name, action: action, errors: errors})),
+        });
+    }),
+
+    /**
+     * Compatibility with /api/add-location: creates the location, or updates the coordinates of the location with
+     * the same name.
+     */
+    upsertByName: handleErrors('locations(upsertByName)', async function (req, res) {
+        const {fields, tags} = readLocationFields(req.body, true);
+        await assertGroupExists(req, fields.groupId);
+
+        const location = await findUserLocationByName(req, fields.name);
+        if (location) {
+            delete fields.name;
+            res.json({message: 'Location updated.', location: await saveLocation(req, location, fields, tags)});
+        } else {
+            const newLocation = await saveLocation(req, models.Location.build({userId: req.userId}), fields, tags);
+            await webhookEvents.emit(req.userId, 'location.created', {location: newLocation});
+            res.json({message: 'Location added.', location: newLocation});
+        }
+    }),
+
+    /**
+     * Compatibility with /api/remove-locations: deletes the locations named in req.body.locationNames.
+     */
+    removeByNames: handleErrors('locations(removeByNames)', async function (req, res) {
+        if (!Array.isArray(req.body.locationNames)) {
+            throw errors.ValidationError.forField('locationNames', 'locationNames must be an array.');
+        }
+
+        const rowsDeleted = await destroyLocations(req, {name: req.body.locationNames});
+        res.json(rowsDeleted > 0 ? 'Locations deleted.' : "Locations don't exist in list.");
+    }),
+}
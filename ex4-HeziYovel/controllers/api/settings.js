@@ -0,0 +1,66 @@
+const models = require('../../models');
+const units = require('../../public/javascripts/units');
+const errors = require('../../lib/errors');
+const digestSchedule = require('../../lib/digest/schedule');
+
+function isLocationId(value) {
+    return value === null || (Number.isInteger(value) && value > 0);
+}
+
+// Settings field => [validator, the error message of invalid values]:
+const FIELDS = {
+    'temperatureUnit': [units.isTemperatureUnit,
+        `temperatureUnit must be one of: ${units.temperatureUnits.join(', ')}.`],
+    'windUnit': [units.isWindUnit, `windUnit must be one of: ${units.windUnits.join(', ')}.`],
+    // The location that is selected when the home page is loaded:
+    'defaultLocationId': [isLocationId, 'defaultLocationId must be the id of a location, or null.'],
+    // The daily digest email (see lib/digest):
+    'digestEnabled': [value => typeof value === 'boolean', 'digestEnabled must be true or false.'],
+    'digestTime': [digestSchedule.isTime, 'digestTime must be a time of day, HH:MM.'],
+    'digestTimezone': [digestSchedule.isTimezone, 'digestTimezone must be a time zone, for example Asia/Jerusalem.'],
+    'digestScope': [digestSchedule.isScope, `digestScope must be one of: ${digestSchedule.scopes.join(', ')}.`],
+};
+
+/**
+ * Collect the settings fields from the request body. Every field is optional, but at least one is required. Throws a
+ * ValidationError if none is given or one is invalid.
+ * @param body
+ * @returns {{}}
+ */
+function readSettingsFields(body) {
+    const fields = {};
+    for (const [field, [isValid, message]] of Object.entries(FIELDS)) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        if (!isValid(body[field])) {
+            throw errors.ValidationError.forField(field, message);
+        }
+        fields[field] = body[field];
+    }
+    if (Object.keys(fields).length === 0) {
+        throw new errors.ValidationError(`At least one of ${Object.keys(FIELDS).join(', ')} is required.`);
+    }
+    return fields;
+}
+
+module.exports = {
+
+    get: errors.handleErrors('settings(get)', async function (req, res) {
+        const setting = await models.UserSetting.findForUser(req.userId);
+        res.json({settings: setting.toSettings()});
+    }),
+
+    update: errors.handleErrors('settings(update)', async function (req, res) {
+        const fields = readSettingsFields(req.body);
+        if (fields.defaultLocationId) {
+            const location = await models.Location.findOne({where: {id: fields.defaultLocationId, userId: req.userId}});
+            if (!location) {
+                throw errors.ValidationError.forField('defaultLocationId', 'There is no such location.');
+            }
+        }
+        const setting = await models.UserSetting.findForUser(req.userId);
+        await setting.set(fields).save();
+        res.json({settings: setting.toSettings()});
+    }),
+}
@@ -0,0 +1,66 @@
+const models = require('../../models');
+const errors = require('../../lib/errors');
+const validation = require('../../public/javascripts/validation');
+
+/**
+ * Tags are created by tagging locations (see controllers/api/locations.js), so they can only be listed, renamed and
+ * deleted here.
+ */
+
+async function findUserTag(req, id) {
+    const tag = await models.Tag.findOne({where: {id: id, userId: req.userId}});
+    if (!tag) {
+        throw new errors.NotFoundError('Tag not found.');
+    }
+    return tag;
+}
+
+module.exports = {
+
+    /**
+     * The user's tags, with the number of locations that have each.
+     */
+    list: errors.handleErrors('tags(list)', async function (req, res) {
+        const tags = await models.Tag.findAll({
+            where: {userId: req.userId},
+            include: {model: models.Location, as: 'locations', attributes: ['id']},
+            order: [['name', 'ASC']],
+        });
+        res.json({
+            tags: tags.map(tag => ({
+                id: tag.id,
+                name: tag.name,
+                locationCount: tag.locations.length,
+                createdAt: tag.createdAt,
+                updatedAt: tag.updatedAt,
+            })),
+        });
+    }),
+
+    /**
+     * Rename a tag (of all its locations).
+     */
+    update: errors.handleErrors('tags(update)', async function (req, res) {
+        const name = typeof req.body.name === 'string' ? validation.normalizeTag(req.body.name) : '';
+        const message = validation.getTagErrorMessage(name);
+        if (message !== '') {
+            throw errors.ValidationError.forField('name', message);
+        }
+        const tag = await findUserTag(req, req.params.id);
+        if (name !== tag.name && await models.Tag.findOne({where: {userId: req.userId, name: name}})) {
+            throw new errors.ConflictError(`A tag named ${name} already exists.`, {field: 'name'});
+        }
+
+        await tag.update({name: name});
+        res.json({tag: tag});
+    }),
+
+    /**
+     * Delete a tag, which removes it from all its locations.
+     */
+    remove: errors.handleErrors('tags(remove)', async function (req, res) {
+        const tag = await findUserTag(req, req.params.id);
+        await tag.destroy();
+        res.status(204).end();
+    }),
+}
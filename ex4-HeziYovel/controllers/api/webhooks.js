@@ -0,0 +1,115 @@
+const models = require('../../models');
+const errors = require('../../lib/errors');
+const subscriptions = require('../../lib/webhooks/subscriptions');
+const delivery = require('../../lib/webhooks/delivery');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const DELIVERIES_LIMIT = 100;
+
+async function findUserWebhook(req, id) {
+    const webhook = await models.Webhook.findOne({where: {id: id, userId: req.userId}});
+    if (!webhook) {
+        throw new errors.NotFoundError('Webhook not found.');
+    }
+    return webhook;
+}
+
+/**
+ * Collect the fields of a webhook from the request body (see subscriptions.validateWebhook). Throws a ValidationError
+ * if a field is invalid.
+ * @param body
+ * @param isNew
+ * @returns {Promise<{}>}
+ */
+async function readWebhookFields(body, isNew) {
+    const {fields, fieldErrors} = await subscriptions.validateWebhook({
+        url: body.url,
+        secret: body.secret,
+        events: body.events,
+        isActive: body.isActive,
+    }, isNew);
+    if (Object.keys(fieldErrors).length > 0) {
+        throw errors.ValidationError.forFields(fieldErrors);
+    }
+    if (Object.keys(fields).length === 0) {
+        throw new errors.ValidationError('At least one of url, secret, events, isActive is required.');
+    }
+    return fields;
+}
+
+module.exports = {
+
+    list: errors.handleErrors('webhooks(list)', async function (req, res) {
+        const webhooks = await models.Webhook.findAll({where: {userId: req.userId}, order: [['id', 'ASC']]});
+        res.json({webhooks: webhooks, eventTypes: subscriptions.eventTypes});
+    }),
+
+    get: errors.handleErrors('webhooks(get)', async function (req, res) {
+        res.json({webhook: await findUserWebhook(req, req.params.id)});
+    }),
+
+    /**
+     * Create a webhook. Its secret is in the response, and only in this response.
+     */
+    create: errors.handleErrors('webhooks(create)', async function (req, res) {
+        const fields = await readWebhookFields(req.body, true);
+        if (!await subscriptions.canCreate(req.userId)) {
+            throw new errors.ConflictError(`You can have at most ${subscriptions.maxWebhooksPerUser} webhooks.`);
+        }
+
+        const webhook = await models.Webhook.create(Object.assign({userId: req.userId}, fields));
+        res.status(201).location(`${req.baseUrl}/${webhook.id}`).json({webhook: webhook, secret: webhook.secret});
+    }),
+
+    update: errors.handleErrors('webhooks(update)', async function (req, res) {
+        const fields = await readWebhookFields(req.body, false);
+        const webhook = await findUserWebhook(req, req.params.id);
+        await webhook.update(fields);
+        res.json({webhook: webhook});
+    }),
+
+    /**
+     * Delete a webhook, with its deliveries (including those that weren't delivered yet).
+     */
+    remove: errors.handleErrors('webhooks(remove)', async function (req, res) {
+        const webhook = await findUserWebhook(req, req.params.id);
+        await webhook.destroy();
+        res.status(204).end();
+    }),
+
+    /**
+     * The latest deliveries of a webhook, only those of a status if ?status= is given.
+     */
+    listDeliveries: errors.handleErrors('webhooks(listDeliveries)', async function (req, res) {
+        const webhook = await findUserWebhook(req, req.params.id);
+        const where = {webhookId: webhook.id};
+        if (req.query.status !== undefined) {
+            if (!DELIVERY_STATUSES.includes(req.query.status)) {
+                throw errors.ValidationError.forField('status',
+                    `status must be one of: ${DELIVERY_STATUSES.join(', ')}.`);
+            }
+            where.status = req.query.status;
+        }
+        const deliveries = await models.WebhookDelivery.findAll({
+            where: where,
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+            limit: DELIVERIES_LIMIT,
+        });
+        res.json({deliveries: deliveries});
+    }),
+
+    /**
+     * Attempt a delivery again, as soon as possible.
+     */
+    retryDelivery: errors.handleErrors('webhooks(retryDelivery)', async function (req, res) {
+        const webhook = await findUserWebhook(req, req.params.id);
+        const webhookDelivery = await models.WebhookDelivery.findOne({
+            where: {id: req.params.deliveryId, webhookId: webhook.id},
+        });
+        if (!webhookDelivery) {
+            throw new errors.NotFoundError('Delivery not found.');
+        }
+        await delivery.retry(webhookDelivery);
+        res.json({delivery: webhookDelivery});
+    }),
+}
@@ -1,31 +1,77 @@
 const models = require('../models');
+const passwords = require('../lib/passwords');
+const config = require('../config');
 
+/**
+ * Legacy rows hold a plaintext password, and old hashes may use outdated parameters. Now that we know the password
+ * we re-hash it (the User model hashes the password on save). A failure here is logged, but doesn't fail the login.
+ * @param user
+ * @param password
+ * @returns {Promise<void>} resolves once the new hash is saved (or failed to save)
+ */
+async function rehashPassword(user, password) {
+    user.password = password;
+    // For legacy rows the value doesn't change, so it must be marked as changed explicitly:
+    user.changed('password', true);
+    try {
+        await user.save();
+    } catch (err) {
+        console.error(`Error in authenticate(rehashPassword):\n\n${err}`);
+    }
+}
+
+function loginFailed(res) {
+    res.status(400).render('login', {
+        modal_title: 'Login Failed',
+        message: 'Email or password is incorrect.'
+    });
+}
 
 module.exports = {
-    authenticate: function (req, res) {
+    authenticate: async function (req, res) {
         const email = req.body.email;
         const password = req.body.password;
 
-        models.User.findOne({
-            where: {email: email, password: password},
-        }).then(user => {
-            if (user) {
-                req.session.isLoggedIn = true;
-                req.session.firstNameLastName = `${user.firstName} ${user.lastName}`;
-                req.session.userId = user.id;
-                res.redirect('/');
-            } else {
-                res.status(400).render('login', {
-                    modal_title: 'Login Failed',
-                    message: 'Email or password is incorrect.'
+        try {
+            const user = await models.User.findOne({where: {email: email}});
+            if (!user || typeof password !== 'string') {
+                loginFailed(res);
+                return;
+            }
+
+            const verification = await passwords.verify(password, user.password);
+            if (!verification.match) {
+                loginFailed(res);
+                return;
+            }
+            if (verification.needsRehash) {
+                await rehashPassword(user, password);
+            }
+            if (!user.isVerified()) {
+                res.status(403).render('login', {
+                    opmode: 'resend',
+                    modal_title: 'Email Not Verified',
+                    message: `Please follow the verification link we sent to ${user.email} before signing in.`,
                 });
+                return;
+            }
+
+            req.session.isLoggedIn = true;
+            req.session.firstNameLastName = `${user.firstName} ${user.lastName}`;
+            req.session.userId = user.id;
+            // Shown in the sessions page, to tell the sessions apart:
+            req.session.userAgent = req.get('user-agent') || null;
+            req.session.ip = req.ip;
+            if (req.body.remember_me) {
+                req.session.cookie.maxAge = config.session.rememberMeDays * 24 * 60 * 60 * 1000;
             }
-        }).catch((err) => {
+            res.redirect('/');
+        } catch (err) {
             console.error(`Error in authenticate:\n\n${err}`);
             res.status(500).render('login', {
                 modal_title: 'Login Failed',
                 message: 'The server had an error. With your permission, we would like to send our developers an error report.',
             });
-        });
+        }
     },
-}
\ No newline at end of file
+}
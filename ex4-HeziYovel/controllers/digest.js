@@ -0,0 +1,108 @@
+const models = require('../models');
+const schedule = require('../lib/digest/schedule');
+const unsubscribe = require('../lib/digest/unsubscribe');
+
+/**
+ * Render the digest page.
+ * @param req
+ * @param res
+ * @param setting - the user's UserSetting, with the values to show
+ * @param extra - {message, error}, shown above the form
+ * @param status
+ */
+function renderDigest(req, res, setting, extra = {}, status = 200) {
+    res.status(status).render('digest', Object.assign({
+        firstNameLastName: req.session.firstNameLastName,
+        settings: setting.toSettings(),
+        timezones: schedule.getTimezones(),
+        message: null,
+        error: null,
+    }, extra));
+}
+
+/**
+ * Render the unsubscribe page, which doesn't need the user to be signed in.
+ * @param res
+ * @param status
+ * @param data - {state, token, email}, state is confirm, done or invalid
+ */
+function renderUnsubscribe(res, status, data) {
+    res.status(status).render('unsubscribe', Object.assign({token: '', email: ''}, data));
+}
+
+module.exports = {
+    show: async function (req, res, next) {
+        try {
+            renderDigest(req, res, await models.UserSetting.findForUser(req.session.userId));
+        } catch (err) {
+            console.error(`Error in digest(show):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    update: async function (req, res, next) {
+        const fields = {
+            // An unchecked checkbox isn't posted:
+            digestEnabled: req.body.digestEnabled === 'on',
+            digestTime: req.body.digestTime,
+            digestTimezone: req.body.digestTimezone,
+            digestScope: req.body.digestScope,
+        };
+
+        try {
+            const setting = await models.UserSetting.findForUser(req.session.userId);
+            let error = null;
+            if (!schedule.isTime(fields.digestTime)) {
+                error = 'Please choose the time the email is sent at.';
+            } else if (!schedule.isTimezone(fields.digestTimezone)) {
+                error = 'Please choose your time zone.';
+            } else if (!schedule.isScope(fields.digestScope)) {
+                error = 'Please choose the locations the email covers.';
+            }
+            if (error !== null) {
+                renderDigest(req, res, setting.set(fields), {error: error}, 400);
+                return;
+            }
+            await setting.set(fields).save();
+            renderDigest(req, res, setting, {
+                message: fields.digestEnabled ? 'Saved. The daily forecast email is on.' :
+                    'Saved. The daily forecast email is off.',
+            });
+        } catch (err) {
+            console.error(`Error in digest(update):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    /**
+     * The page of an unsubscribe link. Unsubscribing takes a click, so that mail scanners that open links don't
+     * unsubscribe users.
+     */
+    confirmUnsubscribe: async function (req, res, next) {
+        try {
+            const user = await unsubscribe.findUser(req.query.token);
+            if (user === null) {
+                renderUnsubscribe(res, 400, {state: 'invalid'});
+                return;
+            }
+            renderUnsubscribe(res, 200, {state: 'confirm', token: req.query.token, email: user.email});
+        } catch (err) {
+            console.error(`Error in digest(confirmUnsubscribe):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    unsubscribe: async function (req, res, next) {
+        try {
+            const user = await unsubscribe.unsubscribe(req.body.token);
+            if (user === null) {
+                renderUnsubscribe(res, 400, {state: 'invalid'});
+                return;
+            }
+            renderUnsubscribe(res, 200, {state: 'done', email: user.email});
+        } catch (err) {
+            console.error(`Error in digest(unsubscribe):\n\n${err}`);
+            next(err);
+        }
+    },
+}
@@ -0,0 +1,60 @@
+const models = require('../models');
+const emailVerification = require('../lib/email-verification');
+
+function serverError(res, name, err) {
+    console.error(`Error in ${name}:\n\n${err}`);
+    res.status(500).render('login', {
+        opmode: 'resend',
+        modal_title: 'Verification Failed',
+        message: 'The server had an error. With your permission, we would like to send our developers an error report.',
+    });
+}
+
+module.exports = {
+    verify: async function (req, res) {
+        try {
+            const user = await emailVerification.verify(req.query.token);
+            if (user === null) {
+                res.status(400).render('login', {
+                    opmode: 'resend',
+                    modal_title: 'Verification Failed',
+                    message: 'The verification link is invalid, has expired or was already used. ' +
+                        'You can ask for a new one.',
+                });
+                return;
+            }
+            res.render('welcome', {firstNameLastName: `${user.firstName} ${user.lastName}`});
+        } catch (err) {
+            serverError(res, 'emailVerification(verify)', err);
+        }
+    },
+
+    /**
+     * Email a new verification link if there is an unverified user with the given email. The response is the same
+     * either way, so that it can't be used to find out who has an account.
+     */
+    resend: async function (req, res) {
+        const email = req.body.email;
+        if (typeof email !== 'string' || email.trim() === '') {
+            res.status(400).render('login', {
+                opmode: 'resend',
+                modal_title: 'Verification Failed',
+                message: 'Please enter your email address.',
+            });
+            return;
+        }
+
+        try {
+            const user = await models.User.findOne({where: {email: email.trim()}});
+            if (user && !user.isVerified()) {
+                await emailVerification.sendVerificationEmail(user);
+            }
+            res.render('login', {
+                modal_title: 'Check Your Email',
+                message: `If ${email.trim()} has an unverified account, we sent it a new verification link.`,
+            });
+        } catch (err) {
+            serverError(res, 'emailVerification(resend)', err);
+        }
+    },
+}
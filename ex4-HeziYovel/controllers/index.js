@@ -1,7 +1,61 @@
 const models = require('../models');
+const forecast = require('../lib/weather/forecast');
+const image = require('../lib/weather/image');
+const units = require('../public/javascripts/units');
+const config = require('../config');
+const locationFormats = require('../lib/location-formats');
+const alertRules = require('../lib/alerts/rules');
+const schema = require('../lib/weather/schema');
+
+/**
+ * The options of the form of alert rules: the conditions (with the kind of their threshold), the wind classes of
+ * wind thresholds, and the days.
+ * @returns {{conditions: [], windClasses: [], days: []}}
+ */
+function getAlertRuleOptions() {
+    const dayOffsets = [null].concat(Array.from({length: alertRules.maxDayOffset + 1}, (value, index) => index));
+    return {
+        conditions: alertRules.conditions.map(condition => ({
+            value: condition,
+            label: alertRules.getCondition(condition).label,
+            threshold: alertRules.getCondition(condition).threshold || '',
+        })),
+        windClasses: Object.entries(schema.WIND_CLASSES).map(([windClass, info]) => ({
+            value: windClass,
+            label: info.label,
+        })),
+        days: dayOffsets.map(dayOffset => {
+            const label = alertRules.formatDayOffset(dayOffset);
+            return {value: dayOffset === null ? '' : dayOffset, label: label[0].toUpperCase() + label.slice(1)};
+        }),
+    };
+}
 
 module.exports = {
-    index: async function (req, res) {
-        res.render('index', {firstNameLastName: req.session.firstNameLastName});
+    index: async function (req, res, next) {
+        let setting;
+        try {
+            setting = await models.UserSetting.findForUser(req.session.userId);
+        } catch (err) {
+            next(err);
+            return;
+        }
+        res.render('index', {
+            firstNameLastName: req.session.firstNameLastName,
+            hourlyProducts: forecast.getProducts('hourly'),
+            settings: setting.toSettings(),
+            temperatureUnits: units.temperatureUnits.map(unit => ({value: unit, label: units.getTemperatureLabel(unit)})),
+            windUnits: units.windUnits.map(unit => ({value: unit, label: units.getWindSymbol(unit)})),
+            imageProducts: image.products.map(product => ({value: product, label: image.getProductLabel(product)})),
+            imageLanguages: image.languages,
+            tzshiftLimits: image.tzshiftLimits,
+            map: config.map,
+            locationFormats: locationFormats.formats.map(format => ({
+                name: format.name,
+                label: format.label,
+                extension: format.extension,
+            })),
+            alertRuleOptions: getAlertRuleOptions(),
+        });
     },
-}
\ No newline at end of file
+}
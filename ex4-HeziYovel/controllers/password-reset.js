@@ -0,0 +1,197 @@
+const models = require('../models');
+const tokens = require('../lib/tokens');
+const mailer = require('../lib/mailer');
+
+const config = require('../config');
+
+const TOKEN_PURPOSE = 'password-reset';
+const MIN_PASSWORD_LENGTH = 8;
+
+function getTokenTTL() {
+    return config.auth.passwordResetTTLMinutes * 60 * 1000;
+}
+
+function serverError(res, name, err) {
+    console.error(`Error in ${name}:\n\n${err}`);
+    res.status(500).render('login', {
+        modal_title: 'Password Reset Failed',
+        message: 'The server had an error. With your permission, we would like to send our developers an error report.',
+    });
+}
+
+function invalidLink(res) {
+    res.status(400).render('login', {
+        opmode: 'forgot',
+        modal_title: 'Password Reset Failed',
+        message: 'The password reset link is invalid or has expired. Please ask for a new one.',
+    });
+}
+
+/**
+ * Find the stored token that a user sent, if it can still be used.
+ * @param token
+ * @returns {Promise<PasswordResetToken|null>}
+ */
+async function findUsableToken(token) {
+    const tokenHash = tokens.verify(token, TOKEN_PURPOSE);
+    if (tokenHash === null) {
+        return null;
+    }
+    const resetToken = await models.PasswordResetToken.findOne({where: {tokenHash: tokenHash}});
+    return resetToken && resetToken.isUsable() ? resetToken : null;
+}
+
+/**
+ * Email the reset link. It is a link to the configured site, never to the Host of the request, which an attacker who
+ * asks for a reset of someone else's account could forge to get the token sent to their own site.
+ * @param user
+ * @param token
+ * @returns {Promise<*>}
+ */
+function sendResetEmail(user, token) {
+    const link = `${config.baseURL}/reset-password?token=${encodeURIComponent(token)}`;
+    return mailer.send({
+        to: user.email,
+        subject: 'Reset your HWeather password',
+        text: `Hello ${user.firstName},\n\n` +
+            `To choose a new password, open this link within ${config.auth.passwordResetTTLMinutes} minutes:\n\n` +
+            `${link}\n\n` +
+            "If you didn't ask to reset your password, you can ignore this email.\n",
+    });
+}
+
+/**
+ * Render the form of the new password.
+ * @param res
+ * @param token
+ * @param status
+ * @param message - why the password that was sent was rejected, if it was
+ */
+function renderPasswordForm(res, token, status = 200, message = undefined) {
+    res.status(status).render('password', {
+        action: '/reset-password',
+        heading: 'Reset Password',
+        submitLabel: 'Reset Password',
+        token: token,
+        message: message,
+    });
+}
+
+/**
+ * Why a new password can't be used, or null if it can.
+ * @param password
+ * @param confirmPassword
+ * @returns {string|null}
+ */
+function getPasswordErrorMessage(password, confirmPassword) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `The password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    }
+    if (password !== confirmPassword) {
+        return "Passwords don't match.";
+    }
+    return null;
+}
+
+module.exports = {
+    showForgotForm: function (req, res) {
+        res.render('login', {opmode: 'forgot'});
+    },
+
+    /**
+     * Email a reset link if there is a user with the given email. The response is the same either way, so that it
+     * can't be used to find out who has an account.
+     */
+    requestReset: async function (req, res) {
+        const email = req.body.email;
+        if (typeof email !== 'string' || email.trim() === '') {
+            res.status(400).render('login', {
+                opmode: 'forgot',
+                modal_title: 'Password Reset Failed',
+                message: 'Please enter your email address.',
+            });
+            return;
+        }
+
+        try {
+            const user = await models.User.findOne({where: {email: email.trim()}});
+            if (user) {
+                const {token, tokenHash} = tokens.create(TOKEN_PURPOSE);
+                await models.PasswordResetToken.create({
+                    userId: user.id,
+                    tokenHash: tokenHash,
+                    expiresAt: new Date(Date.now() + getTokenTTL()),
+                });
+                await sendResetEmail(user, token);
+            }
+            res.render('login', {
+                modal_title: 'Check Your Email',
+                message: `If ${email.trim()} has an account, we sent it a link to reset the password.`,
+            });
+        } catch (err) {
+            serverError(res, 'passwordReset(requestReset)', err);
+        }
+    },
+
+    showResetForm: async function (req, res) {
+        try {
+            if (await findUsableToken(req.query.token) === null) {
+                invalidLink(res);
+                return;
+            }
+            renderPasswordForm(res, req.query.token);
+        } catch (err) {
+            serverError(res, 'passwordReset(showResetForm)', err);
+        }
+    },
+
+    reset: async function (req, res) {
+        const token = req.body.token;
+        const password = req.body.password;
+
+        try {
+            const resetToken = await findUsableToken(token);
+            if (resetToken === null) {
+                invalidLink(res);
+                return;
+            }
+            const passwordError = getPasswordErrorMessage(password, req.body.confirm_password);
+            if (passwordError !== null) {
+                renderPasswordForm(res, token, 400, passwordError);
+                return;
+            }
+
+            const changed = await models.sequelize.transaction(async (transaction) => {
+                // Use the token up, unless a concurrent request already did:
+                const [updatedRows] = await models.PasswordResetToken.update({usedAt: new Date()}, {
+                    where: {id: resetToken.id, usedAt: null},
+                    transaction: transaction,
+                });
+                if (updatedRows === 0) {
+                    return false;
+                }
+                // The User model hashes the password before it is saved:
+                const user = await models.User.findByPk(resetToken.userId, {transaction: transaction});
+                user.password = password;
+                await user.save({transaction: transaction});
+                // Any other link the user asked for is useless now:
+                await models.PasswordResetToken.update({usedAt: new Date()}, {
+                    where: {userId: user.id, usedAt: null, expiresAt: {[models.Sequelize.Op.gt]: new Date()}},
+                    transaction: transaction,
+                });
+                return true;
+            });
+
+            if (!changed) {
+                invalidLink(res);
+                return;
+            }
+            res.render('login', {
+                modal_title: 'Password Changed',
+                message: 'Your password has been changed. You can sign in with your new password.',
+            });
+        } catch (err) {
+            serverError(res, 'passwordReset(reset)', err);
+        }
+    },
+}
@@ -1,10 +1,12 @@
 const models = require('../models');
-const functions = require('../appFunctions');
 const Cookies = require('cookies');
+const emailVerification = require('../lib/email-verification');
+const config = require('../config');
 
 const ONE_MINUTE_IN_MS = 60000;
 
-const keys = ['gklehnwklgbne;kit930u5rwcldsFESG ?HJDRZS fkje3rh2hr3'];
+// The first key signs, all of them verify:
+const keys = config.cookies.keys;
 
 async function registerStep1(req, res, email, firstName, lastName) {
     models.User.findOne({
@@ -64,17 +66,23 @@ function doPasswordsMatch(req, password, res) {
 }
 
 function createUser(req, password, res) {
+    // The User model hashes the password before it is saved. The user is unverified until the emailed link is
+    // followed:
     models.User.create({
         email: req.session.credentials.email,
         firstName: req.session.credentials.firstName,
         lastName: req.session.credentials.lastName,
         password: password,
-    }).then(user => {
-        if (user !== null) {
-            res.render('welcome', {firstNameLastName: `${user.firstName} ${user.lastName}`});
-        } else {
+    }).then(async user => {
+        if (user === null) {
             throw new Error();
         }
+        await emailVerification.sendVerificationEmail(user);
+        res.render('login', {
+            opmode: 'resend',
+            modal_title: 'Verify Your Email',
+            message: `We sent a verification link to ${user.email}. Follow it to activate your account.`,
+        });
     }).catch(err => {
         console.error(`Error in register(registerStep2(createUser)):\n\n${err}`);
         res.status(500).render('login', {
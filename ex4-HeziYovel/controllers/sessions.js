@@ -0,0 +1,71 @@
+const models = require('../models');
+
+/**
+ * The user's sessions that haven't expired, most recently active first.
+ * @param req
+ * @returns {Promise<Session[]>}
+ */
+function findUserSessions(req) {
+    return models.Session.findAll({
+        where: {userId: req.session.userId, expires: {[models.Sequelize.Op.gt]: new Date()}},
+        order: [['updatedAt', 'DESC']],
+    });
+}
+
+module.exports = {
+    list: async function (req, res, next) {
+        try {
+            const sessions = await findUserSessions(req);
+            res.render('sessions', {
+                firstNameLastName: req.session.firstNameLastName,
+                sessions: sessions.map(session => ({
+                    id: session.getPublicId(),
+                    isCurrent: session.sid === req.sessionID,
+                    userAgent: session.userAgent || 'Unknown browser',
+                    ip: session.ip || '',
+                    signedInAt: session.createdAt,
+                    lastActiveAt: session.updatedAt,
+                    expiresAt: session.expires,
+                })),
+            });
+        } catch (err) {
+            console.error(`Error in sessions(list):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    /**
+     * Revoke one of the user's sessions. Revoking the current session signs the user out.
+     */
+    revoke: async function (req, res, next) {
+        try {
+            const sessions = await findUserSessions(req);
+            const session = sessions.find(session => session.getPublicId() === req.params.id);
+            if (!session) {
+                res.redirect('/sessions');
+                return;
+            }
+            await session.destroy();
+            if (session.sid === req.sessionID) {
+                req.session.destroy(() => res.redirect('/login'));
+                return;
+            }
+            res.redirect('/sessions');
+        } catch (err) {
+            console.error(`Error in sessions(revoke):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    revokeOthers: async function (req, res, next) {
+        try {
+            await models.Session.destroy({
+                where: {userId: req.session.userId, sid: {[models.Sequelize.Op.ne]: req.sessionID}},
+            });
+            res.redirect('/sessions');
+        } catch (err) {
+            console.error(`Error in sessions(revokeOthers):\n\n${err}`);
+            next(err);
+        }
+    },
+}
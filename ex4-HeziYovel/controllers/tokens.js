@@ -0,0 +1,71 @@
+const models = require('../models');
+const apiTokens = require('../lib/api-tokens');
+
+/**
+ * Render the tokens page.
+ * @param req
+ * @param res
+ * @param extra - {newToken, error}, shown above the list
+ * @param status
+ */
+async function renderTokens(req, res, extra = {}, status = 200) {
+    const userTokens = await models.ApiToken.findAll({
+        where: {userId: req.session.userId},
+        order: [['createdAt', 'DESC']],
+    });
+    res.status(status).render('tokens', Object.assign({
+        firstNameLastName: req.session.firstNameLastName,
+        tokens: userTokens,
+        scopes: apiTokens.scopes,
+        nameMaxLength: apiTokens.nameMaxLength,
+        newToken: null,
+        error: null,
+    }, extra));
+}
+
+module.exports = {
+    list: async function (req, res, next) {
+        try {
+            await renderTokens(req, res);
+        } catch (err) {
+            console.error(`Error in tokens(list):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    create: async function (req, res, next) {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        const scope = req.body.scope;
+
+        try {
+            if (name === '') {
+                await renderTokens(req, res, {error: 'Please name the token.'}, 400);
+                return;
+            }
+            if (name.length > apiTokens.nameMaxLength) {
+                await renderTokens(req, res,
+                    {error: `The name must be at most ${apiTokens.nameMaxLength} characters long.`}, 400);
+                return;
+            }
+            if (!apiTokens.isScope(scope)) {
+                await renderTokens(req, res, {error: `The scope must be one of: ${apiTokens.scopes.join(', ')}.`}, 400);
+                return;
+            }
+            const {apiToken, token} = await apiTokens.create(req.session.userId, name, scope);
+            await renderTokens(req, res, {newToken: {name: apiToken.name, token: token}}, 201);
+        } catch (err) {
+            console.error(`Error in tokens(create):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    revoke: async function (req, res, next) {
+        try {
+            await models.ApiToken.destroy({where: {id: req.params.id, userId: req.session.userId}});
+            res.redirect('/tokens');
+        } catch (err) {
+            console.error(`Error in tokens(revoke):\n\n${err}`);
+            next(err);
+        }
+    },
+}
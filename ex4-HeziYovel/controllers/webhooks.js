@@ -0,0 +1,126 @@
+const models = require('../models');
+const subscriptions = require('../lib/webhooks/subscriptions');
+const delivery = require('../lib/webhooks/delivery');
+
+// The delivery log shows this many of the latest deliveries:
+const DELIVERY_LOG_LIMIT = 50;
+
+/**
+ * Render the webhooks page: the user's webhooks and the log of their latest deliveries.
+ * @param req
+ * @param res
+ * @param extra - {newWebhook, error}, shown above the list
+ * @param status
+ */
+async function renderWebhooks(req, res, extra = {}, status = 200) {
+    const webhooks = await models.Webhook.findAll({
+        where: {userId: req.session.userId},
+        order: [['id', 'ASC']],
+    });
+    const deliveries = await models.WebhookDelivery.findAll({
+        include: {model: models.Webhook, as: 'webhook', where: {userId: req.session.userId}},
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: DELIVERY_LOG_LIMIT,
+    });
+    res.status(status).render('webhooks', Object.assign({
+        firstNameLastName: req.session.firstNameLastName,
+        webhooks: webhooks,
+        deliveries: deliveries,
+        eventTypes: subscriptions.eventTypes,
+        maxAttempts: delivery.maxAttempts,
+        newWebhook: null,
+        error: null,
+    }, extra));
+}
+
+/**
+ * A form posts a single checkbox as a string, and several as an array.
+ * @param value
+ * @returns {[]}
+ */
+function toList(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+    list: async function (req, res, next) {
+        try {
+            await renderWebhooks(req, res);
+        } catch (err) {
+            console.error(`Error in webhooks(list):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    create: async function (req, res, next) {
+        const url = typeof req.body.url === 'string' ? req.body.url.trim() : '';
+
+        try {
+            const {fields, fieldErrors} = await subscriptions.validateWebhook({
+                url: url,
+                secret: req.body.secret,
+                events: toList(req.body.events),
+            }, true);
+            if (Object.keys(fieldErrors).length > 0) {
+                await renderWebhooks(req, res, {error: Object.values(fieldErrors).join(' ')}, 400);
+                return;
+            }
+            if (!await subscriptions.canCreate(req.session.userId)) {
+                await renderWebhooks(req, res,
+                    {error: `You can have at most ${subscriptions.maxWebhooksPerUser} webhooks.`}, 409);
+                return;
+            }
+            const webhook = await models.Webhook.create(Object.assign({userId: req.session.userId}, fields));
+            await renderWebhooks(req, res, {newWebhook: {url: webhook.url, secret: webhook.secret}}, 201);
+        } catch (err) {
+            console.error(`Error in webhooks(create):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    /**
+     * Pause or resume a webhook. The deliveries of a paused webhook wait in the queue until it is resumed.
+     */
+    setActive: async function (req, res, next) {
+        try {
+            await models.Webhook.update({isActive: req.body.isActive === 'true'},
+                {where: {id: req.params.id, userId: req.session.userId}});
+            if (req.body.isActive === 'true') {
+                delivery.wake();
+            }
+            res.redirect('/webhooks');
+        } catch (err) {
+            console.error(`Error in webhooks(setActive):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    remove: async function (req, res, next) {
+        try {
+            await models.Webhook.destroy({where: {id: req.params.id, userId: req.session.userId}});
+            res.redirect('/webhooks');
+        } catch (err) {
+            console.error(`Error in webhooks(remove):\n\n${err}`);
+            next(err);
+        }
+    },
+
+    retryDelivery: async function (req, res, next) {
+        try {
+            const webhookDelivery = await models.WebhookDelivery.findOne({
+                where: {id: req.params.id},
+                include: {model: models.Webhook, as: 'webhook', where: {userId: req.session.userId}},
+            });
+            if (webhookDelivery) {
+                await delivery.retry(webhookDelivery);
+            }
+            res.redirect('/webhooks');
+        } catch (err) {
+            console.error(`Error in webhooks(retryDelivery):\n\n${err}`);
+            next(err);
+        }
+    },
+}
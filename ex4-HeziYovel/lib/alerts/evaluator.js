@@ -0,0 +1,54 @@
+const rules = require('./rules');
+
+/**
+ * Evaluation of alert rules against the normalized forecast of their location. It only computes: the time is given
+ * rather than read from the clock, so that it can be checked against fixture forecasts at any time.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/**
+ * The date at a longitude, by solar time (the sun is at its highest at noon). Time zones are not known for saved
+ * locations, and solar time is at most a few hours off them, which is close enough for telling today from tomorrow.
+ * @param now - Date
+ * @param lon
+ * @returns {string} YYYY-MM-DD
+ */
+function getLocalDate(now, lon) {
+    return new Date(now.getTime() + lon / 15 * MS_PER_HOUR).toISOString().slice(0, 10);
+}
+
+/**
+ * @param dateString - YYYY-MM-DD
+ * @param days
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(dateString, days) {
+    return new Date(Date.parse(`${dateString}T00:00:00Z`) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * The days of a forecast that meet a rule. Days before today are ignored (a cached forecast may still have them),
+ * and so are the other days if the rule is about a specific day.
+ *
+ * @param rule - {condition, threshold, dayOffset}
+ * @param forecast - normalized forecast of the location of the rule
+ * @param lon - the longitude of the location, which determines its date
+ * @param now - Date
+ * @returns {{date: string, value: *}[]} the date of every day that met the rule, and its value that met it
+ */
+function evaluateRule(rule, forecast, lon, now) {
+    const condition = rules.getCondition(rule.condition);
+    const today = getLocalDate(now, lon);
+    const ruleDate = rule.dayOffset === null ? null : addDays(today, rule.dayOffset);
+    return forecast.daily
+        .filter(day => ruleDate === null ? day.date >= today : day.date === ruleDate)
+        .map(day => ({date: day.date, value: condition.getValue(day)}))
+        .filter(trigger => condition.isMet(trigger.value, rule.threshold));
+}
+
+module.exports = {
+    getLocalDate: getLocalDate,
+    evaluateRule: evaluateRule,
+};
@@ -0,0 +1,183 @@
+const schema = require('../weather/schema');
+const units = require('../../public/javascripts/units');
+
+/**
+ * The conditions of alert rules, which are met by days of the normalized forecast (see lib/weather/schema.js).
+ * Thresholds are normalized too: degrees Celsius, or a wind class.
+ */
+
+// Rules are about one of the days of the forecast, today (0) to this many days ahead, or about any of them:
+const MAX_DAY_OFFSET = 6;
+
+// Temperature thresholds are limited to temperatures of this planet (degrees Celsius):
+const MIN_TEMPERATURE = -100;
+const MAX_TEMPERATURE = 100;
+
+/**
+ * Weather types with rain or snow, and how alerts call them.
+ */
+const PRECIPITATION_TYPES = {
+    'lightrain': 'light rain',
+    'oshower': 'occasional showers',
+    'ishower': 'isolated showers',
+    'lightsnow': 'light snow',
+    'rain': 'rain',
+    'snow': 'snow',
+    'rainsnow': 'rain and snow',
+    'tsrain': 'a thunderstorm',
+};
+
+/**
+ * Every condition compares a value of a day (getValue) with the threshold of the rule (isMet). threshold is the kind
+ * of the threshold, null if the condition has none, and describe describes the value of a day that met the condition.
+ */
+const CONDITIONS = {
+    'maxTemperatureAbove': {
+        label: 'Max temperature above',
+        threshold: 'temperature',
+        getValue: day => day.temperature.max,
+        isMet: (value, threshold) => value > threshold,
+        describe: (value, threshold) => `max temperature of ${value}, above ${threshold}`,
+    },
+    'minTemperatureBelow': {
+        label: 'Min temperature below',
+        threshold: 'temperature',
+        getValue: day => day.temperature.min,
+        isMet: (value, threshold) => value < threshold,
+        describe: (value, threshold) => `min temperature of ${value}, below ${threshold}`,
+    },
+    'windClassAtLeast': {
+        label: 'Wind at least',
+        threshold: 'windClass',
+        getValue: day => day.wind.class,
+        isMet: (value, threshold) => value >= threshold,
+        describe: (value, threshold) => `${value} wind, at least ${threshold}`,
+    },
+    'precipitation': {
+        label: 'Rain or snow',
+        threshold: null,
+        getValue: day => day.weather.type,
+        isMet: value => PRECIPITATION_TYPES.hasOwnProperty(value),
+        describe: value => value,
+    },
+};
+
+function isCondition(condition) {
+    return CONDITIONS.hasOwnProperty(condition);
+}
+
+/**
+ * @param condition - a key of CONDITIONS
+ * @returns {{label: string, threshold: string|null, getValue: function, isMet: function, describe: function}}
+ */
+function getCondition(condition) {
+    return CONDITIONS[condition];
+}
+
+/**
+ * The fields of a rule that are invalid.
+ * @param rule - {condition, threshold, dayOffset}
+ * @returns {{}} field => message, empty if the rule is valid
+ */
+function validateRule(rule) {
+    const fieldErrors = {};
+    if (!isCondition(rule.condition)) {
+        fieldErrors.condition = `condition must be one of: ${Object.keys(CONDITIONS).join(', ')}.`;
+    } else {
+        const thresholdKind = CONDITIONS[rule.condition].threshold;
+        if (thresholdKind === 'temperature' && !(typeof rule.threshold === 'number' &&
+            rule.threshold >= MIN_TEMPERATURE && rule.threshold <= MAX_TEMPERATURE)) {
+            fieldErrors.threshold = `threshold must be a temperature between ${MIN_TEMPERATURE} and ` +
+                `${MAX_TEMPERATURE} degrees Celsius.`;
+        } else if (thresholdKind === 'windClass' && !(Number.isInteger(rule.threshold) &&
+            schema.WIND_CLASSES.hasOwnProperty(rule.threshold))) {
+            fieldErrors.threshold = `threshold must be a wind class: ${Object.keys(schema.WIND_CLASSES).join(', ')}.`;
+        } else if (thresholdKind === null && rule.threshold !== null) {
+            fieldErrors.threshold = 'This condition has no threshold.';
+        }
+    }
+    if (rule.dayOffset !== null && !(Number.isInteger(rule.dayOffset) && rule.dayOffset >= 0 &&
+        rule.dayOffset <= MAX_DAY_OFFSET)) {
+        fieldErrors.dayOffset = `dayOffset must be a day from 0 (today) to ${MAX_DAY_OFFSET}, or null for any day.`;
+    }
+    return fieldErrors;
+}
+
+/**
+ * Format a temperature threshold, or the temperature of a day, in the user's unit.
+ * @param celsius
+ * @param settings - {temperatureUnit}
+ * @returns {string}
+ */
+function formatTemperature(celsius, settings) {
+    const unit = settings.temperatureUnit;
+    return `${Math.round(units.convertTemperature(celsius, unit))}${units.getTemperatureLabel(unit)}`;
+}
+
+/**
+ * Format a threshold, or the value of a day, of a condition.
+ * @param condition - a key of CONDITIONS
+ * @param value
+ * @param settings - {temperatureUnit}
+ * @returns {string}
+ */
+function formatValue(condition, value, settings) {
+    if (condition === 'precipitation') {
+        return PRECIPITATION_TYPES[value] || value;
+    } else if (CONDITIONS[condition].threshold === 'windClass') {
+        return schema.WIND_CLASSES[value].label;
+    }
+    return formatTemperature(value, settings);
+}
+
+/**
+ * @param dayOffset - see MAX_DAY_OFFSET
+ * @returns {string}
+ */
+function formatDayOffset(dayOffset) {
+    if (dayOffset === null) {
+        return 'on any day';
+    } else if (dayOffset === 0) {
+        return 'today';
+    } else if (dayOffset === 1) {
+        return 'tomorrow';
+    }
+    return `in ${dayOffset} days`;
+}
+
+/**
+ * Describe a rule for people, in the user's units, for example "Max temperature above 35°C, tomorrow".
+ * @param rule
+ * @param settings - {temperatureUnit}
+ * @returns {string}
+ */
+function describeRule(rule, settings) {
+    const condition = CONDITIONS[rule.condition];
+    const threshold = condition.threshold === null ? '' : ` ${formatValue(rule.condition, rule.threshold, settings)}`;
+    return `${condition.label}${threshold}, ${formatDayOffset(rule.dayOffset)}`;
+}
+
+/**
+ * The message of an alert, for example "Home: max temperature of 37°C, above 35°C".
+ * @param rule
+ * @param locationName
+ * @param value - the value of the day that met the rule (see getValue of CONDITIONS)
+ * @param settings - {temperatureUnit}
+ * @returns {string}
+ */
+function describeAlert(rule, locationName, value, settings) {
+    const condition = CONDITIONS[rule.condition];
+    const threshold = condition.threshold === null ? null : formatValue(rule.condition, rule.threshold, settings);
+    return `${locationName}: ${condition.describe(formatValue(rule.condition, value, settings), threshold)}`;
+}
+
+module.exports = {
+    maxDayOffset: MAX_DAY_OFFSET,
+    conditions: Object.keys(CONDITIONS),
+    isCondition: isCondition,
+    getCondition: getCondition,
+    validateRule: validateRule,
+    formatDayOffset: formatDayOffset,
+    describeRule: describeRule,
+    describeAlert: describeAlert,
+};
@@ -0,0 +1,131 @@
+const models = require('../../models');
+const forecast = require('../weather/forecast');
+const evaluator = require('./evaluator');
+const rules = require('./rules');
+const webhookEvents = require('../webhooks/events');
+
+/**
+ * The periodic check of alert rules: the forecast of every location with rules is fetched, and an alert is recorded
+ * for every day that meets a rule (see evaluator.js). A rule alerts once for a date, however many checks find it.
+ */
+
+let timer = null;
+let runningCheck = null;
+
+/**
+ * Record an alert, unless the rule already alerted for the date. A new alert is an alert.triggered event of the user
+ * (see lib/webhooks).
+ * @returns {Promise<boolean>} whether the alert is new
+ */
+async function recordAlert(rule, location, trigger, settings) {
+    const [alert, created] = await models.Alert.findOrCreate({
+        where: {ruleId: rule.id, forecastDate: trigger.date},
+        defaults: {
+            userId: rule.userId,
+            locationId: location.id,
+            message: rules.describeAlert(rule, location.name, trigger.value, settings),
+        },
+    });
+    if (created) {
+        await webhookEvents.emit(rule.userId, 'alert.triggered', {
+            alert: alert,
+            rule: rule,
+            location: {id: location.id, name: location.name, lat: location.lat, lon: location.lon},
+        });
+    }
+    return created;
+}
+
+/**
+ * Check the rules of one location.
+ * @param location - with its alertRules
+ * @param now
+ * @param getSettings - async function (userId), the settings the messages are written in
+ * @returns {Promise<number>} the number of new alerts
+ */
+async function checkLocation(location, now, getSettings) {
+    let locationForecast;
+    try {
+        locationForecast = await forecast.getForecast(location.lat, location.lon);
+    } catch (err) {
+        console.error(`Error in alerts(checkRules) of location ${location.id}:\n\n${err}`);
+        return 0;
+    }
+    const settings = await getSettings(location.userId);
+    let alertCount = 0;
+    for (const rule of location.alertRules) {
+        for (const trigger of evaluator.evaluateRule(rule, locationForecast, location.lon, now)) {
+            if (await recordAlert(rule, location, trigger, settings)) {
+                alertCount++;
+            }
+        }
+    }
+    return alertCount;
+}
+
+/**
+ * Check every rule against the forecast of its location. Locations are checked one after the other, so that the
+ * weather service isn't flooded with requests.
+ * @param now - the time of the check
+ * @returns {Promise<number>} the number of new alerts
+ */
+async function checkRules(now = new Date()) {
+    const locations = await models.Location.findAll({
+        include: {model: models.AlertRule, as: 'alertRules', required: true},
+        order: [['id', 'ASC']],
+    });
+
+    const settingsByUser = new Map();
+    const getSettings = async (userId) => {
+        if (!settingsByUser.has(userId)) {
+            settingsByUser.set(userId, (await models.UserSetting.findForUser(userId)).toSettings());
+        }
+        return settingsByUser.get(userId);
+    };
+
+    let alertCount = 0;
+    for (const location of locations) {
+        alertCount += await checkLocation(location, now, getSettings);
+    }
+    return alertCount;
+}
+
+/**
+ * Check the rules now, unless the previous check is still running.
+ * @param clock - function that returns the current time
+ */
+function runCheck(clock) {
+    if (runningCheck !== null) {
+        return;
+    }
+    runningCheck = checkRules(clock())
+        .catch((err) => console.error(`Error in alerts(checkRules):\n\n${err}`))
+        .finally(() => {
+            runningCheck = null;
+        });
+}
+
+/**
+ * Check the rules now and then every intervalMinutes, until stop. The timer doesn't keep the process alive.
+ * @param intervalMinutes
+ * @param clock - function that returns the current time
+ */
+function start(intervalMinutes, clock = () => new Date()) {
+    stop();
+    timer = setInterval(() => runCheck(clock), intervalMinutes * 60 * 1000);
+    timer.unref();
+    runCheck(clock);
+}
+
+function stop() {
+    if (timer !== null) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    checkRules: checkRules,
+    start: start,
+    stop: stop,
+};
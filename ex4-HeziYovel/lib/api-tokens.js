@@ -0,0 +1,65 @@
+const models = require('../models');
+const tokens = require('./tokens');
+
+/**
+ * Personal API tokens, for scripts that use the API without a browser session. They are sent as
+ * "Authorization: Bearer <token>", and only their hash is stored (see tokens.js).
+ */
+const TOKEN_PURPOSE = 'api';
+const SCOPES = ['read', 'read-write'];
+const PREFIX_LENGTH = 8;
+const NAME_MAX_LENGTH = 100;
+
+function isScope(scope) {
+    return SCOPES.includes(scope);
+}
+
+/**
+ * Create a token for a user.
+ * @param userId
+ * @param name - to tell the user's tokens apart
+ * @param scope - one of SCOPES
+ * @returns {Promise<{apiToken: ApiToken, token: string}>} the token can't be recovered later, so it must be shown now
+ */
+async function create(userId, name, scope) {
+    const {token, tokenHash} = tokens.create(TOKEN_PURPOSE);
+    const apiToken = await models.ApiToken.create({
+        userId: userId,
+        name: name,
+        scope: scope,
+        tokenHash: tokenHash,
+        prefix: token.slice(0, PREFIX_LENGTH),
+    });
+    return {apiToken: apiToken, token: token};
+}
+
+/**
+ * Find the token of an Authorization header, and record that it was used.
+ * @param authorization - the value of the Authorization header
+ * @returns {Promise<ApiToken|null>} null if the header isn't a bearer token of ours
+ */
+async function authenticate(authorization) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+    const tokenHash = match === null ? null : tokens.verify(match[1], TOKEN_PURPOSE);
+    if (tokenHash === null) {
+        return null;
+    }
+    const apiToken = await models.ApiToken.findOne({where: {tokenHash: tokenHash}});
+    if (apiToken) {
+        // The request doesn't fail if this does:
+        try {
+            await apiToken.update({lastUsedAt: new Date()});
+        } catch (err) {
+            console.error(`Error in apiTokens(authenticate):\n\n${err}`);
+        }
+    }
+    return apiToken;
+}
+
+module.exports = {
+    scopes: SCOPES,
+    nameMaxLength: NAME_MAX_LENGTH,
+    isScope: isScope,
+    create: create,
+    authenticate: authenticate,
+};
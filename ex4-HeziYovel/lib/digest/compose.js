@@ -0,0 +1,156 @@
+const path = require('path');
+const util = require('util');
+const ejs = require('ejs');
+const models = require('../../models');
+const forecast = require('../weather/forecast');
+const units = require('../../public/javascripts/units');
+const unsubscribe = require('./unsubscribe');
+
+/**
+ * The content of a daily digest: the daily forecast of the user's locations, in the user's units, rendered by the
+ * templates in views/emails (an HTML one, and a plain text one for mail clients that don't show HTML).
+ */
+const TEMPLATES_DIRECTORY = path.join(__dirname, '..', '..', 'views', 'emails');
+
+const renderFile = util.promisify(ejs.renderFile);
+
+// The forecast of this many days, from today:
+const DIGEST_DAYS = 7;
+
+// The labels of weather types, as the home page shows them:
+const WEATHER_LABELS = {
+    'clear': 'Clear',
+    'pcloudy': 'Partly cloudy',
+    'mcloudy': 'Mostly cloudy',
+    'cloudy': 'Cloudy',
+    'humid': 'Humid',
+    'lightrain': 'Light rain',
+    'oshower': 'Occasional showers',
+    'ishower': 'Isolated showers',
+    'lightsnow': 'Light snow',
+    'rain': 'Rain',
+    'snow': 'Snow',
+    'rainsnow': 'Rain and snow',
+    'ts': 'Thunderstorm possible',
+    'tsrain': 'Thunderstorm',
+};
+
+/**
+ * Format a YYYY-MM-DD date, for example Mon, Oct 19.
+ * @param dateString
+ * @returns {string}
+ */
+function formatDate(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+    });
+}
+
+function formatTemperature(celsius, unit) {
+    return `${Math.round(units.convertTemperature(celsius, unit))}${units.getTemperatureLabel(unit)}`;
+}
+
+function formatWind(wind, unit) {
+    if (wind.max === null) {
+        return `${wind.label}, over ${units.formatWindSpeed(wind.min, unit)} ${units.getWindSymbol(unit)}`;
+    }
+    return `${wind.label}, ${units.formatWindSpeed(wind.min, unit)}-${units.formatWindSpeed(wind.max, unit)} ` +
+        units.getWindSymbol(unit);
+}
+
+/**
+ * A day of the normalized forecast (see lib/weather/schema.js), formatted for the templates.
+ * @param day
+ * @param settings - {temperatureUnit, windUnit}
+ * @returns {{date: string, weather: string, temperature: string, wind: string}}
+ */
+function formatDay(day, settings) {
+    return {
+        date: formatDate(day.date),
+        weather: WEATHER_LABELS[day.weather.type] || day.weather.type,
+        temperature: `${formatTemperature(day.temperature.min, settings.temperatureUnit)} to ` +
+            formatTemperature(day.temperature.max, settings.temperatureUnit),
+        wind: formatWind(day.wind, settings.windUnit),
+    };
+}
+
+/**
+ * The locations a digest covers, in the order of the user's list: the favorites, or all of them if the scope is all
+ * or the user has no favorites.
+ * @param userId
+ * @param scope - see schedule.js
+ * @returns {Promise<Location[]>}
+ */
+async function findLocations(userId, scope) {
+    const order = [['isFavorite', 'DESC'], ['position', 'ASC'], ['id', 'ASC']];
+    if (scope === 'favorites') {
+        const favorites = await models.Location.findAll({where: {userId: userId, isFavorite: true}, order: order});
+        if (favorites.length > 0) {
+            return favorites;
+        }
+    }
+    return models.Location.findAll({where: {userId: userId}, order: order});
+}
+
+/**
+ * The forecast of a location, for the templates. A forecast that can't be fetched doesn't fail the digest.
+ * @param location
+ * @param settings
+ * @returns {Promise<{name: string, days: [], error: string|null}>}
+ */
+async function getLocationForecast(location, settings) {
+    try {
+        const locationForecast = await forecast.getForecast(location.lat, location.lon);
+        return {
+            name: location.name,
+            days: locationForecast.daily.slice(0, DIGEST_DAYS).map(day => formatDay(day, settings)),
+            error: null,
+        };
+    } catch (err) {
+        console.error(`Error in digest(compose) of location ${location.id}:\n\n${err}`);
+        return {name: location.name, days: [], error: 'The forecast is not available right now.'};
+    }
+}
+
+/**
+ * Compose the digest of a user.
+ * @param user
+ * @param setting - the user's UserSetting
+ * @param date - the local date of the digest, YYYY-MM-DD
+ * @param baseURL - the URL of the site, for the links of the digest
+ * @returns {Promise<{subject: string, text: string, html: string, unsubscribeLink: string}|null>} null if the user
+ *     has no locations
+ */
+async function compose(user, setting, date, baseURL) {
+    const locations = await findLocations(user.id, setting.digestScope);
+    if (locations.length === 0) {
+        return null;
+    }
+    const settings = setting.toSettings();
+    // One after the other, so that the weather service isn't flooded with requests:
+    const forecasts = [];
+    for (const location of locations) {
+        forecasts.push(await getLocationForecast(location, settings));
+    }
+
+    const data = {
+        firstName: user.firstName,
+        date: formatDate(date),
+        locations: forecasts,
+        settingsLink: `${baseURL}/digest`,
+        unsubscribeLink: await unsubscribe.createLink(user.id, baseURL),
+    };
+    return {
+        subject: `Your HWeather forecast for ${data.date}`,
+        text: await renderFile(path.join(TEMPLATES_DIRECTORY, 'digest-text.ejs'), data),
+        html: await renderFile(path.join(TEMPLATES_DIRECTORY, 'digest.ejs'), data),
+        unsubscribeLink: data.unsubscribeLink,
+    };
+}
+
+module.exports = {
+    compose: compose,
+};
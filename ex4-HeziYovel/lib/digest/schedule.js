@@ -0,0 +1,102 @@
+/**
+ * When the daily digest of a user is due: every day, at the user's send time in the user's time zone. A digest that
+ * was missed (the server was down, say) is sent late, but not once it is too late to be a morning forecast.
+ */
+const SCOPES = ['favorites', 'all'];
+
+// A digest is sent at most this long after its send time:
+const MAX_DELAY_MINUTES = 3 * 60;
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+function isTime(value) {
+    return typeof value === 'string' && TIME_PATTERN.test(value);
+}
+
+/**
+ * Whether value is a time zone that Intl knows (an IANA name, such as Asia/Jerusalem, or UTC).
+ * @param value
+ * @returns {boolean}
+ */
+function isTimezone(value) {
+    if (typeof value !== 'string' || value === '') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', {timeZone: value});
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+function isScope(value) {
+    return SCOPES.includes(value);
+}
+
+/**
+ * The time zones to choose from.
+ * @returns {string[]}
+ */
+function getTimezones() {
+    return ['UTC'].concat(Intl.supportedValuesOf('timeZone').filter(timezone => timezone !== 'UTC'));
+}
+
+/**
+ * The local date and time of a moment in a time zone.
+ * @param now
+ * @param timezone
+ * @returns {{date: string, minutes: number}} YYYY-MM-DD, and the minutes since midnight
+ */
+function getLocalTime(now, timezone) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    });
+    for (const part of format.formatToParts(now)) {
+        parts[part.type] = part.value;
+    }
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Whether the digest of a user is due.
+ * @param setting - {digestEnabled, digestTime, digestTimezone, digestLastSentOn}
+ * @param now
+ * @returns {string|null} the local date of the digest that is due, or null if none is
+ */
+function getDueDate(setting, now) {
+    if (!setting.digestEnabled) {
+        return null;
+    }
+    const localTime = getLocalTime(now, setting.digestTimezone);
+    const delay = localTime.minutes - toMinutes(setting.digestTime);
+    if (delay < 0 || delay > MAX_DELAY_MINUTES || setting.digestLastSentOn === localTime.date) {
+        return null;
+    }
+    return localTime.date;
+}
+
+module.exports = {
+    scopes: SCOPES,
+    isTime: isTime,
+    isTimezone: isTimezone,
+    isScope: isScope,
+    getTimezones: getTimezones,
+    getLocalTime: getLocalTime,
+    getDueDate: getDueDate,
+};
@@ -0,0 +1,108 @@
+const models = require('../../models');
+const mailer = require('../mailer');
+const schedule = require('./schedule');
+const digest = require('./compose');
+const unsubscribe = require('./unsubscribe');
+
+const config = require('../../config');
+
+/**
+ * The periodic sending of daily digests: every check sends the digests that are due (see schedule.js). A digest that
+ * fails to send is sent by a later check, as long as it is still due.
+ */
+
+let timer = null;
+let runningCheck = null;
+
+/**
+ * Send the digest of a user, and record that it was sent today.
+ * @param setting - with its User
+ * @param date - the local date of the digest
+ * @returns {Promise<boolean>} whether an email was sent (none is for a user without locations)
+ */
+async function sendDigest(setting, date) {
+    const user = setting.User;
+    const message = await digest.compose(user, setting, date, config.baseURL);
+    if (message !== null) {
+        await mailer.send({
+            to: user.email,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            headers: {'List-Unsubscribe': `<${message.unsubscribeLink}>`},
+        });
+    }
+    await setting.update({digestLastSentOn: date});
+    return message !== null;
+}
+
+/**
+ * Send every digest that is due, one after the other.
+ * @param now - the time of the check
+ * @returns {Promise<number>} the number of digests sent
+ */
+async function sendDueDigests(now = new Date()) {
+    await unsubscribe.deleteExpired(now);
+
+    const settings = await models.UserSetting.findAll({
+        where: {digestEnabled: true},
+        include: {model: models.User, required: true},
+        order: [['id', 'ASC']],
+    });
+    let sentCount = 0;
+    for (const setting of settings) {
+        const date = schedule.getDueDate(setting, now);
+        // Only to addresses that were verified to be the user's:
+        if (date === null || !setting.User.isVerified()) {
+            continue;
+        }
+        try {
+            if (await sendDigest(setting, date)) {
+                sentCount++;
+            }
+        } catch (err) {
+            console.error(`Error in digest(sendDueDigests) of user ${setting.userId}:\n\n${err}`);
+        }
+    }
+    return sentCount;
+}
+
+/**
+ * Send the due digests now, unless the previous check is still running.
+ * @param clock - function that returns the current time
+ */
+function runCheck(clock) {
+    if (runningCheck !== null) {
+        return;
+    }
+    runningCheck = sendDueDigests(clock())
+        .catch((err) => console.error(`Error in digest(sendDueDigests):\n\n${err}`))
+        .finally(() => {
+            runningCheck = null;
+        });
+}
+
+/**
+ * Send the due digests now and then every intervalMinutes, until stop. The timer doesn't keep the process alive.
+ * @param intervalMinutes
+ * @param clock - function that returns the current time
+ */
+function start(intervalMinutes, clock = () => new Date()) {
+    stop();
+    timer = setInterval(() => runCheck(clock), intervalMinutes * 60 * 1000);
+    timer.unref();
+    runCheck(clock);
+}
+
+function stop() {
+    if (timer !== null) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    sendDueDigests: sendDueDigests,
+    start: start,
+    stop: stop,
+};
@@ -0,0 +1,79 @@
+const models = require('../../models');
+const tokens = require('../tokens');
+
+const config = require('../../config').digest;
+
+/**
+ * Every digest has a link that unsubscribes from the digest without signing in, with a token of its own (see
+ * lib/tokens.js). The link works until the token expires, however many times it is followed.
+ */
+const TOKEN_PURPOSE = 'digest-unsubscribe';
+
+function getTokenTTL() {
+    return config.unsubscribeTTLDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Issue an unsubscribe token for a user.
+ * @param userId
+ * @param baseURL - the URL of the site, for example http://localhost:3000
+ * @param now
+ * @returns {Promise<string>} the unsubscribe link
+ */
+async function createLink(userId, baseURL, now = new Date()) {
+    const {token, tokenHash} = tokens.create(TOKEN_PURPOSE);
+    await models.DigestUnsubscribeToken.create({
+        userId: userId,
+        tokenHash: tokenHash,
+        expiresAt: new Date(now.getTime() + getTokenTTL()),
+    });
+    return `${baseURL}/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * The user a token was issued for.
+ * @param token
+ * @returns {Promise<User|null>} null if the token is invalid or expired
+ */
+async function findUser(token) {
+    const tokenHash = tokens.verify(token, TOKEN_PURPOSE);
+    if (tokenHash === null) {
+        return null;
+    }
+    const unsubscribeToken = await models.DigestUnsubscribeToken.findOne({where: {tokenHash: tokenHash}});
+    if (!unsubscribeToken || !unsubscribeToken.isUsable()) {
+        return null;
+    }
+    return models.User.findByPk(unsubscribeToken.userId);
+}
+
+/**
+ * Turn off the digest of the user a token was issued for.
+ * @param token
+ * @returns {Promise<User|null>} the user, or null if the token is invalid or expired
+ */
+async function unsubscribe(token) {
+    const user = await findUser(token);
+    if (user === null) {
+        return null;
+    }
+    const setting = await models.UserSetting.findForUser(user.id);
+    await setting.set({digestEnabled: false}).save();
+    return user;
+}
+
+/**
+ * Delete the tokens that expired.
+ * @param now
+ * @returns {Promise<number>} the number of tokens deleted
+ */
+function deleteExpired(now = new Date()) {
+    return models.DigestUnsubscribeToken.destroy({where: {expiresAt: {[models.Sequelize.Op.lte]: now}}});
+}
+
+module.exports = {
+    createLink: createLink,
+    findUser: findUser,
+    unsubscribe: unsubscribe,
+    deleteExpired: deleteExpired,
+};
@@ -0,0 +1,76 @@
+const models = require('../models');
+const tokens = require('./tokens');
+const mailer = require('./mailer');
+
+const config = require('../config');
+
+/**
+ * New accounts are unverified until the user follows a link with a one-time token that is emailed on registration
+ * (see tokens.js). A new link can be sent if the first one expired or got lost.
+ */
+const TOKEN_PURPOSE = 'email-verification';
+
+function getTokenTTL() {
+    return config.auth.emailVerificationTTLHours * 60 * 60 * 1000;
+}
+
+/**
+ * Issue a verification token for user, and email the link. The link is to the configured site, never to the Host of
+ * the request that registered (see config/index.js).
+ * @param user
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+    const {token, tokenHash} = tokens.create(TOKEN_PURPOSE);
+    await models.EmailVerificationToken.create({
+        userId: user.id,
+        tokenHash: tokenHash,
+        expiresAt: new Date(Date.now() + getTokenTTL()),
+    });
+    const link = `${config.baseURL}/verify-email?token=${encodeURIComponent(token)}`;
+    await mailer.send({
+        to: user.email,
+        subject: 'Verify your HWeather email address',
+        text: `Hello ${user.firstName},\n\n` +
+            `To activate your account, open this link within ${config.auth.emailVerificationTTLHours} hours:\n\n` +
+            `${link}\n\n` +
+            "If you didn't register to HWeather, you can ignore this email.\n",
+    });
+}
+
+/**
+ * Verify the user a token was issued for, and use the token up (with any other token of the user).
+ * @param token
+ * @returns {Promise<User|null>} the verified user, or null if the token is invalid, expired or used
+ */
+async function verify(token) {
+    const tokenHash = tokens.verify(token, TOKEN_PURPOSE);
+    if (tokenHash === null) {
+        return null;
+    }
+    const verificationToken = await models.EmailVerificationToken.findOne({where: {tokenHash: tokenHash}});
+    if (!verificationToken || !verificationToken.isUsable()) {
+        return null;
+    }
+
+    return models.sequelize.transaction(async (transaction) => {
+        const now = new Date();
+        const [updatedRows] = await models.EmailVerificationToken.update({usedAt: now}, {
+            where: {userId: verificationToken.userId, usedAt: null},
+            transaction: transaction,
+        });
+        if (updatedRows === 0) {
+            return null;
+        }
+        const user = await models.User.findByPk(verificationToken.userId, {transaction: transaction});
+        if (!user.isVerified()) {
+            await user.update({verifiedAt: now}, {transaction: transaction});
+        }
+        return user;
+    });
+}
+
+module.exports = {
+    sendVerificationEmail: sendVerificationEmail,
+    verify: verify,
+};
@@ -0,0 +1,151 @@
+const {UniqueConstraintError} = require('sequelize');
+
+/**
+ * The errors of the API. Controllers throw them (or pass them to next), and handleApiErrors responds to every one of
+ * them the same way:
+ *
+ *  {"error": {"code": "not_found", "message": "Location not found.", "details": null}}
+ *
+ * code is stable, so clients can act on it; message is for people; details is an object with more information when
+ * the error has any (for example the field a validation error is about), and null otherwise.
+ */
+class ApiError extends Error {
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {error: {code: this.code, message: this.message, details: this.details}};
+    }
+}
+
+/**
+ * details.fields maps every invalid field to its message, when the error is about specific fields.
+ */
+class ValidationError extends ApiError {
+    constructor(message, details = null) {
+        super(400, 'validation_error', message, details);
+    }
+
+    static forField(field, message) {
+        return new ValidationError(message, {fields: {[field]: message}});
+    }
+
+    /**
+     * @param fieldErrors - field => message
+     * @returns {ValidationError}
+     */
+    static forFields(fieldErrors) {
+        const message = Object.entries(fieldErrors)
+            .map(([field, message]) => `${field}: ${message}${message.endsWith('.') ? '' : '.'}`)
+            .join(' ');
+        return new ValidationError(message, {fields: fieldErrors});
+    }
+}
+
+class UnauthorizedError extends ApiError {
+    constructor(message = 'You are not signed in.', details = null) {
+        super(401, 'unauthorized', message, details);
+    }
+}
+
+class ForbiddenError extends ApiError {
+    constructor(message, details = null) {
+        super(403, 'forbidden', message, details);
+    }
+}
+
+class NotFoundError extends ApiError {
+    constructor(message = 'Not found.', details = null) {
+        super(404, 'not_found', message, details);
+    }
+}
+
+class ConflictError extends ApiError {
+    constructor(message, details = null) {
+        super(409, 'conflict', message, details);
+    }
+}
+
+class UpstreamError extends ApiError {
+    constructor(message = "We couldn't get the data from an outside service.", details = null) {
+        super(502, 'upstream_error', message, details);
+    }
+}
+
+class InternalError extends ApiError {
+    constructor(message = 'The server had an error.', details = null) {
+        super(500, 'internal_error', message, details);
+    }
+}
+
+/**
+ * Wraps an async controller action, so that whatever it throws reaches the error middleware. Errors that are not
+ * ApiErrors are unexpected, so they are logged here, where it is known which action failed.
+ * @param name - used in the error log
+ * @param action - async function (req, res)
+ * @returns {function(*=, *=, *=): Promise<void>}
+ */
+function handleErrors(name, action) {
+    return async function (req, res, next) {
+        try {
+            await action(req, res);
+        } catch (err) {
+            if (!(err instanceof ApiError) && !(err instanceof UniqueConstraintError)) {
+                console.error(`Error in ${name}:\n\n${err}`);
+            }
+            next(err);
+        }
+    };
+}
+
+/**
+ * Convert anything that was thrown into an ApiError.
+ * @param err
+ * @returns {ApiError}
+ */
+function toApiError(err) {
+    if (err instanceof ApiError) {
+        return err;
+    }
+    if (err instanceof UniqueConstraintError) {
+        return new ConflictError('This already exists.', {fields: Object.keys(err.fields || {})});
+    }
+    // Errors of body-parser, when the request body is not valid JSON or too large:
+    if (err.type === 'entity.parse.failed') {
+        return new ValidationError('The request body is not valid JSON.');
+    }
+    if (err.type === 'entity.too.large') {
+        return new ValidationError('The request body is too large.');
+    }
+    return new InternalError();
+}
+
+/**
+ * Express error middleware of the API.
+ */
+function handleApiErrors(err, req, res, next) {
+    if (res.headersSent) {
+        next(err);
+        return;
+    }
+    const apiError = toApiError(err);
+    res.status(apiError.status).json(apiError);
+}
+
+module.exports = {
+    ApiError: ApiError,
+    ValidationError: ValidationError,
+    UnauthorizedError: UnauthorizedError,
+    ForbiddenError: ForbiddenError,
+    NotFoundError: NotFoundError,
+    ConflictError: ConflictError,
+    UpstreamError: UpstreamError,
+    InternalError: InternalError,
+    handleErrors: handleErrors,
+    handleApiErrors: handleApiErrors,
+};
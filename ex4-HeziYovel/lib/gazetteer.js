@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Reading of the gazetteer of geocoding (see geocoding.js), which the places seeder loads into the Places table from
+ * config.geocoding.placesFile: either a CSV file with the header name,country,lat,lon,population (like the small one
+ * in data/, with no quoted values), or a GeoNames dump such as cities15000.txt from
+ * https://download.geonames.org/export/dump/ (tab separated, recognized by the .txt extension).
+ */
+
+/**
+ * The name as it is searched: lower case, without diacritics, and with punctuation and repeated spaces removed.
+ * @param name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return name.normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N} ]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function isGeoNamesFile(file) {
+    return path.extname(file).toLowerCase() === '.txt';
+}
+
+/**
+ * Parse a line of a places file.
+ * @param line
+ * @param geoNames - true for a GeoNames dump, false for CSV
+ * @returns {{name: string, searchName: string, country: string, lat: number, lon: number, population: number}|null}
+ *          null if the line has no valid place
+ */
+function parsePlace(line, geoNames) {
+    let name, country, lat, lon, population;
+    if (geoNames) {
+        const columns = line.split('\t');
+        [name, lat, lon, country, population] = [columns[1], columns[4], columns[5], columns[8], columns[14]];
+    } else {
+        [name, country, lat, lon, population] = line.split(',');
+    }
+    const place = {
+        name: (name || '').trim(),
+        country: (country || '').trim().toUpperCase(),
+        lat: Number(lat),
+        lon: Number(lon),
+        population: Number(population) || 0,
+    };
+    if (place.name === '' || !Number.isFinite(place.lat) || !Number.isFinite(place.lon)) {
+        return null;
+    }
+    place.searchName = normalizeName(place.name);
+    return place;
+}
+
+/**
+ * Read the places of a places file in batches, so that a large GeoNames dump doesn't have to fit in memory.
+ * @param file
+ * @param batchSize
+ * @returns {AsyncGenerator<{}[]>}
+ */
+async function* readPlaceBatches(file, batchSize = 500) {
+    const geoNames = isGeoNamesFile(file);
+    const lines = readline.createInterface({input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity});
+    let batch = [];
+    let isFirstLine = true;
+    for await (const line of lines) {
+        // Skip the header of a CSV file:
+        if (isFirstLine && !geoNames) {
+            isFirstLine = false;
+            continue;
+        }
+        const place = line.trim() === '' ? null : parsePlace(line, geoNames);
+        if (place !== null) {
+            batch.push(place);
+        }
+        if (batch.length === batchSize) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length > 0) {
+        yield batch;
+    }
+}
+
+module.exports = {
+    normalizeName: normalizeName,
+    readPlaceBatches: readPlaceBatches,
+};
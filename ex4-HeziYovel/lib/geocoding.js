@@ -0,0 +1,200 @@
+const path = require('path');
+const models = require('../models');
+const gazetteer = require('./gazetteer');
+
+const config = require('../config').geocoding;
+
+const {Op} = models.Sequelize;
+
+/**
+ * Offline geocoding with the gazetteer in the Places table (see gazetteer.js): search places by name (for
+ * autocomplete, so a query matches the start of names, with a typo or two forgiven), and find the place nearest to
+ * coordinates. If the table is empty (the places seeder wasn't run), the places file of the configuration is loaded
+ * into it on first use.
+ */
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Places that start like the query with a typo are searched among this many places of the same first letter:
+const FUZZY_CANDIDATES = 5000;
+
+// Reverse geocoding looks for places in growing boxes around the point, this many degrees of latitude from it:
+const REVERSE_SEARCH_DEGREES = [0.5, 2, 10];
+
+const EARTH_RADIUS_KM = 6371;
+
+let loadingPlaces = null;
+
+/**
+ * Load the places file into the Places table, if the table is empty. Concurrent calls share one load; a load that
+ * fails rejects (so the search fails rather than finding nothing), and the next call tries again.
+ * @returns {Promise<void>}
+ */
+async function ensurePlaces() {
+    if (loadingPlaces === null) {
+        loadingPlaces = (async () => {
+            if (await models.Place.findOne({attributes: ['id']}) !== null) {
+                return;
+            }
+            const file = path.resolve(config.placesFile);
+            let count = 0;
+            for await (const batch of gazetteer.readPlaceBatches(file)) {
+                await models.Place.bulkCreate(batch);
+                count += batch.length;
+            }
+            if (count === 0) {
+                throw new Error(`The places file ${file} has no places.`);
+            }
+            console.log(`Loaded ${count} places from ${file} into the gazetteer.`);
+        })().finally(() => {
+            loadingPlaces = null;
+        });
+    }
+    return loadingPlaces;
+}
+
+/**
+ * The number of single character edits (insert, delete, replace) that turn a into b.
+ * @param a
+ * @param b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let previous = Array.from({length: b.length + 1}, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const replaceCost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + replaceCost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function getMaxEdits(query) {
+    return query.length <= 4 ? 1 : 2;
+}
+
+/**
+ * Places whose names start like the query with a few typos, closest first (then the most populated). Only places
+ * with the same first letter are considered, since that's rarely mistyped.
+ * @param query - normalized
+ * @param limit
+ * @returns {Promise<Place[]>}
+ */
+async function findFuzzyMatches(query, limit) {
+    const candidates = await models.Place.findAll({
+        where: {searchName: {[Op.like]: `${query[0]}%`}},
+        order: [['population', 'DESC']],
+        limit: FUZZY_CANDIDATES,
+    });
+    const maxEdits = getMaxEdits(query);
+    return candidates
+        .map(place => ({place: place, edits: editDistance(query, place.searchName.slice(0, query.length))}))
+        .filter(match => match.edits <= maxEdits)
+        .sort((a, b) => a.edits - b.edits || b.place.population - a.place.population)
+        .slice(0, limit)
+        .map(match => match.place);
+}
+
+/**
+ * Search places by name. Names that start with the query come first, the most populated first; if there are none,
+ * names that start like the query with a typo or two.
+ * @param query
+ * @param limit
+ * @returns {Promise<{name: string, country: string, lat: number, lon: number, population: number}[]>}
+ */
+async function search(query, limit = DEFAULT_LIMIT) {
+    const searchName = gazetteer.normalizeName(query);
+    if (searchName.length < MIN_QUERY_LENGTH) {
+        return [];
+    }
+    await ensurePlaces();
+    let places = await models.Place.findAll({
+        // Normalized names have no wildcards of LIKE:
+        where: {searchName: {[Op.like]: `${searchName}%`}},
+        order: [['population', 'DESC']],
+        limit: limit,
+    });
+    if (places.length === 0) {
+        places = await findFuzzyMatches(searchName, limit);
+    }
+    return places.map(place => place.toPlace());
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * The great-circle distance between two points. Across the antimeridian too: the longitude difference is wrapped to
+ * at most 180°.
+ * @returns {number} kilometers
+ */
+function getDistance(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const lonDifference = Math.abs(lon2 - lon1) % 360;
+    const dLon = toRadians(Math.min(lonDifference, 360 - lonDifference));
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * The ranges of longitude within degrees of lon: one range, or two where it crosses the antimeridian (180°).
+ * @param lon
+ * @param degrees
+ * @returns {number[][]} [min, max] ranges
+ */
+function getLonRanges(lon, degrees) {
+    if (degrees >= 180) {
+        return [[-180, 180]];
+    }
+    const [min, max] = [lon - degrees, lon + degrees];
+    if (min < -180) {
+        return [[-180, max], [min + 360, 180]];
+    }
+    if (max > 180) {
+        return [[min, 180], [-180, max - 360]];
+    }
+    return [[min, max]];
+}
+
+/**
+ * The place nearest to a point.
+ * @param lat
+ * @param lon
+ * @returns {Promise<{name: string, country: string, lat: number, lon: number, population: number,
+ *                    distanceKm: number}|null>} null if there is no place within REVERSE_SEARCH_DEGREES
+ */
+async function reverse(lat, lon) {
+    await ensurePlaces();
+    for (const latDegrees of REVERSE_SEARCH_DEGREES) {
+        // A degree of longitude gets shorter away from the equator:
+        const lonDegrees = Math.min(180, latDegrees / Math.max(Math.cos(toRadians(lat)), 0.01));
+        const places = await models.Place.findAll({
+            where: {
+                lat: {[Op.between]: [lat - latDegrees, lat + latDegrees]},
+                [Op.or]: getLonRanges(lon, lonDegrees).map(range => ({lon: {[Op.between]: range}})),
+            },
+        });
+        if (places.length === 0) {
+            continue;
+        }
+        const nearest = places
+            .map(place => ({place: place, distance: getDistance(lat, lon, place.lat, place.lon)}))
+            .reduce((nearest, candidate) => candidate.distance < nearest.distance ? candidate : nearest);
+        return Object.assign(nearest.place.toPlace(), {distanceKm: Math.round(nearest.distance * 10) / 10});
+    }
+    return null;
+}
+
+module.exports = {
+    minQueryLength: MIN_QUERY_LENGTH,
+    defaultLimit: DEFAULT_LIMIT,
+    maxLimit: MAX_LIMIT,
+    search: search,
+    reverse: reverse,
+};
@@ -0,0 +1,88 @@
+/**
+ * CSV (RFC 4180) with the header name,lat,lon. The columns may be in any order, and other columns are ignored.
+ */
+function quote(value) {
+    const string = String(value);
+    return /[",\r\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+}
+
+/**
+ * Split CSV text into records of fields, handling quoted fields (which may contain commas, quotes and line breaks).
+ * @param text
+ * @returns {string[][]}
+ */
+function parseRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error('A quoted value is not closed.');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    // Blank lines are not rows:
+    return records.filter(record => record.length > 1 || record[0].trim() !== '');
+}
+
+module.exports = {
+    name: 'csv',
+    label: 'CSV',
+    extension: '.csv',
+    contentType: 'text/csv',
+
+    serialize: function (locations) {
+        const lines = ['name,lat,lon'];
+        for (const location of locations) {
+            lines.push([location.name, location.lat, location.lon].map(quote).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    parse: function (content) {
+        const [header, ...records] = parseRecords(content.replace(/^﻿/, ''));
+        const columns = (header || []).map(column => column.trim().toLowerCase());
+        const indexes = {};
+        for (const column of ['name', 'lat', 'lon']) {
+            indexes[column] = columns.indexOf(column);
+            if (indexes[column] === -1) {
+                throw new Error('The header must have the columns name, lat and lon.');
+            }
+        }
+        return records.map(record => ({
+            name: record[indexes.name],
+            lat: record[indexes.lat],
+            lon: record[indexes.lon],
+        }));
+    },
+};
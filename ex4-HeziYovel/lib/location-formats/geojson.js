@@ -0,0 +1,37 @@
+/**
+ * GeoJSON (RFC 7946): a FeatureCollection of Point features with a name property. Note that GeoJSON coordinates are
+ * [lon, lat].
+ */
+module.exports = {
+    name: 'geojson',
+    label: 'GeoJSON',
+    extension: '.geojson',
+    contentType: 'application/geo+json',
+
+    serialize: function (locations) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: locations.map(location => ({
+                type: 'Feature',
+                geometry: {type: 'Point', coordinates: [location.lon, location.lat]},
+                properties: {name: location.name},
+            })),
+        }, null, 2);
+    },
+
+    parse: function (content) {
+        const json = typeof content === 'string' ? JSON.parse(content) : content;
+        if (json === null || json.type !== 'FeatureCollection' || !Array.isArray(json.features)) {
+            throw new Error('Expected a FeatureCollection.');
+        }
+        return json.features.map(feature => {
+            const geometry = feature && feature.geometry;
+            const isPoint = geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates);
+            return {
+                name: feature && feature.properties ? feature.properties.name : undefined,
+                lat: isPoint ? geometry.coordinates[1] : undefined,
+                lon: isPoint ? geometry.coordinates[0] : undefined,
+            };
+        });
+    },
+};
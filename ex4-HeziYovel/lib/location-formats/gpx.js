@@ -0,0 +1,59 @@
+/**
+ * GPX 1.1 waypoints (<wpt lat="..." lon="..."><name>...</name></wpt>). Routes and tracks are ignored: their points
+ * are not places.
+ *
+ * GPX files are simple enough to read with regular expressions, which saves an XML parser dependency.
+ */
+const XML_ENTITIES = {'&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'"};
+const XML_ESCAPES = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'};
+
+function escapeXML(value) {
+    return String(value).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+function unescapeXML(value) {
+    return value
+        .replace(/<!\[CDATA\[([\s\S]*?)]]>/g, '$1')
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#([0-9]+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+}
+
+function getAttribute(attributes, name) {
+    const match = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(attributes);
+    return match === null ? undefined : unescapeXML(match[2] !== undefined ? match[2] : match[3]);
+}
+
+module.exports = {
+    name: 'gpx',
+    label: 'GPX',
+    extension: '.gpx',
+    contentType: 'application/gpx+xml',
+
+    serialize: function (locations) {
+        const waypoints = locations.map(location =>
+            `  <wpt lat="${location.lat}" lon="${location.lon}">\n    <name>${escapeXML(location.name)}</name>\n  </wpt>`);
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<gpx version="1.1" creator="HWeather" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+            waypoints.map(waypoint => `${waypoint}\n`).join('') +
+            '</gpx>\n';
+    },
+
+    parse: function (content) {
+        if (!/<gpx[\s>]/.test(content)) {
+            throw new Error('There is no gpx element.');
+        }
+        const rows = [];
+        const waypointPattern = /<wpt\b([^>]*?)(\/>|>([\s\S]*?)<\/wpt>)/g;
+        let match;
+        while ((match = waypointPattern.exec(content)) !== null) {
+            const nameMatch = /<name>([\s\S]*?)<\/name>/.exec(match[3] || '');
+            rows.push({
+                name: nameMatch === null ? undefined : unescapeXML(nameMatch[1]),
+                lat: getAttribute(match[1], 'lat'),
+                lon: getAttribute(match[1], 'lon'),
+            });
+        }
+        return rows;
+    },
+};
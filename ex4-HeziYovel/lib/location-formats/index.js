@@ -0,0 +1,64 @@
+/**
+ * File formats of location lists, for import and export.
+ *
+ * A format is an object with:
+ *  - name: the name used to select it (the format query parameter of the API)
+ *  - label: for people
+ *  - extension: of files in the format, with the dot
+ *  - contentType: of files in the format
+ *  - serialize(locations): returns the file content (a string) of an array of {name, lat, lon}
+ *  - parse(content): returns the rows of a file as an array of {name, lat, lon}, with the values as they are in the
+ *    file (they are validated by the caller). content is a string, or for JSON formats it may also be the parsed
+ *    JSON. Throws an Error if the content is not in the format.
+ *
+ * To add a format, implement it in this directory and register it below.
+ */
+const formats = {};
+
+for (const format of [require('./json'), require('./csv'), require('./gpx'), require('./geojson')]) {
+    formats[format.name] = format;
+}
+
+function isFormat(name) {
+    return formats.hasOwnProperty(name);
+}
+
+/**
+ * Get a format by name.
+ * @param name
+ * @returns {*}
+ */
+function getFormat(name) {
+    if (!isFormat(name)) {
+        throw new Error(`Unknown location format: ${name}`);
+    }
+    return formats[name];
+}
+
+/**
+ * The format of a file, by its extension.
+ * @param fileName
+ * @returns {*|null}
+ */
+function getFormatOfFile(fileName) {
+    const lowerCaseName = fileName.toLowerCase();
+    return Object.values(formats).find(format => lowerCaseName.endsWith(format.extension)) || null;
+}
+
+/**
+ * The format of a request body, by its content type (without parameters such as charset).
+ * @param contentType
+ * @returns {*|null}
+ */
+function getFormatOfContentType(contentType) {
+    return Object.values(formats).find(format => format.contentType === contentType) || null;
+}
+
+module.exports = {
+    names: Object.keys(formats),
+    formats: Object.values(formats),
+    isFormat: isFormat,
+    getFormat: getFormat,
+    getFormatOfFile: getFormatOfFile,
+    getFormatOfContentType: getFormatOfContentType,
+};
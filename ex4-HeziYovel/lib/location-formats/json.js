@@ -0,0 +1,24 @@
+/**
+ * JSON: {"locations": [{"name": ..., "lat": ..., "lon": ...}]}. A bare array of locations is imported too, so the
+ * response of GET /api/locations can be imported after removing its wrapper.
+ */
+module.exports = {
+    name: 'json',
+    label: 'JSON',
+    extension: '.json',
+    contentType: 'application/json',
+
+    serialize: function (locations) {
+        return JSON.stringify({locations: locations}, null, 2);
+    },
+
+    parse: function (content) {
+        const json = typeof content === 'string' ? JSON.parse(content) : content;
+        const locations = Array.isArray(json) ? json : json && json.locations;
+        if (!Array.isArray(locations)) {
+            throw new Error('Expected an array of locations, or an object with a locations array.');
+        }
+        return locations.map(location => location !== null && typeof location === 'object' ?
+            {name: location.name, lat: location.lat, lon: location.lon} : {});
+    },
+};
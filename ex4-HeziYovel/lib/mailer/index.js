@@ -0,0 +1,44 @@
+/**
+ * Sends emails through the transport selected in the configuration (see config/index.js).
+ *
+ * A transport is an object with:
+ *  - name: the name used to select it
+ *  - create(options): returns {send(message)}, where send returns a promise. options is the transport's section of
+ *    the mailer configuration.
+ *
+ * To add a transport, implement it in the transports directory and register it below.
+ */
+const config = require('../../config').mailer;
+
+const transports = {};
+
+for (const transport of [require('./transports/console'), require('./transports/file'), require('./transports/smtp')]) {
+    transports[transport.name] = transport;
+}
+
+// The transport is created on first use, so that an unused SMTP transport doesn't need to be configured:
+let transport = null;
+
+function getTransport() {
+    if (transport === null) {
+        const name = config.transport;
+        if (!transports.hasOwnProperty(name)) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        transport = transports[name].create(config[name] || {});
+    }
+    return transport;
+}
+
+/**
+ * Send an email.
+ * @param message - {to, subject, text, html, headers}, html and headers are optional
+ * @returns {Promise<*>}
+ */
+async function send(message) {
+    return getTransport().send(Object.assign({from: config.from}, message));
+}
+
+module.exports = {
+    send: send,
+};
@@ -0,0 +1,15 @@
+/**
+ * Console transport: prints emails instead of sending them. For local development.
+ */
+module.exports = {
+    name: 'console',
+
+    create: function () {
+        return {
+            send: async function (message) {
+                console.log(`Email to ${message.to} from ${message.from}\nSubject: ${message.subject}\n\n` +
+                    `${message.text}\n`);
+            },
+        };
+    },
+};
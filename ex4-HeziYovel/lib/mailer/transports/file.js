@@ -0,0 +1,27 @@
+/**
+ * File transport: writes every email as a JSON file into a directory, so that tests (and developers) can read the
+ * links they contain.
+ */
+const fs = require('fs');
+const path = require('path');
+
+let sequence = 0;
+
+module.exports = {
+    name: 'file',
+
+    /**
+     * @param options - {directory}
+     * @returns {{send: (function(*): Promise<void>)}}
+     */
+    create: function (options) {
+        const directory = path.resolve(options.directory);
+        return {
+            send: async function (message) {
+                await fs.promises.mkdir(directory, {recursive: true});
+                const fileName = `${Date.now()}-${process.pid}-${++sequence}.json`;
+                await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+            },
+        };
+    },
+};
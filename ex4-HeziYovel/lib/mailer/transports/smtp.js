@@ -0,0 +1,27 @@
+/**
+ * SMTP transport, using nodemailer.
+ */
+const nodemailer = require('nodemailer');
+
+module.exports = {
+    name: 'smtp',
+
+    /**
+     * @param options - {host, port, secure, user, pass}. The credentials should only be given in the environment
+     *                  (see config/index.js).
+     * @returns {{send: (function(*): Promise<*>)}}
+     */
+    create: function (options) {
+        const transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? {user: options.user, pass: options.pass} : undefined,
+        });
+        return {
+            send: function (message) {
+                return transporter.sendMail(message);
+            },
+        };
+    },
+};
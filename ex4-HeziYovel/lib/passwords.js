@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const util = require('util');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+/**
+ * Hashes are stored as a single string: scrypt$N$r$p$salt$hash (salt and hash are base64 encoded). Keeping the
+ * parameters with the hash allows raising them in the future without invalidating existing hashes - those will be
+ * re-hashed on the user's next successful login.
+ */
+const SCHEME = 'scrypt';
+const COST = {N: 16384, r: 8, p: 1};
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const HASH_PATTERN = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/;
+
+// scrypt needs 128 * N * r bytes of memory, which is more than the default maxmem of node for some parameters:
+function getMaxMem(cost) {
+    return 256 * cost.N * cost.r;
+}
+
+/**
+ * Hash a password with a new random salt.
+ * @param password
+ * @returns {Promise<string>}
+ */
+async function hash(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await scrypt(password, salt, KEY_LENGTH, Object.assign({maxmem: getMaxMem(COST)}, COST));
+    return [SCHEME, COST.N, COST.r, COST.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check if stored is a hash produced by this module (and not a legacy plaintext password).
+ * @param stored
+ * @returns {boolean}
+ */
+function isHashed(stored) {
+    return typeof stored === 'string' && HASH_PATTERN.test(stored);
+}
+
+/**
+ * Verify password against a stored password.
+ *
+ * Rows created before passwords were hashed still hold the plaintext password. These are compared as-is, and the
+ * result tells the caller to re-hash the password, as does a hash made with outdated parameters.
+ *
+ * @param password
+ * @param stored
+ * @returns {Promise<{match: boolean, needsRehash: boolean}>}
+ */
+async function verify(password, stored) {
+    const parts = typeof stored === 'string' ? stored.match(HASH_PATTERN) : null;
+
+    if (parts === null) {
+        // Legacy plaintext. Compare digests to avoid leaking the length of the stored password through timing:
+        const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+        const match = typeof stored === 'string' && crypto.timingSafeEqual(digest(password), digest(stored));
+        return {match: match, needsRehash: match};
+    }
+
+    const cost = {N: Number(parts[1]), r: Number(parts[2]), p: Number(parts[3])};
+    const salt = Buffer.from(parts[4], 'base64');
+    const expected = Buffer.from(parts[5], 'base64');
+    const key = await scrypt(password, salt, expected.length, Object.assign({maxmem: getMaxMem(cost)}, cost));
+    const match = crypto.timingSafeEqual(key, expected);
+    const isOutdated = cost.N !== COST.N || cost.r !== COST.r || cost.p !== COST.p;
+
+    return {match: match, needsRehash: match && isOutdated};
+}
+
+module.exports = {
+    hash: hash,
+    isHashed: isHashed,
+    verify: verify,
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+const config = require('../config').auth;
+
+/**
+ * One-time tokens that are sent to users (in password reset links etc.).
+ *
+ * A token is random bytes and an HMAC signature of them for a specific purpose: random.signature (both base64url
+ * encoded). The signature lets us reject forged or mistyped tokens, and tokens issued for another purpose, without a
+ * database lookup. Only a hash of the token is stored, so that a leaked table can't be used to take over accounts;
+ * expiry and single use are enforced by the table that stores the hash.
+ */
+const RANDOM_LENGTH = 32;
+const TOKEN_PATTERN = /^([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)$/;
+
+function sign(purpose, random) {
+    return crypto.createHmac('sha256', config.tokenSecret).update(`${purpose}:${random}`).digest('base64url');
+}
+
+/**
+ * The hash of a token, as stored.
+ * @param token
+ * @returns {string}
+ */
+function hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new token.
+ * @param purpose - for example 'password-reset'
+ * @returns {{token: string, tokenHash: string}} send the token to the user, store the hash
+ */
+function create(purpose) {
+    const random = crypto.randomBytes(RANDOM_LENGTH).toString('base64url');
+    const token = `${random}.${sign(purpose, random)}`;
+    return {token: token, tokenHash: hash(token)};
+}
+
+/**
+ * Check the signature of a token that a user sent.
+ * @param token
+ * @param purpose - the purpose it must have been issued for
+ * @returns {string|null} the hash to look up, or null if the token is malformed or its signature is wrong
+ */
+function verify(token, purpose) {
+    const match = typeof token === 'string' ? token.match(TOKEN_PATTERN) : null;
+    if (match === null) {
+        return null;
+    }
+    const expected = Buffer.from(sign(purpose, match[1]));
+    const actual = Buffer.from(match[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return hash(token);
+}
+
+module.exports = {
+    create: create,
+    verify: verify,
+};
@@ -0,0 +1,152 @@
+const config = require('../../config').weather;
+const providers = require('./providers');
+
+// Forecast grids are coarser than 0.01 degrees, so nearby coordinates can safely share a cached forecast:
+const COORDINATE_PRECISION = 2;
+
+// cacheKey => {expires, forecast}
+const cache = new Map();
+
+// Functions that are told of every forecast fetched from the provider (see onFetch):
+const fetchListeners = [];
+
+/**
+ * The provider selected for this deployment.
+ * @returns {*}
+ */
+function getProvider() {
+    return providers.getProvider(config.provider);
+}
+
+/**
+ * The upstream base URL of provider. It can be pointed at a local stub server (see config/index.js).
+ * @param provider
+ * @returns {string}
+ */
+function getUpstreamURL(provider) {
+    return config.providers[provider.name].url;
+}
+
+function getCacheTTL() {
+    return config.cacheTTLSeconds * 1000;
+}
+
+/**
+ * Round a coordinate the way forecasts are fetched for it: coordinates that round to the same value share a forecast.
+ * @param value
+ * @returns {number}
+ */
+function roundCoordinate(value) {
+    return Number(value.toFixed(COORDINATE_PRECISION));
+}
+
+function makeCacheKey(lat, lon, providerName, product) {
+    return `${providerName}:${product}:${lat}:${lon}`;
+}
+
+/**
+ * Resolve the product to fetch for a view. If a product is given it must be one of the provider's products for
+ * that view, otherwise the default (first) product of the view is used.
+ *
+ * @param view - 'daily' or 'hourly'
+ * @param product - optional product name
+ * @returns {string|null} null if there is no such product
+ */
+function resolveProduct(view, product = undefined) {
+    const products = getProvider().products;
+    if (typeof product !== 'undefined') {
+        return products[product] === view ? product : null;
+    }
+    const defaultProduct = Object.keys(products).find(name => products[name] === view);
+    return typeof defaultProduct === 'undefined' ? null : defaultProduct;
+}
+
+/**
+ * The products the selected provider has for a view.
+ * @param view - 'daily' or 'hourly'
+ * @returns {string[]}
+ */
+function getProducts(view) {
+    const products = getProvider().products;
+    return Object.keys(products).filter(name => products[name] === view);
+}
+
+/**
+ * Remove every expired entry, so that the cache doesn't grow with coordinates nobody asks for anymore.
+ * @param now
+ */
+function purgeExpired(now) {
+    for (const [key, entry] of cache) {
+        if (entry.expires <= now) {
+            cache.delete(key);
+        }
+    }
+}
+
+/**
+ * Get the normalized forecast for the given coordinates from the configured provider (see schema.js).
+ * Responses are cached per rounded lat/lon, provider and product for the configured TTL.
+ *
+ * @param lat - number
+ * @param lon - number
+ * @param product - one of the provider's products (see resolveProduct), defaults to the daily product
+ * @returns {Promise<{provider: string, product: string, daily: [], hourly: []}>}
+ */
+async function getForecast(lat, lon, product = resolveProduct('daily')) {
+    const provider = getProvider();
+    if (!provider.products.hasOwnProperty(product)) {
+        throw new Error(`Unknown product ${product} of weather provider ${provider.name}`);
+    }
+    const roundedLat = roundCoordinate(lat);
+    const roundedLon = roundCoordinate(lon);
+    const key = makeCacheKey(roundedLat, roundedLon, provider.name, product);
+    const now = Date.now();
+
+    const cached = cache.get(key);
+    if (cached && cached.expires > now) {
+        return cached.forecast;
+    }
+
+    const responseJson = await provider.fetch(getUpstreamURL(provider), roundedLat, roundedLon, product);
+    const forecast = Object.assign({provider: provider.name, product: product},
+        provider.normalize(responseJson, product));
+
+    purgeExpired(now);
+    cache.set(key, {expires: now + getCacheTTL(), forecast: forecast});
+    const fetch = {
+        lat: roundedLat,
+        lon: roundedLon,
+        view: provider.products[product],
+        forecast: forecast,
+        fetchedAt: new Date(now),
+    };
+    for (const listener of fetchListeners) {
+        listener(fetch);
+    }
+    return forecast;
+}
+
+/**
+ * Tell listener of every forecast that is fetched from the provider (but not of forecasts served from the cache).
+ * The listener isn't waited for, so it must handle its own errors.
+ * @param listener - function ({lat, lon, view, forecast, fetchedAt}), lat and lon rounded (see roundCoordinate)
+ */
+function onFetch(listener) {
+    fetchListeners.push(listener);
+}
+
+/**
+ * Drop all cached responses.
+ */
+function clearCache() {
+    cache.clear();
+}
+
+module.exports = {
+    resolveProduct: resolveProduct,
+    getProducts: getProducts,
+    getForecast: getForecast,
+    onFetch: onFetch,
+    roundCoordinate: roundCoordinate,
+    clearCache: clearCache,
+};
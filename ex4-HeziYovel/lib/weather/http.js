@@ -0,0 +1,46 @@
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Perform a GET request and parse the response body as JSON.
+ *
+ * The promise is rejected if the server can't be reached, if it responds with a non 2XX status code (the error will
+ * have a 'status' property) or if the body is not valid JSON (the error will be a SyntaxError, same as in the
+ * browser).
+ *
+ * @param url
+ * @returns {Promise<*>}
+ */
+function getJson(url) {
+    const client = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = client.get(url, response => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => body += chunk);
+            response.on('end', () => {
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    const err = new Error(`Upstream error code ${response.statusCode} received from ${url}`);
+                    err.status = response.statusCode;
+                    reject(err);
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(body));
+                } catch (err) {
+                    reject(err);
+                }
+            });
+        });
+
+        request.setTimeout(REQUEST_TIMEOUT_MS, () => request.destroy(new Error(`Request to ${url} timed out`)));
+        request.on('error', reject);
+    });
+}
+
+module.exports = {
+    getJson: getJson,
+};
@@ -0,0 +1,106 @@
+/**
+ * URLs of the 7timer graphical forecast images. See http://www.7timer.info/doc.php#graphical_products
+ *
+ * The images come from 7timer whichever provider serves the machine readable forecast, since it is the only one of
+ * them that draws forecasts.
+ */
+const forecast = require('./forecast');
+const validation = require('../../public/javascripts/validation');
+
+const config = require('../../config').weather;
+
+// Graphical product => its script and a label for the view:
+const PRODUCTS = {
+    'astro': {script: 'astro.php', label: 'ASTRO (3 days)'},
+    'civil': {script: 'civil.php', label: 'CIVIL (8 days)'},
+    'meteo': {script: 'meteo.php', label: 'Meteogram (3 days)'},
+    'two': {script: 'two.php', label: 'Two weeks'},
+};
+
+const LANGUAGES = ['en', 'zh-CN', 'zh-TW', 'ja', 'ko', 'de', 'fr', 'it', 'es', 'ru', 'pl'];
+
+// The graphical products only have metric and british (imperial) units:
+const IMAGE_UNITS = ['metric', 'british'];
+
+const TZSHIFT_LIMITS = [-12, 14];
+
+const DEFAULT_OPTIONS = {
+    product: 'astro',
+    lang: 'en',
+    tzshift: 0,
+    unit: 'metric',
+};
+
+function isProduct(product) {
+    return PRODUCTS.hasOwnProperty(product);
+}
+
+function getProductLabel(product) {
+    return PRODUCTS[product].label;
+}
+
+function isLanguage(lang) {
+    return LANGUAGES.includes(lang);
+}
+
+function isCoordinate(value, id) {
+    const [min, max] = validation.limits[id];
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isTzshift(tzshift) {
+    return Number.isInteger(tzshift) && tzshift >= TZSHIFT_LIMITS[0] && tzshift <= TZSHIFT_LIMITS[1];
+}
+
+/**
+ * The image unit that suits a user's temperature unit.
+ * @param temperatureUnit - see units.js
+ * @returns {string}
+ */
+function unitFromTemperatureUnit(temperatureUnit) {
+    return temperatureUnit === 'fahrenheit' ? 'british' : 'metric';
+}
+
+/**
+ * Make the URL of the forecast image of the given coordinates. The coordinates are rounded like those of the
+ * forecast (see forecast.roundCoordinate), so that the image and the forecast are of the same place.
+ *
+ * If the coordinates or an option are invalid, an Error is thrown.
+ *
+ * @param lat - number, -90 to 90
+ * @param lon - number, -180 to 180
+ * @param options - {product, lang, tzshift, unit}, each optional (see DEFAULT_OPTIONS)
+ * @returns {string}
+ */
+function makeImageURL(lat, lon, options = {}) {
+    const {product, lang, tzshift, unit} = Object.assign({}, DEFAULT_OPTIONS, options);
+    if (!isCoordinate(lat, 'lat')) {
+        throw new Error(`Invalid lat: ${lat}`);
+    } else if (!isCoordinate(lon, 'lon')) {
+        throw new Error(`Invalid lon: ${lon}`);
+    } else if (!isProduct(product)) {
+        throw new Error(`Unknown graphical product: ${product}`);
+    } else if (!isLanguage(lang)) {
+        throw new Error(`Unknown language: ${lang}`);
+    } else if (!isTzshift(tzshift)) {
+        throw new Error(`Invalid tzshift: ${tzshift}`);
+    } else if (!IMAGE_UNITS.includes(unit)) {
+        throw new Error(`Unknown unit: ${unit}`);
+    }
+    const roundedLat = forecast.roundCoordinate(lat);
+    const roundedLon = forecast.roundCoordinate(lon);
+    return config.graphical.url + PRODUCTS[product].script +
+        encodeURI(`?lon=${roundedLon}&lat=${roundedLat}&ac=0&lang=${lang}&unit=${unit}&output=internal&tzshift=${tzshift}`);
+}
+
+module.exports = {
+    products: Object.keys(PRODUCTS),
+    languages: LANGUAGES,
+    tzshiftLimits: TZSHIFT_LIMITS,
+    isProduct: isProduct,
+    getProductLabel: getProductLabel,
+    isLanguage: isLanguage,
+    isTzshift: isTzshift,
+    unitFromTemperatureUnit: unitFromTemperatureUnit,
+    makeImageURL: makeImageURL,
+};
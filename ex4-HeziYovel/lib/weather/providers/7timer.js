@@ -0,0 +1,218 @@
+/**
+ * 7timer provider. See http://www.7timer.info/doc.php#machine_readable_api
+ *
+ * The civillight product gives a daily forecast for the next 7 days. The civil and astro products give a 3-hourly
+ * forecast, as a series of timepoints (hours after the init time of the forecast).
+ */
+const http = require('../http');
+const schema = require('../schema');
+
+/**
+ * 7timer cloud cover values to the middle of the percentage range they stand for.
+ */
+const _7timer_cloudCoverToPercent = {
+    1: 3, 2: 13, 3: 25, 4: 38, 5: 50, 6: 63, 7: 75, 8: 88, 9: 97,
+};
+
+const PRECIPITATION_TYPES = ['none', 'rain', 'snow', 'frzr', 'icep'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a date of the civillight product. The forecast covers the 7 days from the date of its init time, and its
+ * dates are local to the location, so the first one may be the day before the init date (UTC) west of Greenwich.
+ * Dates are compared in UTC, so that the time zone of the server doesn't matter.
+ * @param year
+ * @param month - 1 to 12
+ * @param date
+ * @param initTime - timestamp, see parseInitTime
+ * @returns {boolean}
+ */
+function validateDate(year, month, date, initTime) {
+    const time = Date.UTC(year, month - 1, date);
+    const parsed = new Date(time);
+    // Date.UTC rolls over out of range values (month 13 is January), which aren't dates:
+    if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== date) {
+        return false;
+    }
+    const initDate = initTime - initTime % MS_PER_DAY;
+    return time >= initDate - MS_PER_DAY && time <= initDate + 7 * MS_PER_DAY;
+}
+
+/**
+ * Formats the full URL for a machine readable API call.
+ * @param baseURL
+ * @param lat
+ * @param lon
+ * @param product
+ * @returns {string}
+ */
+function makeAPICallURL(baseURL, lat, lon, product) {
+    return baseURL + encodeURI(`?lon=${lon}&lat=${lat}&product=${product}&output=json`);
+}
+
+/**
+ * Extract and process the date information from a daily forecast object
+ * @param dailyForecast
+ * @param initTime - timestamp, see parseInitTime
+ * @returns {string} YYYY-MM-DD
+ */
+function getDateString(dailyForecast, initTime) {
+    // 7timer machine readable API returns dates in format YYYYMMDD (for example January first 1970 will be
+    // represented as: "19700101" (a string), But when we "JSON" the response body we get the number 19700101.
+    // In order to parse this date we first get the 2 least significant digits which represent the date:
+    const date = dailyForecast.date % 100;
+
+    // Then we get the next 2 digits which represent the month:
+    const month = Math.floor(dailyForecast.date / 100) % 100;
+
+    // Then we get the last 4 digits which represent the year:
+    const year = Math.floor(dailyForecast.date / 10000);
+
+    // Validate the date information and throw an exception if invalid:
+    if (!validateDate(year, month, date, initTime)) {
+        throw new Error(`Invalid date information. date: ${date}, month: ${month}, year: ${year}`);
+    }
+
+    return schema.formatDate(year, month, date);
+}
+
+/**
+ * Normalize a single day of the civillight product.
+ *
+ * If invalid information is found, an Error is thrown.
+ *
+ * @param dailyForecast
+ * @param initTime - timestamp, see parseInitTime
+ * @returns {{date: string, weather, temperature: {min, max}, wind}}
+ */
+function normalizeDay(dailyForecast, initTime) {
+    return {
+        date: getDateString(dailyForecast, initTime),
+        weather: schema.makeWeather(dailyForecast.weather),
+        temperature: {min: dailyForecast.temp2m.min, max: dailyForecast.temp2m.max},
+        wind: schema.makeWind(dailyForecast.wind10m_max),
+    };
+}
+
+/**
+ * Parse the init time of an hourly product. It is given in UTC in the format YYYYMMDDHH.
+ * @param init
+ * @returns {number} timestamp
+ */
+function parseInitTime(init) {
+    const match = String(init).match(/^(\d{4})(\d{2})(\d{2})(\d{2})$/);
+    if (match === null) {
+        throw new Error(`Invalid init time: ${init}`);
+    }
+    const [year, month, date, hours] = match.slice(1).map(Number);
+    return Date.UTC(year, month - 1, date, hours);
+}
+
+/**
+ * The astro product has no weather type, so it is derived from the cloud cover and the precipitation type, using
+ * the same thresholds 7timer uses for its own weather types.
+ * @param timepoint
+ * @returns {string}
+ */
+function deriveWeatherType(timepoint) {
+    if (timepoint.prec_type === 'rain') {
+        return 'lightrain';
+    } else if (timepoint.prec_type === 'snow') {
+        return 'lightsnow';
+    } else if (timepoint.prec_type === 'frzr' || timepoint.prec_type === 'icep') {
+        return 'rainsnow';
+    } else if (timepoint.cloudcover <= 2) {
+        return 'clear';
+    } else if (timepoint.cloudcover <= 5) {
+        return 'pcloudy';
+    } else if (timepoint.cloudcover <= 7) {
+        return 'mcloudy';
+    }
+    return 'cloudy';
+}
+
+/**
+ * civil gives the relative humidity as a string ("65%"), while astro gives a code between -4 (0%-5%) and
+ * 16 (100%), in steps of 5%.
+ * @param rh2m
+ * @returns {number|null} percent
+ */
+function parseHumidity(rh2m) {
+    if (typeof rh2m === 'string' && rh2m.endsWith('%')) {
+        return Number(rh2m.slice(0, -1));
+    } else if (typeof rh2m === 'number') {
+        return Math.min(100, (rh2m + 4) * 5 + 2.5);
+    }
+    return null;
+}
+
+/**
+ * Normalize a single timepoint of the civil or astro products.
+ * @param timepoint
+ * @param initTime - timestamp
+ * @returns {{time: string, weather, temperature, cloudCover, precipitation, humidity, wind}}
+ */
+function normalizeTimepoint(timepoint, initTime) {
+    // civil weather types have a day or night suffix (for example "pcloudyday"), which we don't need:
+    const weatherType = typeof timepoint.weather === 'string' ?
+        timepoint.weather.replace(/(day|night)$/, '') : deriveWeatherType(timepoint);
+    const precipitationType = PRECIPITATION_TYPES.includes(timepoint.prec_type) ? timepoint.prec_type : 'none';
+    const cloudCover = _7timer_cloudCoverToPercent[timepoint.cloudcover];
+
+    return {
+        time: new Date(initTime + timepoint.timepoint * 3600 * 1000).toISOString(),
+        weather: schema.makeWeather(weatherType),
+        temperature: timepoint.temp2m,
+        cloudCover: typeof cloudCover === 'undefined' ? null : cloudCover,
+        precipitation: {type: precipitationType},
+        humidity: parseHumidity(timepoint.rh2m),
+        wind: schema.makeWind(timepoint.wind10m.speed, timepoint.wind10m.direction),
+    };
+}
+
+module.exports = {
+    name: '7timer',
+
+    // Product name => the view it provides:
+    products: {
+        'civillight': 'daily',
+        'civil': 'hourly',
+        'astro': 'hourly',
+    },
+
+    /**
+     * Fetch the raw forecast.
+     * @param baseURL
+     * @param lat
+     * @param lon
+     * @param product - a key of products
+     * @returns {Promise<*>}
+     */
+    fetch: function (baseURL, lat, lon, product) {
+        return http.getJson(makeAPICallURL(baseURL, lat, lon, product));
+    },
+
+    /**
+     * Normalize a raw forecast into the common schema (see schema.js).
+     * @param responseJson
+     * @param product - the product that was fetched
+     * @returns {{daily: [], hourly: []}}
+     */
+    normalize: function (responseJson, product) {
+        if (!responseJson || !Array.isArray(responseJson.dataseries)) {
+            throw new Error('Invalid response: no dataseries.');
+        }
+        const initTime = parseInitTime(responseJson.init);
+        if (this.products[product] === 'daily') {
+            return {
+                daily: responseJson.dataseries.map(day => normalizeDay(day, initTime)),
+                hourly: [],
+            };
+        }
+        return {
+            daily: [],
+            hourly: responseJson.dataseries.map(timepoint => normalizeTimepoint(timepoint, initTime)),
+        };
+    },
+};
@@ -0,0 +1,35 @@
+/**
+ * Weather provider registry.
+ *
+ * A provider is an object with:
+ *  - name: the name used to select it in config/config.json (its base URL is configured there too, and can be
+ *    overridden by an environment variable - see config/index.js)
+ *  - products: product name => the view it provides ('daily' or 'hourly'). The first product of each view is its
+ *    default.
+ *  - fetch(baseURL, lat, lon, product): returns a promise of the raw response
+ *  - normalize(responseJson, product): converts a raw response to {daily, hourly} in the common schema
+ *    (see ../schema.js)
+ *
+ * To add a provider, implement it in this directory and register it below.
+ */
+const providers = {};
+
+for (const provider of [require('./7timer'), require('./open-meteo')]) {
+    providers[provider.name] = provider;
+}
+
+/**
+ * Get a provider by name.
+ * @param name
+ * @returns {*}
+ */
+function getProvider(name) {
+    if (!providers.hasOwnProperty(name)) {
+        throw new Error(`Unknown weather provider: ${name}`);
+    }
+    return providers[name];
+}
+
+module.exports = {
+    getProvider: getProvider,
+};
@@ -0,0 +1,123 @@
+/**
+ * Open-Meteo provider. See https://open-meteo.com/en/docs
+ *
+ * The response holds parallel arrays: daily.time[i] is the date of daily.weathercode[i] etc.
+ */
+const http = require('../http');
+const schema = require('../schema');
+
+const DAILY_VARIABLES = 'weathercode,temperature_2m_max,temperature_2m_min,windspeed_10m_max';
+const HOURLY_VARIABLES = 'weathercode,temperature_2m,relativehumidity_2m,cloudcover,windspeed_10m,winddirection_10m';
+
+/**
+ * WMO weather interpretation code to common weather type mapping.
+ */
+const WMO_CODE_TO_TYPE = {
+    0: 'clear',
+    1: 'pcloudy',
+    2: 'mcloudy',
+    3: 'cloudy',
+    45: 'humid', 48: 'humid',
+    51: 'lightrain', 53: 'lightrain', 55: 'lightrain',
+    56: 'rainsnow', 57: 'rainsnow',
+    61: 'lightrain', 63: 'rain', 65: 'rain',
+    66: 'rainsnow', 67: 'rainsnow',
+    71: 'lightsnow', 73: 'snow', 75: 'snow', 77: 'lightsnow',
+    80: 'ishower', 81: 'oshower', 82: 'rain',
+    85: 'lightsnow', 86: 'snow',
+    95: 'tsrain', 96: 'tsrain', 99: 'tsrain',
+};
+
+/**
+ * Precipitation type implied by a common weather type.
+ */
+const TYPE_TO_PRECIPITATION = {
+    'lightrain': 'rain', 'oshower': 'rain', 'ishower': 'rain', 'rain': 'rain', 'tsrain': 'rain',
+    'lightsnow': 'snow', 'snow': 'snow',
+    'rainsnow': 'frzr',
+};
+
+function makeAPICallURL(baseURL, lat, lon, product) {
+    const variables = product === 'daily' ? DAILY_VARIABLES : HOURLY_VARIABLES;
+    return baseURL + encodeURI(`?latitude=${lat}&longitude=${lon}&${product}=${variables}` +
+        `&windspeed_unit=ms&timezone=auto`);
+}
+
+function getWeatherType(code) {
+    const type = WMO_CODE_TO_TYPE[code];
+    if (typeof type === 'undefined') {
+        throw new Error(`Invalid weather code: ${code}`);
+    }
+    return type;
+}
+
+function normalizeDaily(daily) {
+    return daily.time.map((date, i) => ({
+        date: date,
+        weather: schema.makeWeather(getWeatherType(daily.weathercode[i])),
+        temperature: {min: daily.temperature_2m_min[i], max: daily.temperature_2m_max[i]},
+        wind: schema.makeWind(schema.windClassFromSpeed(daily.windspeed_10m_max[i])),
+    }));
+}
+
+/**
+ * Hourly times are local to the forecast location, without an offset, so utcOffsetSeconds is applied to get an
+ * absolute time.
+ * @param hourly
+ * @param utcOffsetSeconds
+ * @returns {[]}
+ */
+function normalizeHourly(hourly, utcOffsetSeconds) {
+    return hourly.time.map((time, i) => {
+        const type = getWeatherType(hourly.weathercode[i]);
+        return {
+            time: new Date(Date.parse(`${time}Z`) - utcOffsetSeconds * 1000).toISOString(),
+            weather: schema.makeWeather(type),
+            temperature: hourly.temperature_2m[i],
+            cloudCover: hourly.cloudcover[i],
+            precipitation: {type: TYPE_TO_PRECIPITATION[type] || 'none'},
+            humidity: hourly.relativehumidity_2m[i],
+            wind: schema.makeWind(schema.windClassFromSpeed(hourly.windspeed_10m[i]),
+                schema.compassPointFromDegrees(hourly.winddirection_10m[i])),
+        };
+    });
+}
+
+module.exports = {
+    name: 'open-meteo',
+
+    // Product name => the view it provides. Both come from the same endpoint, with different variables:
+    products: {
+        'daily': 'daily',
+        'hourly': 'hourly',
+    },
+
+    /**
+     * Fetch the raw forecast.
+     * @param baseURL
+     * @param lat
+     * @param lon
+     * @param product - a key of products
+     * @returns {Promise<*>}
+     */
+    fetch: function (baseURL, lat, lon, product) {
+        return http.getJson(makeAPICallURL(baseURL, lat, lon, product));
+    },
+
+    /**
+     * Normalize a raw forecast into the common schema (see schema.js).
+     * @param responseJson
+     * @param product - the product that was fetched
+     * @returns {{daily: [], hourly: []}}
+     */
+    normalize: function (responseJson, product) {
+        const series = responseJson ? responseJson[product] : undefined;
+        if (!series || !Array.isArray(series.time)) {
+            throw new Error(`Invalid response: no ${product} forecast.`);
+        }
+        if (product === 'daily') {
+            return {daily: normalizeDaily(series), hourly: []};
+        }
+        return {daily: [], hourly: normalizeHourly(series, responseJson.utc_offset_seconds || 0)};
+    },
+};
@@ -0,0 +1,138 @@
+/**
+ * The common forecast schema that every weather provider normalizes its responses into. The frontend only knows
+ * this schema, so adding a provider never touches the view code.
+ *
+ * A normalized forecast:
+ *
+ *  {
+ *      provider: '7timer',
+ *      daily: [{
+ *          date: '2021-01-20',                             // local date of the forecast location, YYYY-MM-DD
+ *          weather: {type: 'clear', description: '...'},    // type is a key of WEATHER_TYPES
+ *          temperature: {min: 10, max: 20},                 // degrees Celsius
+ *          wind: {class: 3, label: 'moderate', min: 3.4, max: 8.0},    // see WIND_CLASSES, m/s
+ *      }],
+ *      hourly: [{
+ *          time: '2021-01-20T06:00:00.000Z',
+ *          weather: {type, description},
+ *          temperature: 15,                                // degrees Celsius
+ *          cloudCover: 40,                                 // percent, null if unknown
+ *          precipitation: {type: 'none'},                  // none, rain, snow, frzr or icep
+ *          humidity: 65,                                   // percent, null if unknown
+ *          wind: {class, label, min, max, direction: 'NW'},
+ *      }],
+ *  }
+ */
+
+/**
+ * Weather types and their descriptions. The vocabulary is borrowed from 7timer, which was our first provider.
+ * See http://www.7timer.info/doc.php#machine_readable_api
+ */
+const WEATHER_TYPES = {
+    'clear': 'Total cloud cover less than 20%',
+    'pcloudy': 'Total cloud cover between 20%-60%',
+    'mcloudy': 'Total cloud cover between 60%-80%',
+    'cloudy': 'Total cloud cover over over 80%',
+    'humid': 'Relative humidity over 90% with total cloud cover less than 60%',
+    'lightrain': 'Precipitation rate less than 4mm/hr with total cloud cover more than 80%',
+    'oshower': 'Precipitation rate less than 4mm/hr with total cloud cover between 60%-80%',
+    'ishower': 'Precipitation rate less than 4mm/hr with total cloud cover less than 60%',
+    'lightsnow': 'Precipitation rate less than 4mm/hr',
+    'rain': 'Precipitation rate over 4mm/hr',
+    'snow': 'Precipitation rate over 4mm/hr',
+    'rainsnow': 'Precipitation type to be ice pellets or freezing rain',
+    'ts': 'Thunderstorm possible',
+    'tsrain': 'Thunderstorm',
+};
+
+/**
+ * Wind speed classes (the 7timer classification, which is a condensed Beaufort scale). Speeds are in m/s, and the
+ * max of the last class is null because it is unbounded.
+ */
+const WIND_CLASSES = {
+    1: {label: 'calm', min: 0, max: 0.3},
+    2: {label: 'light', min: 0.3, max: 3.4},
+    3: {label: 'moderate', min: 3.4, max: 8.0},
+    4: {label: 'fresh', min: 8.0, max: 10.8},
+    5: {label: 'strong', min: 10.8, max: 17.2},
+    6: {label: 'gale', min: 17.2, max: 24.5},
+    7: {label: 'storm', min: 24.5, max: 32.6},
+    8: {label: 'hurricane', min: 32.6, max: null},
+};
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Make the normalized weather object of a weather type.
+ * @param type - a key of WEATHER_TYPES
+ * @returns {{type, description: string}}
+ */
+function makeWeather(type) {
+    const description = WEATHER_TYPES[type];
+    if (typeof description === 'undefined') {
+        throw new Error(`Invalid weather type: ${type}`);
+    }
+    return {type: type, description: description};
+}
+
+/**
+ * Make the normalized wind object of a wind class.
+ * @param windClass - a key of WIND_CLASSES
+ * @param direction - optional compass point
+ * @returns {{class: number, label: string, min: number, max: number|null}}
+ */
+function makeWind(windClass, direction = undefined) {
+    const windClassInfo = WIND_CLASSES[windClass];
+    if (typeof windClassInfo === 'undefined') {
+        throw new Error(`Invalid wind class: ${windClass}`);
+    }
+    const wind = Object.assign({class: Number(windClass)}, windClassInfo);
+    if (typeof direction !== 'undefined') {
+        wind.direction = direction;
+    }
+    return wind;
+}
+
+/**
+ * Find the wind class of a wind speed.
+ * @param speed - m/s
+ * @returns {number} a key of WIND_CLASSES
+ */
+function windClassFromSpeed(speed) {
+    for (const [windClass, info] of Object.entries(WIND_CLASSES)) {
+        if (info.max === null || speed < info.max) {
+            return Number(windClass);
+        }
+    }
+}
+
+/**
+ * Convert a direction in degrees to one of the 8 compass points.
+ * @param degrees
+ * @returns {string}
+ */
+function compassPointFromDegrees(degrees) {
+    const index = Math.round((((degrees % 360) + 360) % 360) / 45) % COMPASS_POINTS.length;
+    return COMPASS_POINTS[index];
+}
+
+/**
+ * Format a local date as YYYY-MM-DD.
+ * @param year
+ * @param month - 1 to 12
+ * @param date
+ * @returns {string}
+ */
+function formatDate(year, month, date) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+}
+
+module.exports = {
+    WEATHER_TYPES: WEATHER_TYPES,
+    WIND_CLASSES: WIND_CLASSES,
+    makeWeather: makeWeather,
+    makeWind: makeWind,
+    windClassFromSpeed: windClassFromSpeed,
+    compassPointFromDegrees: compassPointFromDegrees,
+    formatDate: formatDate,
+};
@@ -0,0 +1,144 @@
+const models = require('../../models');
+const forecast = require('./forecast');
+
+const config = require('../../config').weather;
+
+const {Op} = models.Sequelize;
+
+/**
+ * The archive of forecasts: every daily forecast that is fetched from the provider is stored as a snapshot of every
+ * saved location it is the forecast of (the locations whose rounded coordinates are the ones it was fetched for).
+ * Snapshots are kept for the configured number of days: the expired snapshots of locations are deleted when their
+ * forecast is fetched again, and those of every location periodically (see start), so that the snapshots of locations
+ * that are no longer viewed are deleted too.
+ */
+
+// Wider than the rounding of coordinates, so that every location that rounds to the coordinates is found:
+const COORDINATE_MARGIN = 0.01;
+
+let isArchiving = false;
+let timer = null;
+let runningCleanup = null;
+
+function getRetention() {
+    return config.historyDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * The saved locations (of every user) whose forecast is the forecast of the rounded coordinates.
+ * @param lat - rounded
+ * @param lon - rounded
+ * @returns {Promise<Location[]>}
+ */
+async function findLocationsAt(lat, lon) {
+    const locations = await models.Location.findAll({
+        where: {
+            lat: {[Op.between]: [lat - COORDINATE_MARGIN, lat + COORDINATE_MARGIN]},
+            lon: {[Op.between]: [lon - COORDINATE_MARGIN, lon + COORDINATE_MARGIN]},
+        },
+    });
+    return locations.filter(location =>
+        forecast.roundCoordinate(location.lat) === lat && forecast.roundCoordinate(location.lon) === lon);
+}
+
+/**
+ * Store a fetched forecast as a snapshot of the locations it is the forecast of, and delete their snapshots that are
+ * older than the retention. Snapshots are a side effect of fetching, so this never rejects: a failure is logged.
+ * @param fetch - {lat, lon, view, forecast, fetchedAt}, see forecast.onFetch
+ * @returns {Promise<number>} the number of snapshots stored
+ */
+async function recordSnapshots(fetch) {
+    const days = fetch.view === 'daily' ? fetch.forecast.daily : [];
+    if (days.length === 0) {
+        return 0;
+    }
+    try {
+        const locations = await findLocationsAt(fetch.lat, fetch.lon);
+        if (locations.length === 0) {
+            return 0;
+        }
+        await models.ForecastSnapshot.bulkCreate(locations.map(location => ({
+            locationId: location.id,
+            provider: fetch.forecast.provider,
+            fetchedAt: fetch.fetchedAt,
+            firstDate: days[0].date,
+            lastDate: days[days.length - 1].date,
+            days: days,
+        })));
+        await models.ForecastSnapshot.destroy({
+            where: {
+                locationId: locations.map(location => location.id),
+                fetchedAt: {[Op.lt]: new Date(fetch.fetchedAt.getTime() - getRetention())},
+            },
+        });
+        return locations.length;
+    } catch (err) {
+        console.error(`Error in snapshots(recordSnapshots):\n\n${err}`);
+        return 0;
+    }
+}
+
+/**
+ * Archive every forecast that is fetched from now on.
+ */
+function archiveFetchedForecasts() {
+    if (isArchiving) {
+        return;
+    }
+    isArchiving = true;
+    forecast.onFetch(recordSnapshots);
+}
+
+/**
+ * Delete the snapshots (of every location) that are older than the retention.
+ * @param now
+ * @returns {Promise<number>} the number of snapshots deleted
+ */
+async function deleteExpired(now = new Date()) {
+    return await models.ForecastSnapshot.destroy({
+        where: {fetchedAt: {[Op.lt]: new Date(now.getTime() - getRetention())}},
+    });
+}
+
+/**
+ * Delete the expired snapshots now, unless the previous cleanup is still running.
+ * @param clock - function that returns the current time
+ */
+function runCleanup(clock) {
+    if (runningCleanup !== null) {
+        return;
+    }
+    runningCleanup = deleteExpired(clock())
+        .catch((err) => console.error(`Error in snapshots(deleteExpired):\n\n${err}`))
+        .finally(() => {
+            runningCleanup = null;
+        });
+}
+
+/**
+ * Delete the expired snapshots now and then every intervalMinutes, until stop. The timer doesn't keep the process
+ * alive.
+ * @param intervalMinutes
+ * @param clock - function that returns the current time
+ */
+function start(intervalMinutes, clock = () => new Date()) {
+    stop();
+    timer = setInterval(() => runCleanup(clock), intervalMinutes * 60 * 1000);
+    timer.unref();
+    runCleanup(clock);
+}
+
+function stop() {
+    if (timer !== null) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    recordSnapshots: recordSnapshots,
+    archiveFetchedForecasts: archiveFetchedForecasts,
+    deleteExpired: deleteExpired,
+    start: start,
+    stop: stop,
+};
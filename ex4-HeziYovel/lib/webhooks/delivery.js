@@ -0,0 +1,204 @@
+const http = require('http');
+const https = require('https');
+const models = require('../../models');
+const signing = require('./signing');
+const destinations = require('./destinations');
+
+const {Op} = models.Sequelize;
+
+/**
+ * The queue of webhook deliveries. Deliveries are stored when events are emitted (see events.js), and posted by this
+ * worker: a delivery whose attempt fails (no response, or a response that isn't 2XX) is attempted again later, with
+ * the delay doubled after every failed attempt, until it runs out of attempts.
+ */
+const MAX_ATTEMPTS = 8;
+
+// The delay before the second attempt. The last attempt is a little over two hours after the first:
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10000;
+const BATCH_SIZE = 20;
+const ERROR_MAX_LENGTH = 255;
+
+let timer = null;
+let clock = () => new Date();
+let runningProcess = null;
+let isWakeRequested = false;
+
+/**
+ * The delay after a failed attempt.
+ * @param attempts - the number of attempts so far
+ * @returns {number} milliseconds
+ */
+function getRetryDelay(attempts) {
+    return BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+}
+
+/**
+ * Post a body. Redirects are not followed, and only public addresses are connected to (see destinations.js).
+ * @param url
+ * @param body
+ * @param headers
+ * @returns {Promise<number>} the status of the response, whatever it is; rejected if there is no response
+ */
+function post(url, body, headers) {
+    const client = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(url, {
+            method: 'POST',
+            lookup: destinations.lookup,
+            headers: Object.assign({'Content-Length': Buffer.byteLength(body)}, headers),
+        }, response => {
+            // The body isn't needed, but it must be read for the connection to be released:
+            response.resume();
+            resolve(response.statusCode);
+        });
+
+        request.setTimeout(REQUEST_TIMEOUT_MS, () => request.destroy(new Error(`Request to ${url} timed out`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Attempt a delivery, and record the result.
+ * @param delivery - with its webhook
+ * @param now - the time of the attempt
+ * @returns {Promise<boolean>} whether it was delivered
+ */
+async function attemptDelivery(delivery, now) {
+    const webhook = delivery.webhook;
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'HWeather-Webhooks',
+        'X-HWeather-Event': delivery.event,
+        'X-HWeather-Delivery': String(delivery.id),
+        [signing.signatureHeader]: signing.makeSignatureHeader(webhook.secret, delivery.payload, now),
+    };
+
+    let responseStatus = null;
+    let error = null;
+    try {
+        // The URL was checked when the webhook was subscribed, but its host may resolve elsewhere by now. A host
+        // that is an address isn't looked up when connecting, so it is checked here:
+        await destinations.checkURL(webhook.url);
+        responseStatus = await post(webhook.url, delivery.payload, headers);
+        if (responseStatus < 200 || responseStatus >= 300) {
+            error = `The response status was ${responseStatus}.`;
+        }
+    } catch (err) {
+        error = err.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const fields = {
+        attempts: attempts,
+        lastAttemptAt: now,
+        responseStatus: responseStatus,
+        lastError: error === null ? null : error.slice(0, ERROR_MAX_LENGTH),
+    };
+    if (error === null) {
+        Object.assign(fields, {status: 'delivered', deliveredAt: now, nextAttemptAt: null});
+    } else if (attempts >= MAX_ATTEMPTS) {
+        Object.assign(fields, {status: 'failed', nextAttemptAt: null});
+    } else {
+        fields.nextAttemptAt = new Date(now.getTime() + getRetryDelay(attempts));
+    }
+    await delivery.update(fields);
+    return error === null;
+}
+
+/**
+ * Attempt every pending delivery that is due, of the webhooks that are active, the oldest first.
+ * @param now - the time of the attempts
+ * @returns {Promise<number>} the number of deliveries that were delivered
+ */
+async function processDueDeliveries(now = new Date()) {
+    let deliveredCount = 0;
+    let deliveries;
+    do {
+        deliveries = await models.WebhookDelivery.findAll({
+            where: {status: 'pending', nextAttemptAt: {[Op.lte]: now}},
+            include: {model: models.Webhook, as: 'webhook', where: {isActive: true}},
+            order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+            limit: BATCH_SIZE,
+        });
+        for (const delivery of deliveries) {
+            if (await attemptDelivery(delivery, now)) {
+                deliveredCount++;
+            }
+        }
+        // Every attempt delivers the delivery or moves its next attempt past now, so this ends:
+    } while (deliveries.length === BATCH_SIZE);
+    return deliveredCount;
+}
+
+/**
+ * Process the due deliveries now, or right after the processing that is running.
+ */
+function runProcess() {
+    if (runningProcess !== null) {
+        isWakeRequested = true;
+        return;
+    }
+    isWakeRequested = false;
+    runningProcess = processDueDeliveries(clock())
+        .catch((err) => console.error(`Error in webhooks(processDueDeliveries):\n\n${err}`))
+        .finally(() => {
+            runningProcess = null;
+            if (isWakeRequested) {
+                runProcess();
+            }
+        });
+}
+
+/**
+ * Process deliveries that were just queued, without waiting for the timer. Does nothing if the worker wasn't started.
+ */
+function wake() {
+    if (timer !== null) {
+        setImmediate(runProcess);
+    }
+}
+
+/**
+ * Attempt a delivery again as soon as possible, whatever its status.
+ * @param delivery
+ * @returns {Promise<void>}
+ */
+async function retry(delivery) {
+    await delivery.update({status: 'pending', nextAttemptAt: clock()});
+    wake();
+}
+
+/**
+ * Process the due deliveries now and then every intervalSeconds, until stop. The timer doesn't keep the process
+ * alive.
+ * @param intervalSeconds
+ * @param newClock - function that returns the current time
+ */
+function start(intervalSeconds, newClock = () => new Date()) {
+    stop();
+    clock = newClock;
+    timer = setInterval(runProcess, intervalSeconds * 1000);
+    timer.unref();
+    runProcess();
+}
+
+function stop() {
+    if (timer !== null) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    maxAttempts: MAX_ATTEMPTS,
+    getRetryDelay: getRetryDelay,
+    processDueDeliveries: processDueDeliveries,
+    wake: wake,
+    retry: retry,
+    start: start,
+    stop: stop,
+};
@@ -0,0 +1,147 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Webhooks are posted from our servers, so their URLs must not reach what only our servers can reach: loopback,
+ * private and link-local addresses (which include the metadata service of cloud hosts), and the other reserved
+ * ranges. The host of a URL is resolved and every address it resolves to is checked, both when a webhook is
+ * subscribed and when it is delivered (see delivery.js) - at delivery, on the connection itself, so that a host
+ * can't resolve to a public address for the check and to a private one for the request.
+ */
+
+/**
+ * Address ranges that webhooks may not be posted to, as [address, prefix length].
+ */
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8],         // "this" network
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, including cloud metadata (169.254.169.254)
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.0.2.0', 24],      // documentation
+    ['192.88.99.0', 24],    // 6to4 relay anycast
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['198.51.100.0', 24],   // documentation
+    ['203.0.113.0', 24],    // documentation
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4],       // reserved, and broadcast
+];
+
+const BLOCKED_IPV6_RANGES = [
+    ['::', 96],             // unspecified, loopback and IPv4-compatible (deprecated)
+    ['64:ff9b:1::', 48],    // local-use NAT64
+    ['100::', 64],          // discard-only
+    ['2001:db8::', 32],     // documentation
+    ['fc00::', 7],          // unique local (private)
+    ['fe80::', 10],         // link-local
+    ['fec0::', 10],         // site-local (deprecated)
+    ['ff00::', 8],          // multicast
+];
+
+// IPv6 ranges that embed an IPv4 address in their last 32 bits: IPv4-mapped and NAT64:
+const IPV4_EMBEDDING_RANGES = [['::ffff:0:0', 96], ['64:ff9b::', 96]];
+
+/**
+ * An address as a BigInt, and its size in bits.
+ * @param address - an IPv4 or IPv6 address
+ * @returns {{value: BigInt, bits: number}}
+ */
+function parseAddress(address) {
+    if (net.isIPv4(address)) {
+        const value = address.split('.').reduce((result, part) => (result << 8n) + BigInt(part), 0n);
+        return {value: value, bits: 32};
+    }
+    // Expand :: into the groups of zeros it stands for, and an embedded IPv4 address into two groups:
+    let groups = address.replace(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/, (match, prefix, ipv4) => {
+        const value = parseAddress(ipv4).value;
+        return `${prefix}${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+    }).split('::');
+    const head = groups[0] === '' ? [] : groups[0].split(':');
+    const tail = groups.length === 1 || groups[1] === '' ? [] : groups[1].split(':');
+    groups = head.concat(Array(8 - head.length - tail.length).fill('0'), tail);
+    const value = groups.reduce((result, group) => (result << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return {value: value, bits: 128};
+}
+
+function isInRange(address, [rangeAddress, prefixLength]) {
+    const range = parseAddress(rangeAddress);
+    const shift = BigInt(address.bits - prefixLength);
+    return address.bits === range.bits && address.value >> shift === range.value >> shift;
+}
+
+/**
+ * Whether an address is public: not in any of the blocked ranges. An IPv6 address that embeds an IPv4 address
+ * (::ffff:a.b.c.d, 64:ff9b::a.b.c.d) is checked as the IPv4 address.
+ * @param address - an IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+    if (!net.isIP(address)) {
+        return false;
+    }
+    // Scoped IPv6 addresses (fe80::1%eth0) are link-local anyway:
+    const parsed = parseAddress(address.replace(/%.*$/, ''));
+    if (IPV4_EMBEDDING_RANGES.some(range => isInRange(parsed, range))) {
+        return isPublicAddress([24n, 16n, 8n, 0n].map(shift => (parsed.value >> shift) & 0xffn).join('.'));
+    }
+    const ranges = parsed.bits === 32 ? BLOCKED_IPV4_RANGES : BLOCKED_IPV6_RANGES;
+    return !ranges.some(range => isInRange(parsed, range));
+}
+
+function makeBlockedAddressError(hostname, address) {
+    const error = new Error(`${hostname} is not a public address (${address}): webhooks can't be sent to local, ` +
+        'private or reserved addresses.');
+    error.code = 'EBLOCKEDADDRESS';
+    return error;
+}
+
+/**
+ * Resolve the host of a URL, and check that every address it resolves to is public.
+ * @param url - an http or https URL
+ * @returns {Promise<void>} rejected if the host can't be resolved or isn't public (then the error has the code
+ *                          EBLOCKEDADDRESS)
+ */
+async function checkURL(url) {
+    // The hostname of an IPv6 URL is in brackets:
+    const hostname = new URL(url).hostname.replace(/^\[(.*)]$/, '$1');
+    const addresses = net.isIP(hostname) ? [{address: hostname}] :
+        await dns.promises.lookup(hostname, {all: true, verbatim: true});
+    for (const {address} of addresses) {
+        if (!isPublicAddress(address)) {
+            throw makeBlockedAddressError(hostname, address);
+        }
+    }
+}
+
+/**
+ * A replacement of dns.lookup for http.request (its lookup option) that fails to resolve hosts that aren't public,
+ * so that the address that is checked is the address that is connected to.
+ * @param hostname
+ * @param options - see dns.lookup
+ * @param callback
+ */
+function lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        // With the all option the addresses come as a list:
+        const addresses = Array.isArray(address) ? address : [{address: address}];
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+        if (blocked) {
+            callback(makeBlockedAddressError(hostname, blocked.address));
+        } else {
+            callback(null, address, family);
+        }
+    });
+}
+
+module.exports = {
+    isPublicAddress: isPublicAddress,
+    checkURL: checkURL,
+    lookup: lookup,
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const models = require('../../models');
+const delivery = require('./delivery');
+
+/**
+ * Events of a user, which are delivered to the user's webhooks that are subscribed to them. Every webhook gets the
+ * same JSON body:
+ *
+ *  {"id": "<uuid of the event>", "event": "location.created", "createdAt": "...", "data": {"location": {...}}}
+ */
+
+/**
+ * Queue a delivery of an event to every active webhook of the user that is subscribed to it. Events are side effects
+ * of what caused them, so this never rejects: a failure is logged, and whatever caused the event goes on.
+ * @param userId
+ * @param event - one of the event types of subscriptions.js
+ * @param data - the objects of the event, for example {location}
+ * @param now
+ * @returns {Promise<number>} the number of deliveries queued
+ */
+async function emit(userId, event, data, now = new Date()) {
+    try {
+        const webhooks = (await models.Webhook.findAll({where: {userId: userId, isActive: true}}))
+            .filter(webhook => webhook.isSubscribedTo(event));
+        if (webhooks.length === 0) {
+            return 0;
+        }
+        const payload = JSON.stringify({
+            id: crypto.randomUUID(),
+            event: event,
+            createdAt: now.toISOString(),
+            data: data,
+        });
+        await models.WebhookDelivery.bulkCreate(webhooks.map(webhook => ({
+            webhookId: webhook.id,
+            event: event,
+            payload: payload,
+            nextAttemptAt: now,
+        })));
+        delivery.wake();
+        return webhooks.length;
+    } catch (err) {
+        console.error(`Error in webhooks(emit) of ${event}:\n\n${err}`);
+        return 0;
+    }
+}
+
+module.exports = {
+    emit: emit,
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+/**
+ * Signatures of webhook deliveries, so that receivers can check that a delivery came from us and wasn't changed or
+ * replayed. Every delivery has the header
+ *
+ *  X-HWeather-Signature: t=1603112400,v1=5257a869e7ecebeda32affa62cdca3fa51cad7e77a0e56ff536d0ce8e108d8bd
+ *
+ * where t is the time of the attempt (Unix seconds) and v1 is the hex HMAC-SHA256, keyed with the secret of the
+ * webhook, of "<t>.<body>". Receivers compute it the same way, and reject deliveries whose t is too old.
+ */
+const SIGNATURE_HEADER = 'X-HWeather-Signature';
+const SECRET_LENGTH = 32;
+
+/**
+ * A new random secret for a webhook.
+ * @returns {string}
+ */
+function createSecret() {
+    return crypto.randomBytes(SECRET_LENGTH).toString('hex');
+}
+
+/**
+ * @param secret - of the webhook
+ * @param timestamp - Unix seconds
+ * @param body - the JSON body of the delivery
+ * @returns {string} the hex HMAC of the timestamp and the body
+ */
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * The value of the signature header of a delivery.
+ * @param secret
+ * @param body
+ * @param now - Date of the attempt
+ * @returns {string}
+ */
+function makeSignatureHeader(secret, body, now) {
+    const timestamp = Math.floor(now.getTime() / 1000);
+    return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+}
+
+module.exports = {
+    signatureHeader: SIGNATURE_HEADER,
+    createSecret: createSecret,
+    sign: sign,
+    makeSignatureHeader: makeSignatureHeader,
+};
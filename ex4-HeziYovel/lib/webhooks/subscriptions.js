@@ -0,0 +1,117 @@
+const models = require('../../models');
+const signing = require('./signing');
+const destinations = require('./destinations');
+
+/**
+ * The webhooks of users: the URL events are posted to, the secret that signs them, and the types of events the
+ * webhook is subscribed to. Used by both the webhooks page and the API.
+ */
+const EVENT_TYPES = ['location.created', 'location.deleted', 'alert.triggered'];
+
+// A user can have this many webhooks:
+const MAX_WEBHOOKS_PER_USER = 10;
+
+const URL_MAX_LENGTH = 2048;
+const SECRET_MIN_LENGTH = 16;
+const SECRET_MAX_LENGTH = 255;
+
+function isEventType(event) {
+    return EVENT_TYPES.includes(event);
+}
+
+function getUrlErrorMessage(url) {
+    if (typeof url !== 'string' || url.length > URL_MAX_LENGTH) {
+        return `url must be an http or https URL of at most ${URL_MAX_LENGTH} characters.`;
+    }
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (err) {
+        return 'url must be an http or https URL.';
+    }
+    return ['http:', 'https:'].includes(parsedUrl.protocol) ? '' : 'url must be an http or https URL.';
+}
+
+/**
+ * The error message of a URL whose host isn't public (see destinations.js), or an empty string if it is.
+ * @param url - a valid URL (see getUrlErrorMessage)
+ * @returns {Promise<string>}
+ */
+async function getDestinationErrorMessage(url) {
+    try {
+        await destinations.checkURL(url);
+        return '';
+    } catch (err) {
+        if (err.code === 'EBLOCKEDADDRESS') {
+            return "url must be a public address: webhooks can't be sent to local, private or reserved addresses.";
+        }
+        return "url's host could not be found.";
+    }
+}
+
+/**
+ * Validate the fields of a webhook. Fields that are left out (undefined) aren't validated, unless isNew, when url and
+ * events are required. A new webhook without a secret gets a random one. The host of the url is resolved, and must
+ * be public.
+ * @param fields - {url, secret, events, isActive}
+ * @param isNew
+ * @returns {Promise<{fields: {}, fieldErrors: {}}>} the valid fields, and the message of every invalid field
+ */
+async function validateWebhook(fields, isNew) {
+    const validFields = {};
+    const fieldErrors = {};
+
+    if (fields.url !== undefined || isNew) {
+        let message = getUrlErrorMessage(fields.url);
+        if (message === '') {
+            message = await getDestinationErrorMessage(fields.url);
+        }
+        if (message !== '') {
+            fieldErrors.url = message;
+        } else {
+            validFields.url = fields.url;
+        }
+    }
+    if (fields.events !== undefined || isNew) {
+        if (!Array.isArray(fields.events) || fields.events.length === 0 || !fields.events.every(isEventType)) {
+            fieldErrors.events = `events must be a list of some of: ${EVENT_TYPES.join(', ')}.`;
+        } else {
+            validFields.events = EVENT_TYPES.filter(event => fields.events.includes(event));
+        }
+    }
+    if (fields.secret !== undefined && fields.secret !== '') {
+        if (typeof fields.secret !== 'string' || fields.secret.length < SECRET_MIN_LENGTH ||
+            fields.secret.length > SECRET_MAX_LENGTH) {
+            fieldErrors.secret = `secret must be ${SECRET_MIN_LENGTH} to ${SECRET_MAX_LENGTH} characters long.`;
+        } else {
+            validFields.secret = fields.secret;
+        }
+    } else if (isNew) {
+        validFields.secret = signing.createSecret();
+    }
+    if (fields.isActive !== undefined) {
+        if (typeof fields.isActive !== 'boolean') {
+            fieldErrors.isActive = 'isActive must be true or false.';
+        } else {
+            validFields.isActive = fields.isActive;
+        }
+    }
+    return {fields: validFields, fieldErrors: fieldErrors};
+}
+
+/**
+ * Whether a user can have another webhook.
+ * @param userId
+ * @returns {Promise<boolean>}
+ */
+async function canCreate(userId) {
+    return await models.Webhook.count({where: {userId: userId}}) < MAX_WEBHOOKS_PER_USER;
+}
+
+module.exports = {
+    eventTypes: EVENT_TYPES,
+    maxWebhooksPerUser: MAX_WEBHOOKS_PER_USER,
+    isEventType: isEventType,
+    validateWebhook: validateWebhook,
+    canCreate: canCreate,
+};
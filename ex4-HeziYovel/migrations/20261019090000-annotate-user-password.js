@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * SQLite changes a column by re-creating the table, and changeColumn re-creates it from a description of its columns
+ * that has no AUTOINCREMENT, after which the ids of deleted users could be given to new users. So the table is
+ * re-created here as it was created (see 20210109155149-create-user.js), with only the password column changed, and
+ * the rows are copied over.
+ *
+ * Dropping the old Users table would violate the foreign keys of Locations, so they are not enforced meanwhile.
+ */
+async function recreateUsers(queryInterface, Sequelize, password) {
+    const isSqlite = queryInterface.sequelize.getDialect() === 'sqlite';
+    if (isSqlite) {
+        await queryInterface.sequelize.query('PRAGMA foreign_keys = OFF');
+    }
+    try {
+        await queryInterface.createTable('Users_new', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            email: {
+                type: Sequelize.STRING,
+                allowNull: false,
+                unique: true,
+            },
+            firstName: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            lastName: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            password: password,
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+        await queryInterface.sequelize.query(
+            'INSERT INTO Users_new (id, email, firstName, lastName, password, createdAt, updatedAt) ' +
+            'SELECT id, email, firstName, lastName, password, createdAt, updatedAt FROM Users');
+        await queryInterface.dropTable('Users');
+        await queryInterface.renameTable('Users_new', 'Users');
+    } finally {
+        if (isSqlite) {
+            await queryInterface.sequelize.query('PRAGMA foreign_keys = ON');
+        }
+    }
+}
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // Hashes are longer than most passwords. Rows created before hashing was introduced keep their plaintext
+        // password until the user's next successful login, which re-hashes it.
+        await recreateUsers(queryInterface, Sequelize, {
+            type: Sequelize.STRING(512),
+            allowNull: false,
+            comment: 'scrypt$N$r$p$salt$hash (legacy rows: plaintext until the next login)',
+        });
+    },
+    down: async (queryInterface, Sequelize) => {
+        await recreateUsers(queryInterface, Sequelize, {
+            type: Sequelize.STRING,
+            allowNull: false,
+        });
+    }
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Location names used to be globally unique, so two users couldn't both save "Home". Names are now unique per user,
+ * and a user's locations are deleted with the user.
+ *
+ * Neither the unique constraint of a column nor a foreign key action can be altered in SQLite, so the table is
+ * re-created and the rows are copied over.
+ */
+async function recreateLocations(queryInterface, Sequelize, scopedToUser) {
+    const isSqlite = queryInterface.sequelize.getDialect() === 'sqlite';
+    if (isSqlite) {
+        await queryInterface.sequelize.query('PRAGMA foreign_keys = OFF');
+    }
+    try {
+        await queryInterface.createTable('Locations_new', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            name: {
+                unique: !scopedToUser,
+                allowNull: false,
+                type: Sequelize.STRING
+            },
+            lat: {
+                allowNull: false,
+                type: Sequelize.FLOAT
+            },
+            lon: {
+                allowNull: false,
+                type: Sequelize.FLOAT
+            },
+            userId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: scopedToUser ? 'CASCADE' : 'NO ACTION',
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+        await queryInterface.sequelize.query(
+            'INSERT INTO Locations_new (id, name, lat, lon, userId, createdAt, updatedAt) ' +
+            'SELECT id, name, lat, lon, userId, createdAt, updatedAt FROM Locations');
+        await queryInterface.dropTable('Locations');
+        await queryInterface.renameTable('Locations_new', 'Locations');
+        if (scopedToUser) {
+            await queryInterface.addIndex('Locations', ['userId', 'name'], {
+                unique: true,
+                name: 'locations_user_id_name',
+            });
+        }
+    } finally {
+        if (isSqlite) {
+            await queryInterface.sequelize.query('PRAGMA foreign_keys = ON');
+        }
+    }
+}
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await recreateLocations(queryInterface, Sequelize, true);
+    },
+    down: async (queryInterface, Sequelize) => {
+        await recreateLocations(queryInterface, Sequelize, false);
+    }
+};
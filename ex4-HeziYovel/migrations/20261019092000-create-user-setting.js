@@ -0,0 +1,44 @@
+'use strict';
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('UserSettings', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            userId: {
+                allowNull: false,
+                unique: true,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            temperatureUnit: {
+                allowNull: false,
+                defaultValue: 'celsius',
+                type: Sequelize.STRING
+            },
+            windUnit: {
+                allowNull: false,
+                defaultValue: 'ms',
+                type: Sequelize.STRING
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('UserSettings');
+    }
+};
@@ -0,0 +1,26 @@
+'use strict';
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('Users', 'verifiedAt', {
+            type: Sequelize.DATE,
+            comment: 'null until the user follows the verification link that was emailed on registration',
+        });
+        // Users who registered before verification was introduced can't be asked to verify anymore:
+        await queryInterface.sequelize.query('UPDATE Users SET verifiedAt = createdAt');
+    },
+    down: async (queryInterface, Sequelize) => {
+        // SQLite removes a column by re-creating the table, which would violate the foreign keys that reference
+        // Users:
+        const isSqlite = queryInterface.sequelize.getDialect() === 'sqlite';
+        if (isSqlite) {
+            await queryInterface.sequelize.query('PRAGMA foreign_keys = OFF');
+        }
+        try {
+            await queryInterface.removeColumn('Users', 'verifiedAt');
+        } finally {
+            if (isSqlite) {
+                await queryInterface.sequelize.query('PRAGMA foreign_keys = ON');
+            }
+        }
+    }
+};
@@ -0,0 +1,46 @@
+'use strict';
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('EmailVerificationTokens', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            userId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            tokenHash: {
+                allowNull: false,
+                unique: true,
+                type: Sequelize.STRING,
+                comment: 'sha256 of the token, the token itself is only sent to the user',
+            },
+            expiresAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            usedAt: {
+                type: Sequelize.DATE
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('EmailVerificationTokens');
+    }
+};
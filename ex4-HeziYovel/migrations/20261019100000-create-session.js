@@ -0,0 +1,48 @@
+'use strict';
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // The session store used to create its own Session table. The sessions in it are dropped, so everybody has to
+        // sign in again once:
+        await queryInterface.dropTable('Session');
+        await queryInterface.createTable('Sessions', {
+            sid: {
+                allowNull: false,
+                primaryKey: true,
+                type: Sequelize.STRING(36)
+            },
+            expires: {
+                type: Sequelize.DATE
+            },
+            data: {
+                type: Sequelize.TEXT
+            },
+            userId: {
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+                comment: 'null while nobody is signed in with the session',
+            },
+            userAgent: {
+                type: Sequelize.STRING
+            },
+            ip: {
+                type: Sequelize.STRING
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+        await queryInterface.addIndex('Sessions', ['userId']);
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('Sessions');
+    }
+};
@@ -0,0 +1,57 @@
+'use strict';
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('ApiTokens', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            userId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            name: {
+                allowNull: false,
+                type: Sequelize.STRING
+            },
+            scope: {
+                allowNull: false,
+                defaultValue: 'read',
+                type: Sequelize.STRING,
+                comment: 'read or read-write',
+            },
+            tokenHash: {
+                allowNull: false,
+                unique: true,
+                type: Sequelize.STRING,
+                comment: 'sha256 of the token, the token itself is only shown to the user when it is created',
+            },
+            prefix: {
+                allowNull: false,
+                type: Sequelize.STRING,
+                comment: 'the start of the token, to tell tokens apart',
+            },
+            lastUsedAt: {
+                type: Sequelize.DATE
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('ApiTokens');
+    }
+};
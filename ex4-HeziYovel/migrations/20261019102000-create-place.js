@@ -0,0 +1,45 @@
+'use strict';
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('Places', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            name: {
+                allowNull: false,
+                type: Sequelize.STRING
+            },
+            searchName: {
+                allowNull: false,
+                type: Sequelize.STRING,
+                comment: 'the name in lower case ASCII letters, for searching (see lib/geocoding.js)',
+            },
+            country: {
+                allowNull: false,
+                type: Sequelize.STRING(2),
+                comment: 'ISO 3166-1 alpha-2 country code',
+            },
+            lat: {
+                allowNull: false,
+                type: Sequelize.FLOAT
+            },
+            lon: {
+                allowNull: false,
+                type: Sequelize.FLOAT
+            },
+            population: {
+                allowNull: false,
+                defaultValue: 0,
+                type: Sequelize.INTEGER
+            }
+        });
+        await queryInterface.addIndex('Places', ['searchName']);
+        await queryInterface.addIndex('Places', ['lat', 'lon']);
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('Places');
+    }
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Named groups of a user's locations ("Field sites", "Family"). A location is in at most one group, and is left
+ * ungrouped when its group is deleted.
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('LocationGroups', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            userId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            name: {
+                allowNull: false,
+                type: Sequelize.STRING
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+        await queryInterface.addIndex('LocationGroups', ['userId', 'name'], {
+            unique: true,
+            name: 'location_groups_user_id_name',
+        });
+        await queryInterface.addColumn('Locations', 'groupId', {
+            type: Sequelize.INTEGER,
+            references: {
+                model: 'LocationGroups',
+                key: 'id',
+            },
+            onDelete: 'SET NULL',
+        });
+    },
+    down: async (queryInterface, Sequelize) => {
+        // SQLite removes a column by re-creating the table, and removeColumn would re-create it with every column of
+        // the (userId, name) index unique on its own. So the table is re-created here, as it was before the up:
+        const isSqlite = queryInterface.sequelize.getDialect() === 'sqlite';
+        if (isSqlite) {
+            await queryInterface.sequelize.query('PRAGMA foreign_keys = OFF');
+        }
+        try {
+            await queryInterface.createTable('Locations_new', {
+                id: {
+                    allowNull: false,
+                    autoIncrement: true,
+                    primaryKey: true,
+                    type: Sequelize.INTEGER
+                },
+                name: {
+                    allowNull: false,
+                    type: Sequelize.STRING
+                },
+                lat: {
+                    allowNull: false,
+                    type: Sequelize.FLOAT
+                },
+                lon: {
+                    allowNull: false,
+                    type: Sequelize.FLOAT
+                },
+                userId: {
+                    allowNull: false,
+                    type: Sequelize.INTEGER,
+                    references: {
+                        model: 'Users',
+                        key: 'id',
+                    },
+                    onDelete: 'CASCADE',
+                },
+                createdAt: {
+                    allowNull: false,
+                    type: Sequelize.DATE
+                },
+                updatedAt: {
+                    allowNull: false,
+                    type: Sequelize.DATE
+                }
+            });
+            await queryInterface.sequelize.query(
+                'INSERT INTO Locations_new (id, name, lat, lon, userId, createdAt, updatedAt) ' +
+                'SELECT id, name, lat, lon, userId, createdAt, updatedAt FROM Locations');
+            await queryInterface.dropTable('Locations');
+            await queryInterface.renameTable('Locations_new', 'Locations');
+            await queryInterface.addIndex('Locations', ['userId', 'name'], {
+                unique: true,
+                name: 'locations_user_id_name',
+            });
+        } finally {
+            if (isSqlite) {
+                await queryInterface.sequelize.query('PRAGMA foreign_keys = ON');
+            }
+        }
+        await queryInterface.dropTable('LocationGroups');
+    }
+};
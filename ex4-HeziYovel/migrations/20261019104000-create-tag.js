@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Free-form tags of a user's locations. A location may have any number of tags, and a tag any number of locations
+ * (through LocationTags).
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('Tags', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            userId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            name: {
+                allowNull: false,
+                type: Sequelize.STRING,
+                comment: 'lower case, so that tags that differ only in case are the same tag',
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+        await queryInterface.addIndex('Tags', ['userId', 'name'], {
+            unique: true,
+            name: 'tags_user_id_name',
+        });
+        await queryInterface.createTable('LocationTags', {
+            locationId: {
+                allowNull: false,
+                primaryKey: true,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Locations',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            tagId: {
+                allowNull: false,
+                primaryKey: true,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Tags',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('LocationTags');
+        await queryInterface.dropTable('Tags');
+    }
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * The order of a user's locations is theirs to choose: locations are listed by position, with the favorites first.
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('Locations', 'position', {
+            allowNull: false,
+            defaultValue: 0,
+            type: Sequelize.INTEGER,
+            comment: 'the order of the location in the list of its user, from 0',
+        });
+        await queryInterface.addColumn('Locations', 'isFavorite', {
+            allowNull: false,
+            defaultValue: false,
+            type: Sequelize.BOOLEAN,
+        });
+        // Keep the order the locations were listed in until now, which was the order they were saved in:
+        await queryInterface.sequelize.query(
+            'UPDATE Locations SET position = (SELECT COUNT(*) FROM Locations AS earlier ' +
+            'WHERE earlier.userId = Locations.userId AND earlier.id < Locations.id)');
+    },
+    down: async (queryInterface, Sequelize) => {
+        // removeColumn would re-create the table with every column of the (userId, name) index unique on its own
+        // (see 20261019103000-create-location-group.js), so the table is re-created here:
+        const isSqlite = queryInterface.sequelize.getDialect() === 'sqlite';
+        if (isSqlite) {
+            await queryInterface.sequelize.query('PRAGMA foreign_keys = OFF');
+        }
+        try {
+            await queryInterface.createTable('Locations_new', {
+                id: {
+                    allowNull: false,
+                    autoIncrement: true,
+                    primaryKey: true,
+                    type: Sequelize.INTEGER
+                },
+                name: {
+                    allowNull: false,
+                    type: Sequelize.STRING
+                },
+                lat: {
+                    allowNull: false,
+                    type: Sequelize.FLOAT
+                },
+                lon: {
+                    allowNull: false,
+                    type: Sequelize.FLOAT
+                },
+                userId: {
+                    allowNull: false,
+                    type: Sequelize.INTEGER,
+                    references: {
+                        model: 'Users',
+                        key: 'id',
+                    },
+                    onDelete: 'CASCADE',
+                },
+                createdAt: {
+                    allowNull: false,
+                    type: Sequelize.DATE
+                },
+                updatedAt: {
+                    allowNull: false,
+                    type: Sequelize.DATE
+                },
+                groupId: {
+                    type: Sequelize.INTEGER,
+                    references: {
+                        model: 'LocationGroups',
+                        key: 'id',
+                    },
+                    onDelete: 'SET NULL',
+                }
+            });
+            await queryInterface.sequelize.query(
+                'INSERT INTO Locations_new (id, name, lat, lon, userId, createdAt, updatedAt, groupId) ' +
+                'SELECT id, name, lat, lon, userId, createdAt, updatedAt, groupId FROM Locations');
+            await queryInterface.dropTable('Locations');
+            await queryInterface.renameTable('Locations_new', 'Locations');
+            await queryInterface.addIndex('Locations', ['userId', 'name'], {
+                unique: true,
+                name: 'locations_user_id_name',
+            });
+        } finally {
+            if (isSqlite) {
+                await queryInterface.sequelize.query('PRAGMA foreign_keys = ON');
+            }
+        }
+    }
+};
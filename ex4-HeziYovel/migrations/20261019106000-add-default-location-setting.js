@@ -0,0 +1,17 @@
+'use strict';
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('UserSettings', 'defaultLocationId', {
+            type: Sequelize.INTEGER,
+            references: {
+                model: 'Locations',
+                key: 'id',
+            },
+            onDelete: 'SET NULL',
+            comment: 'the location that is selected when the home page is loaded, null for none',
+        });
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.removeColumn('UserSettings', 'defaultLocationId');
+    }
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Alert rules of saved locations ("max temperature above 35°C tomorrow"), and the alerts the scheduler records when
+ * the forecast of a location meets one of its rules (see lib/alerts). An alert is kept when its rule or location is
+ * deleted, so that the inbox doesn't lose its history, and a rule alerts at most once for a date of the forecast.
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('AlertRules', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            userId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            locationId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Locations',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            condition: {
+                allowNull: false,
+                type: Sequelize.STRING,
+                comment: 'a condition of lib/alerts/rules.js',
+            },
+            threshold: {
+                type: Sequelize.FLOAT,
+                comment: 'degrees Celsius or a wind class, depending on the condition; null if it has none',
+            },
+            dayOffset: {
+                type: Sequelize.INTEGER,
+                comment: 'the day of the forecast the rule is about, 0 is today; null for any day',
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+        await queryInterface.createTable('Alerts', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            userId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            ruleId: {
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'AlertRules',
+                    key: 'id',
+                },
+                onDelete: 'SET NULL',
+            },
+            locationId: {
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Locations',
+                    key: 'id',
+                },
+                onDelete: 'SET NULL',
+            },
+            forecastDate: {
+                allowNull: false,
+                type: Sequelize.STRING,
+                comment: 'the local date of the location that met the rule, YYYY-MM-DD',
+            },
+            message: {
+                allowNull: false,
+                type: Sequelize.STRING
+            },
+            readAt: {
+                type: Sequelize.DATE
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+        await queryInterface.addIndex('Alerts', ['ruleId', 'forecastDate'], {
+            unique: true,
+            name: 'alerts_rule_id_forecast_date',
+        });
+        await queryInterface.addIndex('Alerts', ['userId', 'readAt'], {
+            name: 'alerts_user_id_read_at',
+        });
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('Alerts');
+        await queryInterface.dropTable('AlertRules');
+    }
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Webhooks: URLs of other tools that events of a user (a location was created, an alert was triggered) are posted to,
+ * and the queue of deliveries of the events, which are retried until they succeed or run out of attempts (see
+ * lib/webhooks).
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('Webhooks', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            userId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            url: {
+                allowNull: false,
+                type: Sequelize.STRING(2048)
+            },
+            secret: {
+                allowNull: false,
+                type: Sequelize.STRING,
+                comment: 'signs the deliveries, so it is kept as is and not hashed',
+            },
+            events: {
+                allowNull: false,
+                type: Sequelize.STRING,
+                comment: 'comma separated event types',
+            },
+            isActive: {
+                allowNull: false,
+                type: Sequelize.BOOLEAN,
+                defaultValue: true,
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+        await queryInterface.createTable('WebhookDeliveries', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            webhookId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Webhooks',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            event: {
+                allowNull: false,
+                type: Sequelize.STRING
+            },
+            payload: {
+                allowNull: false,
+                type: Sequelize.TEXT,
+                comment: 'the JSON body that is posted',
+            },
+            status: {
+                allowNull: false,
+                type: Sequelize.STRING,
+                defaultValue: 'pending',
+                comment: 'pending, delivered or failed (no attempts left)',
+            },
+            attempts: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                defaultValue: 0,
+            },
+            nextAttemptAt: {
+                type: Sequelize.DATE,
+                comment: 'null once the delivery is delivered or failed',
+            },
+            lastAttemptAt: {
+                type: Sequelize.DATE
+            },
+            responseStatus: {
+                type: Sequelize.INTEGER,
+                comment: 'the HTTP status of the last attempt, null if there was no response',
+            },
+            lastError: {
+                type: Sequelize.STRING
+            },
+            deliveredAt: {
+                type: Sequelize.DATE
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+        await queryInterface.addIndex('WebhookDeliveries', ['status', 'nextAttemptAt'], {
+            name: 'webhook_deliveries_status_next_attempt_at',
+        });
+        await queryInterface.addIndex('WebhookDeliveries', ['webhookId', 'createdAt'], {
+            name: 'webhook_deliveries_webhook_id_created_at',
+        });
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('WebhookDeliveries');
+        await queryInterface.dropTable('Webhooks');
+    }
+};
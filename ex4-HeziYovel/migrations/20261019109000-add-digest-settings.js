@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * The daily forecast email (see lib/digest): users opt in, and choose when it is sent and which locations it covers.
+ * Every email has a link that unsubscribes without signing in, with a token whose hash is stored here.
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('UserSettings', 'digestEnabled', {
+            allowNull: false,
+            defaultValue: false,
+            type: Sequelize.BOOLEAN,
+        });
+        await queryInterface.addColumn('UserSettings', 'digestTime', {
+            allowNull: false,
+            defaultValue: '07:00',
+            type: Sequelize.STRING(5),
+            comment: 'HH:MM, the local time in digestTimezone that the digest is sent at',
+        });
+        await queryInterface.addColumn('UserSettings', 'digestTimezone', {
+            allowNull: false,
+            defaultValue: 'UTC',
+            type: Sequelize.STRING,
+            comment: 'an IANA time zone, for example Asia/Jerusalem',
+        });
+        await queryInterface.addColumn('UserSettings', 'digestScope', {
+            allowNull: false,
+            defaultValue: 'favorites',
+            type: Sequelize.STRING,
+            comment: 'favorites or all, the locations the digest covers',
+        });
+        await queryInterface.addColumn('UserSettings', 'digestLastSentOn', {
+            type: Sequelize.STRING(10),
+            comment: 'YYYY-MM-DD in digestTimezone, so that the digest is sent once a day',
+        });
+
+        await queryInterface.createTable('DigestUnsubscribeTokens', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            userId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Users',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            tokenHash: {
+                allowNull: false,
+                unique: true,
+                type: Sequelize.STRING,
+                comment: 'sha256 of the token, the token itself is only sent to the user',
+            },
+            expiresAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('DigestUnsubscribeTokens');
+        for (const column of ['digestLastSentOn', 'digestScope', 'digestTimezone', 'digestTime', 'digestEnabled']) {
+            await queryInterface.removeColumn('UserSettings', column);
+        }
+    }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * The archive of forecasts: the daily forecast of a saved location, every time it is fetched from the weather service
+ * (see lib/weather/snapshots.js), so that users can see what the forecast of a day said before it came.
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('ForecastSnapshots', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            locationId: {
+                allowNull: false,
+                type: Sequelize.INTEGER,
+                references: {
+                    model: 'Locations',
+                    key: 'id',
+                },
+                onDelete: 'CASCADE',
+            },
+            provider: {
+                allowNull: false,
+                type: Sequelize.STRING
+            },
+            fetchedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            firstDate: {
+                allowNull: false,
+                type: Sequelize.STRING(10),
+                comment: 'YYYY-MM-DD, the first day of the forecast',
+            },
+            lastDate: {
+                allowNull: false,
+                type: Sequelize.STRING(10),
+                comment: 'YYYY-MM-DD, the last day of the forecast',
+            },
+            days: {
+                allowNull: false,
+                type: Sequelize.TEXT,
+                comment: 'JSON, the daily forecast normalized (see lib/weather/schema.js)',
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+        await queryInterface.addIndex('ForecastSnapshots', ['locationId', 'fetchedAt']);
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('ForecastSnapshots');
+    }
+};
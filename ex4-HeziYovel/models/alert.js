@@ -0,0 +1,31 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Alert extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Alert.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      Alert.belongsTo(models.AlertRule, {foreignKey: 'ruleId', as: 'rule', onDelete: 'SET NULL'});
+      Alert.belongsTo(models.Location, {foreignKey: 'locationId', as: 'location', onDelete: 'SET NULL'});
+    }
+  };
+  Alert.init({
+    userId: DataTypes.INTEGER,
+    ruleId: DataTypes.INTEGER,
+    locationId: DataTypes.INTEGER,
+    forecastDate: DataTypes.STRING,
+    message: DataTypes.STRING,
+    readAt: {type: DataTypes.DATE, defaultValue: null}
+  }, {
+    sequelize,
+    modelName: 'Alert',
+    indexes: [{unique: true, fields: ['ruleId', 'forecastDate']}],
+  });
+  return Alert;
+};
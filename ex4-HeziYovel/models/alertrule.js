@@ -0,0 +1,29 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class AlertRule extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      AlertRule.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      AlertRule.belongsTo(models.Location, {foreignKey: 'locationId', as: 'location', onDelete: 'CASCADE'});
+      AlertRule.hasMany(models.Alert, {foreignKey: 'ruleId', as: 'alerts', onDelete: 'SET NULL'});
+    }
+  };
+  AlertRule.init({
+    userId: DataTypes.INTEGER,
+    locationId: DataTypes.INTEGER,
+    condition: DataTypes.STRING,
+    threshold: {type: DataTypes.FLOAT, defaultValue: null},
+    dayOffset: {type: DataTypes.INTEGER, defaultValue: null}
+  }, {
+    sequelize,
+    modelName: 'AlertRule',
+  });
+  return AlertRule;
+};
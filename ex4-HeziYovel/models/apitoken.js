@@ -0,0 +1,37 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class ApiToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      ApiToken.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+    }
+
+    /**
+     * Read-only tokens may only be used for requests that don't change anything.
+     * @param method - HTTP method
+     * @returns {boolean}
+     */
+    allows(method) {
+      return this.scope === 'read-write' || ['GET', 'HEAD', 'OPTIONS'].includes(method);
+    }
+  };
+  ApiToken.init({
+    userId: DataTypes.INTEGER,
+    name: DataTypes.STRING,
+    scope: {type: DataTypes.STRING, defaultValue: 'read'},
+    tokenHash: DataTypes.STRING,
+    prefix: DataTypes.STRING,
+    lastUsedAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'ApiToken',
+  });
+  return ApiToken;
+};
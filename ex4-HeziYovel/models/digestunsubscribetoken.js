@@ -0,0 +1,33 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class DigestUnsubscribeToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      DigestUnsubscribeToken.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+    }
+
+    /**
+     * Unsubscribing twice does no harm, so a token can be used until it expires.
+     * @returns {boolean}
+     */
+    isUsable() {
+      return this.expiresAt > new Date();
+    }
+  };
+  DigestUnsubscribeToken.init({
+    userId: DataTypes.INTEGER,
+    tokenHash: DataTypes.STRING,
+    expiresAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'DigestUnsubscribeToken',
+  });
+  return DigestUnsubscribeToken;
+};
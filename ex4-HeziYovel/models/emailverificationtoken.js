@@ -0,0 +1,34 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class EmailVerificationToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      EmailVerificationToken.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+    }
+
+    /**
+     * A token can be used once, before it expires.
+     * @returns {boolean}
+     */
+    isUsable() {
+      return this.usedAt === null && this.expiresAt > new Date();
+    }
+  };
+  EmailVerificationToken.init({
+    userId: DataTypes.INTEGER,
+    tokenHash: DataTypes.STRING,
+    expiresAt: DataTypes.DATE,
+    usedAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'EmailVerificationToken',
+  });
+  return EmailVerificationToken;
+};
@@ -0,0 +1,48 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class ForecastSnapshot extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      ForecastSnapshot.belongsTo(models.Location, {foreignKey: 'locationId', as: 'location', onDelete: 'CASCADE'});
+    }
+
+    /**
+     * The forecast of one of the days of the snapshot.
+     * @param date - YYYY-MM-DD
+     * @returns {{}|null} null if the snapshot doesn't have the day
+     */
+    getDay(date) {
+      return this.days.find(day => day.date === date) || null;
+    }
+  };
+  ForecastSnapshot.init({
+    locationId: DataTypes.INTEGER,
+    provider: DataTypes.STRING,
+    fetchedAt: DataTypes.DATE,
+    firstDate: DataTypes.STRING(10),
+    lastDate: DataTypes.STRING(10),
+    // The daily forecast, stored as JSON:
+    days: {
+      type: DataTypes.TEXT,
+      get() {
+        const days = this.getDataValue('days');
+        return days ? JSON.parse(days) : [];
+      },
+      set(days) {
+        this.setDataValue('days', JSON.stringify(days));
+      },
+    }
+  }, {
+    sequelize,
+    modelName: 'ForecastSnapshot',
+    indexes: [{fields: ['locationId', 'fetchedAt']}],
+  });
+  return ForecastSnapshot;
+};
@@ -4,15 +4,16 @@ const fs = require('fs');
 const path = require('path');
 const Sequelize = require('sequelize');
 const basename = path.basename(__filename);
-const env = process.env.NODE_ENV || 'development';
-const config = require(__dirname + '/../config/config.json')[env];
+const config = require('../config').database;
 const db = {};
 
+// The one Sequelize instance of the app (the session store uses it too):
 let sequelize;
-if (config.use_env_variable) {
-    sequelize = new Sequelize(process.env[config.use_env_variable], config);
+if (config.url) {
+    sequelize = new Sequelize(config.url, config.options);
 } else {
-    sequelize = new Sequelize(config.database, config.username, config.password, config);
+    sequelize = new Sequelize(config.options.database, config.options.username, config.options.password,
+        config.options);
 }
 
 fs
@@ -10,17 +10,43 @@ module.exports = (sequelize, DataTypes) => {
      * The `models/index` file will call this method automatically.
      */
     static associate(models) {
-      // define association here
+      Location.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      Location.belongsTo(models.LocationGroup, {foreignKey: 'groupId', as: 'group', onDelete: 'SET NULL'});
+      Location.belongsToMany(models.Tag, {
+        through: models.LocationTag,
+        foreignKey: 'locationId',
+        otherKey: 'tagId',
+        as: 'tags',
+      });
+      Location.hasMany(models.AlertRule, {foreignKey: 'locationId', as: 'alertRules', onDelete: 'CASCADE'});
+      Location.hasMany(models.ForecastSnapshot, {foreignKey: 'locationId', as: 'forecastSnapshots',
+        onDelete: 'CASCADE'});
+    }
+
+    /**
+     * Tags are listed by name, when they were loaded (include: {model: Tag, as: 'tags'}).
+     */
+    toJSON() {
+      const json = super.toJSON();
+      if (Array.isArray(json.tags)) {
+        json.tags = json.tags.map(tag => tag.name).sort();
+      }
+      return json;
     }
   };
   Location.init({
     name: DataTypes.STRING,
     lat: DataTypes.FLOAT,
     lon: DataTypes.FLOAT,
-    userId: DataTypes.INTEGER
+    userId: DataTypes.INTEGER,
+    groupId: DataTypes.INTEGER,
+    position: {type: DataTypes.INTEGER, defaultValue: 0},
+    isFavorite: {type: DataTypes.BOOLEAN, defaultValue: false}
   }, {
     sequelize,
     modelName: 'Location',
+    // Names are unique per user, not globally:
+    indexes: [{unique: true, fields: ['userId', 'name']}],
   });
   return Location;
 };
\ No newline at end of file
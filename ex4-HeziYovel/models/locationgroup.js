@@ -0,0 +1,26 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class LocationGroup extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      LocationGroup.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      LocationGroup.hasMany(models.Location, {foreignKey: 'groupId', as: 'locations', onDelete: 'SET NULL'});
+    }
+  };
+  LocationGroup.init({
+    userId: DataTypes.INTEGER,
+    name: DataTypes.STRING
+  }, {
+    sequelize,
+    modelName: 'LocationGroup',
+    indexes: [{unique: true, fields: ['userId', 'name']}],
+  });
+  return LocationGroup;
+};
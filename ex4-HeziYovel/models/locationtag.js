@@ -0,0 +1,25 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class LocationTag extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      LocationTag.belongsTo(models.Location, {foreignKey: 'locationId', onDelete: 'CASCADE'});
+      LocationTag.belongsTo(models.Tag, {foreignKey: 'tagId', onDelete: 'CASCADE'});
+    }
+  };
+  LocationTag.init({
+    locationId: {type: DataTypes.INTEGER, primaryKey: true},
+    tagId: {type: DataTypes.INTEGER, primaryKey: true}
+  }, {
+    sequelize,
+    modelName: 'LocationTag',
+  });
+  return LocationTag;
+};
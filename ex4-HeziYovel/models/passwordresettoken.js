@@ -0,0 +1,34 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class PasswordResetToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      PasswordResetToken.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+    }
+
+    /**
+     * A token can be used once, before it expires.
+     * @returns {boolean}
+     */
+    isUsable() {
+      return this.usedAt === null && this.expiresAt > new Date();
+    }
+  };
+  PasswordResetToken.init({
+    userId: DataTypes.INTEGER,
+    tokenHash: DataTypes.STRING,
+    expiresAt: DataTypes.DATE,
+    usedAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'PasswordResetToken',
+  });
+  return PasswordResetToken;
+};
@@ -0,0 +1,37 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * A place of the gazetteer, for geocoding. The places are loaded by the places seeder and never change, so they have
+   * no timestamps.
+   */
+  class Place extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+
+    toPlace() {
+      return {name: this.name, country: this.country, lat: this.lat, lon: this.lon, population: this.population};
+    }
+  };
+  Place.init({
+    name: DataTypes.STRING,
+    searchName: DataTypes.STRING,
+    country: DataTypes.STRING(2),
+    lat: DataTypes.FLOAT,
+    lon: DataTypes.FLOAT,
+    population: {type: DataTypes.INTEGER, defaultValue: 0}
+  }, {
+    sequelize,
+    modelName: 'Place',
+    timestamps: false,
+  });
+  return Place;
+};
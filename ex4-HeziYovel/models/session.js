@@ -0,0 +1,38 @@
+'use strict';
+const crypto = require('crypto');
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Session extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Session.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+    }
+
+    /**
+     * The sid is what the session cookie holds, so it is never shown. Sessions are identified in pages by a hash of
+     * it instead.
+     * @returns {string}
+     */
+    getPublicId() {
+      return crypto.createHash('sha256').update(this.sid).digest('hex').slice(0, 32);
+    }
+  };
+  Session.init({
+    sid: {type: DataTypes.STRING(36), primaryKey: true},
+    expires: DataTypes.DATE,
+    data: DataTypes.TEXT,
+    userId: DataTypes.INTEGER,
+    userAgent: DataTypes.STRING,
+    ip: DataTypes.STRING
+  }, {
+    sequelize,
+    modelName: 'Session',
+  });
+  return Session;
+};
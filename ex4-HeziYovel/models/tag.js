@@ -0,0 +1,31 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Tag extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Tag.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      Tag.belongsToMany(models.Location, {
+        through: models.LocationTag,
+        foreignKey: 'tagId',
+        otherKey: 'locationId',
+        as: 'locations',
+      });
+    }
+  };
+  Tag.init({
+    userId: DataTypes.INTEGER,
+    name: DataTypes.STRING
+  }, {
+    sequelize,
+    modelName: 'Tag',
+    indexes: [{unique: true, fields: ['userId', 'name']}],
+  });
+  return Tag;
+};
@@ -2,6 +2,7 @@
 const {
   Model
 } = require('sequelize');
+const passwords = require('../lib/passwords');
 module.exports = (sequelize, DataTypes) => {
   class User extends Model {
     /**
@@ -10,17 +11,45 @@ module.exports = (sequelize, DataTypes) => {
      * The `models/index` file will call this method automatically.
      */
     static associate(models) {
-      // define association here
+      User.hasMany(models.Location, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasMany(models.LocationGroup, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasMany(models.Tag, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasMany(models.AlertRule, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasMany(models.Alert, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasMany(models.Webhook, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasOne(models.UserSetting, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasMany(models.PasswordResetToken, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasMany(models.EmailVerificationToken, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasMany(models.DigestUnsubscribeToken, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasMany(models.Session, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      User.hasMany(models.ApiToken, {foreignKey: 'userId', onDelete: 'CASCADE'});
+    }
+
+    /**
+     * New users can't sign in until they follow the link that was emailed to them.
+     * @returns {boolean}
+     */
+    isVerified() {
+      return this.verifiedAt !== null && this.verifiedAt !== undefined;
     }
   };
   User.init({
     email: DataTypes.STRING,
     firstName: DataTypes.STRING,
     lastName: DataTypes.STRING,
-    password: DataTypes.STRING
+    password: DataTypes.STRING,
+    verifiedAt: DataTypes.DATE
   }, {
     sequelize,
     modelName: 'User',
+    hooks: {
+      // Callers always assign the plaintext password - it is hashed here so that it is never persisted:
+      beforeSave: async (user) => {
+        if (user.changed('password')) {
+          user.password = await passwords.hash(user.password);
+        }
+      },
+    },
   });
   return User;
 };
\ No newline at end of file
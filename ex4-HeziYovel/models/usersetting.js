@@ -0,0 +1,61 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class UserSetting extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      UserSetting.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      UserSetting.belongsTo(models.Location, {foreignKey: 'defaultLocationId', as: 'defaultLocation',
+        onDelete: 'SET NULL'});
+    }
+
+    /**
+     * The settings of a user. A user who never changed the settings has no row, so an unsaved one with the
+     * default values is returned.
+     * @param userId
+     * @returns {Promise<UserSetting>}
+     */
+    static async findForUser(userId) {
+      const setting = await UserSetting.findOne({where: {userId: userId}});
+      return setting || UserSetting.build({userId: userId});
+    }
+
+    /**
+     * The preferences only, as exposed by the API (digestLastSentOn is the digest's bookkeeping).
+     * @returns {{temperatureUnit: string, windUnit: string, defaultLocationId: number|null, digestEnabled: boolean,
+     *     digestTime: string, digestTimezone: string, digestScope: string}}
+     */
+    toSettings() {
+      return {
+        temperatureUnit: this.temperatureUnit,
+        windUnit: this.windUnit,
+        defaultLocationId: this.defaultLocationId,
+        digestEnabled: this.digestEnabled,
+        digestTime: this.digestTime,
+        digestTimezone: this.digestTimezone,
+        digestScope: this.digestScope,
+      };
+    }
+  };
+  UserSetting.init({
+    userId: DataTypes.INTEGER,
+    temperatureUnit: {type: DataTypes.STRING, defaultValue: 'celsius'},
+    windUnit: {type: DataTypes.STRING, defaultValue: 'ms'},
+    defaultLocationId: {type: DataTypes.INTEGER, defaultValue: null},
+    digestEnabled: {type: DataTypes.BOOLEAN, defaultValue: false},
+    digestTime: {type: DataTypes.STRING, defaultValue: '07:00'},
+    digestTimezone: {type: DataTypes.STRING, defaultValue: 'UTC'},
+    digestScope: {type: DataTypes.STRING, defaultValue: 'favorites'},
+    digestLastSentOn: {type: DataTypes.STRING, defaultValue: null}
+  }, {
+    sequelize,
+    modelName: 'UserSetting',
+  });
+  return UserSetting;
+};
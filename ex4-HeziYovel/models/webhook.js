@@ -0,0 +1,56 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Webhook extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Webhook.belongsTo(models.User, {foreignKey: 'userId', onDelete: 'CASCADE'});
+      Webhook.hasMany(models.WebhookDelivery, {foreignKey: 'webhookId', as: 'deliveries', onDelete: 'CASCADE'});
+    }
+
+    /**
+     * Whether the webhook is subscribed to an event type.
+     * @param event
+     * @returns {boolean}
+     */
+    isSubscribedTo(event) {
+      return this.events.includes(event);
+    }
+
+    /**
+     * The secret is only shown when the webhook is created.
+     */
+    toJSON() {
+      const json = Object.assign({}, this.get());
+      delete json.secret;
+      return json;
+    }
+  };
+  Webhook.init({
+    userId: DataTypes.INTEGER,
+    url: DataTypes.STRING(2048),
+    secret: DataTypes.STRING,
+    // Event types, stored comma separated:
+    events: {
+      type: DataTypes.STRING,
+      get() {
+        const events = this.getDataValue('events');
+        return events ? events.split(',') : [];
+      },
+      set(events) {
+        this.setDataValue('events', events.join(','));
+      },
+    },
+    isActive: {type: DataTypes.BOOLEAN, defaultValue: true}
+  }, {
+    sequelize,
+    modelName: 'Webhook',
+  });
+  return Webhook;
+};
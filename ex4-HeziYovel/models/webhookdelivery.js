@@ -0,0 +1,32 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class WebhookDelivery extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      WebhookDelivery.belongsTo(models.Webhook, {foreignKey: 'webhookId', as: 'webhook', onDelete: 'CASCADE'});
+    }
+  };
+  WebhookDelivery.init({
+    webhookId: DataTypes.INTEGER,
+    event: DataTypes.STRING,
+    payload: DataTypes.TEXT,
+    status: {type: DataTypes.STRING, defaultValue: 'pending'},
+    attempts: {type: DataTypes.INTEGER, defaultValue: 0},
+    nextAttemptAt: DataTypes.DATE,
+    lastAttemptAt: DataTypes.DATE,
+    responseStatus: DataTypes.INTEGER,
+    lastError: DataTypes.STRING,
+    deliveredAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'WebhookDelivery',
+  });
+  return WebhookDelivery;
+};
@@ -266,18 +266,25 @@
         }
     }
 
-    function switchToRegisterForm(event) {
+    /**
+     * Show the form with id formId instead of the login form.
+     * @param event
+     * @param formId
+     */
+    function switchFromLoginForm(event, formId) {
         const loginForm = domAccess.getElementById('loginform');
-        const registerForm = domAccess.getElementById('registerform');
+        const otherForm = domAccess.getElementById(formId);
 
         loginForm.classList.toggle('d-none');
-        registerForm.classList.toggle('d-none');
+        otherForm.classList.toggle('d-none');
         event.preventDefault();
     }
 
     function initLogin() {
-        const registerLink = domAccess.querySelector('#loginform a');
-        registerLink.addEventListener('click', switchToRegisterForm);
+        const registerLink = domAccess.querySelector('#loginform a.register');
+        registerLink.addEventListener('click', event => switchFromLoginForm(event, 'registerform'));
+        const forgotLink = domAccess.querySelector('#loginform a.forgot');
+        forgotLink.addEventListener('click', event => switchFromLoginForm(event, 'forgotform'));
     }
 
     function initPassword() {
@@ -318,11 +325,20 @@
         }
     }
 
+    // Pages that may be rendered in response to a form submission, with a message to show:
+    const MESSAGE_PATHS = ['/authenticate', '/forgot-password', '/reset-password', '/register', '/verify-email',
+        '/verify-email/resend'];
+
     function init() {
-        initModal();
-        initLogin();
+        // The password page (registration or password reset) has no modal and no login form:
+        const modal = domAccess.getElementById('error-modal');
+        if (modal !== null) {
+            initModal();
+            initLogin();
+        }
         initRegister();
-        if (window.location.pathname === '/authenticate') {
+        if (modal !== null && MESSAGE_PATHS.includes(window.location.pathname) &&
+            modal.querySelector('.modal-body').innerText.trim() !== '') {
             // Show the modal:
             $('#error-modal').modal({show: true});
         }
@@ -60,179 +60,20 @@
         },
     }
 
-    /**
-     * Validation system for this SPA.
-     * @type {{latLonErrorSummary: (function(*=, *=): {isEmpty: boolean, isDecimal: *, isInRange: *}), isNameValid: (function(*): boolean), isLatLonValid: (function(*=, *=))}}
-     */
-    const validation = (function () {
-
-        /**
-         * Latitude must be a decimal number between -90 and 90,
-         * Longitude must be a decimal number between -180 and 180
-         * @type {{lon: number[], lat: number[]}}
-         */
-        const limits = {
-            'lat': [-90, 90],
-            'lon': [-180, 180],
-        };
-
-        /**
-         * Tests that a string represents a decimal value.
-         * In the previous exercise I used the isNaN() function for similar tasks, but that failed tests:
-         * For example, the expression isNaN('/') evaluates to true. So I checked the docs for isNaN and realised
-         * it has an extremely unexpectable behaviour, and that the formal recommendation is to use Number.isNaN()
-         * for such tasks. But Number.isNaN() doesn't do what I expect either. For example: the expression
-         * Number.isNaN('100hefsgfesg') evaluates to true. So I've defaulted to using regular expressions.
-         *
-         * The regular expression used is: ^([-+][0-9])?[0-9]*(\.[0-9])?[0-9]*$
-         *
-         * 1. First there is a ^ which means the beginning of the matched string must match the following pattern.
-         *
-         * 1. Next there is an optional pattern: ([-+][0-9])? which means either a - or a + followed by a decimal digit.
-         *
-         * 2. Next there is an optional repeating pattern: [0-9]* which means any number of decimal digits.
-         *
-         * 3. Next there is an optional pattern: (\.[0-9])? which means a . followed by a decimal digit.
-         *
-         * 4. Next there is an optional repeating pattern: [0-9]* which means (again) any number of decimal digits.
-         *
-         * 5. Next there is a $ which means the ending of the matched string must match the previous pattern.
-         *
-         * The ^ and $ basically mean the entire matched string must match everything between them.
-         * For example, the regular expression ^([-+][0-9])?[0-9]*(\.[0-9])?[0-9]* (no $ at the end) will match
-         * "20$", the regular expression ([-+][0-9])?[0-9]*(\.[0-9])?[0-9]*$ will match "HTML5" and the regular
-         * expression ([-+][0-9])?[0-9]*(\.[0-9])?[0-9]* will match "ex3-HeziYovel.zip".
-         *
-         * This function is not an API of the validation object.
-         *
-         * See readme.html
-         *
-         * @param stringValue
-         * @returns {*}
-         */
-        function isDecimal(stringValue) {
-            return stringValue.match(/^([-+][0-9])?[0-9]*(\.[0-9])?[0-9]*$/) !== null;
-        }
-
-        /**
-         * Check if stringValue represents a valid lat/lon value (within the lat/lon range of values).
-         * id determines the limits to test parsedValue against: it must be one of the keys in the limits object.
-         *
-         * This function is not an API of the validation object.
-         *
-         * @param stringValue
-         * @param id - a key of the limits object
-         * @returns {boolean}
-         */
-        function isInRange(stringValue, id) {
-            const parsedValue = parseFloat(stringValue);
-            return parsedValue >= limits[id][0] && parsedValue <= limits[id][1];
-        }
-
-        /**
-         * Provide an error summary for a lat/lon input value for error message handling.
-         * My error message handling of lat/lon values differentiates between
-         * four states: 1. valid (all fields are true), 2. empty/missing, 3. not decimal, 4. not in range.
-         *
-         * The reason I've added state 2: empty/missing, is to allow me to display an error if the input is empty
-         * at the time the submit button is clicked, but not display it when the user deletes everything from the
-         * input, which can be annoying if they are in the process of replacing the value.
-         *
-         * id determines the limits to test parsedValue against: it must be one of the keys in the limits object.
-         *
-         * This function is an API of the validation object.
-         *
-         * @param stringValue
-         * @param id - a key of the limits object
-         * @returns {{isEmpty: boolean, isDecimal: *, isInRange: boolean}}
-         */
-        function latLonErrorSummary(stringValue, id) {
-            const returnValue = {
-                isEmpty: stringValue === '',
-                isDecimal: isDecimal(stringValue),
-                // Initially we set isInRange to false to avoid executing isInRange if stringValue doesn't represent
-                // a decimal number, which may give unexpected results:
-                isInRange: false,
-            }
-
-            if (returnValue.isDecimal) {
-                // If stringValue is a valid decimal number, we can safely validate it being in range.
-                returnValue.isInRange = isInRange(stringValue, id);
-            }
-
-            return returnValue;
-        }
-
-        /**
-         * Returns a simple true/false as an answer to the question: is stringValue a valid lat/lon?
-         *
-         * This function is an API of the validation object.
-         *
-         * @param stringValue
-         * @param id - a key of the limits object
-         * @returns {boolean|*|boolean}
-         */
-        function isLatLonValid(stringValue, id) {
-            const errorSummary = latLonErrorSummary(stringValue, id);
-            return !errorSummary.isEmpty && errorSummary.isDecimal && errorSummary.isInRange;
-        }
-
-        /**
-         * Validates a location name (a location can be anything except an empty string).
-         *
-         * This function is an API of the validation object.
-         *
-         * @param name
-         * @returns {boolean}
-         */
-        function isNameValid(name) {
-            return name !== '';
-        }
-
-        /**
-         * Validate a date - a date is valid if it is between today and 7 days from now.
-         * @param dateObj
-         * @returns {boolean}
-         */
-        function validateDate(dateObj) {
-            // Create date objects for today and 7 days from now:
-            const today = new Date();
-            // timer7 dates don't have time, so when dateObj is created it has 0 hours, minutes etc.
-            today.setHours(0, 0, 0, 0);
-            let todayPlus7 = new Date();
-            todayPlus7.setHours(0, 0, 0, 0);
-            todayPlus7.setDate(todayPlus7.getDate() + 7);
-            // Compare the given date to the limit dates:
-            return dateObj >= today && dateObj <= todayPlus7;
-        }
-
-        return {
-            latLonErrorSummary: latLonErrorSummary,
-            isLatLonValid: isLatLonValid,
-            isNameValid: isNameValid,
-            validateDate: validateDate,
-        }
-    })();
-
     const ERROR_REPORT_PERMISSION_REQUEST = 'With your permission, we would like to send our developers an error report.';
 
     /**
-     * Error handling message logic.
-     * @type {{getLatErrorMessage: (function(*=): *), getLonErrorMessage: (function(*=): *), getNameErrorMessage: (function(): string)}}
+     * Error handling message logic. The messages of invalid form inputs are in validation.js, which is shared with
+     * the server.
+     * @type {{getAjaxErrorMessage: (function(*=, *=, *=): *), getApiErrorTitle: (function(*): string), getApiErrorMessage: (function(*): string)}}
      */
     const errorMessages = (function () {
 
         /**
          * Error messages for different errors by keys.
-         * @type {{nameMissing: string, lonNotInRange: string, notDecimal: string, lonMissing: string, latNotInRange: string, latMissing: string}}
+         * @type {{badConnection: string, errorCode4XX: string, errorCode500: string, syntaxErrorMessage: string, generalAjaxError: string, tryAgainLater: string}}
          */
         const errorMessages = {
-            nameMissing: 'Name is required',
-            latMissing: 'Latitude is required',
-            lonMissing: 'Longitude is required',
-            notDecimal: "Value must be a decimal number: only digits, a single minus and a single dot are allowed.",
-            latNotInRange: 'Value must be a decimal between -90.0 and 90.0',
-            lonNotInRange: 'Value must be a decimal between -180.0 and 180.0',
             badConnection: 'We couldn\'t connect to the weather service. This may happen if your device is not connected to the internet,' +
                 ' or if the service is down, or for other network problems.',
             errorCode4XX: 'There is a problem in the request. This is actually our fault. ' +
@@ -242,74 +83,20 @@
                 ERROR_REPORT_PERMISSION_REQUEST,
             generalAjaxError: 'Something didn\'t work when we tried to understand the service\'s response.' +
                 ' We don\'t know what it is. ' + ERROR_REPORT_PERMISSION_REQUEST,
+            tryAgainLater: 'Please try again later.',
         }
 
         /**
-         * API to get the nameMissing error message.
-         * @returns {string}
-         */
-        function getNameErrorMessage() {
-            return errorMessages.nameMissing;
-        }
-
-        /**
-         * Internal utility for selecting the correct error message between isMissingMessage, errorMessages.notDecimal
-         * and notInRangeMessage.
-         * If multiple errors exist the order of precedence is:
-         * 1. isMissingMessage
-         * 2. errorMessages.notDecimal
-         * 3. notInRangeMessage
-         *
-         * The isMissingMessage and notInRangeMessage should be selected by the caller between the different
-         * options, based on if the error is in the name, lat or lon inputs.
-         *
-         * @param errorSummary - if this argument doesn't indicate any error, an empty string will be returned.
-         * @param isMissingMessage - message to print if missing value indication is found.
-         * @param notInRangeMessage - message to print if not in range indication is found and not missing value or not a decimal.
-         *                              this argument is expected to include a description of the range of valid values
-         *                              for the relevant input.
-         * @returns {string}
-         */
-        function getErrorMessage(errorSummary, isMissingMessage, notInRangeMessage) {
-            let errorMessage;
-            if (errorSummary.isEmpty) {
-                // If the input was found to be empty, there is a special message for that and we do not check for any
-                // other errors.
-                errorMessage = isMissingMessage;
-            } else if (!errorSummary.isDecimal) {
-                // If the input was not empty but the value did not represent a decimal number, we prefer to inform
-                // the user just about that and not confuse them with the range yet. See readme.html
-                errorMessage = errorMessages.notDecimal;
-            } else if (!errorSummary.isInRange) {
-                // If the input was not empty and the value represented a valid decimal number, but the number was not
-                // in the range of values permitted, we inform the user what is the valid range for this input.
-                errorMessage = notInRangeMessage;
-            } else {
-                // If there is no error indication we shouldn't print anything. Returning an empty string guarantees
-                // that, and if set as innerText of an element will also cause most elements to be effectively
-                // hidden. But the preferred action is to check the returned value for being empty before setting it
-                // into a message (unless errorSummary was checked to indicate an error before calling this function).
-                errorMessage = '';
-            }
-            return errorMessage;
-        }
-
-        /**
-         * API to get the proper error message if there is a latitude-related error
-         * @param errorSummary
-         * @returns {string}
-         */
-        function getLatErrorMessage(errorSummary) {
-            return getErrorMessage(errorSummary, errorMessages.latMissing, errorMessages.latNotInRange);
-        }
-
-        /**
-         * API to get the proper error message if there is a longitude-related error
-         * @param errorSummary
-         * @returns {string}
+         * Modal titles for the error codes of the API (see lib/errors.js in the server).
          */
-        function getLonErrorMessage(errorSummary) {
-            return getErrorMessage(errorSummary, errorMessages.lonMissing, errorMessages.lonNotInRange);
+        const apiErrorTitles = {
+            validation_error: 'Please Check Your Input',
+            unauthorized: 'You Are Signed Out',
+            forbidden: 'Not Allowed',
+            not_found: 'Not Found',
+            conflict: 'Already Exists',
+            upstream_error: 'The Weather Service Is Unavailable',
+            internal_error: 'We Have a Problem',
         }
 
         /**
@@ -336,11 +123,35 @@
             return message;
         }
 
+        /**
+         * API to get the modal title for an error of the API
+         * @param code - the code of the error
+         * @returns {string}
+         */
+        function getApiErrorTitle(code) {
+            return apiErrorTitles.hasOwnProperty(code) ? apiErrorTitles[code] : apiErrorTitles.internal_error;
+        }
+
+        /**
+         * API to get the message to display for an error of the API: the message the server sent, and what the user
+         * can do about it.
+         * @param error - an error made by api.makeError
+         * @returns {string}
+         */
+        function getApiErrorMessage(error) {
+            if (error.code === 'upstream_error') {
+                return `${error.message} ${errorMessages.tryAgainLater}`;
+            }
+            if (error.code === 'internal_error' || !apiErrorTitles.hasOwnProperty(error.code)) {
+                return `${error.message} ${ERROR_REPORT_PERMISSION_REQUEST}`;
+            }
+            return error.message;
+        }
+
         return {
-            getNameErrorMessage: getNameErrorMessage,
-            getLatErrorMessage: getLatErrorMessage,
-            getLonErrorMessage: getLonErrorMessage,
             getAjaxErrorMessage: getAjaxErrorMessage,
+            getApiErrorTitle: getApiErrorTitle,
+            getApiErrorMessage: getApiErrorMessage,
         }
     })();
 
@@ -598,18 +409,54 @@
         let doAfter;
 
         function parseJson(response) {
-            return {
+            // No Content (of a DELETE) has no JSON to parse:
+            const dataPromise = response.status === 204 ? Promise.resolve(null) : response.json();
+            return dataPromise.then(data => ({
                 ok: response.ok,
-                data: response.json(),
+                status: response.status,
+                data: data,
+            }));
+        }
+
+        /**
+         * Make an Error out of an error response of the API: {error: {code, message, details}}.
+         *
+         * @param status - the HTTP status of the response
+         * @param data - the body of the response
+         * @returns {Error} with the status, and the code and details of the error if the body is an error of the API
+         */
+        function makeError(status, data) {
+            if (!data || !data.error) {
+                const error = new Error(`Server error code ${status} received`);
+                error.status = status;
+                return error;
+            }
+            const error = new Error(data.error.message);
+            error.status = status;
+            error.code = data.error.code;
+            error.details = data.error.details;
+            return error;
+        }
+
+        /**
+         * Throw the error of an error response. If the session has expired, go to the login page first.
+         *
+         * @param status
+         * @param data
+         */
+        function throwError(status, data) {
+            const error = makeError(status, data);
+            if (error.code === 'unauthorized') {
+                window.location.assign('/login');
             }
+            throw error;
         }
 
         function checkForErrors(jsonObj) {
             if (!jsonObj.ok) {
-                throw new Error(jsonObj.data.message);
-            } else {
-                return jsonObj.data;
+                throwError(jsonObj.status, jsonObj.data);
             }
+            return jsonObj.data;
         }
 
         function call(targetUrl, doOnThen, doOnCatch, data, method = 'POST') {
@@ -622,19 +469,15 @@
                 initObj.body = JSON.stringify(data);
             }
 
+            send(targetUrl, initObj, doOnThen, doOnCatch);
+        }
+
+        function send(targetUrl, initObj, doOnThen, doOnCatch) {
             if (doBefore) doBefore();
 
             fetch(targetUrl, initObj)
                 .then(parseJson)
                 .then(checkForErrors)
-                .then(jsonObj => {
-                    if (jsonObj.hasOwnProperty('changeToURL')) {
-                        window.location.assign(jsonObj['changeToURL']);
-                        throw new Error('Access denied.');
-                    } else {
-                        return jsonObj;
-                    }
-                })
                 .then(doOnThen)
                 .then(() => {
                     if (doAfter) doAfter();
@@ -650,8 +493,135 @@
             call('/api/remove-locations', doOnThen, doOnCatch, {locationNames: locationNames});
         }
 
-        function getLocations(doOnThen, doOnCatch) {
-            call('/api/get-locations', doOnThen, doOnCatch, {}, 'GET');
+        /**
+         * Get the saved locations.
+         *
+         * @param doOnThen
+         * @param doOnCatch
+         * @param filter - {group, tag}, both optional: a group id (or 'none' for no group) and a tag
+         */
+        function getLocations(doOnThen, doOnCatch, filter = {}) {
+            const query = new URLSearchParams();
+            for (const [name, value] of Object.entries(filter)) {
+                if (value) {
+                    query.set(name, value);
+                }
+            }
+            const queryString = query.toString();
+            call(`/api/get-locations${queryString === '' ? '' : `?${queryString}`}`, doOnThen, doOnCatch, {}, 'GET');
+        }
+
+        /**
+         * Save the order of locations.
+         *
+         * @param ids - of locations, in their new order
+         * @param doOnThen
+         * @param doOnCatch
+         */
+        function reorderLocations(ids, doOnThen, doOnCatch) {
+            call('/api/locations/order', doOnThen, doOnCatch, {ids: ids}, 'PUT');
+        }
+
+        function getGroups(doOnThen, doOnCatch) {
+            call('/api/groups', doOnThen, doOnCatch, {}, 'GET');
+        }
+
+        function createGroup(name, doOnThen, doOnCatch) {
+            call('/api/groups', doOnThen, doOnCatch, {name: name});
+        }
+
+        function deleteGroup(id, doOnThen, doOnCatch) {
+            call(`/api/groups/${id}`, doOnThen, doOnCatch, {}, 'DELETE');
+        }
+
+        function getGroupForecast(id, doOnThen, doOnCatch) {
+            call(`/api/groups/${id}/forecast`, doOnThen, doOnCatch, {}, 'GET');
+        }
+
+        function getTags(doOnThen, doOnCatch) {
+            call('/api/tags', doOnThen, doOnCatch, {}, 'GET');
+        }
+
+        function getAlertRules(locationId, doOnThen, doOnCatch) {
+            call(`/api/alert-rules?locationId=${locationId}`, doOnThen, doOnCatch, {}, 'GET');
+        }
+
+        /**
+         * Add an alert rule to a location.
+         *
+         * @param rule - {locationId, condition, threshold, dayOffset}, the threshold in degrees Celsius or a wind
+         *               class
+         * @param doOnThen
+         * @param doOnCatch
+         */
+        function createAlertRule(rule, doOnThen, doOnCatch) {
+            call('/api/alert-rules', doOnThen, doOnCatch, rule);
+        }
+
+        function deleteAlertRule(id, doOnThen, doOnCatch) {
+            call(`/api/alert-rules/${id}`, doOnThen, doOnCatch, {}, 'DELETE');
+        }
+
+        function getAlerts(doOnThen, doOnCatch) {
+            call('/api/alerts', doOnThen, doOnCatch, {}, 'GET');
+        }
+
+        function markAlertRead(id, doOnThen, doOnCatch) {
+            call(`/api/alerts/${id}`, doOnThen, doOnCatch, {read: true}, 'PATCH');
+        }
+
+        function markAllAlertsRead(doOnThen, doOnCatch) {
+            call('/api/alerts/read', doOnThen, doOnCatch, {});
+        }
+
+        /**
+         * The dates that the archived forecasts of a location have forecasts of.
+         *
+         * @param locationId
+         * @param doOnThen
+         * @param doOnCatch
+         */
+        function getForecastHistoryDates(locationId, doOnThen, doOnCatch) {
+            call(`/api/forecast-snapshots/dates?locationId=${locationId}`, doOnThen, doOnCatch, {}, 'GET');
+        }
+
+        /**
+         * What every archived forecast of a location said about a date.
+         *
+         * @param locationId
+         * @param date - YYYY-MM-DD
+         * @param doOnThen
+         * @param doOnCatch
+         */
+        function getForecastHistory(locationId, date, doOnThen, doOnCatch) {
+            const query = new URLSearchParams({locationId: locationId, date: date});
+            call(`/api/forecast-snapshots/history?${query}`, doOnThen, doOnCatch, {}, 'GET');
+        }
+
+        function updateSettings(settings, doOnThen, doOnCatch) {
+            call('/api/settings', doOnThen, doOnCatch, settings, 'PATCH');
+        }
+
+        function updateLocation(id, fields, doOnThen, doOnCatch) {
+            call(`/api/locations/${id}`, doOnThen, doOnCatch, fields, 'PATCH');
+        }
+
+        /**
+         * Import locations from the content of a file.
+         *
+         * @param content - the text of the file
+         * @param format - the name of its format (see lib/location-formats)
+         * @param dryRun - if true, only report what importing would do
+         * @param doOnThen
+         * @param doOnCatch
+         */
+        function importLocations(content, format, dryRun, doOnThen, doOnCatch) {
+            const query = new URLSearchParams({format: format, dryRun: dryRun});
+            send(`/api/locations/import?${query}`, {
+                method: 'POST',
+                headers: {'Content-Type': 'text/plain'},
+                body: content,
+            }, doOnThen, doOnCatch);
         }
 
         /**
@@ -669,127 +639,490 @@
 
         return {
             init: init,
+            throwError: throwError,
             addLocation: addLocation,
             removeLocationsByNames: removeLocationsByNames,
             getLocations: getLocations,
+            updateSettings: updateSettings,
+            updateLocation: updateLocation,
+            importLocations: importLocations,
+            reorderLocations: reorderLocations,
+            getGroups: getGroups,
+            createGroup: createGroup,
+            deleteGroup: deleteGroup,
+            getGroupForecast: getGroupForecast,
+            getTags: getTags,
+            getAlertRules: getAlertRules,
+            createAlertRule: createAlertRule,
+            deleteAlertRule: deleteAlertRule,
+            getAlerts: getAlerts,
+            markAlertRead: markAlertRead,
+            markAllAlertsRead: markAllAlertsRead,
+            getForecastHistoryDates: getForecastHistoryDates,
+            getForecastHistory: getForecastHistory,
         }
     })();
 
     /**
-     * 7timer weather type codename to description mapping. See http://www.7timer.info/doc.php#machine_readable_api
-     * @type {{cloudy: string, rain: string, rainsnow: string, lightsnow: string, lightrain: string, snow: string, oshower: string, clear: string, ishower: string, pcloudy: string, humid: string, mcloudy: string}}
+     * The map of the saved locations: a marker for every location, which can be dragged to move the location.
+     * Wraps Leaflet (the global L), so nothing else in here depends on it.
+     * @type {{init: (function(*, *): void), addMarker: (function(*): void), removeMarker: (function(*): void), clear: (function(): void), fitMarkers: (function(): void), selectMarker: (function(*): void)}}
      */
-    const _7timer_weatherTypeToDesc = {
-        'clear': 'Total cloud cover less than 20%',
-        'pcloudy': 'Total cloud cover between 20%-60%',
-        'mcloudy': 'Total cloud cover between 60%-80%',
-        'cloudy': 'Total cloud cover over over 80%',
-        'humid': 'Relative humidity over 90% with total cloud cover less than 60%',
-        'lightrain': 'Precipitation rate less than 4mm/hr with total cloud cover more than 80%',
-        'oshower': 'Precipitation rate less than 4mm/hr with total cloud cover between 60%-80%',
-        'ishower': 'Precipitation rate less than 4mm/hr with total cloud cover less than 60%',
-        'lightsnow': 'Precipitation rate less than 4mm/hr',
-        'rain': 'Precipitation rate over 4mm/hr',
-        'snow': 'Precipitation rate over 4mm/hr',
-        'rainsnow': 'Precipitation type to be ice pellets or freezing rain',
-    }
+    const locationsMap = (function () {
 
-    /**
-     * 7timer wind value codename to description mapping. See http://www.7timer.info/doc.php#machine_readable_api
-     * @type {{"1": string, "2": string, "3": string, "4": string, "5": string, "6": string, "7": string, "8": string}}
-     * @private
-     */
-    const _7timer_windValuesToDesc = {
-        // '1': 'Below 0.3m/s (calm)',
-        // Instead of the original mapping for wind speed = 1 we will map it to an empty string.
-        // Then we will use this value to determine if wind speed should be displayed or not:
-        '1': '',
-        '2': '0.3-3.4m/s (light)',
-        '3': '3.4-8.0m/s (moderate)',
-        '4': '8.0-10.8m/s (fresh)',
-        '5': '10.8-17.2m/s (strong)',
-        '6': '17.2-24.5m/s (gale)',
-        '7': '24.5-32.6m/s (storm)',
-        '8': 'Over 32.6m/s (hurricane)',
-    }
+        // Where the map starts before there are any locations:
+        const DEFAULT_CENTER = [32.0, 35.0];
+        const DEFAULT_ZOOM = 6;
+        const SELECTED_ZOOM = 10;
 
-    /**
-     * Storage for all user added locations:
-     * @type {Map<string, {name, lat, lon}>}
-     */
-    const locations = new Map();
+        let map = null;
+        let handlers = {};
 
-    // 7timer API addresses
-    const _7TIMER_MACHINE_READABLE_API_URL = 'http://www.7timer.info/bin/api.pl/';
-    const _7TIMER_GRAPHICAL_API_URL = 'http://www.7timer.info/bin/astro.php/';
+        // Location name => marker:
+        const markers = {};
 
-    // Flags to synchronize between handling the two responses - from the machine readable and from the graphical,
-    // so that both forecast and image will only be shown at the same time and if both are available.
-    // In short: only when both flags are up (true) will the new information and image be displayed.
-    // See readme.html
-    let isAPICallDone;
-    let isIMGCallDone;
+        /**
+         * Round a coordinate to the precision the server accepts (see validation.js).
+         * @param value
+         * @returns {number}
+         */
+        function round(value) {
+            return Number(value.toFixed(validation.maxDecimals));
+        }
 
-    // Flag to mark the server has returned a response
-    let didReachServer;
+        /**
+         * Show the whole world wrapped around Leaflet's coordinates, so that a click always gives a valid longitude.
+         * @param latLng
+         * @returns {{lat: number, lon: number}}
+         */
+        function toLatLon(latLng) {
+            const wrapped = latLng.wrap();
+            return {lat: round(wrapped.lat), lon: round(wrapped.lng)};
+        }
 
-    /**
-     * Collects location information from the form.
-     * @returns {{name: string, lon: string, lat: string}}
-     */
-    function collectLocationInfo() {
-        return {
-            'name': utils.getTrimmedValue(domAccess.getInputByName('name')),
-            'lat': utils.getTrimmedValue(domAccess.getInputByName('lat')),
-            'lon': utils.getTrimmedValue(domAccess.getInputByName('lon')),
+        /**
+         * Zoom the map to show all of the markers.
+         */
+        function fitMarkers() {
+            if (map === null) {
+                return;
+            }
+            const latLngs = Object.values(markers).map(marker => marker.getLatLng());
+            if (latLngs.length === 1) {
+                map.setView(latLngs[0], SELECTED_ZOOM);
+            } else if (latLngs.length > 1) {
+                map.fitBounds(L.latLngBounds(latLngs), {padding: [20, 20]});
+            }
         }
-    }
 
-    /**
-     * Formats parameters string for machine readable API call.
-     * @param location
-     * @returns {string}
-     */
-    function makeParamStringForAPICall(location) {
-        return encodeURI(`?lon=${location.lon}&lat=${location.lat}&product=${location.product}&output=${location.output}`);
-    }
+        function handleMarkerDragEnd(name, marker, previousLatLng) {
+            const {lat, lon} = toLatLon(marker.getLatLng());
+            handlers.onMarkerMoved(name, lat, lon, () => marker.setLatLng(previousLatLng));
+        }
 
-    /**
-     * Formats parameter string for graphical API call.
-     * @param location
-     * @returns {string}
-     */
-    function makeParamStringForImage(location) {
-        return encodeURI(`?lon=${location.lon}&lat=31.771959&ac=0&lang=en&unit=metric&output=internal&tzshift=0`);
-    }
+        /**
+         * Create the map in element. Does nothing if Leaflet didn't load (for example with no connection to its CDN),
+         * so the rest of the page works without the map.
+         *
+         * @param element - the map container, with the tile server in its data-tile-url, data-attribution and
+         *                  data-max-zoom attributes
+         * @param eventHandlers - onMapClick(lat, lon), onMarkerClick(name) and
+         *                        onMarkerMoved(name, lat, lon, revert), where revert moves the marker back
+         */
+        function init(element, eventHandlers) {
+            if (typeof L === 'undefined' || !element) {
+                return;
+            }
+            handlers = eventHandlers;
+            map = L.map(element).setView(DEFAULT_CENTER, DEFAULT_ZOOM);
+            L.tileLayer(element.dataset.tileUrl, {
+                attribution: element.dataset.attribution,
+                maxZoom: Number(element.dataset.maxZoom),
+            }).addTo(map);
+            map.on('click', event => {
+                const {lat, lon} = toLatLon(event.latlng);
+                handlers.onMapClick(lat, lon);
+            });
+            // Markers added before the map was created:
+            for (const marker of Object.values(markers)) {
+                marker.addTo(map);
+            }
+            fitMarkers();
+        }
 
-    function displayForcastForSelectedLocation(image_call, selectedLocationItem) {
-        // If found an location element, display the loading image,
-        showLoadingImage();
-        // Get the forecast img element and set it's src to the full graphic URL:
-        const forecastImage = domAccess.querySelector('#forecast img');
-        forecastImage.src = image_call;
-        // Hide the carousel in which previously displayed forecast may be visible:
-        switchCarousel(false);
+        /**
+         * Add a marker for location, or move its marker if it already has one.
+         * @param location
+         */
+        function addMarker(location) {
+            if (typeof L === 'undefined') {
+                return;
+            }
+            const latLng = [Number(location.lat), Number(location.lon)];
+            if (markers.hasOwnProperty(location.name)) {
+                markers[location.name].setLatLng(latLng);
+                return;
+            }
+            const marker = L.marker(latLng, {draggable: true, title: location.name});
+            marker.bindTooltip(location.name);
+            let previousLatLng = marker.getLatLng();
+            marker.on('click', () => handlers.onMarkerClick(location.name));
+            marker.on('dragstart', () => previousLatLng = marker.getLatLng());
+            marker.on('dragend', () => handleMarkerDragEnd(location.name, marker, previousLatLng));
+            markers[location.name] = marker;
+            if (map !== null) {
+                marker.addTo(map);
+            }
+        }
 
-        // Get the location name from the selected location item, and fetch the location information stored for it
-        // in the locations map. Update the forecast to this location:
-        const location = locations[selectedLocationItem.innerText.trim()];
-        updateWeatherForecast(location);
-    }
+        function removeMarker(name) {
+            if (markers.hasOwnProperty(name)) {
+                markers[name].remove();
+                delete markers[name];
+            }
+        }
 
-    /**
-     * Prepares and launches the ajax call to the weather API.
-     */
-    function handleDisplayForecastButtonClick() {
-        // Prepare the full graphic URL by concatenating the parameter string to the base URL:
-        const image_call = _7TIMER_GRAPHICAL_API_URL + makeParamStringForImage(location);
+        function clear() {
+            for (const name of Object.keys(markers)) {
+                removeMarker(name);
+            }
+        }
 
-        // Fetch the selected location item from the locations list:
-        const selectedLocationItem = domAccess.querySelector('#locations-container div.selected');
+        /**
+         * Center the map on the marker of a location.
+         * @param name
+         */
+        function selectMarker(name) {
+            if (map !== null && markers.hasOwnProperty(name)) {
+                map.setView(markers[name].getLatLng(), Math.max(map.getZoom(), SELECTED_ZOOM));
+            }
+        }
 
-        if (selectedLocationItem !== undefined) {
-            displayForcastForSelectedLocation(image_call, selectedLocationItem);
+        return {
+            init: init,
+            addMarker: addMarker,
+            removeMarker: removeMarker,
+            clear: clear,
+            fitMarkers: fitMarkers,
+            selectMarker: selectMarker,
+        }
+    })();
+
+    /**
+     * Formatting of the normalized forecast schema (see lib/weather/schema.js on the server) for the view. The
+     * forecast may come from any weather provider, so nothing in here may depend on a specific provider.
+     * Temperatures and wind speeds are converted to the user's units (see units.js).
+     * @type {{formatDay: (function(*, *): {date: string, tempRange: string, weather: string, windSpeed: string}), formatHour: (function(*, *): {time: string, weather: string, temperature: string, cloudCover: string, precipitation: string, humidity: string, wind: string})}}
+     */
+    const forecastFormat = (function () {
+
+        /**
+         * Precipitation types of the normalized schema to descriptions.
+         * @type {{none: string, rain: string, snow: string, frzr: string, icep: string}}
+         */
+        const precipitationTypeToDesc = {
+            'none': 'None',
+            'rain': 'Rain',
+            'snow': 'Snow',
+            'frzr': 'Freezing rain',
+            'icep': 'Ice pellets',
+        }
+
+        /**
+         * Weather types of the normalized schema to short labels, for where the descriptions are too long.
+         */
+        const weatherTypeToLabel = {
+            'clear': 'Clear',
+            'pcloudy': 'Partly cloudy',
+            'mcloudy': 'Mostly cloudy',
+            'cloudy': 'Cloudy',
+            'humid': 'Humid',
+            'lightrain': 'Light rain',
+            'oshower': 'Occasional showers',
+            'ishower': 'Isolated showers',
+            'lightsnow': 'Light snow',
+            'rain': 'Rain',
+            'snow': 'Snow',
+            'rainsnow': 'Rain and snow',
+            'ts': 'Thunderstorm possible',
+            'tsrain': 'Thunderstorm',
+        }
+
+        /**
+         * Format a YYYY-MM-DD date string our way.
+         * @param dateString
+         * @returns {string}
+         */
+        function formatDate(dateString) {
+            const [year, month, date] = dateString.split('-').map(Number);
+            // Javascript months are 0-indexed:
+            return new Date(year, month - 1, date).toDateString();
+        }
+
+        /**
+         * Format a temperature range the way we want it displayed.
+         * @param temperature - {min, max} in degrees Celsius
+         * @param unit - the temperature unit to display
+         * @returns {string}
+         */
+        function formatTempRange(temperature, unit) {
+            return `${units.formatTemperature(temperature.min, unit)} to ${units.formatTemperature(temperature.max, unit)}`;
+        }
+
+        /**
+         * Format a wind class as its speed range and label. Calm wind is formatted as an empty string, which the
+         * view uses to determine if wind speed should be displayed or not.
+         * @param wind - {class, label, min, max} in m/s
+         * @param unit - the wind unit to display
+         * @returns {string}
+         */
+        function formatWind(wind, unit) {
+            const symbol = units.getWindSymbol(unit);
+            if (wind.class === 1) {
+                return '';
+            } else if (wind.max === null) {
+                return `Over ${units.formatWindSpeed(wind.min, unit)}${symbol} (${wind.label})`;
+            }
+            return `${units.formatWindSpeed(wind.min, unit)}-${units.formatWindSpeed(wind.max, unit)}${symbol} ` +
+                `(${wind.label})`;
+        }
+
+        /**
+         * Given a normalized daily forecast, return it as a "flat" object suited for the view.
+         * @param day
+         * @param settings - {temperatureUnit, windUnit}
+         * @returns {{date: string, tempRange: string, weather: string, windSpeed: string}}
+         */
+        function formatDay(day, settings) {
+            return {
+                'date': formatDate(day.date),
+                'tempRange': formatTempRange(day.temperature, settings.temperatureUnit),
+                'weather': day.weather.description,
+                'windSpeed': formatWind(day.wind, settings.windUnit),
+            }
+        }
+
+        /**
+         * Format a percentage, which may be unknown (null).
+         * @param value
+         * @returns {string}
+         */
+        function formatPercent(value) {
+            return value === null ? '-' : `${Math.round(value)}%`;
+        }
+
+        /**
+         * Given a normalized hourly forecast, return it as a "flat" object suited for the view.
+         * @param hour
+         * @param settings - {temperatureUnit, windUnit}
+         * @returns {{time: string, weather: string, temperature: string, cloudCover: string, precipitation: string, humidity: string, wind: string}}
+         */
+        function formatHour(hour, settings) {
+            const windSpeed = formatWind(hour.wind, settings.windUnit);
+            return {
+                'time': new Date(hour.time).toLocaleString([], {weekday: 'short', hour: '2-digit', minute: '2-digit'}),
+                'weather': hour.weather.description,
+                'temperature': units.formatTemperature(hour.temperature, settings.temperatureUnit),
+                'cloudCover': formatPercent(hour.cloudCover),
+                'precipitation': precipitationTypeToDesc[hour.precipitation.type],
+                'humidity': formatPercent(hour.humidity),
+                'wind': windSpeed === '' ? 'Calm' : `${hour.wind.direction} ${windSpeed}`,
+            }
+        }
+
+        /**
+         * The short label of a weather type.
+         * @param type - a weather type of the normalized schema
+         * @returns {string}
+         */
+        function formatWeatherType(type) {
+            return weatherTypeToLabel[type] || type;
+        }
+
+        return {
+            formatDate: formatDate,
+            formatDay: formatDay,
+            formatHour: formatHour,
+            formatWeatherType: formatWeatherType,
+        }
+    })();
+
+    /**
+     * The criteria by which the days of compared locations are compared, to find the best day of every location.
+     */
+    const comparisonCriteria = (function () {
+
+        /**
+         * Weather types of the normalized schema, from the clearest to the stormiest.
+         * @type {string[]}
+         */
+        const weatherTypesByClearness = ['clear', 'pcloudy', 'humid', 'mcloudy', 'cloudy', 'ishower', 'oshower',
+            'lightrain', 'lightsnow', 'rain', 'snow', 'rainsnow', 'ts', 'tsrain'];
+
+        /**
+         * Every criterion scores a normalized daily forecast, and the best day is the one with the highest score.
+         */
+        const criteria = {
+            'warmest': {label: 'Warmest', score: day => day.temperature.max},
+            'coolest': {label: 'Coolest', score: day => -day.temperature.max},
+            'calmest': {label: 'Least windy', score: day => -day.wind.class},
+            'clearest': {label: 'Clearest', score: day => -weatherTypesByClearness.indexOf(day.weather.type)},
+        };
+
+        /**
+         * The criteria, as options for a select.
+         * @returns {{value: string, label: string}[]}
+         */
+        function getOptions() {
+            return Object.entries(criteria).map(([name, criterion]) => ({value: name, label: criterion.label}));
+        }
+
+        /**
+         * Find the best days by a criterion. If several days are as good, they are all the best.
+         * @param days - normalized daily forecasts
+         * @param criterionName - one of the values of getOptions
+         * @returns {Set<number>} the indexes of the best days in days
+         */
+        function findBestDays(days, criterionName) {
+            const scores = days.map(criteria[criterionName].score);
+            const bestScore = Math.max(...scores);
+            return new Set(scores.flatMap((score, index) => score === bestScore ? [index] : []));
+        }
+
+        return {
+            getOptions: getOptions,
+            findBestDays: findBestDays,
+        }
+    })();
+
+    /**
+     * Storage for all user added locations:
+     * @type {Map<string, {name, lat, lon}>}
+     */
+    const locations = new Map();
+
+    // The forecast is fetched by our server, which normalizes it regardless of the weather provider it uses:
+    const FORECAST_API_URL = '/api/forecast';
+    // The server makes the URL of the forecast image of a saved location:
+    const FORECAST_IMAGE_API_URL = '/api/forecast/image';
+    // Places by name and by coordinates, from the offline gazetteer of our server:
+    const GEOCODE_API_URL = '/api/geocode';
+    const REVERSE_GEOCODE_API_URL = '/api/geocode/reverse';
+
+    // Place search waits for the user to stop typing for this long (milliseconds) before searching:
+    const PLACE_SEARCH_DELAY = 250;
+    const PLACE_SEARCH_MIN_LENGTH = 2;
+    const PLACE_SUGGESTIONS_LIMIT = 8;
+
+    // Flags to synchronize between handling the two responses - from the machine readable and from the graphical,
+    // so that both forecast and image will only be shown at the same time and if both are available.
+    // In short: only when both flags are up (true) will the new information and image be displayed.
+    // See readme.html
+    let isAPICallDone;
+    let isIMGCallDone;
+
+    // The view ('daily' or 'hourly') of the forecast that was last displayed:
+    let displayedView = 'daily';
+
+    // The user's unit preferences, read from the units form when the DOM is loaded, and the id of the location to
+    // select when the page is loaded:
+    const settings = {
+        temperatureUnit: 'celsius',
+        windUnit: 'ms',
+        defaultLocationId: null,
+    };
+
+    // Flag to mark the server has returned a response
+    let didReachServer;
+
+    /**
+     * Collects location information from the form.
+     * @returns {{name: string, lon: string, lat: string}}
+     */
+    function collectLocationInfo() {
+        return {
+            'name': utils.getTrimmedValue(domAccess.getInputByName('name')),
+            'lat': utils.getTrimmedValue(domAccess.getInputByName('lat')),
+            'lon': utils.getTrimmedValue(domAccess.getInputByName('lon')),
+        }
+    }
+
+    /**
+     * Formats parameters string for the forecast API call. The hourly view may use a specific product (if not,
+     * the server uses its default hourly product).
+     * @param location
+     * @param view - 'daily' or 'hourly'
+     * @returns {string}
+     */
+    function makeParamStringForAPICall(location, view) {
+        let paramString = `?lon=${location.lon}&lat=${location.lat}&view=${view}`;
+        if (view === 'hourly' && location.product) {
+            paramString += `&product=${location.product}`;
+        }
+        return encodeURI(paramString);
+    }
+
+    /**
+     * Formats parameters string for the forecast image API call: the saved location and the image options the user
+     * chose. The server adds the coordinates of the location and the user's units.
+     * @param location
+     * @returns {string}
+     */
+    function makeParamStringForImage(location) {
+        const params = new URLSearchParams({name: location.name});
+        for (const input of domAccess.querySelectorAll('#image-options select, #image-options input')) {
+            if (input.value !== '') {
+                params.set(input.name, input.value);
+            }
+        }
+        return `?${params.toString()}`;
+    }
+
+    /**
+     * Fetch the URL of the forecast image of location from the server and load it into the forecast image element.
+     *
+     * @param location
+     * @param signal - abort signal of the forecast request, so that both are cancelled together
+     * @param requestId - will be used to check if this request has been canceled
+     */
+    function updateForecastImage(location, signal, requestId) {
+        // Reset the isIMGCallDone flag to false to indicate the image is not loaded yet:
+        isIMGCallDone = false;
+
+        fetch(FORECAST_IMAGE_API_URL + makeParamStringForImage(location), {signal})
+            .then(getResponseJson)
+            .then(responseJson => {
+                // Abort if this request is no longer valid (was cancelled):
+                if (!ajaxUtils.isSingletonRequestIdValid(requestId)) {
+                    return;
+                }
+                domAccess.querySelector('#forecast img').src = responseJson.url;
+            })
+            .catch(onError);
+    }
+
+    function displayForecastForSelectedLocation(selectedLocationItem) {
+        // If found an location element, display the loading image:
+        showLoadingImage();
+        // Hide the carousel and timeline in which previously displayed forecast may be visible:
+        switchCarousel(false);
+        switchTimeline(false);
+
+        // Get the location name from the selected location item, and fetch the location information stored for it
+        // in the locations map. Update the forecast and its image to this location:
+        const location = locations[selectedLocationItem.innerText.trim()];
+        updateWeatherForecast(location);
+    }
+
+    /**
+     * Prepares and launches the ajax calls for the forecast and its image.
+     */
+    function handleDisplayForecastButtonClick() {
+        // Fetch the selected location item from the locations list:
+        const selectedLocationItem = domAccess.querySelector('#locations-container div.selected');
+
+        if (selectedLocationItem !== undefined) {
+            displayForecastForSelectedLocation(selectedLocationItem);
         } else {
             const errorMessage = 'First select a location, then click the "Display Forecast" button.';
             const title = 'Cannot do that!';
@@ -878,9 +1211,9 @@
         const modalTitle = domAccess.querySelector('#error-modal .modal-title');
         modalTitle.innerText = title;
 
-        // Display the message:
+        // Display the message, as text: API error messages may quote what the user entered:
         const modalBody = domAccess.querySelector('#error-modal div.modal-body');
-        modalBody.innerHTML = errorMessage;
+        modalBody.innerText = errorMessage;
 
         // Set the buttons in the modal:
         setModalButtons(errorMessage);
@@ -909,6 +1242,12 @@
         // partial data to show. See readme.html
         showForecastImage(true);
         switchCarousel(false);
+        switchTimeline(false);
+        if (error.hasOwnProperty('code')) {
+            // An error of the API, which says what went wrong:
+            displayMessageInModal(errorMessages.getApiErrorMessage(error), errorMessages.getApiErrorTitle(error.code));
+            return;
+        }
         const errorMessage = useErrorMessage ? error.message : getErrorMessage(error);
         displayMessageInModal(errorMessage, title);
     }
@@ -928,10 +1267,11 @@
         didReachServer = true;
 
         if (!response.ok) {
-            // If a bad response status is received and throw an error if so
-            const err = new Error(`Server error code ${response.status} received`);
-            err.status = response.status;
-            throw err;
+            // A bad response status: throw the error the API sent, or just the status if the body isn't an error of
+            // the API:
+            return response.json()
+                .catch(() => null)
+                .then(data => api.throwError(response.status, data));
         } else {
             // Attempt to return JSON
             return response.json();
@@ -939,17 +1279,30 @@
     }
 
     /**
-     * Prepare and send ajax request to weather API
+     * The forecast API responds with the normalized forecast.
+     *
+     * @param responseJson
+     * @param view - 'daily' or 'hourly'
+     * @returns {[]} the interesting part of the forecast (7 days or a timeline of hours), formatted for the view
+     */
+    function getForecastFromResponse(responseJson, view) {
+        if (view === 'hourly') {
+            return responseJson.forecast.hourly.map(hour => forecastFormat.formatHour(hour, settings));
+        }
+        return responseJson.forecast.daily.map(day => forecastFormat.formatDay(day, settings));
+    }
+
+    /**
+     * Prepare and send ajax request to the forecast API
      *
      * @param location
      */
     function updateWeatherForecast(location) {
-        // Add API parameters to location object:
-        location.product = 'civillight';
-        location.output = 'json';
+        // Every location is displayed in its own view, daily unless the user switched it to hourly:
+        const view = location.view || 'daily';
 
         // Prepare full URL by concatenating parameters string to base URL:
-        const api_call = _7TIMER_MACHINE_READABLE_API_URL + makeParamStringForAPICall(location);
+        const api_call = FORECAST_API_URL + makeParamStringForAPICall(location, view);
 
         // Reset the isAPICallDone flag to false to indicate ajax call is in progress:
         isAPICallDone = false;
@@ -961,44 +1314,55 @@
         const signal = ajaxUtils.getSingletonAbortSignal();
         const requestId = ajaxUtils.generateSingletonRequestId();
 
+        // Fetch the forecast image for location, together with the forecast:
+        updateForecastImage(location, signal, requestId);
+
         // Fetch the forecast for location:
         fetch(api_call, {signal})
             .then(getResponseJson)
-            .then(getInterestingInfo)
-            .then(interestingInfo => displayWeatherForecast(interestingInfo, location.name, requestId))
+            .then(responseJson => getForecastFromResponse(responseJson, view))
+            .then(interestingInfo => displayWeatherForecast(interestingInfo, location.name, requestId, view))
             .catch(onError);
     }
 
     function showForecastAndImage(locationName) {
-        // Show the forecast image and the carousel and add the location name to the forecast title:
+        // Show the forecast image and the carousel or the timeline, and add the location name to the forecast title:
         showForecastImage();
-        switchCarousel(true);
+        switchCarousel(displayedView === 'daily');
+        switchTimeline(displayedView === 'hourly');
         domAccess.querySelector('#forecast h3').innerText = `Forecast: ${locationName}`;
     }
 
     /**
      * Display the weather forecast if the request is still valid.
      *
-     * @param interestingInfo - 7 items - the interesting part of the response, the part we want to display
+     * @param interestingInfo - the interesting part of the response, the part we want to display: 7 days for the
+     *                          daily view, a timeline of hours for the hourly view
      * @param locationName
      * @param requestId - will be used to check if this request has been canceled
+     * @param view - 'daily' or 'hourly'
      */
-    function displayWeatherForecast(interestingInfo, locationName, requestId) {
+    function displayWeatherForecast(interestingInfo, locationName, requestId, view = 'daily') {
 
         // Abort if this request is no longer valid (was cancelled):
         if (!ajaxUtils.isSingletonRequestIdValid(requestId)) {
             return;
         }
 
-        // Get the elements in which the forecast will be displayed (one for each day)
-        const weatherCards = domAccess.getElementsByClassName('card');
-
         // raise the isAPICallDone flag to indicate forecast information is available:
         isAPICallDone = true;
+        displayedView = view;
+
+        if (view === 'hourly') {
+            populateTimeline(interestingInfo);
+        } else {
+            // Get the elements in which the forecast will be displayed (one for each day)
+            const weatherCards = domAccess.getElementsByClassName('card');
 
-        for (let i = 0; i < interestingInfo.length; ++i) {
-            // Populate the i'th card with the i'th day's forecast:
-            populateCardWithInfo(weatherCards[i], interestingInfo[i]);
+            for (let i = 0; i < interestingInfo.length; ++i) {
+                // Populate the i'th card with the i'th day's forecast:
+                populateCardWithInfo(weatherCards[i], interestingInfo[i]);
+            }
         }
 
         if (isIMGCallDone) {
@@ -1017,6 +1381,39 @@
         utils.switch(carousel, on);
     }
 
+    /**
+     * Show the hourly timeline (which is where the hourly forecast is displayed).
+     * @param on
+     */
+    function switchTimeline(on = true) {
+        const timeline = domAccess.getElementById('timeline');
+        utils.switch(timeline, on);
+    }
+
+    /**
+     * Populate the hourly forecast in the timeline: a row for each hour.
+     * @param hours
+     */
+    function populateTimeline(hours) {
+        const tableBody = domAccess.querySelector('#timeline tbody');
+        tableBody.innerHTML = '';
+
+        for (const hour of hours) {
+            const row = domAccess.createElement('tr');
+            for (const field of ['time', 'weather', 'temperature', 'cloudCover', 'precipitation', 'humidity', 'wind']) {
+                const cell = domAccess.createElement('td');
+                // The temperature contains an HTML entity:
+                if (field === 'temperature') {
+                    cell.innerHTML = hour[field];
+                } else {
+                    cell.innerText = hour[field];
+                }
+                row.appendChild(cell);
+            }
+            tableBody.appendChild(row);
+        }
+    }
+
     /**
      * Populate the information from the API in the view.
      * @param card
@@ -1034,91 +1431,6 @@
         utils.switch(windSpeedElement.previousElementSibling, info.windSpeed !== '');
     }
 
-    /**
-     * Extract from the response all the information we want to display. This will allow us to drop from memory
-     * all information we don't need and also to more quickly get the information when we wish to display it:
-     * we search the rather large object received from the API once now, and prepare a much smaller object - an array
-     * of "flat" objects, each of which contains all the information needed to display a single day's forecast.
-     *
-     * @param responseJson - an object prepared from the response body.
-     * @returns {[]}
-     */
-    function getInterestingInfo(responseJson) {
-        const result = [];
-        for (const dailyForecast of responseJson.dataseries) {
-            // Create an information object from the daily forecast and store it in result:
-            result.push(extractInfoFromDataObj(dailyForecast));
-        }
-        return result;
-    }
-
-    /**
-     * Extract and process the date information from a daily forecast object
-     * @param dailyForecast
-     * @returns {string}
-     */
-    function getDateString(dailyForecast) {
-        // 7timer machine readable API returns dates in format YYYYMMDD (for example January first 1970 will be
-        // represented as: "19700101" (a string), But when we "JSON" the response body we get the number 19700101.
-        // This is quite confusing, because it looks a bit like the way timestamps are often provided.
-        // In order to parse this date we first get the 2 least significant digits which represent the date:
-        const date = dailyForecast.date % 100;
-
-        // Then we get the next 2 digits which represent the month and subtract 1 from the number they form in order
-        // to align the month number with javascript convention of 0-indexed months:
-        const month = Math.floor(dailyForecast.date / 100) % 100 - 1;
-
-        // Then we get the last 4 digits which represent the year:
-        const year = Math.floor(dailyForecast.date / 10000);
-
-        const dateObj = new Date(year, month, date);
-
-        // Validate the date information and throw an exception if invalid:
-        if (!validation.validateDate(dateObj)) {
-            throw new Error(`Invalid date information. date: ${date}, month: ${month}, year: ${year}`);
-        }
-
-        // We create a Date object from the date info and then format it our way:
-        return dateObj.toDateString();
-    }
-
-    /**
-     * Given a daily forecast object, received from the weather API, that contains all interesting information for
-     * a single day's forecast, extract and process the interesting information and return it as a "flat" object
-     * suited for the view.
-     *
-     * This function attempts to validate the information form the API to avoid displaying corrupted information.
-     * If invalid information is found, an Error is thrown. The error will be caught by the fetch-then-catch call
-     * and cause an error dialog to be displayed.
-     *
-     * @param dailyForecast
-     * @returns {{date: Date, weather, tempRange: string, windSpeed: *}}
-     */
-    function extractInfoFromDataObj(dailyForecast) {
-        // Get the formatted date:
-        const dateString = getDateString(dailyForecast);
-
-        // We format the temperature range the way we wont it displayed:
-        const tempRange = `${dailyForecast.temp2m.min}&#8451; to ${dailyForecast.temp2m.max}&#8451;`;
-
-        // We fetch the weather type and the wind speed descriptions from the relevant mappings:
-        const weather = _7timer_weatherTypeToDesc[dailyForecast.weather];
-        const windSpeed = _7timer_windValuesToDesc[dailyForecast.wind10m_max];
-
-        // Check that weather and windSpeed are defined, if not throw an error:
-        if (typeof weather === 'undefined' || typeof windSpeed === 'undefined') {
-            throw new Error(`Invalid weather type or wind speed. weather type: ${dailyForecast.weather},
-             wind speed: ${dailyForecast.wind10m_max}`);
-        }
-
-        return {
-            'date': dateString,
-            'tempRange': tempRange,
-            'weather': weather,
-            'windSpeed': windSpeed,
-        }
-    }
-
     /**
      * Validates a string value and displays an error if invalid.
      *
@@ -1174,33 +1486,22 @@
 
     /**
      * Retrieves the proper error message for the name input.
+     * @param stringValue
      * @returns {string}
      */
-    function nameErrorMessageProvider() {
-        return errorMessages.getNameErrorMessage();
+    function nameErrorMessageProvider(stringValue) {
+        return validation.getNameErrorMessage(stringValue);
     }
 
     /**
      * Retrieves the proper error message for a lat/lon input.
      *
      * @param stringValue
-     * @param inputId
-     * @returns {*}
+     * @param inputId - 'lat' or 'lon'
+     * @returns {string}
      */
     function latLonErrorMessageProvider(stringValue, inputId) {
-        let errorMessage;
-
-        // First we perform a validation on the value and get the error summary object:
-        const errorSummary = validation.latLonErrorSummary(stringValue, inputId);
-
-        if (inputId === 'lat') {
-            // For the lat input we fetch the lat error message:
-            errorMessage = errorMessages.getLatErrorMessage(errorSummary);
-        } else {
-            // For the lon input we fetch the lon error message:
-            errorMessage = errorMessages.getLonErrorMessage(errorSummary);
-        }
-        return errorMessage;
+        return validation.getLatLonErrorMessage(stringValue, inputId);
     }
 
     /**
@@ -1261,11 +1562,99 @@
         // Write the location details to the element:
         locationDisplayElement.children[0].innerText = locationName;
         locationDisplayElement.children[1].innerText = `${location.lat}, ${location.lon}`;
+        updateForecastViewControls(location);
+        updateOrganizationControls(location);
+        loadAlertRules(location);
+        loadForecastHistoryDates(location);
 
         // Show the element:
         utils.show(locationDisplayElement);
     }
 
+    /**
+     * Reflect the forecast view of location (daily or hourly, and the hourly product) in the location details.
+     * @param location
+     */
+    function updateForecastViewControls(location) {
+        const view = location.view || 'daily';
+        for (const button of domAccess.querySelectorAll('#locations-container .forecast-view button')) {
+            button.classList.toggle('active', button.dataset.view === view);
+        }
+
+        const productSelect = domAccess.querySelector('#locations-container select.hourly-product');
+        utils.switch(productSelect, view === 'hourly');
+        if (location.product) {
+            productSelect.value = location.product;
+        } else {
+            productSelect.selectedIndex = 0;
+        }
+    }
+
+    /**
+     * Reflect the group and tags of location in the location details.
+     * @param location
+     */
+    function updateOrganizationControls(location) {
+        const groupSelect = domAccess.querySelector('#locations-container select.location-group');
+        groupSelect.value = location.groupId ? String(location.groupId) : '';
+        domAccess.querySelector('#locations-container input.location-tags').value = (location.tags || []).join(', ');
+        utils.hide(domAccess.querySelector('#locations-container small.tags-error'));
+        domAccess.getElementById('default-location').checked = location.id === settings.defaultLocationId;
+    }
+
+    /**
+     * Handler for the change event of the default location checkbox of the selected location.
+     * @param event
+     */
+    function handleDefaultLocationChange(event) {
+        const location = getSelectedLocation();
+        if (location === undefined) {
+            return;
+        }
+        const checkbox = event.target;
+        api.updateSettings({defaultLocationId: checkbox.checked ? location.id : null}, json => {
+            Object.assign(settings, json.settings);
+        }, error => {
+            checkbox.checked = !checkbox.checked;
+            onErrorUseMessage(error);
+        });
+    }
+
+    /**
+     * Get the location of the selected item in the locations list.
+     * @returns {*} undefined if no location is selected
+     */
+    function getSelectedLocation() {
+        const selectedLocationItem = domAccess.querySelector('#locations-container div.selected');
+        return selectedLocationItem === undefined ? undefined : locations[selectedLocationItem.innerText.trim()];
+    }
+
+    /**
+     * Handler for the click event of the daily/hourly buttons: switches the view of the selected location.
+     * @param event
+     */
+    function handleForecastViewClick(event) {
+        const location = getSelectedLocation();
+        if (location !== undefined) {
+            location.view = event.target.dataset.view;
+            if (location.view === 'hourly' && !location.product) {
+                location.product = domAccess.querySelector('#locations-container select.hourly-product').value;
+            }
+            updateForecastViewControls(location);
+        }
+    }
+
+    /**
+     * Handler for the change event of the hourly product select.
+     * @param event
+     */
+    function handleHourlyProductChange(event) {
+        const location = getSelectedLocation();
+        if (location !== undefined) {
+            location.product = event.target.value;
+        }
+    }
+
     /**
      * When one of the names on the locations list is clicked, we want to 'select' it, un-'select' every other name,
      * style it, and "un-style" every other name.
@@ -1290,6 +1679,7 @@
         // Get the location name form the clicked button and display the location details
         const locationName = nameButton.innerText.trim();
         displayLocationDetails(locationName);
+        locationsMap.selectMarker(locationName);
     }
 
     /**
@@ -1303,10 +1693,34 @@
         const nameButton = domAccess.createElement('div');
         nameButton.classList.add('col-11', 'p-2', 'pl-3', 'text-muted', 'border', 'rounded-bottom-left', 'border-top-0', 'name-btn');
         nameButton.innerText = location.name;
+        nameButton.classList.toggle('favorite', Boolean(location.isFavorite));
         nameButton.addEventListener('click', () => nameButtonClickAction(locationsDiv, nameButton));
+
+        const favoriteStar = domAccess.createElement('span');
+        favoriteStar.classList.add('float-right', 'favorite-star');
+        favoriteStar.title = 'Favorite';
+        favoriteStar.addEventListener('click', event => {
+            // Not a click of the name button, which would select the location:
+            event.stopPropagation();
+            handleFavoriteClick(location.name);
+        });
+        nameButton.appendChild(favoriteStar);
         return nameButton;
     }
 
+    /**
+     * Make a location a favorite, or not. Favorites are at the top of the list, so the list is displayed again in
+     * its new order.
+     * @param locationName
+     */
+    function handleFavoriteClick(locationName) {
+        const location = locations[locationName];
+        const selectedLocation = getSelectedLocation();
+        api.updateLocation(location.id, {isFavorite: !location.isFavorite}, () => {
+            reloadLocations(selectedLocation === undefined ? null : selectedLocation.name);
+        }, onErrorUseMessage);
+    }
+
     function handleTopRow(divRow) {
         // If the row to be removed is the first in the list but not the last, the buttons in the next row need
         // some adjustments to become first row buttons.
@@ -1359,9 +1773,11 @@
     }
 
     function handleDeleteButtonClick(divRow, locationsDiv, noLocationsYetElement) {
+        const locationName = divRow.firstChild.innerText;
         api.removeLocationsByNames(_ => {
             removeLocationFromDOM(divRow, locationsDiv, noLocationsYetElement);
-        }, onErrorUseMessage, [divRow.firstChild.innerText]);
+            locationsMap.removeMarker(locationName);
+        }, onErrorUseMessage, [locationName]);
     }
 
     /**
@@ -1380,6 +1796,127 @@
         return deleteButton;
     }
 
+    /**
+     * Move a row of the locations list before referenceRow (to the end of the list if it is null). The row is taken
+     * out of the list like a deleted row (see removeLocationFromDOM) and put back in with the borders and corners of
+     * its new place, so that the four corners of the list stay rounded.
+     *
+     * @param divRow
+     * @param referenceRow
+     * @param locationsDiv
+     */
+    function moveRow(divRow, referenceRow, locationsDiv) {
+        if (divRow.nextElementSibling !== null && divRow.previousElementSibling === null) {
+            handleTopRow(divRow);
+        } else if (divRow.nextElementSibling === null && divRow.previousElementSibling !== null) {
+            handleBottomRow(divRow);
+        }
+        // Style the row as a row in the middle of the list, then fix it if it is at the top or at the bottom:
+        const [nameButton, deleteButton] = [...divRow.children];
+        nameButton.classList.remove('rounded-top-left', 'rounded-bottom-left');
+        deleteButton.classList.remove('rounded-top-right', 'rounded-bottom-right');
+        nameButton.classList.add('border-top-0');
+        deleteButton.classList.add('border-top-0');
+
+        locationsDiv.insertBefore(divRow, referenceRow);
+
+        const previousRow = divRow.previousElementSibling;
+        const nextRow = divRow.nextElementSibling;
+        if (previousRow === null) {
+            // The row that was at the top isn't anymore:
+            for (const item of nextRow.children) {
+                item.classList.add('border-top-0');
+            }
+            nextRow.firstElementChild.classList.remove('rounded-top-left');
+            nextRow.lastElementChild.classList.remove('rounded-top-right');
+            nameButton.classList.remove('border-top-0');
+            deleteButton.classList.remove('border-top-0');
+            nameButton.classList.add('rounded-top-left');
+            deleteButton.classList.add('rounded-top-right');
+        }
+        if (nextRow === null) {
+            // The row that was at the bottom isn't anymore:
+            previousRow.firstElementChild.classList.remove('rounded-bottom-left');
+            previousRow.lastElementChild.classList.remove('rounded-bottom-right');
+            nameButton.classList.add('rounded-bottom-left');
+            deleteButton.classList.add('rounded-bottom-right');
+        }
+    }
+
+    // The row of the locations list that is being dragged, and the order of the list when the drag started:
+    let draggedRow = null;
+    let orderBeforeDrag = null;
+
+    function getListOrder(locationsDiv) {
+        return Array.from(locationsDiv.children).map(row => locations[row.firstChild.innerText.trim()].id);
+    }
+
+    function isFavoriteRow(row) {
+        return row.firstChild.classList.contains('favorite');
+    }
+
+    function handleRowDragStart(event) {
+        draggedRow = event.currentTarget;
+        orderBeforeDrag = getListOrder(draggedRow.parentElement);
+        event.dataTransfer.effectAllowed = 'move';
+        // Some browsers don't start a drag without data:
+        event.dataTransfer.setData('text/plain', draggedRow.firstChild.innerText.trim());
+        draggedRow.classList.add('dragging');
+    }
+
+    /**
+     * Handler for the dragover event of the rows of the locations list: the dragged row moves to where it would be
+     * dropped, above or below the row under the pointer. Favorites stay above the other locations, so a row may only
+     * be dragged among rows of its kind.
+     * @param event
+     */
+    function handleRowDragOver(event) {
+        const targetRow = event.currentTarget;
+        if (draggedRow === null || targetRow === draggedRow || isFavoriteRow(targetRow) !== isFavoriteRow(draggedRow)) {
+            return;
+        }
+        // Allow the drop:
+        event.preventDefault();
+        const targetRect = targetRow.getBoundingClientRect();
+        const referenceRow = event.clientY > targetRect.top + targetRect.height / 2 ?
+            targetRow.nextElementSibling : targetRow;
+        if (referenceRow !== draggedRow && referenceRow !== draggedRow.nextElementSibling) {
+            moveRow(draggedRow, referenceRow, draggedRow.parentElement);
+        }
+    }
+
+    /**
+     * Handler for the dragend event of the rows of the locations list: save the new order. If it can't be saved, the
+     * list is displayed again in the saved order.
+     */
+    function handleRowDragEnd() {
+        const locationsDiv = draggedRow.parentElement;
+        draggedRow.classList.remove('dragging');
+        draggedRow = null;
+
+        const order = getListOrder(locationsDiv);
+        if (order.every((id, index) => id === orderBeforeDrag[index])) {
+            return;
+        }
+        api.reorderLocations(order, () => undefined, error => {
+            onErrorUseMessage(error);
+            reloadLocations();
+        });
+    }
+
+    /**
+     * Make a row of the locations list draggable (to change the order of the list).
+     * @param divRow
+     */
+    function setDragEventsForRow(divRow) {
+        divRow.draggable = true;
+        divRow.addEventListener('dragstart', handleRowDragStart);
+        divRow.addEventListener('dragover', handleRowDragOver);
+        // The row is already in its place (see handleRowDragOver):
+        divRow.addEventListener('drop', event => event.preventDefault());
+        divRow.addEventListener('dragend', handleRowDragEnd);
+    }
+
     /**
      * This function is called for a non-touch device to add some interactive behaviour of the locations list buttons.
      * @param deleteButton
@@ -1479,6 +2016,7 @@
         // Append the new buttons to the new row, and the new row to the locations list container:
         divRow.appendChild(nameButton);
         divRow.appendChild(deleteButton);
+        setDragEventsForRow(divRow);
         locationsDiv.appendChild(divRow);
 
         // Show the locations list container (it may have been hidden if the list was empty until now):
@@ -1495,9 +2033,17 @@
     function addLocationToList(location, updateBackend = true) {
 
         function addLocationToListAction(responseJson = null) {
+            // The id of the location is needed for updating it (when its marker is dragged on the map):
+            if (responseJson && responseJson.location) {
+                location.id = responseJson.location.id;
+                location.groupId = responseJson.location.groupId;
+                location.tags = responseJson.location.tags;
+                location.isFavorite = responseJson.location.isFavorite;
+            }
             // First add it to the locations storage map (data structure):
             locations[location.name] = location;
             addLocationToDOM(location);
+            locationsMap.addMarker(location);
             showClearListButton();
 
             if (responseJson && responseJson.message.includes('updated')) {
@@ -1603,12 +2149,840 @@
         api.removeLocationsByNames(_ => {
             const locationsDiv = domAccess.querySelector('#locations-container div.locations');
             locationsDiv.innerHTML = '';
+            locationsMap.clear();
             const noLocationsYetElement = domAccess.querySelector('#locations-container p');
             utils.show(noLocationsYetElement);
             utils.hide(event.target);
         }, onErrorUseMessage, locationNames);
     }
 
+    /**
+     * Display the saved locations again, as they are on the server (after an import changed them, or to apply the
+     * group and tag filters, or in their new order).
+     *
+     * @param selectedLocationName - the location to select again, or null
+     */
+    function reloadLocations(selectedLocationName = null) {
+        domAccess.querySelector('#locations-container div.locations').innerHTML = '';
+        utils.hide(domAccess.querySelector('#locations-container div.location-details'));
+        utils.hide(domAccess.querySelector('#locations-container button.clear'));
+        for (const name of Object.keys(locations)) {
+            delete locations[name];
+        }
+        locationsMap.clear();
+
+        api.getLocations(json => {
+            savedLocations = json['locations'];
+            displaySavedLocations();
+            if (selectedLocationName !== null) {
+                selectLocation(selectedLocationName);
+            }
+        }, onErrorUseMessage, getListFilter());
+    }
+
+    /**
+     * The group and tag filters of the locations list (see api.getLocations).
+     * @returns {{group: string, tag: string}}
+     */
+    function getListFilter() {
+        return {
+            group: domAccess.querySelector('#locations-container select.group-filter').value,
+            tag: domAccess.querySelector('#locations-container select.tag-filter').value,
+        };
+    }
+
+    /**
+     * The id of the group the list is filtered by, or null if it isn't filtered by a group.
+     * @returns {string|null}
+     */
+    function getFilterGroupId() {
+        const group = getListFilter().group;
+        return group === '' || group === 'none' ? null : group;
+    }
+
+    function handleListFilterChange() {
+        utils.switch(domAccess.querySelector('#locations-container .group-actions'), getFilterGroupId() !== null);
+        utils.hide(domAccess.querySelector('#group-forecast'));
+        reloadLocations();
+    }
+
+    /**
+     * Replace the options of a select after its first fixedOptionCount options, keeping the selected value if it
+     * is still an option.
+     *
+     * @param select
+     * @param fixedOptionCount
+     * @param options - [{value, label}]
+     */
+    function setSelectOptions(select, fixedOptionCount, options) {
+        const selectedValue = select.value;
+        while (select.options.length > fixedOptionCount) {
+            select.remove(fixedOptionCount);
+        }
+        for (const option of options) {
+            // Option sets the text of the option, so labels from the user are safe:
+            select.add(new Option(option.label, option.value));
+        }
+        select.value = Array.from(select.options).some(option => option.value === selectedValue) ? selectedValue : '';
+    }
+
+    /**
+     * Fill the group filter and the group select of the location details with the user's groups.
+     */
+    function loadGroups() {
+        api.getGroups(json => {
+            const options = json.groups.map(group => ({value: String(group.id), label: group.name}));
+            setSelectOptions(domAccess.querySelector('#locations-container select.group-filter'), 2, options);
+            setSelectOptions(domAccess.querySelector('#locations-container select.location-group'), 1, options);
+        }, onErrorUseMessage);
+    }
+
+    /**
+     * Fill the tag filter with the user's tags.
+     */
+    function loadTags() {
+        api.getTags(json => {
+            const options = json.tags.map(tag => ({value: tag.name, label: tag.name}));
+            setSelectOptions(domAccess.querySelector('#locations-container select.tag-filter'), 1, options);
+        }, onErrorUseMessage);
+    }
+
+    function handleAddGroupClick() {
+        const nameInput = domAccess.getElementById('new-group-name');
+        const name = utils.getTrimmedValue(nameInput);
+        const errorElement = nameInput.closest('.new-group').querySelector('.error-message');
+        const errorMessage = validation.getNameErrorMessage(name);
+        errorElement.innerText = errorMessage;
+        utils.switch(errorElement, errorMessage !== '');
+        if (errorMessage !== '') {
+            return;
+        }
+
+        api.createGroup(name, () => {
+            utils.clearValue(nameInput);
+            loadGroups();
+        }, onErrorUseMessage);
+    }
+
+    /**
+     * Delete the group the list is filtered by. Its locations are kept, so the list shows all groups again.
+     */
+    function handleDeleteGroupClick() {
+        const groupId = getFilterGroupId();
+        api.deleteGroup(groupId, () => {
+            domAccess.querySelector('#locations-container select.group-filter').value = '';
+            handleListFilterChange();
+            loadGroups();
+        }, onErrorUseMessage);
+    }
+
+    /**
+     * A table cell of the group forecast.
+     * @param text
+     * @param title - a tooltip, or undefined
+     * @returns {*}
+     */
+    function createGroupForecastCell(text, title = undefined) {
+        const cell = domAccess.createElement('td');
+        cell.innerText = text;
+        if (title !== undefined) {
+            cell.title = title;
+        }
+        return cell;
+    }
+
+    /**
+     * Display the forecast summary of every location of a group: a row per location, a column per day.
+     * @param json - the response of api.getGroupForecast
+     */
+    function displayGroupForecast(json) {
+        const groupForecastElement = domAccess.querySelector('#group-forecast');
+        groupForecastElement.querySelector('h5').innerText = `Forecast of ${json.group.name}:`;
+
+        const forecastWithDays = json.forecasts.find(summary => summary.days !== undefined);
+        const days = forecastWithDays === undefined ? [] : forecastWithDays.days;
+        const headerRow = groupForecastElement.querySelector('thead tr');
+        headerRow.innerHTML = '';
+        for (const header of ['Location'].concat(days.map(day => forecastFormat.formatDay(day, settings).date))) {
+            const headerCell = domAccess.createElement('th');
+            headerCell.scope = 'col';
+            headerCell.innerText = header;
+            headerRow.appendChild(headerCell);
+        }
+
+        const tableBody = groupForecastElement.querySelector('tbody');
+        tableBody.innerHTML = '';
+        for (const summary of json.forecasts) {
+            const row = domAccess.createElement('tr');
+            row.appendChild(createGroupForecastCell(summary.location.name));
+            if (summary.error !== undefined) {
+                const errorCell = createGroupForecastCell(summary.error);
+                errorCell.colSpan = Math.max(days.length, 1);
+                errorCell.classList.add('text-danger');
+                row.appendChild(errorCell);
+            } else {
+                for (const day of summary.days) {
+                    const formattedDay = forecastFormat.formatDay(day, settings);
+                    row.appendChild(createGroupForecastCell(formattedDay.tempRange, formattedDay.weather));
+                }
+            }
+            tableBody.appendChild(row);
+        }
+        if (json.forecasts.length === 0) {
+            const row = domAccess.createElement('tr');
+            row.appendChild(createGroupForecastCell('There are no locations in this group yet.'));
+            tableBody.appendChild(row);
+        }
+
+        utils.show(groupForecastElement);
+    }
+
+    function handleGroupForecastClick() {
+        api.getGroupForecast(getFilterGroupId(), displayGroupForecast, onErrorUseMessage);
+    }
+
+    // The comparison shows this many days of every compared location:
+    const COMPARISON_DAYS = 7;
+
+    // The forecasts of the compared locations are fetched together, and a new comparison cancels the fetches of the
+    // previous one (but not the forecast of the selected location, which has its own singleton request):
+    let comparisonAbortController = null;
+
+    // The results of the last comparison, kept for displaying it again with another criterion or other units:
+    let comparisonResults = null;
+
+    function getComparisonElement() {
+        return domAccess.getElementById('comparison');
+    }
+
+    /**
+     * The names of the locations that are checked for comparison.
+     * @returns {string[]}
+     */
+    function getComparedLocationNames() {
+        // Not domAccess.querySelectorAll, which remembers the elements it found, since the checkboxes are replaced:
+        return Array.from(getComparisonElement().querySelectorAll('.comparison-choices input:checked'))
+            .map(checkbox => checkbox.value);
+    }
+
+    /**
+     * Show the comparison, with a checkbox for every location of the list. Locations that were checked stay checked,
+     * and if there were none, the selected location is checked.
+     */
+    function handleShowComparisonClick() {
+        const comparisonElement = getComparisonElement();
+        const checkedNames = getComparedLocationNames();
+        const selectedLocation = getSelectedLocation();
+        if (checkedNames.length === 0 && selectedLocation !== undefined) {
+            checkedNames.push(selectedLocation.name);
+        }
+
+        const choicesElement = comparisonElement.querySelector('.comparison-choices');
+        choicesElement.innerHTML = '';
+        Object.values(locations).forEach((location, index) => {
+            const choice = domAccess.createElement('div');
+            choice.classList.add('custom-control', 'custom-checkbox', 'custom-control-inline');
+            const checkbox = domAccess.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.classList.add('custom-control-input');
+            checkbox.id = `compare-location-${index}`;
+            checkbox.value = location.name;
+            checkbox.checked = checkedNames.includes(location.name);
+            const label = domAccess.createElement('label');
+            label.classList.add('custom-control-label');
+            label.htmlFor = checkbox.id;
+            label.innerText = location.name;
+            choice.appendChild(checkbox);
+            choice.appendChild(label);
+            choicesElement.appendChild(choice);
+        });
+
+        utils.show(comparisonElement);
+    }
+
+    /**
+     * Fetch the daily forecast of a location for the comparison. It never rejects: a location whose forecast
+     * couldn't be fetched is compared with the error instead.
+     * @param location
+     * @param signal - the abort signal of the comparison
+     * @returns {Promise<{location, days: []}|{location, error: string}>}
+     */
+    function fetchComparedForecast(location, signal) {
+        return fetch(FORECAST_API_URL + makeParamStringForAPICall(location, 'daily'), {signal})
+            .then(getResponseJson)
+            .then(responseJson => ({location: location, days: responseJson.forecast.daily.slice(0, COMPARISON_DAYS)}))
+            .catch(error => ({
+                location: location,
+                error: error.hasOwnProperty('code') ? errorMessages.getApiErrorMessage(error) : getErrorMessage(error),
+            }));
+    }
+
+    /**
+     * Fetch the forecasts of the checked locations, all at once, and display the comparison when all of them are
+     * fetched.
+     */
+    function handleCompareClick() {
+        const comparisonElement = getComparisonElement();
+        const errorElement = comparisonElement.querySelector('.error-message');
+        const comparedLocations = getComparedLocationNames()
+            .map(name => locations[name])
+            .filter(location => location !== undefined);
+        if (comparedLocations.length < 2) {
+            errorElement.innerText = 'Choose at least two locations to compare.';
+            utils.show(errorElement);
+            return;
+        }
+        utils.hide(errorElement);
+
+        if (comparisonAbortController !== null) {
+            comparisonAbortController.abort();
+        }
+        const abortController = new AbortController();
+        comparisonAbortController = abortController;
+
+        const loadingElement = comparisonElement.querySelector('.loading');
+        utils.show(loadingElement);
+        Promise.all(comparedLocations.map(location => fetchComparedForecast(location, abortController.signal)))
+            .then(results => {
+                // Abort if a newer comparison was started:
+                if (abortController !== comparisonAbortController) {
+                    return;
+                }
+                comparisonAbortController = null;
+                utils.hide(loadingElement);
+                comparisonResults = results;
+                displayComparison();
+            });
+    }
+
+    /**
+     * Create a cell of the comparison of a location on a day: its weather, temperatures and wind.
+     * @param day - normalized daily forecast
+     * @param isBest - whether it is the best day of the location by the chosen criterion
+     * @returns {*}
+     */
+    function createComparisonCell(day, isBest) {
+        const cell = domAccess.createElement('td');
+        const formattedDay = forecastFormat.formatDay(day, settings);
+        const lines = [
+            forecastFormat.formatWeatherType(day.weather.type),
+            formattedDay.tempRange,
+            `Wind: ${day.wind.label}`,
+        ];
+        for (const line of lines) {
+            const lineElement = domAccess.createElement('div');
+            lineElement.innerText = line;
+            cell.appendChild(lineElement);
+        }
+        cell.title = formattedDay.weather;
+        cell.classList.toggle('table-success', isBest);
+        return cell;
+    }
+
+    /**
+     * Display the last comparison: a column per location, a row per day, and the best day of every location by the
+     * chosen criterion highlighted. The dates are local to every location, so a location may not have some dates of
+     * the others.
+     */
+    function displayComparison() {
+        const comparisonElement = getComparisonElement();
+        const criterionName = comparisonElement.querySelector('select.comparison-criterion').value;
+
+        const dates = [...new Set(comparisonResults.flatMap(result => (result.days || []).map(day => day.date)))]
+            .sort()
+            .slice(0, COMPARISON_DAYS);
+
+        const headerRow = comparisonElement.querySelector('thead tr');
+        headerRow.innerHTML = '';
+        for (const header of ['Day'].concat(comparisonResults.map(result => result.location.name))) {
+            const headerCell = domAccess.createElement('th');
+            headerCell.scope = 'col';
+            headerCell.innerText = header;
+            headerRow.appendChild(headerCell);
+        }
+
+        const bestDays = comparisonResults.map(result => result.days === undefined || criterionName === '' ?
+            new Set() : comparisonCriteria.findBestDays(result.days, criterionName));
+
+        const tableBody = comparisonElement.querySelector('tbody');
+        tableBody.innerHTML = '';
+        dates.forEach((date, dateIndex) => {
+            const row = domAccess.createElement('tr');
+            const dateCell = domAccess.createElement('th');
+            dateCell.scope = 'row';
+            dateCell.innerText = forecastFormat.formatDate(date);
+            row.appendChild(dateCell);
+            comparisonResults.forEach((result, resultIndex) => {
+                if (result.error !== undefined) {
+                    // The error fills the column of the location, so it is only in the first row:
+                    if (dateIndex === 0) {
+                        const errorCell = domAccess.createElement('td');
+                        errorCell.innerText = result.error;
+                        errorCell.rowSpan = dates.length;
+                        errorCell.classList.add('text-danger');
+                        row.appendChild(errorCell);
+                    }
+                    return;
+                }
+                const dayIndex = result.days.findIndex(day => day.date === date);
+                if (dayIndex === -1) {
+                    row.appendChild(domAccess.createElement('td'));
+                } else {
+                    row.appendChild(createComparisonCell(result.days[dayIndex], bestDays[resultIndex].has(dayIndex)));
+                }
+            });
+            tableBody.appendChild(row);
+        });
+
+        utils.show(comparisonElement.querySelector('.table-responsive'));
+    }
+
+    function handleComparisonCriterionChange() {
+        if (comparisonResults !== null) {
+            displayComparison();
+        }
+    }
+
+    /**
+     * Handler for the click event of the save button of the group and tags of the selected location.
+     */
+    function handleSaveOrganizationClick() {
+        const location = getSelectedLocation();
+        if (location === undefined) {
+            return;
+        }
+        const tagsInput = domAccess.querySelector('#locations-container input.location-tags');
+        const tagsError = domAccess.querySelector('#locations-container small.tags-error');
+        const {tags, error} = validation.validateTags(tagsInput.value.split(',').filter(tag => tag.trim() !== ''));
+        tagsError.innerText = error;
+        utils.switch(tagsError, error !== '');
+        if (error !== '') {
+            return;
+        }
+        const groupValue = domAccess.querySelector('#locations-container select.location-group').value;
+
+        api.updateLocation(location.id, {groupId: groupValue === '' ? null : Number(groupValue), tags: tags}, json => {
+            location.groupId = json.location.groupId;
+            location.tags = json.location.tags;
+            updateOrganizationControls(location);
+            loadGroups();
+            loadTags();
+            // The location may not match the filters anymore:
+            const filter = getListFilter();
+            if (filter.group !== '' || filter.tag !== '') {
+                reloadLocations();
+            }
+        }, onErrorUseMessage);
+    }
+
+    function getRuleErrorElement() {
+        return domAccess.querySelector('#locations-container small.rule-error');
+    }
+
+    function createRuleItem(rule, location) {
+        const item = domAccess.createElement('li');
+        item.innerText = rule.description;
+        const deleteButton = domAccess.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.classList.add('btn', 'btn-sm', 'btn-link', 'text-danger', 'p-0', 'ml-2', 'align-baseline');
+        deleteButton.innerText = 'Delete';
+        deleteButton.addEventListener('click', () => {
+            api.deleteAlertRule(rule.id, () => loadAlertRules(location), onErrorUseMessage);
+        });
+        item.appendChild(deleteButton);
+        return item;
+    }
+
+    /**
+     * Display the alert rules of a location in the location details.
+     * @param location
+     */
+    function loadAlertRules(location) {
+        const rulesList = domAccess.querySelector('#locations-container ul.rules-list');
+        rulesList.innerHTML = '';
+        utils.hide(getRuleErrorElement());
+        updateRuleThresholdControls();
+        if (location.id === undefined) {
+            return;
+        }
+        api.getAlertRules(location.id, json => {
+            // Another location may have been selected while the rules were loading:
+            if (getSelectedLocation() !== location) {
+                return;
+            }
+            for (const rule of json.rules) {
+                rulesList.appendChild(createRuleItem(rule, location));
+            }
+            if (json.rules.length === 0) {
+                const item = domAccess.createElement('li');
+                item.classList.add('text-muted');
+                item.innerText = 'No alert rules yet.';
+                rulesList.appendChild(item);
+            }
+        }, onErrorUseMessage);
+    }
+
+    /**
+     * The kind of threshold of the condition chosen in the alert rule form: 'temperature', 'windClass' or '' (none).
+     * @returns {string}
+     */
+    function getRuleThresholdKind() {
+        const conditionSelect = domAccess.querySelector('#locations-container select.rule-condition');
+        return conditionSelect.selectedOptions[0].dataset.threshold;
+    }
+
+    /**
+     * Show the threshold input of the chosen condition, a temperature (in the user's unit) or a wind class.
+     */
+    function updateRuleThresholdControls() {
+        const thresholdKind = getRuleThresholdKind();
+        const temperatureInput = domAccess.querySelector('#locations-container .rule-temperature');
+        const windClassSelect = domAccess.querySelector('#locations-container select.rule-wind-class');
+        utils.switch(temperatureInput, thresholdKind === 'temperature');
+        utils.switch(windClassSelect, thresholdKind === 'windClass');
+        domAccess.querySelector('#locations-container .temperature-unit-label').innerText =
+            units.getTemperatureLabel(settings.temperatureUnit);
+    }
+
+    function handleAddRuleClick() {
+        const location = getSelectedLocation();
+        if (location === undefined) {
+            return;
+        }
+        const errorElement = getRuleErrorElement();
+        const dayValue = domAccess.querySelector('#locations-container select.rule-day').value;
+        const rule = {
+            locationId: location.id,
+            condition: domAccess.querySelector('#locations-container select.rule-condition').value,
+            dayOffset: dayValue === '' ? null : Number(dayValue),
+        };
+
+        const thresholdKind = getRuleThresholdKind();
+        const thresholdInput = domAccess.querySelector('#locations-container input.rule-threshold');
+        if (thresholdKind === 'temperature') {
+            const temperature = thresholdInput.value.trim() === '' ? NaN : Number(thresholdInput.value);
+            if (!Number.isFinite(temperature)) {
+                errorElement.innerText = 'Enter a temperature.';
+                utils.show(errorElement);
+                return;
+            }
+            // Thresholds are in degrees Celsius, like the forecast:
+            rule.threshold = units.convertTemperatureToCelsius(temperature, settings.temperatureUnit);
+        } else if (thresholdKind === 'windClass') {
+            rule.threshold = Number(domAccess.querySelector('#locations-container select.rule-wind-class').value);
+        }
+
+        api.createAlertRule(rule, () => {
+            utils.clearValue(thresholdInput);
+            loadAlertRules(location);
+        }, error => {
+            if (error.code === 'validation_error' || error.code === 'conflict') {
+                errorElement.innerText = error.message;
+                utils.show(errorElement);
+            } else {
+                onErrorUseMessage(error);
+            }
+        });
+    }
+
+    function updateUnreadAlertsBadge(unreadCount) {
+        const badge = domAccess.querySelector('nav .unread-alerts');
+        badge.innerText = unreadCount;
+        utils.switch(badge, unreadCount > 0);
+    }
+
+    function createAlertItem(alert) {
+        const item = domAccess.createElement('li');
+        item.classList.add('list-group-item');
+        const isUnread = alert.readAt === null;
+
+        const message = domAccess.createElement('div');
+        message.classList.toggle('font-weight-bold', isUnread);
+        message.innerText = alert.message;
+        item.appendChild(message);
+
+        const time = domAccess.createElement('small');
+        time.classList.add('text-muted');
+        time.innerText = `${forecastFormat.formatDate(alert.forecastDate)} (alerted ` +
+            `${new Date(alert.createdAt).toLocaleString()})`;
+        item.appendChild(time);
+
+        if (isUnread) {
+            const readButton = domAccess.createElement('button');
+            readButton.type = 'button';
+            readButton.classList.add('btn', 'btn-sm', 'btn-link', 'p-0', 'ml-2', 'align-baseline');
+            readButton.innerText = 'Mark as read';
+            readButton.addEventListener('click', () => api.markAlertRead(alert.id, loadAlerts, onErrorUseMessage));
+            item.appendChild(readButton);
+        }
+        return item;
+    }
+
+    /**
+     * Display the latest alerts in the alerts dialog, and the number of unread ones in the badge of the navigation
+     * bar.
+     */
+    function loadAlerts() {
+        api.getAlerts(json => {
+            updateUnreadAlertsBadge(json.unreadCount);
+            const alertsList = domAccess.querySelector('#alerts-modal ul.alerts-list');
+            alertsList.innerHTML = '';
+            for (const alert of json.alerts) {
+                alertsList.appendChild(createAlertItem(alert));
+            }
+            utils.switch(domAccess.querySelector('#alerts-modal p.no-alerts'), json.alerts.length === 0);
+        }, onErrorUseMessage);
+    }
+
+    function handleShowAlertsClick(event) {
+        event.preventDefault();
+        loadAlerts();
+        $('#alerts-modal').modal({show: true});
+    }
+
+    function handleMarkAllAlertsReadClick() {
+        api.markAllAlertsRead(loadAlerts, onErrorUseMessage);
+    }
+
+    // The forecast history that is displayed, kept for displaying it again in other units:
+    let forecastHistory = null;
+
+    function getForecastHistoryElement() {
+        return domAccess.getElementById('forecast-history');
+    }
+
+    /**
+     * Fill the dates of the forecast history of location in the location details, latest first, and hide the forecast
+     * history of the location that was selected before.
+     * @param location
+     */
+    function loadForecastHistoryDates(location) {
+        const dateSelect = domAccess.querySelector('#locations-container select.history-date');
+        const showButton = domAccess.querySelector('#locations-container button.show-history');
+        forecastHistory = null;
+        utils.hide(getForecastHistoryElement());
+        setSelectOptions(dateSelect, 0, []);
+        showButton.disabled = true;
+        if (location.id === undefined) {
+            return;
+        }
+        api.getForecastHistoryDates(location.id, json => {
+            // Another location may have been selected while the dates were loading:
+            if (getSelectedLocation() !== location) {
+                return;
+            }
+            if (json.dates.length === 0) {
+                setSelectOptions(dateSelect, 0, [{value: '', label: 'No forecasts were archived yet'}]);
+                return;
+            }
+            setSelectOptions(dateSelect, 0,
+                json.dates.map(date => ({value: date, label: forecastFormat.formatDate(date)})));
+            showButton.disabled = false;
+        }, onErrorUseMessage);
+    }
+
+    function handleShowHistoryClick() {
+        const location = getSelectedLocation();
+        const date = domAccess.querySelector('#locations-container select.history-date').value;
+        if (location === undefined || date === '') {
+            return;
+        }
+        api.getForecastHistory(location.id, date, json => {
+            forecastHistory = {location: location, json: json};
+            displayForecastHistory();
+        }, onErrorUseMessage);
+    }
+
+    /**
+     * Display how the forecast of a date changed: a row per archived forecast, oldest first, with the values that
+     * changed since the forecast before highlighted.
+     */
+    function displayForecastHistory() {
+        const historyElement = getForecastHistoryElement();
+        const {location, json} = forecastHistory;
+        historyElement.querySelector('h5').innerText =
+            `The forecast of ${forecastFormat.formatDate(json.date)} in ${location.name}:`;
+
+        const tableBody = historyElement.querySelector('tbody');
+        tableBody.innerHTML = '';
+        if (json.truncated) {
+            // The server sends only the latest forecasts:
+            const row = domAccess.createElement('tr');
+            row.appendChild(createGroupForecastCell(`Only the latest ${json.forecasts.length} forecasts are shown.`));
+            tableBody.appendChild(row);
+        }
+        let previousValues = null;
+        for (const forecast of json.forecasts) {
+            const formattedDay = forecastFormat.formatDay(forecast.day, settings);
+            const values = [
+                formattedDay.weather,
+                formattedDay.tempRange,
+                formattedDay.windSpeed || 'Calm',
+            ];
+            const row = domAccess.createElement('tr');
+            row.appendChild(createGroupForecastCell(new Date(forecast.fetchedAt).toLocaleString()));
+            values.forEach((value, index) => {
+                const cell = createGroupForecastCell(value);
+                if (previousValues !== null && previousValues[index] !== value) {
+                    cell.classList.add('table-warning');
+                }
+                row.appendChild(cell);
+            });
+            tableBody.appendChild(row);
+            previousValues = values;
+        }
+        if (json.forecasts.length === 0) {
+            const row = domAccess.createElement('tr');
+            row.appendChild(createGroupForecastCell('No archived forecast has this date.'));
+            tableBody.appendChild(row);
+        }
+
+        utils.show(historyElement);
+    }
+
+    /**
+     * The format of a file to import, by its extension. The formats are those of the export menu.
+     *
+     * @param fileName
+     * @returns {string|null}
+     */
+    function getImportFormat(fileName) {
+        const lowerCaseName = fileName.toLowerCase();
+        // The longest extension first, so that .geojson isn't taken for .json:
+        const formatItems = Array.from(domAccess.querySelectorAll('#locations-container .export .dropdown-item'))
+            .sort((a, b) => b.dataset.extension.length - a.dataset.extension.length);
+        const formatItem = formatItems.find(item => lowerCaseName.endsWith(item.dataset.extension));
+        return formatItem === undefined ? null : formatItem.dataset.format;
+    }
+
+    /**
+     * A list item of a rejected row of an import: its number, name and why it was rejected.
+     *
+     * @param row
+     * @returns {*}
+     */
+    function createRejectedRowItem(row) {
+        const item = domAccess.createElement('li');
+        const fieldErrors = Object.entries(row.errors).map(([field, message]) => `${field}: ${message}`);
+        const name = typeof row.name === 'string' && row.name !== '' ? ` (${row.name})` : '';
+        // innerText, since the names come from the file:
+        item.innerText = `Row ${row.row}${name}: ${fieldErrors.join('; ')}`;
+        return item;
+    }
+
+    /**
+     * Show what importing a file would do, with a button that imports it.
+     *
+     * @param report - the response of a dry run import
+     * @param doImport - called when the user confirms the import
+     */
+    function displayImportReport(report, doImport) {
+        const {created, updated, rejected} = report.summary;
+
+        domAccess.querySelector('#error-modal .modal-title').innerText = 'Import Locations';
+        const modalBody = domAccess.querySelector('#error-modal div.modal-body');
+        modalBody.innerHTML = '';
+        const summary = domAccess.createElement('p');
+        summary.innerText = `${created} new locations, ${updated} updated locations, ${rejected} rejected rows.`;
+        modalBody.appendChild(summary);
+        if (rejected > 0) {
+            const rejectedList = domAccess.createElement('ul');
+            rejectedList.classList.add('small', 'text-danger');
+            for (const row of report.rows.filter(row => row.action === 'reject')) {
+                rejectedList.appendChild(createRejectedRowItem(row));
+            }
+            modalBody.appendChild(rejectedList);
+        }
+
+        const modal = domAccess.querySelector('div.modal');
+        const modalFooter = modal.querySelector('div.modal-footer');
+        modalFooter.innerHTML = '';
+        if (created + updated > 0) {
+            const confirmButton = createModalButton('confirm');
+            confirmButton.innerText = 'Import';
+            confirmButton.addEventListener('click', function () {
+                // The modal shows the result of the import, so it must be hidden first:
+                $('#error-modal').one('hidden.bs.modal', doImport).modal('hide');
+            });
+            modalFooter.appendChild(confirmButton);
+        }
+        const cancelButton = createModalButton();
+        cancelButton.innerText = 'Cancel';
+        modalFooter.appendChild(cancelButton);
+        modal.setAttribute('data-backdrop', 'true');
+
+        $('#error-modal').modal({show: true});
+    }
+
+    function handleImportButtonClick() {
+        domAccess.querySelector('#locations-container input.import-file').click();
+    }
+
+    /**
+     * Handler for the change event of the import file input: import the chosen file after showing what importing it
+     * would do.
+     *
+     * @param event
+     */
+    function handleImportFileChange(event) {
+        const fileInput = event.target;
+        const file = fileInput.files[0];
+        // So that choosing the same file again is a change too:
+        fileInput.value = '';
+        if (file === undefined) {
+            return;
+        }
+        const format = getImportFormat(file.name);
+        if (format === null) {
+            displayMessageInModal(`${file.name} is not a file of a format that can be imported.`,
+                "Couldn't Import Locations");
+            return;
+        }
+
+        file.text().then(content => {
+            api.importLocations(content, format, true, report => {
+                displayImportReport(report, () => api.importLocations(content, format, false, result => {
+                    reloadLocations();
+                    const {created, updated} = result.summary;
+                    displayMessageInModal(`Imported ${created} new locations and updated ${updated}.`, 'Success');
+                }, onErrorUseMessage));
+            }, onErrorUseMessage);
+        }).catch(onErrorUseMessage);
+    }
+
+    /**
+     * Handler for the change event of the unit selects: save the preference, and display the forecast of the
+     * selected location again in the new units.
+     * @param event
+     */
+    function handleUnitChange(event) {
+        const select = event.target;
+        api.updateSettings({[select.name]: select.value}, json => {
+            Object.assign(settings, json.settings);
+            if (domAccess.querySelector('#locations-container div.selected') !== undefined) {
+                handleDisplayForecastButtonClick();
+                // The rules are described in the user's units:
+                loadAlertRules(getSelectedLocation());
+            }
+            if (comparisonResults !== null) {
+                displayComparison();
+            }
+            if (forecastHistory !== null) {
+                displayForecastHistory();
+            }
+        }, onErrorUseMessage);
+    }
+
+    /**
+     * Handler for the change event of the forecast image options: display the image of the selected location again
+     * with the new options.
+     */
+    function handleImageOptionsChange() {
+        if (domAccess.querySelector('#locations-container div.selected') !== undefined) {
+            handleDisplayForecastButtonClick();
+        }
+    }
+
     let initRan = false;
     let savedLocations = null;
 
@@ -1618,6 +2992,232 @@
         for (let location of savedLocations) {
             addLocationToList(location, false);
         }
+        locationsMap.fitMarkers();
+    }
+
+    /**
+     * Select a location of the list, as if its name was clicked.
+     *
+     * @param locationName
+     * @returns {boolean} false if the location is not in the list
+     */
+    function selectLocation(locationName) {
+        const locationsDiv = domAccess.querySelector('#locations-container div.locations');
+        const row = Array.from(locationsDiv.children).find(row => row.firstChild.innerText.trim() === locationName);
+        if (row === undefined) {
+            return false;
+        }
+        nameButtonClickAction(locationsDiv, row.firstChild);
+        return true;
+    }
+
+    /**
+     * Display the saved locations when the page is loaded, and the forecast of the default location, if the user has
+     * one.
+     */
+    function displaySavedLocationsOnLoad() {
+        displaySavedLocations();
+        const defaultLocation = savedLocations.find(location => location.id === settings.defaultLocationId);
+        if (defaultLocation !== undefined && selectLocation(defaultLocation.name)) {
+            handleDisplayForecastButtonClick();
+        }
+    }
+
+    /**
+     * Fetch JSON from the geocoding API. Unlike the forecast, failures are only logged: place search is a
+     * convenience, and the coordinates can always be typed.
+     *
+     * @param url
+     * @param signal - abort signal, or undefined
+     * @returns {Promise<any>} resolves to null if the request failed or was aborted
+     */
+    function fetchGeocoding(url, signal) {
+        return fetch(url, {signal})
+            .then(response => {
+                if (!response.ok) {
+                    return response.json()
+                        .catch(() => null)
+                        .then(data => api.throwError(response.status, data));
+                }
+                return response.json();
+            })
+            .catch(error => {
+                if (error.name !== 'AbortError') {
+                    console.error(error);
+                }
+                return null;
+            });
+    }
+
+    /**
+     * Fill in a field of the add location form, and validate it (which also hides errors of the previous value).
+     * @param inputName
+     * @param value
+     */
+    function setFormValue(inputName, value) {
+        const input = domAccess.getInputByName(inputName);
+        input.value = value;
+        input.dispatchEvent(new Event('keyup'));
+    }
+
+    /**
+     * Handler for clicks on the map: fill in the coordinates of the new location in the form, and if it has no name
+     * yet, the name of the nearest known place.
+     * @param lat
+     * @param lon
+     */
+    function handleMapClick(lat, lon) {
+        setFormValue('lat', lat);
+        setFormValue('lon', lon);
+        const nameInput = domAccess.getInputByName('name');
+        nameInput.focus();
+
+        if (utils.getTrimmedValue(nameInput) === '') {
+            const params = new URLSearchParams({lat: lat, lon: lon});
+            fetchGeocoding(`${REVERSE_GEOCODE_API_URL}?${params.toString()}`).then(json => {
+                // The user may have typed a name while waiting:
+                if (json !== null && utils.getTrimmedValue(nameInput) === '') {
+                    setFormValue('name', json.place.name);
+                }
+            });
+        }
+    }
+
+    let placeSearchTimeout = null;
+    let placeSearchAbortController = null;
+
+    function getPlaceSuggestionsElement() {
+        return domAccess.querySelector('#form .place-suggestions');
+    }
+
+    function hidePlaceSuggestions() {
+        const suggestionsElement = getPlaceSuggestionsElement();
+        suggestionsElement.innerHTML = '';
+        utils.hide(suggestionsElement);
+    }
+
+    /**
+     * Fill in the add location form with a place the user selected from the suggestions.
+     * @param place
+     */
+    function selectPlace(place) {
+        setFormValue('name', place.name);
+        setFormValue('lat', place.lat);
+        setFormValue('lon', place.lon);
+        domAccess.querySelector('#place-search').value = '';
+        hidePlaceSuggestions();
+    }
+
+    /**
+     * Display the places found for the search, as a list under the search input.
+     * @param places
+     */
+    function displayPlaceSuggestions(places) {
+        const suggestionsElement = getPlaceSuggestionsElement();
+        suggestionsElement.innerHTML = '';
+        for (const place of places) {
+            const item = domAccess.createElement('button');
+            item.type = 'button';
+            item.classList.add('list-group-item', 'list-group-item-action', 'py-1');
+            item.setAttribute('role', 'option');
+            item.innerText = `${place.name}, ${place.country}`;
+            item.addEventListener('click', () => selectPlace(place));
+            suggestionsElement.appendChild(item);
+        }
+        utils.switch(suggestionsElement, places.length > 0);
+    }
+
+    function searchPlaces(query) {
+        placeSearchAbortController = new AbortController();
+        const params = new URLSearchParams({q: query, limit: PLACE_SUGGESTIONS_LIMIT});
+        fetchGeocoding(`${GEOCODE_API_URL}?${params.toString()}`, placeSearchAbortController.signal).then(json => {
+            if (json !== null) {
+                displayPlaceSuggestions(json.places);
+            }
+        });
+    }
+
+    /**
+     * Handler for the input event of the place search: search (once the user stops typing), cancelling the previous
+     * search.
+     * @param event
+     */
+    function handlePlaceSearchInput(event) {
+        clearTimeout(placeSearchTimeout);
+        if (placeSearchAbortController !== null) {
+            placeSearchAbortController.abort();
+            placeSearchAbortController = null;
+        }
+
+        const query = event.target.value.trim();
+        if (query.length < PLACE_SEARCH_MIN_LENGTH) {
+            hidePlaceSuggestions();
+            return;
+        }
+        placeSearchTimeout = setTimeout(() => searchPlaces(query), PLACE_SEARCH_DELAY);
+    }
+
+    /**
+     * Handler for the keydown event of the place search: the arrow keys move between the suggestions, Enter selects
+     * one (rather than submitting the form) and Escape closes them.
+     * @param event
+     */
+    function handlePlaceSearchKeydown(event) {
+        const items = [...getPlaceSuggestionsElement().children];
+        const activeIndex = items.findIndex(item => item.classList.contains('active'));
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (items.length === 0) {
+                return;
+            }
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            const newIndex = (activeIndex + step + items.length) % items.length;
+            items.forEach((item, index) => item.classList.toggle('active', index === newIndex));
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (items.length > 0) {
+                items[Math.max(activeIndex, 0)].click();
+            }
+        } else if (event.key === 'Escape') {
+            hidePlaceSuggestions();
+        }
+    }
+
+    /**
+     * Handler for clicks on a marker: select its location, as if its name was clicked in the locations list.
+     * @param locationName
+     */
+    function handleMarkerClick(locationName) {
+        const locationsDiv = domAccess.querySelector('#locations-container div.locations');
+        for (const nameButton of locationsDiv.getElementsByClassName('name-btn')) {
+            if (nameButton.innerText.trim() === locationName) {
+                nameButtonClickAction(locationsDiv, nameButton);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Handler for a marker that was dragged: move its location. If that fails, the marker goes back.
+     * @param locationName
+     * @param lat
+     * @param lon
+     * @param revert - moves the marker back to where it was
+     */
+    function handleMarkerMoved(locationName, lat, lon, revert) {
+        const location = locations[locationName];
+        api.updateLocation(location.id, {lat: lat, lon: lon}, () => {
+            location.lat = lat;
+            location.lon = lon;
+            const selectedLocation = getSelectedLocation();
+            if (selectedLocation !== undefined && selectedLocation.name === locationName) {
+                displayLocationDetails(locationName);
+            }
+        }, error => {
+            revert();
+            onErrorUseMessage(error);
+        });
     }
 
     function doBeforeApiCall() {
@@ -1635,6 +3235,12 @@
 
         api.init(doBeforeApiCall, doAfterApiCall);
 
+        locationsMap.init(domAccess.getElementById('map'), {
+            onMapClick: handleMapClick,
+            onMarkerClick: handleMarkerClick,
+            onMarkerMoved: handleMarkerMoved,
+        });
+
         for (const inputName of ['lat', 'lon']) {
             // Add listeners to the keyup event to the lat and lon inputs:
             domAccess.getInputByName(inputName).addEventListener('keyup', handleLatLonKeyup);
@@ -1644,6 +3250,14 @@
         const nameInput = domAccess.getInputByName('name');
         nameInput.addEventListener('keyup', handleNameKeyup);
 
+        // Add listeners to the place search, and close its suggestions when it loses the focus (a click on a
+        // suggestion doesn't take the focus, so that the click gets to it first):
+        const placeSearchInput = domAccess.querySelector('#place-search');
+        placeSearchInput.addEventListener('input', handlePlaceSearchInput);
+        placeSearchInput.addEventListener('keydown', handlePlaceSearchKeydown);
+        placeSearchInput.addEventListener('blur', hidePlaceSuggestions);
+        getPlaceSuggestionsElement().addEventListener('mousedown', event => event.preventDefault());
+
         // Add a listener to the click event to the submit button of the form:
         const submitButton = domAccess.querySelector('#form .submit-button');
         submitButton.addEventListener('click', handleFormSubmission);
@@ -1652,10 +3266,74 @@
         const displayForecastButton = domAccess.querySelector('#locations-container button.show-forecast');
         displayForecastButton.addEventListener('click', handleDisplayForecastButtonClick);
 
+        // Add listeners to the daily/hourly view buttons and to the hourly product select:
+        for (const button of domAccess.querySelectorAll('#locations-container .forecast-view button')) {
+            button.addEventListener('click', handleForecastViewClick);
+        }
+        const hourlyProductSelect = domAccess.querySelector('#locations-container select.hourly-product');
+        hourlyProductSelect.addEventListener('change', handleHourlyProductChange);
+
+        // Read the user's unit preferences, and add listeners to the change event of the unit selects:
+        for (const select of domAccess.querySelectorAll('#units select')) {
+            settings[select.name] = select.value;
+            select.addEventListener('change', handleUnitChange);
+        }
+        const defaultLocationId = domAccess.getElementById('locations-container').dataset.defaultLocationId;
+        settings.defaultLocationId = defaultLocationId === '' ? null : Number(defaultLocationId);
+        domAccess.getElementById('default-location').addEventListener('change', handleDefaultLocationChange);
+
+        // Add listeners to the change event of the forecast image options:
+        for (const input of domAccess.querySelectorAll('#image-options select, #image-options input')) {
+            input.addEventListener('change', handleImageOptionsChange);
+        }
+        domAccess.querySelector('#image-options').addEventListener('submit', event => event.preventDefault());
+
         // Add a listener to the click event of the clear button:
         const clearButton = domAccess.querySelector('#locations-container button.clear');
         clearButton.addEventListener('click', handleClearButtonClick);
 
+        // Add listeners to the group and tag filters of the list, to the group buttons, and to the save button of the
+        // group and tags of a location. The options of the filters are the user's groups and tags:
+        for (const select of domAccess.querySelectorAll('#locations-container .locations-filter select')) {
+            select.addEventListener('change', handleListFilterChange);
+        }
+        domAccess.querySelector('#locations-container button.add-group').addEventListener('click', handleAddGroupClick);
+        domAccess.querySelector('#locations-container button.delete-group')
+            .addEventListener('click', handleDeleteGroupClick);
+        domAccess.querySelector('#locations-container button.group-forecast-button')
+            .addEventListener('click', handleGroupForecastClick);
+        domAccess.querySelector('#locations-container button.save-organization')
+            .addEventListener('click', handleSaveOrganizationClick);
+
+        // Add listeners to the comparison buttons, and fill in the criteria of the best day:
+        domAccess.querySelector('#locations-container button.show-comparison')
+            .addEventListener('click', handleShowComparisonClick);
+        domAccess.querySelector('#comparison button.compare').addEventListener('click', handleCompareClick);
+        const criterionSelect = domAccess.querySelector('#comparison select.comparison-criterion');
+        setSelectOptions(criterionSelect, 1, comparisonCriteria.getOptions());
+        criterionSelect.addEventListener('change', handleComparisonCriterionChange);
+        loadGroups();
+        loadTags();
+
+        // Add listeners to the alert rule form, and to the alerts link and dialog. The badge of the link shows the
+        // number of unread alerts:
+        domAccess.querySelector('#locations-container select.rule-condition')
+            .addEventListener('change', updateRuleThresholdControls);
+        domAccess.querySelector('#locations-container button.add-rule').addEventListener('click', handleAddRuleClick);
+        domAccess.querySelector('nav .show-alerts').addEventListener('click', handleShowAlertsClick);
+        domAccess.querySelector('#alerts-modal button.mark-all-read')
+            .addEventListener('click', handleMarkAllAlertsReadClick);
+        loadAlerts();
+
+        // Add a listener to the button of the forecast history of the selected location:
+        domAccess.querySelector('#locations-container button.show-history')
+            .addEventListener('click', handleShowHistoryClick);
+
+        // Add listeners to the import button and to the file input it opens:
+        domAccess.querySelector('#locations-container button.import').addEventListener('click', handleImportButtonClick);
+        domAccess.querySelector('#locations-container input.import-file')
+            .addEventListener('change', handleImportFileChange);
+
         // Add listeners to the load and error events to the forecast image img element:
         const forecastImage = domAccess.querySelector('#forecast img');
         forecastImage.addEventListener('load', handleImageLoaded);
@@ -1668,7 +3346,7 @@
 
         if (savedLocations) {
             // If there is anything in the savedLocation array, we display it:
-            displaySavedLocations();
+            displaySavedLocationsOnLoad();
         }
         initRan = true;
     }
@@ -1687,7 +3365,7 @@
             if (initRan) {
                 // When function init runs (on the DOMContentLoaded event) it turns on the initRan flag.
                 // That's how we know that the DOM is loaded and we can display the saved locations.
-                displaySavedLocations();
+                displaySavedLocationsOnLoad();
             }
         }
 
@@ -0,0 +1,131 @@
+/**
+ * Unit conversion and formatting, shared by the browser (window.units) and the server (require).
+ *
+ * Forecasts are normalized to degrees Celsius and m/s, and converted to the user's preferred units only for display.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.units = factory();
+    }
+})(this, function () {
+
+    /**
+     * Temperature units: conversion from and to Celsius and the HTML entity of the unit symbol.
+     */
+    const temperatureUnits = {
+        'celsius': {fromCelsius: value => value, toCelsius: value => value, symbol: '&#8451;', label: '°C'},
+        'fahrenheit': {
+            fromCelsius: value => value * 9 / 5 + 32,
+            toCelsius: value => (value - 32) * 5 / 9,
+            symbol: '&#8457;',
+            label: '°F',
+        },
+    };
+
+    /**
+     * Wind speed units: conversion factor from m/s and the unit symbol.
+     */
+    const windUnits = {
+        'ms': {factor: 1, symbol: 'm/s'},
+        'kmh': {factor: 3.6, symbol: 'km/h'},
+        'mph': {factor: 2.236936, symbol: 'mph'},
+        'knots': {factor: 1.943844, symbol: 'kn'},
+    };
+
+    function isTemperatureUnit(unit) {
+        return temperatureUnits.hasOwnProperty(unit);
+    }
+
+    function isWindUnit(unit) {
+        return windUnits.hasOwnProperty(unit);
+    }
+
+    /**
+     * Convert a temperature from Celsius.
+     * @param celsius
+     * @param unit - a temperature unit
+     * @returns {number}
+     */
+    function convertTemperature(celsius, unit) {
+        if (!isTemperatureUnit(unit)) {
+            throw new Error(`Unknown temperature unit: ${unit}`);
+        }
+        return temperatureUnits[unit].fromCelsius(celsius);
+    }
+
+    /**
+     * Convert a temperature to Celsius, for example a temperature the user typed in.
+     * @param value
+     * @param unit - a temperature unit
+     * @returns {number}
+     */
+    function convertTemperatureToCelsius(value, unit) {
+        if (!isTemperatureUnit(unit)) {
+            throw new Error(`Unknown temperature unit: ${unit}`);
+        }
+        return temperatureUnits[unit].toCelsius(value);
+    }
+
+    /**
+     * Convert a wind speed from m/s.
+     * @param speed - m/s
+     * @param unit - a wind unit
+     * @returns {number}
+     */
+    function convertWindSpeed(speed, unit) {
+        if (!isWindUnit(unit)) {
+            throw new Error(`Unknown wind unit: ${unit}`);
+        }
+        return speed * windUnits[unit].factor;
+    }
+
+    /**
+     * Format a temperature given in Celsius, rounded to whole degrees, with the HTML entity of the unit symbol.
+     * @param celsius
+     * @param unit
+     * @returns {string}
+     */
+    function formatTemperature(celsius, unit) {
+        return `${Math.round(convertTemperature(celsius, unit))}${temperatureUnits[unit].symbol}`;
+    }
+
+    /**
+     * Format a wind speed given in m/s, with one decimal digit (without the unit symbol).
+     * @param speed
+     * @param unit
+     * @returns {string}
+     */
+    function formatWindSpeed(speed, unit) {
+        return convertWindSpeed(speed, unit).toFixed(1);
+    }
+
+    function getTemperatureLabel(unit) {
+        if (!isTemperatureUnit(unit)) {
+            throw new Error(`Unknown temperature unit: ${unit}`);
+        }
+        return temperatureUnits[unit].label;
+    }
+
+    function getWindSymbol(unit) {
+        if (!isWindUnit(unit)) {
+            throw new Error(`Unknown wind unit: ${unit}`);
+        }
+        return windUnits[unit].symbol;
+    }
+
+    return {
+        temperatureUnits: Object.keys(temperatureUnits),
+        windUnits: Object.keys(windUnits),
+        isTemperatureUnit: isTemperatureUnit,
+        isWindUnit: isWindUnit,
+        convertTemperature: convertTemperature,
+        convertTemperatureToCelsius: convertTemperatureToCelsius,
+        convertWindSpeed: convertWindSpeed,
+        formatTemperature: formatTemperature,
+        formatWindSpeed: formatWindSpeed,
+        getTemperatureLabel: getTemperatureLabel,
+        getWindSymbol: getWindSymbol,
+    };
+});
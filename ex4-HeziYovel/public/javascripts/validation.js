@@ -0,0 +1,345 @@
+/**
+ * Validation of locations, shared by the browser (window.validation) and the server (require), so that the form and
+ * the API accept exactly the same locations.
+ *
+ * Latitude must be a decimal number between -90 and 90, longitude between -180 and 180, both with at most
+ * MAX_DECIMALS digits after the dot. A name is a non-empty string of at most NAME_MAX_LENGTH letters, digits, spaces
+ * and a few punctuation marks (names of location groups too). A tag is a shorter string of letters, digits, spaces,
+ * - and _, and is case-insensitive: it is saved in lower case.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.validation = factory();
+    }
+})(this, function () {
+
+    /**
+     * @type {{lon: number[], lat: number[]}}
+     */
+    const limits = {
+        'lat': [-90, 90],
+        'lon': [-180, 180],
+    };
+
+    // About 10 cm, way beyond the precision of any forecast:
+    const MAX_DECIMALS = 6;
+
+    const NAME_MAX_LENGTH = 100;
+
+    // Letters and digits of any language, spaces and ' - . , ( ) & /
+    const NAME_PATTERN = /^[\p{L}\p{M}\p{N} '\-.,()&/]+$/u;
+
+    const LOCATION_FIELDS = ['name', 'lat', 'lon'];
+
+    const TAG_MAX_LENGTH = 30;
+
+    const TAG_PATTERN = /^[\p{L}\p{M}\p{N} \-_]+$/u;
+
+    const messages = {
+        nameMissing: 'Name is required',
+        nameTooLong: `Name must be at most ${NAME_MAX_LENGTH} characters long`,
+        nameInvalidCharacters: "Name may only contain letters, digits, spaces and ' - . , ( ) & /",
+        latMissing: 'Latitude is required',
+        lonMissing: 'Longitude is required',
+        notDecimal: "Value must be a decimal number: only digits, a single minus and a single dot are allowed.",
+        latNotInRange: 'Value must be a decimal between -90.0 and 90.0',
+        lonNotInRange: 'Value must be a decimal between -180.0 and 180.0',
+        tooPrecise: `Value must have at most ${MAX_DECIMALS} digits after the dot`,
+        unknownField: 'Unknown field',
+        tagMissing: 'A tag must not be empty',
+        tagTooLong: `A tag must be at most ${TAG_MAX_LENGTH} characters long`,
+        tagInvalidCharacters: 'A tag may only contain letters, digits, spaces, - and _',
+    };
+
+    /**
+     * Tests that a string represents a decimal value.
+     * In the previous exercise I used the isNaN() function for similar tasks, but that failed tests:
+     * For example, the expression isNaN('/') evaluates to true. So I checked the docs for isNaN and realised
+     * it has an extremely unexpectable behaviour, and that the formal recommendation is to use Number.isNaN()
+     * for such tasks. But Number.isNaN() doesn't do what I expect either. For example: the expression
+     * Number.isNaN('100hefsgfesg') evaluates to true. So I've defaulted to using regular expressions.
+     *
+     * The regular expression used is: ^([-+][0-9])?[0-9]*(\.[0-9])?[0-9]*$
+     *
+     * 1. First there is a ^ which means the beginning of the matched string must match the following pattern.
+     *
+     * 1. Next there is an optional pattern: ([-+][0-9])? which means either a - or a + followed by a decimal digit.
+     *
+     * 2. Next there is an optional repeating pattern: [0-9]* which means any number of decimal digits.
+     *
+     * 3. Next there is an optional pattern: (\.[0-9])? which means a . followed by a decimal digit.
+     *
+     * 4. Next there is an optional repeating pattern: [0-9]* which means (again) any number of decimal digits.
+     *
+     * 5. Next there is a $ which means the ending of the matched string must match the previous pattern.
+     *
+     * The ^ and $ basically mean the entire matched string must match everything between them.
+     * For example, the regular expression ^([-+][0-9])?[0-9]*(\.[0-9])?[0-9]* (no $ at the end) will match
+     * "20$", the regular expression ([-+][0-9])?[0-9]*(\.[0-9])?[0-9]*$ will match "HTML5" and the regular
+     * expression ([-+][0-9])?[0-9]*(\.[0-9])?[0-9]* will match "ex3-HeziYovel.zip".
+     *
+     * See readme.html
+     *
+     * @param stringValue
+     * @returns {boolean}
+     */
+    function isDecimal(stringValue) {
+        return stringValue.match(/^([-+][0-9])?[0-9]*(\.[0-9])?[0-9]*$/) !== null;
+    }
+
+    /**
+     * Check if stringValue represents a valid lat/lon value (within the lat/lon range of values).
+     * id determines the limits to test parsedValue against: it must be one of the keys in the limits object.
+     *
+     * @param stringValue
+     * @param id - a key of the limits object
+     * @returns {boolean}
+     */
+    function isInRange(stringValue, id) {
+        const parsedValue = parseFloat(stringValue);
+        return parsedValue >= limits[id][0] && parsedValue <= limits[id][1];
+    }
+
+    function isPrecise(stringValue) {
+        const dotIndex = stringValue.indexOf('.');
+        return dotIndex === -1 || stringValue.length - dotIndex - 1 <= MAX_DECIMALS;
+    }
+
+    /**
+     * The API may get lat/lon as numbers, and the form as strings. Numbers are validated like the shortest string
+     * that represents them, which is what a user would have typed.
+     * @param value
+     * @returns {string|null} null if value is neither a string nor a finite number
+     */
+    function toStringValue(value) {
+        if (typeof value === 'string') {
+            return value.trim();
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            // Very small numbers are written with an exponent, which isn't a decimal by our definition:
+            return Math.abs(value) < 1e-6 && value !== 0 ? value.toFixed(MAX_DECIMALS + 1) : String(value);
+        }
+        return null;
+    }
+
+    /**
+     * Provide an error summary for a lat/lon input value for error message handling.
+     * My error message handling of lat/lon values differentiates between
+     * five states: 1. valid (all fields are true), 2. empty/missing, 3. not decimal, 4. not in range, 5. too many
+     * digits after the dot.
+     *
+     * The reason I've added state 2: empty/missing, is to allow me to display an error if the input is empty
+     * at the time the submit button is clicked, but not display it when the user deletes everything from the
+     * input, which can be annoying if they are in the process of replacing the value.
+     *
+     * id determines the limits to test parsedValue against: it must be one of the keys in the limits object.
+     *
+     * @param stringValue
+     * @param id - a key of the limits object
+     * @returns {{isEmpty: boolean, isDecimal: boolean, isInRange: boolean, isPrecise: boolean}}
+     */
+    function latLonErrorSummary(stringValue, id) {
+        const returnValue = {
+            isEmpty: stringValue === '',
+            isDecimal: isDecimal(stringValue),
+            // Initially we set isInRange to false to avoid executing isInRange if stringValue doesn't represent
+            // a decimal number, which may give unexpected results:
+            isInRange: false,
+            isPrecise: false,
+        }
+
+        if (returnValue.isDecimal) {
+            // If stringValue is a valid decimal number, we can safely validate it being in range.
+            returnValue.isInRange = isInRange(stringValue, id);
+            returnValue.isPrecise = isPrecise(stringValue);
+        }
+
+        return returnValue;
+    }
+
+    /**
+     * Returns a simple true/false as an answer to the question: is stringValue a valid lat/lon?
+     *
+     * @param stringValue
+     * @param id - a key of the limits object
+     * @returns {boolean}
+     */
+    function isLatLonValid(stringValue, id) {
+        const errorSummary = latLonErrorSummary(stringValue, id);
+        return !errorSummary.isEmpty && errorSummary.isDecimal && errorSummary.isInRange && errorSummary.isPrecise;
+    }
+
+    /**
+     * The error message for a lat/lon value, or an empty string if it is valid.
+     * If multiple errors exist the order of precedence is: missing, not a decimal, not in range, too precise.
+     *
+     * @param stringValue
+     * @param id - a key of the limits object
+     * @returns {string}
+     */
+    function getLatLonErrorMessage(stringValue, id) {
+        const errorSummary = latLonErrorSummary(stringValue, id);
+        if (errorSummary.isEmpty) {
+            return id === 'lat' ? messages.latMissing : messages.lonMissing;
+        }
+        if (!errorSummary.isDecimal) {
+            return messages.notDecimal;
+        }
+        if (!errorSummary.isInRange) {
+            return id === 'lat' ? messages.latNotInRange : messages.lonNotInRange;
+        }
+        if (!errorSummary.isPrecise) {
+            return messages.tooPrecise;
+        }
+        return '';
+    }
+
+    /**
+     * The error message for a location name, or an empty string if it is valid.
+     *
+     * @param name
+     * @returns {string}
+     */
+    function getNameErrorMessage(name) {
+        if (name === '') {
+            return messages.nameMissing;
+        }
+        if (name.length > NAME_MAX_LENGTH) {
+            return messages.nameTooLong;
+        }
+        if (!NAME_PATTERN.test(name)) {
+            return messages.nameInvalidCharacters;
+        }
+        return '';
+    }
+
+    /**
+     * Validates a location name.
+     *
+     * @param name
+     * @returns {boolean}
+     */
+    function isNameValid(name) {
+        return getNameErrorMessage(name) === '';
+    }
+
+    /**
+     * A tag as it is saved: trimmed, with single spaces, in lower case.
+     *
+     * @param tag
+     * @returns {string}
+     */
+    function normalizeTag(tag) {
+        return tag.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * The error message for a (normalized) tag, or an empty string if it is valid.
+     *
+     * @param tag
+     * @returns {string}
+     */
+    function getTagErrorMessage(tag) {
+        if (tag === '') {
+            return messages.tagMissing;
+        }
+        if (tag.length > TAG_MAX_LENGTH) {
+            return messages.tagTooLong;
+        }
+        if (!TAG_PATTERN.test(tag)) {
+            return messages.tagInvalidCharacters;
+        }
+        return '';
+    }
+
+    /**
+     * Validate the tags of a location.
+     *
+     * @param tags - an array of strings
+     * @returns {{tags: string[], error: string}} the normalized tags without duplicates, and the message of the first
+     *                                            invalid tag (an empty string if all are valid)
+     */
+    function validateTags(tags) {
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            return {tags: [], error: 'Tags must be an array of strings'};
+        }
+        const normalizedTags = [...new Set(tags.map(normalizeTag))];
+        for (const tag of normalizedTags) {
+            const message = getTagErrorMessage(tag);
+            if (message !== '') {
+                return {tags: [], error: `${message}: "${tag}"`};
+            }
+        }
+        return {tags: normalizedTags, error: ''};
+    }
+
+    /**
+     * Validate a location sent to the API.
+     *
+     * @param body - the location fields; name is a string, lat and lon are numbers or strings
+     * @param requireAll - true if every field is required (create and full update), false if at least one is
+     * @param allowedFields - fields besides the location fields that the caller handles itself; any other field is
+     *                        an error
+     * @returns {{fields: {}, errors: {}|null}} fields are the valid location fields (lat and lon as numbers), and
+     *                                          errors maps every invalid field to its message. If requireAll is
+     *                                          false and no field is given, both are empty.
+     */
+    function validateLocation(body, requireAll, allowedFields = []) {
+        const fields = {};
+        const errors = {};
+
+        for (const field of Object.keys(body)) {
+            if (!LOCATION_FIELDS.includes(field) && !allowedFields.includes(field)) {
+                errors[field] = messages.unknownField;
+            }
+        }
+
+        for (const field of LOCATION_FIELDS) {
+            if (body[field] === undefined) {
+                if (requireAll) {
+                    errors[field] = field === 'name' ? messages.nameMissing : getLatLonErrorMessage('', field);
+                }
+                continue;
+            }
+            if (field === 'name') {
+                const name = typeof body.name === 'string' ? body.name.trim() : null;
+                const message = name === null ? messages.nameMissing : getNameErrorMessage(name);
+                if (message === '') {
+                    fields.name = name;
+                } else {
+                    errors.name = message;
+                }
+            } else {
+                const stringValue = toStringValue(body[field]);
+                const message = stringValue === null ? messages.notDecimal : getLatLonErrorMessage(stringValue, field);
+                if (message === '') {
+                    fields[field] = Number(stringValue);
+                } else {
+                    errors[field] = message;
+                }
+            }
+        }
+
+        return {fields: fields, errors: Object.keys(errors).length === 0 ? null : errors};
+    }
+
+    return {
+        limits: limits,
+        maxDecimals: MAX_DECIMALS,
+        nameMaxLength: NAME_MAX_LENGTH,
+        tagMaxLength: TAG_MAX_LENGTH,
+        locationFields: LOCATION_FIELDS,
+        messages: messages,
+        latLonErrorSummary: latLonErrorSummary,
+        isLatLonValid: isLatLonValid,
+        getLatLonErrorMessage: getLatLonErrorMessage,
+        isNameValid: isNameValid,
+        getNameErrorMessage: getNameErrorMessage,
+        normalizeTag: normalizeTag,
+        getTagErrorMessage: getTagErrorMessage,
+        validateTags: validateTags,
+        validateLocation: validateLocation,
+    };
+});
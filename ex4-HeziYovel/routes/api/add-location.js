@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const controller = require('../../controllers/api/add-location');
+const controller = require('../../controllers/api/locations');
+
+// Compatibility route, superseded by POST /api/locations
 
-/* GET home page. */
 router.get('/', (req, res) => res.redirect('/'));
 
-router.post('/', controller.addLocation);
+router.post('/', controller.upsertByName);
 
 module.exports = router;
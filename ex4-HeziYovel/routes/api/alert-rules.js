@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../controllers/api/alert-rules');
+
+router.get('/', controller.list);
+
+router.post('/', controller.create);
+
+router.delete('/:id', controller.remove);
+
+module.exports = router;
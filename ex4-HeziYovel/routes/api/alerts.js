@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../controllers/api/alerts');
+
+router.get('/', controller.list);
+
+router.post('/read', controller.markAllRead);
+
+router.patch('/:id', controller.update);
+
+module.exports = router;
@@ -1,19 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const functions = require('../../appFunctions');
+const errors = require('../../lib/errors');
 const addLocationRouter = require('./add-location');
 const removeLocationsRouter = require('./remove-locations');
 const getLocationsRouter = require('./get-locations');
+const locationsRouter = require('./locations');
+const forecastRouter = require('./forecast');
+const settingsRouter = require('./settings');
+const geocodeRouter = require('./geocode');
+const groupsRouter = require('./groups');
+const tagsRouter = require('./tags');
+const alertRulesRouter = require('./alert-rules');
+const alertsRouter = require('./alerts');
+const webhooksRouter = require('./webhooks');
+const forecastSnapshotsRouter = require('./forecast-snapshots');
 
 /* GET home page. */
-router.use(/.+/, functions.assertLogin);
+router.use(/.+/, functions.assertApiAuth);
 
 router.get('/', functions.redirectToDefault);
 
+router.use('/locations', locationsRouter);
+
+router.use('/groups', groupsRouter);
+
+router.use('/tags', tagsRouter);
+
+router.use('/alert-rules', alertRulesRouter);
+
+router.use('/alerts', alertsRouter);
+
+router.use('/webhooks', webhooksRouter);
+
+router.use('/forecast-snapshots', forecastSnapshotsRouter);
+
 router.use('/add-location', addLocationRouter);
 
 router.use('/remove-locations', removeLocationsRouter);
 
 router.use('/get-locations', getLocationsRouter);
 
+router.use('/forecast', forecastRouter);
+
+router.use('/settings', settingsRouter);
+
+router.use('/geocode', geocodeRouter);
+
+router.use((req, res, next) => next(new errors.NotFoundError('There is no such API endpoint.')));
+
 module.exports = router;
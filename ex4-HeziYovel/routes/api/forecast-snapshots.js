@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../controllers/api/forecast-snapshots');
+
+router.get('/', controller.list);
+
+router.get('/dates', controller.listDates);
+
+router.get('/history', controller.history);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../controllers/api/forecast');
+
+router.get('/', controller.getForecast);
+
+router.get('/image', controller.getImageURL);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../controllers/api/geocode');
+
+router.get('/', controller.search);
+
+router.get('/reverse', controller.reverse);
+
+module.exports = router;
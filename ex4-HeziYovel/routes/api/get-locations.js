@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const controller = require('../../controllers/api/get-locations');
+const controller = require('../../controllers/api/locations');
 
-/* GET home page. */
-router.get('/', controller.getLocations);
+// Compatibility route, superseded by GET /api/locations
+
+router.get('/', controller.list);
 
 module.exports = router;
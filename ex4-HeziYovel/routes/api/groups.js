@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../controllers/api/groups');
+
+router.get('/', controller.list);
+
+router.post('/', controller.create);
+
+router.get('/:id', controller.get);
+
+router.patch('/:id', controller.update);
+
+router.delete('/:id', controller.remove);
+
+router.get('/:id/forecast', controller.getForecast);
+
+module.exports = router;
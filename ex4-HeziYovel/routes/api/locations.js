@@ -0,0 +1,28 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const router = express.Router();
+const controller = require('../../controllers/api/locations');
+
+router.get('/', controller.list);
+
+router.post('/', controller.create);
+
+router.put('/order', controller.reorder);
+
+router.get('/export', controller.exportLocations);
+
+// JSON bodies are parsed by the app already; the other formats are read as text:
+router.post('/import', bodyParser.text({
+    type: ['text/*', 'application/gpx+xml', 'application/xml', 'application/geo+json'],
+    limit: '1mb',
+}), controller.importLocations);
+
+router.get('/:id', controller.get);
+
+router.put('/:id', controller.replace);
+
+router.patch('/:id', controller.update);
+
+router.delete('/:id', controller.remove);
+
+module.exports = router;
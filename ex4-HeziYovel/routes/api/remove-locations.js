@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const controller = require('../../controllers/api/remove-locations');
+const controller = require('../../controllers/api/locations');
+
+// Compatibility route, superseded by DELETE /api/locations/:id
 
-/* GET home page. */
 router.get('/', (req, res) => res.redirect('/'));
 
-router.post('/', controller.removeLocations);
+router.post('/', controller.removeByNames);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../controllers/api/settings');
+
+router.get('/', controller.get);
+
+router.put('/', controller.update);
+
+router.patch('/', controller.update);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../controllers/api/tags');
+
+router.get('/', controller.list);
+
+router.patch('/:id', controller.update);
+
+router.delete('/:id', controller.remove);
+
+module.exports = router;
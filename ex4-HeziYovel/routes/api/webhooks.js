@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../../controllers/api/webhooks');
+
+router.get('/', controller.list);
+
+router.post('/', controller.create);
+
+router.get('/:id', controller.get);
+
+router.patch('/:id', controller.update);
+
+router.delete('/:id', controller.remove);
+
+router.get('/:id/deliveries', controller.listDeliveries);
+
+router.post('/:id/deliveries/:deliveryId/retry', controller.retryDelivery);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/digest');
+
+router.get('/', controller.show);
+
+router.post('/', controller.update);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/password-reset');
+
+router.get('/', controller.showForgotForm);
+
+router.post('/', controller.requestReset);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/password-reset');
+
+router.get('/', controller.showResetForm);
+
+router.post('/', controller.reset);
+
+module.exports = router;
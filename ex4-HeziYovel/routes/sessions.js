@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/sessions');
+
+router.get('/', controller.list);
+
+router.post('/revoke-others', controller.revokeOthers);
+
+router.post('/:id/revoke', controller.revoke);
+
+module.exports = router;
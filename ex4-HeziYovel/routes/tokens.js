@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/tokens');
+
+router.get('/', controller.list);
+
+router.post('/', controller.create);
+
+router.post('/:id/revoke', controller.revoke);
+
+module.exports = router;
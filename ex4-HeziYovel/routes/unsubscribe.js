@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/digest');
+
+router.get('/', controller.confirmUnsubscribe);
+
+router.post('/', controller.unsubscribe);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/email-verification');
+
+router.get('/', controller.verify);
+
+router.post('/resend', controller.resend);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/webhooks');
+
+router.get('/', controller.list);
+
+router.post('/', controller.create);
+
+router.post('/deliveries/:id/retry', controller.retryDelivery);
+
+router.post('/:id/active', controller.setActive);
+
+router.post('/:id/remove', controller.remove);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+'use strict';
+const path = require('path');
+const gazetteer = require('../lib/gazetteer');
+const config = require('../config');
+
+/**
+ * Load the gazetteer of geocoding into the Places table (replacing the places that are there). Geocoding loads the
+ * places file itself when the table is empty (see lib/geocoding.js), so this is for replacing them. Loading a GeoNames
+ * dump instead of the small bundled file:
+ *
+ *  PLACES_FILE=cities15000.txt npx sequelize-cli db:seed --seed 20261019102000-places.js
+ */
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.bulkDelete('Places', null, {});
+        for await (const batch of gazetteer.readPlaceBatches(path.resolve(config.geocoding.placesFile))) {
+            await queryInterface.bulkInsert('Places', batch);
+        }
+    },
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.bulkDelete('Places', null, {});
+    }
+};
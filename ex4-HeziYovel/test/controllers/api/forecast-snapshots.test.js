@@ -0,0 +1,80 @@
+const assert = require('assert');
+
+const app = require('../../../app');
+const models = require('../../../models');
+const {clearDatabase, createUser, login} = require('../../helpers');
+
+const MAX_SNAPSHOTS = 500;
+
+describe('controllers/api/forecast-snapshots', function () {
+
+    let agent;
+    let location;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        const user = await createUser();
+        agent = (await login(app)).agent;
+        location = await models.Location.create({userId: user.id, name: 'Home', lat: 32, lon: 34.8});
+    });
+
+    /**
+     * Snapshots fetched a minute apart, the first at 2026-06-01T00:00Z, all of them with the forecast of 2026-06-01.
+     */
+    function addSnapshots(count) {
+        const start = Date.parse('2026-06-01T00:00:00Z');
+        return models.ForecastSnapshot.bulkCreate(Array.from({length: count}, (value, index) => ({
+            locationId: location.id,
+            provider: '7timer',
+            fetchedAt: new Date(start + index * 60 * 1000),
+            firstDate: '2026-06-01',
+            lastDate: '2026-06-01',
+            days: [{date: '2026-06-01', maxTemperature: index}],
+        })));
+    }
+
+    function getMinutes(fetchedAt) {
+        return (Date.parse(fetchedAt) - Date.parse('2026-06-01T00:00:00Z')) / (60 * 1000);
+    }
+
+    it('lists the snapshots oldest first', async function () {
+        await addSnapshots(3);
+
+        const response = await agent.get('/api/forecast-snapshots').query({locationId: location.id});
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.snapshots.map(snapshot => getMinutes(snapshot.fetchedAt)), [0, 1, 2]);
+        assert.strictEqual(response.body.truncated, false);
+    });
+
+    it('lists the latest snapshots when there are too many, and says so', async function () {
+        await addSnapshots(MAX_SNAPSHOTS + 2);
+
+        const response = await agent.get('/api/forecast-snapshots').query({locationId: location.id});
+        assert.strictEqual(response.status, 200);
+        const minutes = response.body.snapshots.map(snapshot => getMinutes(snapshot.fetchedAt));
+        assert.strictEqual(minutes.length, MAX_SNAPSHOTS);
+        assert.deepStrictEqual([minutes[0], minutes[minutes.length - 1]], [2, MAX_SNAPSHOTS + 1]);
+        assert.strictEqual(response.body.truncated, true);
+    });
+
+    it('has the latest forecasts of a day in its history when there are too many', async function () {
+        await addSnapshots(MAX_SNAPSHOTS + 2);
+
+        const response = await agent.get('/api/forecast-snapshots/history')
+            .query({locationId: location.id, date: '2026-06-01'});
+        assert.strictEqual(response.status, 200);
+        const temperatures = response.body.forecasts.map(forecast => forecast.day.maxTemperature);
+        assert.strictEqual(temperatures.length, MAX_SNAPSHOTS);
+        assert.deepStrictEqual([temperatures[0], temperatures[temperatures.length - 1]], [2, MAX_SNAPSHOTS + 1]);
+        assert.strictEqual(response.body.truncated, true);
+    });
+
+    it('has every forecast of a day in its history when there are few', async function () {
+        await addSnapshots(2);
+
+        const response = await agent.get('/api/forecast-snapshots/history')
+            .query({locationId: location.id, date: '2026-06-01'});
+        assert.deepStrictEqual(response.body.forecasts.map(forecast => forecast.day.maxTemperature), [0, 1]);
+        assert.strictEqual(response.body.truncated, false);
+    });
+});
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const request = require('supertest');
+
+const app = require('../../../app');
+const forecast = require('../../../lib/weather/forecast');
+const validation = require('../../../public/javascripts/validation');
+const weatherStub = require('../../support/weather-stub');
+const {clearDatabase, createUser, login} = require('../../helpers');
+
+describe('controllers/api/forecast', function () {
+
+    let stub;
+    let agent;
+
+    before(async function () {
+        stub = await weatherStub.start();
+    });
+
+    after(async function () {
+        await stub.close();
+    });
+
+    beforeEach(async function () {
+        await clearDatabase();
+        forecast.clearCache();
+        stub.requests.length = 0;
+        stub.respond = () => ({status: 200, body: weatherStub.makeCivilLight()});
+        await createUser();
+        agent = (await login(app)).agent;
+    });
+
+    it('proxies the civillight forecast of the rounded coordinates', async function () {
+        const response = await agent.get('/api/forecast').query({lat: '32.0853', lon: '-34.7818'});
+        assert.strictEqual(response.status, 200);
+
+        assert.strictEqual(stub.requests.length, 1);
+        const upstream = stub.requests[0];
+        assert.strictEqual(upstream.pathname, '/bin/api.pl');
+        assert.deepStrictEqual(Object.fromEntries(upstream.searchParams),
+            {lat: '32.09', lon: '-34.78', product: 'civillight', output: 'json'});
+
+        const {forecast: body} = response.body;
+        assert.strictEqual(body.provider, '7timer');
+        assert.strictEqual(body.product, 'civillight');
+        assert.strictEqual(body.daily.length, 7);
+        assert.strictEqual(body.daily[0].date, new Date().toISOString().slice(0, 10));
+        assert.deepStrictEqual(body.daily[0].temperature, {min: 10, max: 20});
+    });
+
+    it('serves coordinates that round the same from the cache', async function () {
+        assert.strictEqual((await agent.get('/api/forecast').query({lat: '32.081', lon: '34.78'})).status, 200);
+        assert.strictEqual((await agent.get('/api/forecast').query({lat: '32.079', lon: '34.78'})).status, 200);
+        assert.strictEqual(stub.requests.length, 1);
+
+        assert.strictEqual((await agent.get('/api/forecast').query({lat: '32.07', lon: '34.78'})).status, 200);
+        assert.strictEqual(stub.requests.length, 2);
+    });
+
+    it('responds with 502 when the weather service fails', async function () {
+        stub.respond = () => ({status: 500, body: 'Internal Server Error'});
+        const response = await agent.get('/api/forecast').query({lat: '32', lon: '34'});
+        assert.strictEqual(response.status, 502);
+        assert.strictEqual(response.body.error.code, 'upstream_error');
+    });
+
+    it('responds with 502 when the weather service responds with something else than a forecast', async function () {
+        stub.respond = () => ({status: 200, body: '<html></html>'});
+        assert.strictEqual((await agent.get('/api/forecast').query({lat: '32', lon: '34'})).status, 502);
+
+        forecast.clearCache();
+        stub.respond = () => ({status: 200, body: {init: '2021012000', dataseries: [{date: 20991301}]}});
+        assert.strictEqual((await agent.get('/api/forecast').query({lat: '32', lon: '34'})).status, 502);
+    });
+
+    it('validates the coordinates', async function () {
+        const queries = [{lat: '91', lon: '34'}, {lat: '32', lon: '-180.5'}, {lat: 'abc', lon: '34'}, {lat: '32'}];
+        for (const query of queries) {
+            const response = await agent.get('/api/forecast').query(query);
+            assert.strictEqual(response.status, 400, JSON.stringify(query));
+            assert.strictEqual(response.body.error.code, 'validation_error');
+        }
+        assert.strictEqual(stub.requests.length, 0);
+    });
+
+    it('validates the coordinates like the coordinates of locations', async function () {
+        const response = await agent.get('/api/forecast').query({lat: '32.1234567', lon: '181'});
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(response.body.error.details.fields,
+            {lat: validation.messages.tooPrecise, lon: validation.messages.lonNotInRange});
+    });
+
+    it('requires a signed in user', async function () {
+        assert.strictEqual((await request(app).get('/api/forecast').query({lat: '32', lon: '34'})).status, 401);
+    });
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+
+const app = require('../../../app');
+const {clearDatabase, createUser, login} = require('../../helpers');
+
+describe('controllers/api/geocode', function () {
+
+    let agent;
+
+    before(async function () {
+        // The places of data/places.csv are loaded on the first request:
+        await clearDatabase();
+        await createUser();
+        agent = (await login(app)).agent;
+    });
+
+    it('searches places by name', async function () {
+        const response = await agent.get('/api/geocode').query({q: 'lon', limit: '1'});
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.places.map(place => [place.name, place.country]), [['London', 'GB']]);
+    });
+
+    it('validates the query and the limit', async function () {
+        for (const query of [{}, {q: ' a '}, {q: 'lon', limit: '0'}, {q: 'lon', limit: '51'}, {q: 'lon', limit: 'x'}]) {
+            const response = await agent.get('/api/geocode').query(query);
+            assert.strictEqual(response.status, 400, JSON.stringify(query));
+            assert.strictEqual(response.body.error.code, 'validation_error');
+        }
+    });
+
+    it('finds the place nearest to coordinates', async function () {
+        const response = await agent.get('/api/geocode/reverse').query({lat: '51.5', lon: '-0.12'});
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.place.name, 'London');
+        assert.strictEqual(typeof response.body.place.distanceKm, 'number');
+    });
+
+    it('says when there is no place near the coordinates', async function () {
+        const response = await agent.get('/api/geocode/reverse').query({lat: '-50', lon: '-140'});
+        assert.strictEqual(response.status, 404);
+        assert.strictEqual(response.body.error.code, 'not_found');
+    });
+
+    it('validates the coordinates', async function () {
+        const response = await agent.get('/api/geocode/reverse').query({lat: '95', lon: 'x'});
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(Object.keys(response.body.error.details.fields).sort(), ['lat', 'lon']);
+    });
+});
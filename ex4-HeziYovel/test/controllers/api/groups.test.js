@@ -0,0 +1,210 @@
+const assert = require('assert');
+
+const app = require('../../../app');
+const forecast = require('../../../lib/weather/forecast');
+const weatherStub = require('../../support/weather-stub');
+const {clearDatabase, createUser, login} = require('../../helpers');
+
+describe('controllers/api/groups', function () {
+
+    let stub;
+    let alice;
+    let bob;
+
+    before(async function () {
+        stub = await weatherStub.start();
+    });
+
+    after(async function () {
+        await stub.close();
+    });
+
+    beforeEach(async function () {
+        await clearDatabase();
+        forecast.clearCache();
+        stub.requests.length = 0;
+        stub.respond = () => ({status: 200, body: weatherStub.makeCivilLight()});
+        await createUser({email: 'alice@example.com'});
+        await createUser({email: 'bob@example.com'});
+        alice = (await login(app, 'alice@example.com')).agent;
+        bob = (await login(app, 'bob@example.com')).agent;
+    });
+
+    async function createGroup(agent, name) {
+        const response = await agent.post('/api/groups').send({name: name});
+        assert.strictEqual(response.status, 201);
+        return response.body.group;
+    }
+
+    async function createLocation(agent, name, fields = {}) {
+        const response = await agent.post('/api/locations')
+            .send(Object.assign({name: name, lat: 32, lon: 34.8}, fields));
+        assert.strictEqual(response.status, 201);
+        return response.body.location;
+    }
+
+    async function listNames(agent, query) {
+        const response = await agent.get('/api/locations').query(query);
+        assert.strictEqual(response.status, 200);
+        return response.body.locations.map(location => location.name).sort();
+    }
+
+    describe('the endpoints', function () {
+
+        it('creates, gets, renames and lists groups, with their location counts', async function () {
+            const trips = await createGroup(alice, 'Trips');
+            const home = await createGroup(alice, 'Home');
+            await createLocation(alice, 'Eilat', {groupId: trips.id});
+            await createLocation(alice, 'Haifa', {groupId: trips.id});
+            await createLocation(alice, 'Tel Aviv');
+
+            const created = await alice.post('/api/groups').send({name: 'Work'});
+            assert.strictEqual(created.headers.location, `/api/groups/${created.body.group.id}`);
+
+            assert.strictEqual((await alice.get(`/api/groups/${home.id}`)).body.group.name, 'Home');
+            const renamed = await alice.patch(`/api/groups/${home.id}`).send({name: ' Family '});
+            assert.strictEqual(renamed.status, 200);
+            assert.strictEqual(renamed.body.group.name, 'Family');
+
+            const response = await alice.get('/api/groups');
+            assert.deepStrictEqual(response.body.groups.map(group => [group.name, group.locationCount]),
+                [['Family', 0], ['Trips', 2], ['Work', 0]]);
+        });
+
+        it('validates and refuses duplicate names', async function () {
+            await createGroup(alice, 'Trips');
+            for (const body of [{}, {name: ''}, {name: 42}, {name: 'x'.repeat(1000)}, {name: 'Trips!'}]) {
+                const response = await alice.post('/api/groups').send(body);
+                assert.strictEqual(response.status, 400, JSON.stringify(body));
+                assert.ok(response.body.error.details.fields.name);
+            }
+            const response = await alice.post('/api/groups').send({name: 'Trips'});
+            assert.strictEqual(response.status, 409);
+            assert.strictEqual(response.body.error.message, 'A group named Trips already exists.');
+
+            const other = await createGroup(alice, 'Other');
+            assert.strictEqual((await alice.patch(`/api/groups/${other.id}`).send({name: 'Trips'})).status, 409);
+            // Renaming a group to its own name is fine:
+            assert.strictEqual((await alice.patch(`/api/groups/${other.id}`).send({name: 'Other'})).status, 200);
+            // And so is a name of another user's group:
+            await createGroup(bob, 'Trips');
+        });
+
+        it('deletes a group and keeps its locations, in no group', async function () {
+            const trips = await createGroup(alice, 'Trips');
+            const eilat = await createLocation(alice, 'Eilat', {groupId: trips.id});
+
+            const response = await alice.delete(`/api/groups/${trips.id}`);
+            assert.strictEqual(response.status, 204);
+            assert.strictEqual((await alice.get(`/api/groups/${trips.id}`)).status, 404);
+            assert.strictEqual((await alice.get(`/api/locations/${eilat.id}`)).body.location.groupId, null);
+        });
+
+        it("keeps each user's groups to the user", async function () {
+            const trips = await createGroup(bob, 'Trips');
+            assert.strictEqual((await alice.get(`/api/groups/${trips.id}`)).status, 404);
+            assert.strictEqual((await alice.patch(`/api/groups/${trips.id}`).send({name: 'Mine'})).status, 404);
+            assert.strictEqual((await alice.delete(`/api/groups/${trips.id}`)).status, 404);
+            assert.strictEqual((await alice.get(`/api/groups/${trips.id}/forecast`)).status, 404);
+            assert.deepStrictEqual((await alice.get('/api/groups')).body.groups, []);
+
+            // Nor can a location be put in it:
+            const response = await alice.post('/api/locations')
+                .send({name: 'Eilat', lat: 29.6, lon: 35, groupId: trips.id});
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.error.details.fields.groupId, 'There is no such group.');
+        });
+    });
+
+    describe('filtering locations by group', function () {
+
+        it('lists the locations of a group, or of no group', async function () {
+            const trips = await createGroup(alice, 'Trips');
+            const work = await createGroup(alice, 'Work');
+            await createLocation(alice, 'Eilat', {groupId: trips.id});
+            await createLocation(alice, 'Haifa', {groupId: trips.id});
+            await createLocation(alice, 'Office', {groupId: work.id});
+            await createLocation(alice, 'Home');
+
+            assert.deepStrictEqual(await listNames(alice, {group: trips.id}), ['Eilat', 'Haifa']);
+            assert.deepStrictEqual(await listNames(alice, {group: work.id}), ['Office']);
+            assert.deepStrictEqual(await listNames(alice, {group: 'none'}), ['Home']);
+            assert.deepStrictEqual(await listNames(alice, {}), ['Eilat', 'Haifa', 'Home', 'Office']);
+            // Another user's group has none of the user's locations:
+            assert.deepStrictEqual(await listNames(bob, {group: trips.id}), []);
+        });
+
+        it('validates the group', async function () {
+            for (const group of ['0', '-1', '1.5', 'all']) {
+                const response = await alice.get('/api/locations').query({group: group});
+                assert.strictEqual(response.status, 400, group);
+                assert.strictEqual(response.body.error.details.fields.group,
+                    'group must be the id of a group, or none.');
+            }
+        });
+    });
+
+    describe('the forecast of a group', function () {
+
+        it('summarizes the first days of every location, by name', async function () {
+            const trips = await createGroup(alice, 'Trips');
+            await createLocation(alice, 'Haifa', {groupId: trips.id, lat: 32.79, lon: 34.99});
+            await createLocation(alice, 'Eilat', {groupId: trips.id, lat: 29.56, lon: 34.95});
+            await createLocation(alice, 'Home');
+
+            const response = await alice.get(`/api/groups/${trips.id}/forecast`);
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.group, {id: trips.id, name: 'Trips'});
+            assert.deepStrictEqual(response.body.forecasts.map(summary => summary.location.name), ['Eilat', 'Haifa']);
+            for (const summary of response.body.forecasts) {
+                assert.strictEqual(summary.days.length, 3);
+            }
+            assert.strictEqual(stub.requests.length, 2);
+        });
+
+        it('fetches the forecasts one at a time', async function () {
+            const trips = await createGroup(alice, 'Trips');
+            for (let i = 0; i < 4; i++) {
+                await createLocation(alice, `Place ${i}`, {groupId: trips.id, lat: 30 + i});
+            }
+            let pending = 0;
+            let maxPending = 0;
+            stub.respond = async () => {
+                pending++;
+                maxPending = Math.max(maxPending, pending);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                pending--;
+                return {status: 200, body: weatherStub.makeCivilLight()};
+            };
+
+            const response = await alice.get(`/api/groups/${trips.id}/forecast`);
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(stub.requests.length, 4);
+            assert.strictEqual(maxPending, 1);
+            assert.deepStrictEqual(stub.requests.map(url => url.searchParams.get('lat')), ['30', '31', '32', '33']);
+        });
+
+        it('reports a location whose forecast failed, and still summarizes the others', async function () {
+            const trips = await createGroup(alice, 'Trips');
+            await createLocation(alice, 'Eilat', {groupId: trips.id, lat: 29.6});
+            await createLocation(alice, 'Haifa', {groupId: trips.id, lat: 32.8});
+            stub.respond = url => url.searchParams.get('lat') === '29.6'
+                ? {status: 500, body: 'down'}
+                : {status: 200, body: weatherStub.makeCivilLight()};
+
+            const response = await alice.get(`/api/groups/${trips.id}/forecast`);
+            assert.strictEqual(response.status, 200);
+            const [eilat, haifa] = response.body.forecasts;
+            assert.strictEqual(eilat.error, "We couldn't get the forecast from the weather service.");
+            assert.strictEqual(eilat.days, undefined);
+            assert.strictEqual(haifa.days.length, 3);
+        });
+
+        it('is empty for a group without locations', async function () {
+            const trips = await createGroup(alice, 'Trips');
+            const response = await alice.get(`/api/groups/${trips.id}/forecast`);
+            assert.deepStrictEqual(response.body.forecasts, []);
+            assert.strictEqual(stub.requests.length, 0);
+        });
+    });
+});
@@ -0,0 +1,375 @@
+const assert = require('assert');
+
+const app = require('../../../app');
+const models = require('../../../models');
+const {clearDatabase, createUser, login} = require('../../helpers');
+
+describe('controllers/api/locations, two users', function () {
+
+    let alice;
+    let bob;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        await createUser({email: 'alice@example.com'});
+        await createUser({email: 'bob@example.com'});
+        alice = (await login(app, 'alice@example.com')).agent;
+        bob = (await login(app, 'bob@example.com')).agent;
+    });
+
+    async function createLocation(agent, name, lat = 32, lon = 34.8) {
+        const response = await agent.post('/api/locations').send({name: name, lat: lat, lon: lon});
+        assert.strictEqual(response.status, 201);
+        return response.body.location;
+    }
+
+    async function listNames(agent) {
+        const response = await agent.get('/api/locations');
+        assert.strictEqual(response.status, 200);
+        return response.body.locations.map(location => location.name).sort();
+    }
+
+    it('lets both users save a location with the same name', async function () {
+        const aliceHome = await createLocation(alice, 'Home');
+        const bobHome = await createLocation(bob, 'Home', 31, 35);
+
+        assert.notStrictEqual(aliceHome.id, bobHome.id);
+        assert.deepStrictEqual(await listNames(alice), ['Home']);
+        assert.deepStrictEqual(await listNames(bob), ['Home']);
+        assert.strictEqual((await alice.get(`/api/locations/${bobHome.id}`)).status, 404);
+    });
+
+    it('still rejects a duplicate name of the same user', async function () {
+        await createLocation(alice, 'Home');
+        const response = await alice.post('/api/locations').send({name: 'Home', lat: 1, lon: 1});
+        assert.strictEqual(response.status, 409);
+    });
+
+    it('enforces the uniqueness per user in the database', async function () {
+        const [aliceUser, bobUser] = await Promise.all(['alice@example.com', 'bob@example.com']
+            .map(email => models.User.findOne({where: {email: email}})));
+        await models.Location.create({userId: aliceUser.id, name: 'Home', lat: 1, lon: 1});
+        await models.Location.create({userId: bobUser.id, name: 'Home', lat: 1, lon: 1});
+        await assert.rejects(models.Location.create({userId: aliceUser.id, name: 'Home', lat: 2, lon: 2}),
+            models.Sequelize.UniqueConstraintError);
+    });
+
+    it("renames only the user's own location", async function () {
+        const aliceHome = await createLocation(alice, 'Home');
+        const bobHome = await createLocation(bob, 'Home');
+
+        const response = await alice.patch(`/api/locations/${aliceHome.id}`).send({name: 'Work'});
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await listNames(alice), ['Work']);
+        assert.deepStrictEqual(await listNames(bob), ['Home']);
+
+        // Renaming to a name another user has is fine, renaming another user's location isn't possible:
+        assert.strictEqual((await alice.patch(`/api/locations/${aliceHome.id}`).send({name: 'Home'})).status, 200);
+        assert.strictEqual((await alice.patch(`/api/locations/${bobHome.id}`).send({name: 'Mine'})).status, 404);
+        assert.strictEqual((await models.Location.findByPk(bobHome.id)).name, 'Home');
+    });
+
+    it("deletes only the user's own location", async function () {
+        const aliceHome = await createLocation(alice, 'Home');
+        const bobHome = await createLocation(bob, 'Home');
+
+        assert.strictEqual((await bob.delete(`/api/locations/${aliceHome.id}`)).status, 404);
+        assert.deepStrictEqual(await listNames(alice), ['Home']);
+
+        assert.strictEqual((await bob.delete(`/api/locations/${bobHome.id}`)).status, 204);
+        assert.deepStrictEqual(await listNames(alice), ['Home']);
+        assert.deepStrictEqual(await listNames(bob), []);
+    });
+
+    it("removes by name only the user's own locations", async function () {
+        await createLocation(alice, 'Home');
+        await createLocation(alice, 'Work');
+        await createLocation(bob, 'Home');
+
+        const response = await alice.post('/api/remove-locations').send({locationNames: ['Home']});
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await listNames(alice), ['Work']);
+        assert.deepStrictEqual(await listNames(bob), ['Home']);
+    });
+
+    it("updates by name only the user's own location", async function () {
+        await createLocation(alice, 'Home', 32, 34.8);
+        const bobHome = await createLocation(bob, 'Home', 31, 35);
+
+        const response = await alice.post('/api/add-location').send({name: 'Home', lat: 10, lon: 10});
+        assert.strictEqual(response.status, 200);
+        const unchanged = await models.Location.findByPk(bobHome.id);
+        assert.deepStrictEqual([unchanged.lat, unchanged.lon], [31, 35]);
+    });
+
+    it("deletes the user's locations with the user", async function () {
+        await createLocation(alice, 'Home');
+        await createLocation(bob, 'Home');
+
+        await (await models.User.findOne({where: {email: 'alice@example.com'}})).destroy();
+        assert.deepStrictEqual((await models.Location.findAll()).map(location => location.name), ['Home']);
+        assert.deepStrictEqual(await listNames(bob), ['Home']);
+    });
+});
+
+describe('controllers/api/locations, import and export', function () {
+
+    const LOCATIONS = [
+        {name: 'Tel Aviv', lat: 32.0853, lon: 34.7818},
+        {name: 'Café (Rio), Brazil', lat: -22.9068, lon: -43.1729},
+        {name: "Fiji & Tonga's", lat: -17.7134, lon: 178.065},
+    ];
+
+    let agent;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        await createUser();
+        agent = (await login(app)).agent;
+    });
+
+    async function listLocations() {
+        const response = await agent.get('/api/locations');
+        assert.strictEqual(response.status, 200);
+        return response.body.locations.map(({name, lat, lon}) => ({name: name, lat: lat, lon: lon}));
+    }
+
+    function importFile(format, contentType, content, dryRun = false) {
+        return agent.post('/api/locations/import').query({format: format, dryRun: String(dryRun)})
+            .set('Content-Type', contentType).send(content);
+    }
+
+    for (const [format, contentType] of [['json', 'application/json'], ['csv', 'text/csv'],
+        ['gpx', 'application/gpx+xml'], ['geojson', 'application/geo+json']]) {
+        it(`imports what it exports, as ${format}`, async function () {
+            for (const location of LOCATIONS) {
+                assert.strictEqual((await agent.post('/api/locations').send(location)).status, 201);
+            }
+            const exported = await agent.get('/api/locations/export').query({format: format}).buffer(true)
+                .parse((res, callback) => {
+                    res.setEncoding('utf8');
+                    let text = '';
+                    res.on('data', chunk => text += chunk);
+                    res.on('end', () => callback(null, text));
+                });
+            assert.strictEqual(exported.status, 200);
+            assert.strictEqual(exported.headers['content-type'].split(';')[0], contentType);
+            assert.match(exported.headers['content-disposition'], new RegExp(`filename="locations\\.${format}"`));
+            await models.Location.destroy({where: {}});
+
+            const response = await importFile(format, contentType, exported.body);
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.summary, {created: 3, updated: 0, rejected: 0});
+            assert.deepStrictEqual(await listLocations(), LOCATIONS);
+        });
+    }
+
+    it("doesn't save anything in a dry run, and reports what an import would do", async function () {
+        await agent.post('/api/locations').send({name: 'Tel Aviv', lat: 32, lon: 34});
+        const content = 'name,lat,lon\nTel Aviv,32.08,34.78\nHaifa,32.79,34.99\nNowhere,91,0\n';
+
+        const response = await importFile('csv', 'text/csv', content, true);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.dryRun, true);
+        assert.deepStrictEqual(response.body.summary, {created: 1, updated: 1, rejected: 1});
+        assert.deepStrictEqual(response.body.rows.map(row => [row.row, row.name, row.action]),
+            [[1, 'Tel Aviv', 'update'], [2, 'Haifa', 'create'], [3, 'Nowhere', 'reject']]);
+        assert.ok(response.body.rows[2].errors.lat);
+        assert.deepStrictEqual(await listLocations(), [{name: 'Tel Aviv', lat: 32, lon: 34}]);
+    });
+
+    it('updates the coordinates of locations with the same name, and rejects repeated names', async function () {
+        await agent.post('/api/locations').send({name: 'Tel Aviv', lat: 32, lon: 34});
+        const content = 'name,lat,lon\nTel Aviv,32.08,34.78\nHaifa,32.79,34.99\nHaifa,1,1\n';
+
+        const response = await importFile('csv', 'text/csv', content);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.summary, {created: 1, updated: 1, rejected: 1});
+        assert.deepStrictEqual(response.body.rows[2].errors, {name: 'An earlier row has the same name'});
+        assert.deepStrictEqual(await listLocations(), [
+            {name: 'Tel Aviv', lat: 32.08, lon: 34.78},
+            {name: 'Haifa', lat: 32.79, lon: 34.99},
+        ]);
+    });
+
+    it('imports an empty JSON array as nothing', async function () {
+        const response = await importFile('json', 'application/json', '[]');
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.summary, {created: 0, updated: 0, rejected: 0});
+    });
+
+    it('rejects a missing file, a file of another format and a file that is not valid', async function () {
+        let response = await agent.post('/api/locations/import').query({format: 'json'});
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.error.message, 'The request body must be a JSON file.');
+
+        response = await importFile('csv', 'application/json', '[]');
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.error.message, 'The request body must be a CSV file.');
+
+        response = await importFile('json', 'application/json', '{}');
+        assert.strictEqual(response.status, 400);
+        assert.match(response.body.error.message, /^The file is not valid JSON: Expected an array of locations/);
+
+        response = await importFile('kml', 'text/plain', '');
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(Object.keys(response.body.error.details.fields), ['format']);
+    });
+
+    it('reads files of up to 1mb, of any format', async function () {
+        // Larger than the limit of other JSON requests (100kb):
+        const padding = 'x'.repeat(100 * 1024);
+        const rows = ['A', 'B', 'C'].map(name => ({name: name, lat: 1, lon: 1, note: padding}));
+        let response = await importFile('json', 'application/json', JSON.stringify(rows));
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.summary.created, 3);
+
+        const tooLarge = `name,lat,lon\n${'D,1,1\n'.repeat(1024 * 1024 / 6 + 1)}`;
+        response = await importFile('csv', 'text/csv', tooLarge);
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.error.message, 'The request body is too large.');
+        response = await importFile('json', 'application/json', JSON.stringify({locations: [], note: tooLarge}));
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.error.message, 'The request body is too large.');
+        assert.strictEqual((await listLocations()).length, 3);
+    });
+});
+
+describe('controllers/api/locations, order', function () {
+
+    let alice;
+    let bob;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        await createUser({email: 'alice@example.com'});
+        await createUser({email: 'bob@example.com'});
+        alice = (await login(app, 'alice@example.com')).agent;
+        bob = (await login(app, 'bob@example.com')).agent;
+    });
+
+    /**
+     * Create locations of a user, in this order.
+     * @param agent
+     * @param names
+     * @returns {Promise<Object<string, number>>} the ids of the locations by name
+     */
+    async function createLocations(agent, names) {
+        const ids = {};
+        for (const name of names) {
+            const response = await agent.post('/api/locations').send({name: name, lat: 32, lon: 34.8});
+            assert.strictEqual(response.status, 201);
+            ids[name] = response.body.location.id;
+        }
+        return ids;
+    }
+
+    async function listNames(agent) {
+        const response = await agent.get('/api/locations');
+        assert.strictEqual(response.status, 200);
+        return response.body.locations.map(location => location.name);
+    }
+
+    it('lists the locations in the order they were added', async function () {
+        await createLocations(alice, ['A', 'B', 'C']);
+        assert.deepStrictEqual(await listNames(alice), ['A', 'B', 'C']);
+    });
+
+    it('reorders all the locations', async function () {
+        const ids = await createLocations(alice, ['A', 'B', 'C']);
+
+        const response = await alice.put('/api/locations/order').send({ids: [ids.C, ids.A, ids.B]});
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.locations.map(location => location.name), ['C', 'A', 'B']);
+        assert.deepStrictEqual(await listNames(alice), ['C', 'A', 'B']);
+        // New locations are added at the end:
+        await createLocations(alice, ['D']);
+        assert.deepStrictEqual(await listNames(alice), ['C', 'A', 'B', 'D']);
+    });
+
+    it('reorders some of the locations in the places they take, leaving the others in place', async function () {
+        const ids = await createLocations(alice, ['A', 'B', 'C', 'D', 'E']);
+
+        await alice.put('/api/locations/order').send({ids: [ids.D, ids.B]});
+        assert.deepStrictEqual(await listNames(alice), ['A', 'D', 'C', 'B', 'E']);
+
+        await alice.put('/api/locations/order').send({ids: [ids.E, ids.A, ids.C]});
+        assert.deepStrictEqual(await listNames(alice), ['E', 'D', 'A', 'B', 'C']);
+
+        // One location has nowhere else to go:
+        await alice.put('/api/locations/order').send({ids: [ids.B]});
+        assert.deepStrictEqual(await listNames(alice), ['E', 'D', 'A', 'B', 'C']);
+    });
+
+    it('rejects ids that are not distinct location ids, and keeps the order', async function () {
+        const ids = await createLocations(alice, ['A', 'B', 'C']);
+        for (const body of [{}, {ids: []}, {ids: ids.A}, {ids: [ids.A, ids.B, ids.A]}, {ids: [ids.A, String(ids.B)]},
+            {ids: [ids.A, 1.5]}]) {
+            const response = await alice.put('/api/locations/order').send(body);
+            assert.strictEqual(response.status, 400, JSON.stringify(body));
+            assert.strictEqual(response.body.error.details.fields.ids,
+                'ids must be an array of distinct location ids.');
+        }
+        assert.deepStrictEqual(await listNames(alice), ['A', 'B', 'C']);
+    });
+
+    it("rejects unknown ids and the ids of another user's locations, and keeps the order", async function () {
+        const ids = await createLocations(alice, ['A', 'B', 'C']);
+        const bobIds = await createLocations(bob, ['X']);
+
+        for (const unknownId of [bobIds.X, bobIds.X + 1000]) {
+            const response = await alice.put('/api/locations/order').send({ids: [ids.C, unknownId, ids.A]});
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.error.details.fields.ids,
+                `There is no location with the id ${unknownId}.`);
+        }
+        assert.deepStrictEqual(await listNames(alice), ['A', 'B', 'C']);
+        assert.deepStrictEqual(await listNames(bob), ['X']);
+    });
+
+    it('lists the favorites first, each part in the chosen order', async function () {
+        const ids = await createLocations(alice, ['A', 'B', 'C', 'D']);
+        for (const name of ['B', 'D']) {
+            const response = await alice.patch(`/api/locations/${ids[name]}`).send({isFavorite: true});
+            assert.strictEqual(response.status, 200);
+        }
+        assert.deepStrictEqual(await listNames(alice), ['B', 'D', 'A', 'C']);
+
+        // Reordering doesn't move a location past the favorites:
+        const response = await alice.put('/api/locations/order').send({ids: [ids.C, ids.D, ids.A, ids.B]});
+        assert.deepStrictEqual(response.body.locations.map(location => location.name), ['D', 'B', 'C', 'A']);
+
+        await alice.patch(`/api/locations/${ids.D}`).send({isFavorite: false});
+        assert.deepStrictEqual(await listNames(alice), ['B', 'C', 'D', 'A']);
+    });
+
+    it('validates isFavorite and groupId', async function () {
+        const ids = await createLocations(alice, ['A']);
+        const response = await alice.patch(`/api/locations/${ids.A}`).send({isFavorite: 'yes', groupId: 'none'});
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(response.body.error.details.fields, {
+            isFavorite: 'isFavorite must be true or false.',
+            groupId: 'groupId must be the id of a group, or null.',
+        });
+    });
+
+    it('unsets the default location when it is deleted', async function () {
+        const ids = await createLocations(alice, ['A', 'B']);
+        const settings = await alice.patch('/api/settings').send({defaultLocationId: ids.B});
+        assert.strictEqual(settings.body.settings.defaultLocationId, ids.B);
+
+        await alice.delete(`/api/locations/${ids.A}`);
+        assert.strictEqual((await alice.get('/api/settings')).body.settings.defaultLocationId, ids.B);
+
+        assert.strictEqual((await alice.delete(`/api/locations/${ids.B}`)).status, 204);
+        assert.strictEqual((await alice.get('/api/settings')).body.settings.defaultLocationId, null);
+    });
+
+    it('unsets the default location when it is removed by name', async function () {
+        const ids = await createLocations(alice, ['A']);
+        await alice.patch('/api/settings').send({defaultLocationId: ids.A});
+
+        await alice.post('/api/remove-locations').send({locationNames: ['A']});
+        assert.strictEqual((await alice.get('/api/settings')).body.settings.defaultLocationId, null);
+    });
+});
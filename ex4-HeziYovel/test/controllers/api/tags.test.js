@@ -0,0 +1,145 @@
+const assert = require('assert');
+
+const app = require('../../../app');
+const {clearDatabase, createUser, login} = require('../../helpers');
+
+describe('controllers/api/tags', function () {
+
+    let alice;
+    let bob;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        await createUser({email: 'alice@example.com'});
+        await createUser({email: 'bob@example.com'});
+        alice = (await login(app, 'alice@example.com')).agent;
+        bob = (await login(app, 'bob@example.com')).agent;
+    });
+
+    async function createLocation(agent, name, tags) {
+        const response = await agent.post('/api/locations').send({name: name, lat: 32, lon: 34.8, tags: tags});
+        assert.strictEqual(response.status, 201);
+        return response.body.location;
+    }
+
+    async function listTags(agent) {
+        const response = await agent.get('/api/tags');
+        assert.strictEqual(response.status, 200);
+        return response.body.tags;
+    }
+
+    async function findTag(agent, name) {
+        return (await listTags(agent)).find(tag => tag.name === name);
+    }
+
+    async function listNames(agent, query) {
+        const response = await agent.get('/api/locations').query(query);
+        assert.strictEqual(response.status, 200);
+        return response.body.locations.map(location => location.name).sort();
+    }
+
+    describe('the endpoints', function () {
+
+        it('creates tags by tagging locations, and lists them with their location counts', async function () {
+            const eilat = await createLocation(alice, 'Eilat', ['Beach', ' Warm  Weather ', 'beach']);
+            await createLocation(alice, 'Haifa', ['beach']);
+            await createLocation(bob, 'Home', ['mine']);
+
+            assert.deepStrictEqual(eilat.tags, ['beach', 'warm weather']);
+            assert.deepStrictEqual((await listTags(alice)).map(tag => [tag.name, tag.locationCount]),
+                [['beach', 2], ['warm weather', 1]]);
+        });
+
+        it('validates the tags of a location', async function () {
+            for (const tags of ['beach', [1], [''], ['x'.repeat(31)], ['a/b']]) {
+                const response = await alice.post('/api/locations')
+                    .send({name: 'Eilat', lat: 29.6, lon: 35, tags: tags});
+                assert.strictEqual(response.status, 400, JSON.stringify(tags));
+                assert.ok(response.body.error.details.fields.tags);
+            }
+        });
+
+        it('renames a tag of all its locations', async function () {
+            const eilat = await createLocation(alice, 'Eilat', ['beach']);
+            const tag = await findTag(alice, 'beach');
+
+            const response = await alice.patch(`/api/tags/${tag.id}`).send({name: ' Sea  Side '});
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.tag.name, 'sea side');
+            assert.deepStrictEqual((await alice.get(`/api/locations/${eilat.id}`)).body.location.tags, ['sea side']);
+        });
+
+        it("validates a tag's new name and refuses a name the user already has", async function () {
+            await createLocation(alice, 'Eilat', ['beach', 'warm']);
+            await createLocation(bob, 'Home', ['sun']);
+            const tag = await findTag(alice, 'beach');
+
+            for (const name of [undefined, '', '   ', 'a/b', 'x'.repeat(31)]) {
+                const response = await alice.patch(`/api/tags/${tag.id}`).send({name: name});
+                assert.strictEqual(response.status, 400, String(name));
+                assert.ok(response.body.error.details.fields.name);
+            }
+            const response = await alice.patch(`/api/tags/${tag.id}`).send({name: 'Warm'});
+            assert.strictEqual(response.status, 409);
+            assert.strictEqual(response.body.error.message, 'A tag named warm already exists.');
+            // Another user's tag name is free, and the tag's own name too:
+            assert.strictEqual((await alice.patch(`/api/tags/${tag.id}`).send({name: 'sun'})).status, 200);
+            assert.strictEqual((await alice.patch(`/api/tags/${tag.id}`).send({name: 'SUN'})).status, 200);
+        });
+
+        it('deletes a tag, which removes it from its locations', async function () {
+            const eilat = await createLocation(alice, 'Eilat', ['beach', 'warm']);
+            const tag = await findTag(alice, 'beach');
+
+            assert.strictEqual((await alice.delete(`/api/tags/${tag.id}`)).status, 204);
+            assert.deepStrictEqual((await alice.get(`/api/locations/${eilat.id}`)).body.location.tags, ['warm']);
+            assert.deepStrictEqual((await listTags(alice)).map(tag => tag.name), ['warm']);
+        });
+
+        it("keeps each user's tags to the user", async function () {
+            await createLocation(bob, 'Home', ['mine']);
+            const tag = await findTag(bob, 'mine');
+
+            assert.deepStrictEqual(await listTags(alice), []);
+            assert.strictEqual((await alice.patch(`/api/tags/${tag.id}`).send({name: 'yours'})).status, 404);
+            assert.strictEqual((await alice.delete(`/api/tags/${tag.id}`)).status, 404);
+            assert.strictEqual((await findTag(bob, 'mine')).locationCount, 1);
+        });
+    });
+
+    describe('filtering locations by tag', function () {
+
+        it('lists the locations with a tag, by its normalized name', async function () {
+            await createLocation(alice, 'Eilat', ['beach', 'warm']);
+            await createLocation(alice, 'Haifa', ['beach']);
+            await createLocation(alice, 'Jerusalem', ['warm']);
+            await createLocation(alice, 'Home', []);
+
+            assert.deepStrictEqual(await listNames(alice, {tag: 'beach'}), ['Eilat', 'Haifa']);
+            assert.deepStrictEqual(await listNames(alice, {tag: ' WARM '}), ['Eilat', 'Jerusalem']);
+            assert.deepStrictEqual(await listNames(alice, {tag: 'snow'}), []);
+        });
+
+        it('combines the tag and group filters', async function () {
+            const trips = (await alice.post('/api/groups').send({name: 'Trips'})).body.group;
+            await alice.post('/api/locations')
+                .send({name: 'Eilat', lat: 29.6, lon: 35, tags: ['beach'], groupId: trips.id});
+            await createLocation(alice, 'Haifa', ['beach']);
+
+            assert.deepStrictEqual(await listNames(alice, {tag: 'beach', group: trips.id}), ['Eilat']);
+            assert.deepStrictEqual(await listNames(alice, {tag: 'beach', group: 'none'}), ['Haifa']);
+        });
+
+        it("doesn't find another user's locations by tag", async function () {
+            await createLocation(bob, 'Home', ['mine']);
+            await createLocation(alice, 'Eilat', ['beach']);
+            assert.deepStrictEqual(await listNames(alice, {tag: 'mine'}), []);
+        });
+
+        it('validates the tag', async function () {
+            const response = await alice.get('/api/locations?tag=a&tag=b');
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.error.details.fields.tag, 'tag must be a tag name.');
+        });
+    });
+});
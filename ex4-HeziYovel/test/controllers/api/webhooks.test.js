@@ -0,0 +1,123 @@
+const assert = require('assert');
+const http = require('http');
+
+const app = require('../../../app');
+const models = require('../../../models');
+const delivery = require('../../../lib/webhooks/delivery');
+const {clearDatabase, createUser, login} = require('../../helpers');
+
+const INTERNAL_URLS = [
+    'http://localhost:3000/hooks',
+    'http://127.0.0.1:3000/hooks',
+    'http://10.0.0.5/hooks',
+    'http://192.168.1.1/hooks',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]:3000/hooks',
+];
+
+describe('controllers/api/webhooks, internal addresses', function () {
+
+    let user;
+    let agent;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        user = await createUser();
+        agent = (await login(app)).agent;
+    });
+
+    it('accepts a webhook of a public address', async function () {
+        const response = await agent.post('/api/webhooks')
+            .send({url: 'https://93.184.216.34/hooks', events: ['location.created']});
+        assert.strictEqual(response.status, 201);
+    });
+
+    it("doesn't subscribe a webhook of an internal address through the API", async function () {
+        for (const url of INTERNAL_URLS) {
+            const response = await agent.post('/api/webhooks').send({url: url, events: ['location.created']});
+            assert.strictEqual(response.status, 400, url);
+            assert.match(response.body.error.details.fields.url, /must be a public address/);
+        }
+        assert.strictEqual(await models.Webhook.count(), 0);
+    });
+
+    it("doesn't change the URL of a webhook to an internal address", async function () {
+        const webhook = (await agent.post('/api/webhooks')
+            .send({url: 'https://93.184.216.34/hooks', events: ['location.created']})).body.webhook;
+        const response = await agent.patch(`/api/webhooks/${webhook.id}`).send({url: 'http://169.254.169.254/'});
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual((await models.Webhook.findByPk(webhook.id)).url, 'https://93.184.216.34/hooks');
+    });
+
+    it("doesn't subscribe a webhook of an internal address through the webhooks page", async function () {
+        const response = await agent.post('/webhooks').type('form')
+            .send({url: 'http://169.254.169.254/latest/meta-data/', events: 'location.created'});
+        assert.strictEqual(response.status, 400);
+        assert.match(response.text, /must be a public address/);
+        assert.strictEqual(await models.Webhook.count(), 0);
+    });
+
+    it("doesn't subscribe a webhook of a host that can't be found", async function () {
+        const response = await agent.post('/api/webhooks')
+            .send({url: 'http://no-such-host.invalid/', events: ['location.created']});
+        assert.strictEqual(response.status, 400);
+    });
+
+    describe('delivery', function () {
+
+        let receiver;
+        let received;
+
+        before(async function () {
+            receiver = http.createServer((req, res) => {
+                received++;
+                res.writeHead(200);
+                res.end('internal secret');
+            });
+            await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        });
+
+        after(async function () {
+            await new Promise(resolve => receiver.close(resolve));
+        });
+
+        beforeEach(function () {
+            received = 0;
+        });
+
+        /**
+         * A webhook of an address that was public when it was subscribed, and no longer is.
+         */
+        async function queueDelivery(url) {
+            const webhook = await models.Webhook.create({
+                userId: user.id,
+                url: url,
+                secret: 'a-secret-of-16-characters',
+                events: ['location.created'],
+            });
+            return models.WebhookDelivery.create({
+                webhookId: webhook.id,
+                event: 'location.created',
+                payload: '{}',
+                nextAttemptAt: new Date(),
+            });
+        }
+
+        it("doesn't post to an internal address", async function () {
+            const port = receiver.address().port;
+            const deliveries = [];
+            for (const url of [`http://127.0.0.1:${port}/`, `http://localhost:${port}/`]) {
+                deliveries.push(await queueDelivery(url));
+            }
+
+            assert.strictEqual(await delivery.processDueDeliveries(new Date()), 0);
+            assert.strictEqual(received, 0);
+            for (const webhookDelivery of deliveries) {
+                await webhookDelivery.reload();
+                assert.strictEqual(webhookDelivery.status, 'pending');
+                assert.strictEqual(webhookDelivery.responseStatus, null);
+                assert.match(webhookDelivery.lastError, /is not a public address/);
+            }
+        });
+    });
+});
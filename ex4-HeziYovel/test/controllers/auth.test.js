@@ -0,0 +1,68 @@
+const assert = require('assert');
+
+const app = require('../../app');
+const models = require('../../models');
+const {clearDatabase, createUser, login} = require('../helpers');
+
+/**
+ * A row from before passwords were hashed: inserted without the model, which would hash the password.
+ * @returns {Promise<void>}
+ */
+async function insertLegacyUser() {
+    const now = new Date();
+    await models.sequelize.getQueryInterface().bulkInsert('Users', [{
+        email: 'legacy@example.com',
+        firstName: 'Legacy',
+        lastName: 'User',
+        password: 'password1',
+        verifiedAt: now,
+        createdAt: now,
+        updatedAt: now,
+    }]);
+}
+
+describe('controllers/auth', function () {
+
+    beforeEach(clearDatabase);
+
+    it('signs in with the right password', async function () {
+        await createUser({email: 'user@example.com', password: 'password1'});
+        const {response} = await login(app, 'user@example.com', 'password1');
+        assert.strictEqual(response.status, 302);
+        assert.strictEqual(response.headers.location, '/');
+    });
+
+    it('rejects a wrong password', async function () {
+        await createUser({email: 'user@example.com', password: 'password1'});
+        const {agent, response} = await login(app, 'user@example.com', 'password2');
+        assert.strictEqual(response.status, 400);
+        assert.match(response.text, /Email or password is incorrect/);
+        // No session was started:
+        assert.strictEqual((await agent.get('/api/locations')).status, 401);
+    });
+
+    it('rejects an unknown email', async function () {
+        const {response} = await login(app, 'nobody@example.com', 'password1');
+        assert.strictEqual(response.status, 400);
+    });
+
+    it('signs in a legacy plaintext row and re-hashes its password', async function () {
+        await insertLegacyUser();
+
+        const {response} = await login(app, 'legacy@example.com', 'password1');
+        assert.strictEqual(response.status, 302);
+
+        const user = await models.User.findOne({where: {email: 'legacy@example.com'}});
+        assert.match(user.password, /^scrypt\$/);
+        // And the new hash works:
+        assert.strictEqual((await login(app, 'legacy@example.com', 'password1')).response.status, 302);
+    });
+
+    it("doesn't re-hash a legacy plaintext row on a wrong password", async function () {
+        await insertLegacyUser();
+
+        assert.strictEqual((await login(app, 'legacy@example.com', 'password2')).response.status, 400);
+        const user = await models.User.findOne({where: {email: 'legacy@example.com'}});
+        assert.strictEqual(user.password, 'password1');
+    });
+});
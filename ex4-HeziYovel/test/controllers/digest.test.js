@@ -0,0 +1,125 @@
+const assert = require('assert');
+const request = require('supertest');
+
+const app = require('../../app');
+const models = require('../../models');
+const tokens = require('../../lib/tokens');
+const unsubscribe = require('../../lib/digest/unsubscribe');
+const {clearDatabase, createUser, login} = require('../helpers');
+
+describe('controllers/digest', function () {
+
+    let user;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        user = await createUser({email: 'dana@example.com'});
+        await models.UserSetting.create({userId: user.id, digestEnabled: true});
+    });
+
+    async function isDigestEnabled() {
+        return (await models.UserSetting.findForUser(user.id)).digestEnabled;
+    }
+
+    async function createToken() {
+        const link = await unsubscribe.createLink(user.id, 'http://hweather.test');
+        return new URL(link).searchParams.get('token');
+    }
+
+    describe('unsubscribe', function () {
+
+        it('asks to confirm, without unsubscribing yet', async function () {
+            const token = await createToken();
+
+            const response = await request(app).get('/unsubscribe').query({token: token});
+            assert.strictEqual(response.status, 200);
+            assert.match(response.text, /Stop the daily forecast emails to <strong>dana@example\.com<\/strong>\?/);
+            assert.match(response.text, new RegExp(`name="token" value="${token}"`));
+            assert.strictEqual(await isDigestEnabled(), true);
+        });
+
+        it('unsubscribes without signing in', async function () {
+            const token = await createToken();
+
+            const response = await request(app).post('/unsubscribe').type('form').send({token: token});
+            assert.strictEqual(response.status, 200);
+            assert.match(response.text, /You are unsubscribed/);
+            assert.strictEqual(await isDigestEnabled(), false);
+        });
+
+        it('does no harm when a used link is followed again', async function () {
+            const token = await createToken();
+            await request(app).post('/unsubscribe').type('form').send({token: token});
+
+            assert.strictEqual((await request(app).get('/unsubscribe').query({token: token})).status, 200);
+            const response = await request(app).post('/unsubscribe').type('form').send({token: token});
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(await isDigestEnabled(), false);
+            assert.strictEqual(await models.UserSetting.count({where: {userId: user.id}}), 1);
+        });
+
+        it('rejects missing, forged and expired tokens', async function () {
+            const expired = tokens.create('digest-unsubscribe');
+            await models.DigestUnsubscribeToken.create({
+                userId: user.id,
+                tokenHash: expired.tokenHash,
+                expiresAt: new Date(Date.now() - 1000),
+            });
+            // A valid token of another purpose:
+            const forged = tokens.create('password-reset').token;
+
+            for (const token of [undefined, 'not-a-token', forged, expired.token]) {
+                let response = await request(app).get('/unsubscribe').query(token === undefined ? {} : {token: token});
+                assert.strictEqual(response.status, 400, token);
+                assert.match(response.text, /The unsubscribe link is invalid or has expired/);
+                response = await request(app).post('/unsubscribe').type('form').send({token: token});
+                assert.strictEqual(response.status, 400, token);
+            }
+            assert.strictEqual(await isDigestEnabled(), true);
+        });
+    });
+
+    describe('settings', function () {
+
+        let agent;
+
+        beforeEach(async function () {
+            agent = (await login(app, 'dana@example.com')).agent;
+        });
+
+        function update(fields) {
+            return agent.post('/digest').type('form').send(Object.assign({
+                digestEnabled: 'on',
+                digestTime: '06:30',
+                digestTimezone: 'Asia/Jerusalem',
+                digestScope: 'all',
+            }, fields));
+        }
+
+        it('saves the settings of the digest', async function () {
+            const response = await update({});
+            assert.strictEqual(response.status, 200);
+            assert.match(response.text, /The daily forecast email is on/);
+            const setting = await models.UserSetting.findForUser(user.id);
+            assert.deepStrictEqual(
+                [setting.digestEnabled, setting.digestTime, setting.digestTimezone, setting.digestScope],
+                [true, '06:30', 'Asia/Jerusalem', 'all']);
+        });
+
+        it('turns the digest off when the checkbox is unchecked', async function () {
+            const response = await update({digestEnabled: undefined});
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(await isDigestEnabled(), false);
+        });
+
+        it('rejects an invalid time, time zone or scope', async function () {
+            const invalidFields = [{digestTime: '25:00'}, {digestTimezone: 'Mars/Olympus_Mons'}, {digestScope: 'some'}];
+            for (const fields of invalidFields) {
+                const response = await update(Object.assign({digestEnabled: undefined}, fields));
+                assert.strictEqual(response.status, 400, JSON.stringify(fields));
+                assert.match(response.text, /Please choose/);
+            }
+            assert.strictEqual(await isDigestEnabled(), true);
+        });
+    });
+});
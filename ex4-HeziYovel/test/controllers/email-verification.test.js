@@ -0,0 +1,118 @@
+const assert = require('assert');
+const request = require('supertest');
+
+const app = require('../../app');
+const config = require('../../config');
+const models = require('../../models');
+const tokens = require('../../lib/tokens');
+const {clearDatabase, clearMail, createUser, login, readMail} = require('../helpers');
+
+/**
+ * Register through both steps of the registration form, from a forged Host.
+ * @param email
+ * @returns {Promise<void>}
+ */
+async function register(email) {
+    const agent = request.agent(app);
+    let response = await agent.post('/register').set('Host', 'attacker.example').type('form')
+        .send({email: email, first_name: 'New', last_name: 'User'});
+    assert.strictEqual(response.status, 200);
+    response = await agent.post('/register').set('Host', 'attacker.example').type('form')
+        .send({password: 'password1', confirm_password: 'password1'});
+    assert.strictEqual(response.status, 200);
+    assert.match(response.text, /We sent a verification link/);
+}
+
+/**
+ * The verification links in the emails that were sent.
+ * @returns {Promise<string[]>}
+ */
+async function readLinks() {
+    return (await readMail()).map(message => message.text.match(/https?:\/\/\S+/)[0]);
+}
+
+function verify(link) {
+    return request(app).get('/verify-email').query({token: new URL(link).searchParams.get('token')});
+}
+
+describe('controllers/email-verification', function () {
+
+    beforeEach(async function () {
+        await clearDatabase();
+        await clearMail();
+    });
+
+    it('emails a verification link to the configured site, whatever the Host of the request', async function () {
+        await register('new@example.com');
+
+        const mail = await readMail();
+        assert.deepStrictEqual(mail.map(message => message.to), ['new@example.com']);
+        const [link] = await readLinks();
+        assert.ok(link.startsWith(`${config.baseURL}/verify-email?token=`), link);
+        assert.doesNotMatch(mail[0].text, /attacker\.example/);
+    });
+
+    it('blocks signing in until the email is verified', async function () {
+        await register('new@example.com');
+
+        let response = (await login(app, 'new@example.com')).response;
+        assert.strictEqual(response.status, 403);
+        assert.match(response.text, /Please follow the verification link/);
+
+        const [link] = await readLinks();
+        assert.strictEqual((await verify(link)).status, 200);
+        response = (await login(app, 'new@example.com')).response;
+        assert.strictEqual(response.status, 302);
+        assert.strictEqual(response.headers.location, '/');
+    });
+
+    it('uses a link up', async function () {
+        await register('new@example.com');
+        const [link] = await readLinks();
+
+        assert.strictEqual((await verify(link)).status, 200);
+        const response = await verify(link);
+        assert.strictEqual(response.status, 400);
+        assert.match(response.text, /invalid, has expired or was already used/);
+    });
+
+    it('rejects an expired link and a forged one', async function () {
+        const user = await createUser({email: 'new@example.com', verifiedAt: null});
+        const {token, tokenHash} = tokens.create('email-verification');
+        await models.EmailVerificationToken.create({
+            userId: user.id,
+            tokenHash: tokenHash,
+            expiresAt: new Date(Date.now() - 1000),
+        });
+
+        assert.strictEqual((await request(app).get('/verify-email').query({token: token})).status, 400);
+        // A token of another purpose is signed differently:
+        const resetToken = tokens.create('password-reset').token;
+        assert.strictEqual((await request(app).get('/verify-email').query({token: resetToken})).status, 400);
+        assert.strictEqual((await request(app).get('/verify-email')).status, 400);
+        assert.strictEqual((await login(app, 'new@example.com')).response.status, 403);
+    });
+
+    it('sends a new link to an unverified user, which uses up the old one', async function () {
+        await register('new@example.com');
+        const response = await request(app).post('/verify-email/resend').set('Host', 'attacker.example')
+            .type('form').send({email: 'new@example.com'});
+        assert.strictEqual(response.status, 200);
+
+        const [oldLink, newLink] = await readLinks();
+        assert.ok(newLink.startsWith(`${config.baseURL}/verify-email?token=`), newLink);
+        assert.strictEqual((await verify(newLink)).status, 200);
+        assert.strictEqual((await verify(oldLink)).status, 400);
+    });
+
+    it("doesn't send a link to a verified user, or to an email without an account", async function () {
+        await createUser({email: 'verified@example.com'});
+
+        for (const email of ['verified@example.com', 'nobody@example.com']) {
+            const response = await request(app).post('/verify-email/resend').type('form').send({email: email});
+            assert.strictEqual(response.status, 200);
+            assert.match(response.text, /If .* has an unverified account/);
+        }
+        assert.deepStrictEqual(await readMail(), []);
+    });
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const request = require('supertest');
+
+const app = require('../../app');
+const config = require('../../config');
+const models = require('../../models');
+const tokens = require('../../lib/tokens');
+const {clearDatabase, clearMail, createUser, login, readMail} = require('../helpers');
+
+describe('controllers/password-reset', function () {
+
+    let token;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        await clearMail();
+        const user = await createUser({email: 'user@example.com', password: 'password1'});
+        const created = tokens.create('password-reset');
+        await models.PasswordResetToken.create({
+            userId: user.id,
+            tokenHash: created.tokenHash,
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        });
+        token = created.token;
+    });
+
+    function reset(password, confirmPassword = password) {
+        return request(app).post('/reset-password').type('form')
+            .send({token: token, password: password, confirm_password: confirmPassword});
+    }
+
+    it('emails a reset link to the configured site, whatever the Host of the request', async function () {
+        const response = await request(app).post('/forgot-password').set('Host', 'attacker.example')
+            .type('form').send({email: 'user@example.com'});
+        assert.strictEqual(response.status, 200);
+
+        const mail = await readMail();
+        assert.deepStrictEqual(mail.map(message => message.to), ['user@example.com']);
+        const link = mail[0].text.match(/https?:\/\/\S+/)[0];
+        assert.ok(link.startsWith(`${config.baseURL}/reset-password?token=`), link);
+        assert.doesNotMatch(mail[0].text, /attacker\.example/);
+        // The link works:
+        const resetToken = new URL(link).searchParams.get('token');
+        assert.strictEqual((await request(app).get('/reset-password').query({token: resetToken})).status, 200);
+    });
+
+    it("emails nothing for an email that doesn't have an account", async function () {
+        const response = await request(app).post('/forgot-password').type('form').send({email: 'nobody@example.com'});
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await readMail(), []);
+    });
+
+    it('changes the password', async function () {
+        const response = await reset('new password');
+        assert.strictEqual(response.status, 200);
+        assert.match(response.text, /Your password has been changed/);
+        assert.strictEqual((await login(app, 'user@example.com', 'new password')).response.status, 302);
+    });
+
+    it('says that a password is too short', async function () {
+        const response = await reset('short');
+        assert.strictEqual(response.status, 400);
+        assert.match(response.text, /The password must be at least 8 characters long\./);
+        // The form is shown again, with the token, so that the user can try again:
+        assert.match(response.text, new RegExp(`name="token" value="${token}"`));
+        assert.strictEqual((await login(app, 'user@example.com', 'password1')).response.status, 302);
+    });
+
+    it("says that the passwords don't match", async function () {
+        const response = await reset('new password', 'new passwort');
+        assert.strictEqual(response.status, 400);
+        assert.match(response.text, /Passwords don(&#39;|')t match\./);
+        assert.strictEqual((await login(app, 'user@example.com', 'password1')).response.status, 302);
+    });
+});
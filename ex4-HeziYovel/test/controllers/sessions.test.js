@@ -0,0 +1,199 @@
+const assert = require('assert');
+const request = require('supertest');
+
+const app = require('../../app');
+const config = require('../../config');
+const models = require('../../models');
+const {clearDatabase, createUser} = require('../helpers');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Sign in through the login form, from a browser told apart by its user agent.
+ * @param email
+ * @param userAgent
+ * @param rememberMe - check "remember me"
+ * @returns {Promise<{agent, response}>}
+ */
+async function signIn(email, userAgent, rememberMe = false) {
+    const agent = request.agent(app);
+    const form = {email: email, password: 'password1'};
+    if (rememberMe) {
+        form.remember_me = 'on';
+    }
+    const response = await agent.post('/authenticate').set('User-Agent', userAgent).type('form').send(form);
+    assert.strictEqual(response.status, 302);
+    return {agent: agent, response: response};
+}
+
+/**
+ * The expiry of the session cookie that a response set.
+ * @param response
+ * @returns {number} ms since the epoch
+ */
+function getCookieExpiry(response) {
+    const cookie = (response.headers['set-cookie'] || []).find(cookie => cookie.startsWith('connect.sid='));
+    assert.ok(cookie, 'No session cookie was set.');
+    return Date.parse(cookie.match(/Expires=([^;]+)/)[1]);
+}
+
+/**
+ * The stored session that was signed in from a user agent.
+ * @param userAgent
+ * @returns {Promise<Session>}
+ */
+function findSession(userAgent) {
+    return models.Session.findOne({where: {userAgent: userAgent}});
+}
+
+/**
+ * Assert that an expiry is duration from now, give or take the time the test took.
+ * @param expiry - ms since the epoch, or a Date
+ * @param duration - ms
+ */
+function assertExpiresIn(expiry, duration) {
+    const expected = Date.now() + duration;
+    assert.ok(Math.abs(expiry.valueOf() - expected) < 5000, `${new Date(expiry)} isn't ${new Date(expected)}`);
+}
+
+/**
+ * Whether an agent is still signed in.
+ * @param agent
+ * @returns {Promise<boolean>}
+ */
+async function isSignedIn(agent) {
+    return (await agent.get('/api/locations')).status === 200;
+}
+
+describe('controllers/auth and controllers/sessions, sessions', function () {
+
+    beforeEach(async function () {
+        await clearDatabase();
+        await createUser({email: 'alice@example.com'});
+        await createUser({email: 'bob@example.com'});
+    });
+
+    describe('expiry', function () {
+
+        it('expires a session after the session TTL', async function () {
+            const {response} = await signIn('alice@example.com', 'Browser A');
+            assertExpiresIn(getCookieExpiry(response), config.session.ttlMinutes * MINUTE);
+            assertExpiresIn((await findSession('Browser A')).expires, config.session.ttlMinutes * MINUTE);
+        });
+
+        it('expires a remembered session after the remember me TTL', async function () {
+            const {response} = await signIn('alice@example.com', 'Browser A', true);
+            assertExpiresIn(getCookieExpiry(response), config.session.rememberMeDays * DAY);
+            assertExpiresIn((await findSession('Browser A')).expires, config.session.rememberMeDays * DAY);
+        });
+
+        it('pushes the expiry forward on every request, keeping the TTL of the session', async function () {
+            for (const [userAgent, rememberMe, ttl] of [['Browser A', false, config.session.ttlMinutes * MINUTE],
+                ['Browser B', true, config.session.rememberMeDays * DAY]]) {
+                const {agent} = await signIn('alice@example.com', userAgent, rememberMe);
+                const signInExpiry = (await findSession(userAgent)).expires;
+
+                await new Promise(resolve => setTimeout(resolve, 50));
+                const response = await agent.get('/api/locations');
+                assert.strictEqual(response.status, 200);
+                assertExpiresIn(getCookieExpiry(response), ttl);
+                const expiry = (await findSession(userAgent)).expires;
+                assert.ok(expiry > signInExpiry, userAgent);
+                assertExpiresIn(expiry, ttl);
+            }
+        });
+
+    });
+
+    describe('the sessions page', function () {
+
+        it("lists the user's own sessions, and marks the current one", async function () {
+            const {agent} = await signIn('alice@example.com', 'Alice Laptop');
+            await signIn('alice@example.com', 'Alice Phone');
+            await signIn('bob@example.com', 'Bob Laptop');
+
+            const response = await agent.get('/sessions');
+            assert.strictEqual(response.status, 200);
+            assert.match(response.text, /Alice Laptop\s*<span class="badge badge-primary">This session<\/span>/);
+            assert.match(response.text, /Alice Phone/);
+            assert.doesNotMatch(response.text, /Bob Laptop/);
+            assert.strictEqual(response.text.match(/This session/g).length, 1);
+            assert.strictEqual(response.text.match(/\/revoke" method="POST"/g).length, 2);
+        });
+
+        it("doesn't list expired sessions", async function () {
+            const {agent} = await signIn('alice@example.com', 'Alice Laptop');
+            await signIn('alice@example.com', 'Alice Phone');
+            await models.Session.update({expires: new Date(Date.now() - MINUTE)}, {where: {userAgent: 'Alice Phone'}});
+
+            const response = await agent.get('/sessions');
+            assert.doesNotMatch(response.text, /Alice Phone/);
+            assert.doesNotMatch(response.text, /Sign Out All Other Sessions/);
+        });
+    });
+
+    describe('revoking', function () {
+
+        it('revokes another session of the user', async function () {
+            const laptop = await signIn('alice@example.com', 'Alice Laptop');
+            const phone = await signIn('alice@example.com', 'Alice Phone');
+
+            const session = await findSession('Alice Phone');
+            const response = await laptop.agent.post(`/sessions/${session.getPublicId()}/revoke`);
+            assert.strictEqual(response.status, 302);
+            assert.strictEqual(response.headers.location, '/sessions');
+
+            assert.strictEqual(await isSignedIn(phone.agent), false);
+            assert.strictEqual(await isSignedIn(laptop.agent), true);
+            assert.strictEqual(await findSession('Alice Phone'), null);
+        });
+
+        it('signs out when the current session is revoked', async function () {
+            const {agent} = await signIn('alice@example.com', 'Alice Laptop');
+
+            const session = await findSession('Alice Laptop');
+            const response = await agent.post(`/sessions/${session.getPublicId()}/revoke`);
+            assert.strictEqual(response.headers.location, '/login');
+            assert.strictEqual(await isSignedIn(agent), false);
+            assert.strictEqual(await models.Session.count(), 0);
+        });
+
+        it('revokes all the other sessions of the user, and only them', async function () {
+            const laptop = await signIn('alice@example.com', 'Alice Laptop');
+            const phone = await signIn('alice@example.com', 'Alice Phone');
+            const tablet = await signIn('alice@example.com', 'Alice Tablet');
+            const bob = await signIn('bob@example.com', 'Bob Laptop');
+
+            const response = await laptop.agent.post('/sessions/revoke-others');
+            assert.strictEqual(response.headers.location, '/sessions');
+
+            assert.strictEqual(await isSignedIn(laptop.agent), true);
+            assert.strictEqual(await isSignedIn(phone.agent), false);
+            assert.strictEqual(await isSignedIn(tablet.agent), false);
+            assert.strictEqual(await isSignedIn(bob.agent), true);
+        });
+
+        it("refuses to revoke another user's session", async function () {
+            const alice = await signIn('alice@example.com', 'Alice Laptop');
+            const bob = await signIn('bob@example.com', 'Bob Laptop');
+
+            const session = await findSession('Bob Laptop');
+            const response = await alice.agent.post(`/sessions/${session.getPublicId()}/revoke`);
+            assert.strictEqual(response.headers.location, '/sessions');
+
+            assert.strictEqual(await isSignedIn(bob.agent), true);
+            assert.notStrictEqual(await findSession('Bob Laptop'), null);
+            // Nor by its sid:
+            await alice.agent.post(`/sessions/${session.sid}/revoke`);
+            assert.strictEqual(await isSignedIn(bob.agent), true);
+        });
+
+        it('ignores an unknown session id', async function () {
+            const {agent} = await signIn('alice@example.com', 'Alice Laptop');
+            const response = await agent.post(`/sessions/${'0'.repeat(32)}/revoke`);
+            assert.strictEqual(response.headers.location, '/sessions');
+            assert.strictEqual(await isSignedIn(agent), true);
+        });
+    });
+});
@@ -0,0 +1,165 @@
+const assert = require('assert');
+const request = require('supertest');
+
+const app = require('../../app');
+const models = require('../../models');
+const apiTokens = require('../../lib/api-tokens');
+const tokens = require('../../lib/tokens');
+const {clearDatabase, createUser, login} = require('../helpers');
+
+describe('controllers/tokens', function () {
+
+    let agent;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        await createUser();
+        agent = (await login(app)).agent;
+    });
+
+    function createToken(name, scope = 'read') {
+        return agent.post('/tokens').type('form').send({name: name, scope: scope});
+    }
+
+    it('creates a token with a name of the maximum length', async function () {
+        const name = 'n'.repeat(apiTokens.nameMaxLength);
+        const response = await createToken(name);
+        assert.strictEqual(response.status, 201);
+        assert.deepStrictEqual((await models.ApiToken.findAll()).map(token => token.name), [name]);
+    });
+
+    it('rejects a name that is too long, and says why', async function () {
+        const response = await createToken('n'.repeat(apiTokens.nameMaxLength + 1));
+        assert.strictEqual(response.status, 400);
+        assert.match(response.text, new RegExp(`The name must be at most ${apiTokens.nameMaxLength} characters long`));
+        assert.strictEqual(await models.ApiToken.count(), 0);
+    });
+
+    it('rejects a missing name, and says why', async function () {
+        const response = await createToken('  ');
+        assert.strictEqual(response.status, 400);
+        assert.match(response.text, /Please name the token/);
+        assert.strictEqual(await models.ApiToken.count(), 0);
+    });
+});
+
+describe('controllers/tokens, API requests with a token', function () {
+
+    let agent;
+    let user;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        user = await createUser();
+        agent = (await login(app)).agent;
+        await models.Location.create({userId: user.id, name: 'Home', lat: 32, lon: 34.8});
+        // Another user's location, which the tokens of the user don't reach:
+        const otherUser = await createUser({email: 'other@example.com'});
+        await models.Location.create({userId: otherUser.id, name: 'Other', lat: 31, lon: 35});
+    });
+
+    /**
+     * Create a token through the tokens page.
+     * @param scope
+     * @returns {Promise<{id: number, token: string}>}
+     */
+    async function createToken(scope) {
+        const response = await agent.post('/tokens').type('form').send({name: `A ${scope} token`, scope: scope});
+        assert.strictEqual(response.status, 201);
+        const apiToken = await models.ApiToken.findOne({where: {scope: scope}});
+        // The token is shown once, on the page:
+        const token = response.text.match(new RegExp(`${apiToken.prefix}[\\w.-]+`))[0];
+        return {id: apiToken.id, token: token};
+    }
+
+    function withToken(method, path, token) {
+        return request(app)[method](path).set('Authorization', `Bearer ${token}`);
+    }
+
+    function assertError(response, status, code) {
+        assert.strictEqual(response.status, status);
+        assert.strictEqual(response.headers['content-type'].split(';')[0], 'application/json');
+        assert.strictEqual(response.body.error.code, code);
+    }
+
+    it('authenticates as the user of the token, without a session', async function () {
+        const {token} = await createToken('read');
+
+        const response = await withToken('get', '/api/locations', token);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.locations.map(location => location.name), ['Home']);
+        assert.strictEqual(response.headers['set-cookie'], undefined);
+    });
+
+    it('lets a read-only token read, and nothing else', async function () {
+        const {token} = await createToken('read');
+        const location = await models.Location.findOne({where: {userId: user.id}});
+
+        const requests = [
+            ['post', '/api/locations', {name: 'New', lat: 1, lon: 1}],
+            ['put', `/api/locations/${location.id}`, {name: 'Home', lat: 1, lon: 1}],
+            ['patch', `/api/locations/${location.id}`, {lat: 1}],
+            ['delete', `/api/locations/${location.id}`, undefined],
+        ];
+        for (const [method, path, body] of requests) {
+            const response = await withToken(method, path, token).send(body);
+            assertError(response, 403, 'forbidden');
+            assert.strictEqual(response.body.error.message, 'This API token is read-only.');
+        }
+        const unchanged = await models.Location.findAll({where: {userId: user.id}});
+        assert.deepStrictEqual(unchanged.map(location => [location.name, location.lat]), [['Home', 32]]);
+        assert.strictEqual((await withToken('get', `/api/locations/${location.id}`, token)).status, 200);
+    });
+
+    it('lets a read-write token write', async function () {
+        const {token} = await createToken('read-write');
+
+        const response = await withToken('post', '/api/locations', token).send({name: 'New', lat: 1, lon: 1});
+        assert.strictEqual(response.status, 201);
+        assert.strictEqual((await models.Location.findByPk(response.body.location.id)).userId, user.id);
+    });
+
+    it('rejects a revoked token', async function () {
+        const {id, token} = await createToken('read');
+        assert.strictEqual((await withToken('get', '/api/locations', token)).status, 200);
+
+        const response = await agent.post(`/tokens/${id}/revoke`);
+        assert.strictEqual(response.status, 302);
+        assertError(await withToken('get', '/api/locations', token), 401, 'unauthorized');
+    });
+
+    it("doesn't revoke the token of another user", async function () {
+        const {id, token} = await createToken('read');
+        await createUser({email: 'third@example.com'});
+        const other = (await login(app, 'third@example.com')).agent;
+
+        await other.post(`/tokens/${id}/revoke`);
+        assert.strictEqual((await withToken('get', '/api/locations', token)).status, 200);
+    });
+
+    it('rejects malformed tokens, with a JSON error', async function () {
+        const {token} = await createToken('read');
+        const resetToken = tokens.create('password-reset').token;
+
+        for (const authorization of ['Bearer', `Basic ${token}`, 'Bearer not-a-token', `Bearer ${token}x`,
+            `Bearer ${resetToken}`]) {
+            const response = await request(app).get('/api/locations').set('Authorization', authorization);
+            assertError(response, 401, 'unauthorized');
+            assert.strictEqual(response.body.error.message, 'Invalid API token.');
+        }
+        // A token is not a session, even when a session cookie comes with it:
+        assertError(await agent.get('/api/locations').set('Authorization', 'Bearer not-a-token'), 401,
+            'unauthorized');
+    });
+
+    it('records when a token was last used', async function () {
+        const {id, token} = await createToken('read');
+        assert.strictEqual((await models.ApiToken.findByPk(id)).lastUsedAt, null);
+
+        const before = new Date();
+        await withToken('get', '/api/locations', token);
+        const lastUsedAt = (await models.ApiToken.findByPk(id)).lastUsedAt;
+        assert.ok(lastUsedAt >= new Date(before.getTime() - 1000), String(lastUsedAt));
+        assert.match((await agent.get('/tokens')).text, /A read token/);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Helpers shared by the tests.
+ */
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+const config = require('../config');
+const models = require('../models');
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, '..', 'migrations');
+
+let migration = null;
+
+/**
+ * Create the schema of the (in-memory) test database by running the migrations, once for all the tests.
+ * @returns {Promise<void>}
+ */
+function migrate() {
+    if (migration === null) {
+        migration = (async () => {
+            const queryInterface = models.sequelize.getQueryInterface();
+            for (const file of fs.readdirSync(MIGRATIONS_DIRECTORY).filter(file => file.endsWith('.js')).sort()) {
+                await require(path.join(MIGRATIONS_DIRECTORY, file)).up(queryInterface, models.Sequelize);
+            }
+        })();
+    }
+    return migration;
+}
+
+/**
+ * Delete every row of every table.
+ * @returns {Promise<void>}
+ */
+async function clearDatabase() {
+    await migrate();
+    await models.sequelize.query('PRAGMA foreign_keys = OFF');
+    try {
+        for (const table of await models.sequelize.getQueryInterface().showAllTables()) {
+            await models.sequelize.query(`DELETE FROM \`${table}\``);
+        }
+    } finally {
+        await models.sequelize.query('PRAGMA foreign_keys = ON');
+    }
+}
+
+/**
+ * Create a verified user.
+ * @param fields - overrides the defaults
+ * @returns {Promise<User>}
+ */
+function createUser(fields = {}) {
+    return models.User.create(Object.assign({
+        email: 'user@example.com',
+        firstName: 'Test',
+        lastName: 'User',
+        password: 'password1',
+        verifiedAt: new Date(),
+    }, fields));
+}
+
+/**
+ * Sign in through the login form.
+ * @param app
+ * @param email
+ * @param password
+ * @returns {Promise<{agent, response}>} agent keeps the session cookie for the following requests
+ */
+async function login(app, email = 'user@example.com', password = 'password1') {
+    const agent = request.agent(app);
+    const response = await agent.post('/authenticate').type('form').send({email: email, password: password});
+    return {agent: agent, response: response};
+}
+
+/**
+ * Delete the emails that were sent (by the file transport of the test configuration).
+ * @returns {Promise<void>}
+ */
+async function clearMail() {
+    await fs.promises.rm(path.resolve(config.mailer.file.directory), {recursive: true, force: true});
+}
+
+/**
+ * The emails that were sent since clearMail, in the order they were sent.
+ * @returns {Promise<{to, subject, text, html, headers}[]>}
+ */
+async function readMail() {
+    const directory = path.resolve(config.mailer.file.directory);
+    let fileNames;
+    try {
+        fileNames = await fs.promises.readdir(directory);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw err;
+    }
+    // The file names are <time>-<pid>-<sequence>.json:
+    const getOrder = fileName => fileName.split('-').map(part => parseInt(part, 10));
+    fileNames.sort((a, b) => {
+        const [orderA, orderB] = [getOrder(a), getOrder(b)];
+        return orderA[0] - orderB[0] || orderA[2] - orderB[2];
+    });
+    return Promise.all(fileNames.map(async fileName =>
+        JSON.parse(await fs.promises.readFile(path.join(directory, fileName), 'utf8'))));
+}
+
+module.exports = {
+    migrate: migrate,
+    clearDatabase: clearDatabase,
+    createUser: createUser,
+    login: login,
+    clearMail: clearMail,
+    readMail: readMail,
+};
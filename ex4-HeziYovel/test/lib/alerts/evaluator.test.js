@@ -0,0 +1,123 @@
+const assert = require('assert');
+
+const evaluator = require('../../../lib/alerts/evaluator');
+const schema = require('../../../lib/weather/schema');
+
+/**
+ * A normalized forecast of consecutive days.
+ * @param firstDate - YYYY-MM-DD
+ * @param days - [{type, min, max, windClass}]
+ * @returns {{provider: string, daily: [], hourly: []}}
+ */
+function makeForecast(firstDate, days) {
+    const first = Date.parse(`${firstDate}T00:00:00Z`);
+    return {
+        provider: '7timer',
+        daily: days.map((day, index) => ({
+            date: new Date(first + index * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+            weather: schema.makeWeather(day.type || 'clear'),
+            temperature: {min: day.min === undefined ? 10 : day.min, max: day.max === undefined ? 20 : day.max},
+            wind: schema.makeWind(day.windClass || 2),
+        })),
+        hourly: [],
+    };
+}
+
+function rule(condition, threshold, dayOffset = null) {
+    return {condition: condition, threshold: threshold, dayOffset: dayOffset};
+}
+
+function triggeredDates(triggers) {
+    return triggers.map(trigger => trigger.date);
+}
+
+describe('lib/alerts/evaluator', function () {
+
+    const noon = new Date('2026-10-19T12:00:00Z');
+
+    describe('thresholds', function () {
+
+        const forecast = makeForecast('2026-10-19', [
+            {max: 30, min: 0, windClass: 4},
+            {max: 30.1, min: -0.1, windClass: 5},
+            {max: 29.9, min: 0.1, windClass: 3, type: 'rain'},
+        ]);
+
+        it('meets a max temperature only above the threshold', function () {
+            const triggers = evaluator.evaluateRule(rule('maxTemperatureAbove', 30), forecast, 0, noon);
+            assert.deepStrictEqual(triggers, [{date: '2026-10-20', value: 30.1}]);
+        });
+
+        it('meets a min temperature only below the threshold', function () {
+            const triggers = evaluator.evaluateRule(rule('minTemperatureBelow', 0), forecast, 0, noon);
+            assert.deepStrictEqual(triggers, [{date: '2026-10-20', value: -0.1}]);
+        });
+
+        it('meets a wind class at or above the threshold', function () {
+            const triggers = evaluator.evaluateRule(rule('windClassAtLeast', 4), forecast, 0, noon);
+            assert.deepStrictEqual(triggers, [{date: '2026-10-19', value: 4}, {date: '2026-10-20', value: 5}]);
+        });
+
+        it('meets precipitation on days of rain or snow', function () {
+            const triggers = evaluator.evaluateRule(rule('precipitation', null), forecast, 0, noon);
+            assert.deepStrictEqual(triggers, [{date: '2026-10-21', value: 'rain'}]);
+        });
+    });
+
+    describe('days', function () {
+
+        // Every day is hot:
+        const forecast = makeForecast('2026-10-18', Array(9).fill({max: 40}));
+        const hot = dayOffset => rule('maxTemperatureAbove', 35, dayOffset);
+
+        it('checks every day from today for a rule about any day', function () {
+            const triggers = evaluator.evaluateRule(hot(null), forecast, 0, noon);
+            // The day before today, which a cached forecast may still have, is left out:
+            assert.deepStrictEqual(triggeredDates(triggers), ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22',
+                '2026-10-23', '2026-10-24', '2026-10-25', '2026-10-26']);
+        });
+
+        it('checks only the day of a rule about a specific day', function () {
+            assert.deepStrictEqual(triggeredDates(evaluator.evaluateRule(hot(0), forecast, 0, noon)), ['2026-10-19']);
+            assert.deepStrictEqual(triggeredDates(evaluator.evaluateRule(hot(1), forecast, 0, noon)), ['2026-10-20']);
+            assert.deepStrictEqual(triggeredDates(evaluator.evaluateRule(hot(6), forecast, 0, noon)), ['2026-10-25']);
+        });
+
+        it("doesn't trigger for a day beyond the forecast", function () {
+            const shortForecast = makeForecast('2026-10-19', [{max: 40}, {max: 40}]);
+            assert.deepStrictEqual(evaluator.evaluateRule(hot(2), shortForecast, 0, noon), []);
+        });
+
+        it('moves to the next day at midnight of the location', function () {
+            const beforeMidnight = new Date('2026-10-19T23:59:59.999Z');
+            const midnight = new Date('2026-10-20T00:00:00Z');
+            assert.deepStrictEqual(triggeredDates(evaluator.evaluateRule(hot(0), forecast, 0, beforeMidnight)),
+                ['2026-10-19']);
+            assert.deepStrictEqual(triggeredDates(evaluator.evaluateRule(hot(0), forecast, 0, midnight)),
+                ['2026-10-20']);
+            assert.strictEqual(triggeredDates(evaluator.evaluateRule(hot(null), forecast, 0, midnight))[0],
+                '2026-10-20');
+        });
+
+        it('tells the date of the location by its longitude', function () {
+            // 21:00 UTC is already the next day 15 degrees per hour east of 45 degrees, and not yet west of it:
+            const evening = new Date('2026-10-19T21:00:00Z');
+            assert.strictEqual(evaluator.getLocalDate(evening, 44.9), '2026-10-19');
+            assert.strictEqual(evaluator.getLocalDate(evening, 45), '2026-10-20');
+            assert.deepStrictEqual(triggeredDates(evaluator.evaluateRule(hot(1), forecast, 120, evening)),
+                ['2026-10-21']);
+            // And 03:00 UTC is still the day before west of -45 degrees:
+            const morning = new Date('2026-10-20T03:00:00Z');
+            assert.strictEqual(evaluator.getLocalDate(morning, -45.1), '2026-10-19');
+            assert.deepStrictEqual(triggeredDates(evaluator.evaluateRule(hot(0), forecast, -120, morning)),
+                ['2026-10-19']);
+        });
+
+        it('counts the offset across the end of a month and a year', function () {
+            const newYearsEve = new Date('2026-12-31T12:00:00Z');
+            const yearEndForecast = makeForecast('2026-12-30', Array(5).fill({max: 40}));
+            assert.deepStrictEqual(triggeredDates(evaluator.evaluateRule(hot(2), yearEndForecast, 0, newYearsEve)),
+                ['2027-01-02']);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+
+const models = require('../../../models');
+const forecast = require('../../../lib/weather/forecast');
+const scheduler = require('../../../lib/alerts/scheduler');
+const weatherStub = require('../../support/weather-stub');
+const {clearDatabase, createUser} = require('../../helpers');
+
+describe('lib/alerts/scheduler', function () {
+
+    let stub;
+    let location;
+
+    before(async function () {
+        stub = await weatherStub.start();
+    });
+
+    after(async function () {
+        await stub.close();
+    });
+
+    beforeEach(async function () {
+        await clearDatabase();
+        forecast.clearCache();
+        stub.respond = () => ({status: 200, body: weatherStub.makeCivilLight()});
+        const user = await createUser();
+        // At longitude 0 the date of the location is the UTC date, which is the date of the stub's first day:
+        location = await models.Location.create({userId: user.id, name: 'Greenwich', lat: 51.48, lon: 0});
+    });
+
+    function addRule(condition, threshold, dayOffset = null) {
+        return models.AlertRule.create({
+            userId: location.userId,
+            locationId: location.id,
+            condition: condition,
+            threshold: threshold,
+            dayOffset: dayOffset,
+        });
+    }
+
+    async function listAlerts() {
+        return (await models.Alert.findAll({order: [['forecastDate', 'ASC']]}))
+            .map(alert => ({ruleId: alert.ruleId, forecastDate: alert.forecastDate}));
+    }
+
+    it('records an alert for every day that meets a rule', async function () {
+        // The stub's days have max temperatures of 20 to 26:
+        const rule = await addRule('maxTemperatureAbove', 23);
+        assert.strictEqual(await scheduler.checkRules(new Date()), 3);
+
+        const dates = weatherStub.makeCivilLight().dataseries.slice(4).map(day => String(day.date));
+        assert.deepStrictEqual((await listAlerts()).map(alert => alert.forecastDate.replace(/-/g, '')), dates);
+        assert.ok((await listAlerts()).every(alert => alert.ruleId === rule.id));
+    });
+
+    it('records an alert once per rule and date, however many checks find it', async function () {
+        await addRule('maxTemperatureAbove', 23);
+        await addRule('maxTemperatureAbove', 25, 6);
+        assert.strictEqual(await scheduler.checkRules(new Date()), 4);
+        const alerts = await listAlerts();
+        const requestCount = stub.requests.length;
+
+        forecast.clearCache();
+        assert.strictEqual(await scheduler.checkRules(new Date()), 0);
+        assert.deepStrictEqual(await listAlerts(), alerts);
+        // The second check did fetch the forecast again:
+        assert.strictEqual(stub.requests.length, requestCount + 1);
+    });
+
+    it('records a new alert when a later forecast meets the rule on another date', async function () {
+        const rule = await addRule('maxTemperatureAbove', 25);
+        assert.strictEqual(await scheduler.checkRules(new Date()), 1);
+
+        // Now today is hot too:
+        forecast.clearCache();
+        const hotToday = weatherStub.makeCivilLight(new Date(), [{temp2m: {min: 20, max: 40}}]);
+        stub.respond = () => ({status: 200, body: hotToday});
+        assert.strictEqual(await scheduler.checkRules(new Date()), 1);
+        const alerts = await listAlerts();
+        assert.strictEqual(alerts.length, 2);
+        assert.strictEqual(alerts[0].forecastDate, new Date().toISOString().slice(0, 10));
+        assert.ok(alerts.every(alert => alert.ruleId === rule.id));
+    });
+
+    it('keeps checking the other locations when a forecast fails', async function () {
+        await addRule('maxTemperatureAbove', 25);
+        const other = await models.Location.create({userId: location.userId, name: 'Null Island', lat: 0, lon: 0});
+        await models.AlertRule.create({userId: other.userId, locationId: other.id, condition: 'maxTemperatureAbove',
+            threshold: 25, dayOffset: null});
+        // The forecast of the first location fails:
+        stub.respond = url => url.searchParams.get('lat') === '51.48' ?
+            {status: 500, body: {}} : {status: 200, body: weatherStub.makeCivilLight()};
+
+        assert.strictEqual(await scheduler.checkRules(new Date()), 1);
+        const alerts = await models.Alert.findAll();
+        assert.deepStrictEqual(alerts.map(alert => alert.locationId), [other.id]);
+    });
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+
+const models = require('../../../models');
+const forecast = require('../../../lib/weather/forecast');
+const digest = require('../../../lib/digest/compose');
+const weatherStub = require('../../support/weather-stub');
+const {clearDatabase, createUser} = require('../../helpers');
+
+const BASE_URL = 'http://hweather.test';
+
+describe('lib/digest/compose', function () {
+
+    let stub;
+    let user;
+
+    before(async function () {
+        stub = await weatherStub.start();
+    });
+
+    after(async function () {
+        await stub.close();
+    });
+
+    beforeEach(async function () {
+        await clearDatabase();
+        forecast.clearCache();
+        stub.requests = [];
+        stub.respond = () => ({status: 200, body: weatherStub.makeCivilLight()});
+        user = await createUser({firstName: 'Dana'});
+    });
+
+    function addLocation(name, lat, isFavorite = false) {
+        return models.Location.create({userId: user.id, name: name, lat: lat, lon: 34.8, isFavorite: isFavorite});
+    }
+
+    function compose(fields = {}) {
+        const setting = models.UserSetting.build(Object.assign({userId: user.id, digestEnabled: true}, fields));
+        return digest.compose(user, setting, '2026-07-01', BASE_URL);
+    }
+
+    /**
+     * The names of the locations of a plain text digest: the lines that aren't indented, between the greeting and
+     * the footer.
+     */
+    function getLocationNames(text) {
+        const lines = text.split('\n');
+        return lines.slice(1, lines.indexOf('You get this email because you turned on the daily forecast email of ' +
+            'HWeather.')).filter(line => line !== '' && !line.startsWith(' '));
+    }
+
+    it('has the favorite locations when its scope is favorites', async function () {
+        await addLocation('Haifa', 32.8);
+        await addLocation('Tel Aviv', 32.1, true);
+        await addLocation('Eilat', 29.6, true);
+
+        const message = await compose({digestScope: 'favorites'});
+        assert.deepStrictEqual(getLocationNames(message.text), ['Tel Aviv', 'Eilat']);
+        assert.strictEqual(stub.requests.length, 2);
+    });
+
+    it('has every location when its scope is all, favorites first', async function () {
+        await addLocation('Haifa', 32.8);
+        await addLocation('Tel Aviv', 32.1, true);
+
+        const message = await compose({digestScope: 'all'});
+        assert.deepStrictEqual(getLocationNames(message.text), ['Tel Aviv', 'Haifa']);
+    });
+
+    it('has every location when its scope is favorites but there are none', async function () {
+        await addLocation('Haifa', 32.8);
+        await addLocation('Eilat', 29.6);
+
+        const message = await compose({digestScope: 'favorites'});
+        assert.deepStrictEqual(getLocationNames(message.text), ['Haifa', 'Eilat']);
+    });
+
+    it('has 7 days of forecast in the units of the user', async function () {
+        await addLocation('Haifa', 32.8);
+
+        const message = await compose({temperatureUnit: 'fahrenheit', windUnit: 'kmh'});
+        const dayLines = message.text.split('\n').filter(line => line.startsWith('  '));
+        assert.strictEqual(dayLines.length, 7);
+        // The first day of the stub: 10 to 20°C, wind class 3 (moderate, 3.4-8 m/s):
+        assert.match(dayLines[0], /: Clear, 50°F to 68°F, wind moderate, 12\.2-28\.8 km\/h$/);
+        assert.match(message.html, /Haifa/);
+        assert.strictEqual(message.subject, 'Your HWeather forecast for Wed, Jul 1');
+    });
+
+    it("says so when the forecast of a location can't be fetched, and still has the others", async function () {
+        await addLocation('Haifa', 32.8);
+        await addLocation('Eilat', 29.6);
+        stub.respond = url => url.searchParams.get('lat') === '29.6' ? {status: 500, body: ''} :
+            {status: 200, body: weatherStub.makeCivilLight()};
+
+        const message = await compose({digestScope: 'all'});
+        assert.deepStrictEqual(getLocationNames(message.text), ['Haifa', 'Eilat']);
+        assert.match(message.text, /Eilat\n {2}The forecast is not available right now\./);
+        assert.strictEqual(message.text.split('\n').filter(line => line.startsWith('  ')).length, 7 + 1);
+    });
+
+    it('has links to the settings and to unsubscribe, on the site', async function () {
+        await addLocation('Haifa', 32.8);
+
+        const message = await compose();
+        assert.match(message.text, new RegExp(`Change when it is sent: ${BASE_URL}/digest\n`));
+        assert.ok(message.unsubscribeLink.startsWith(`${BASE_URL}/unsubscribe?token=`));
+        assert.strictEqual(await models.DigestUnsubscribeToken.count({where: {userId: user.id}}), 1);
+    });
+
+    it('is null for a user without locations', async function () {
+        assert.strictEqual(await compose(), null);
+        assert.strictEqual(stub.requests.length, 0);
+    });
+});
@@ -0,0 +1,92 @@
+const assert = require('assert');
+
+const schedule = require('../../../lib/digest/schedule');
+
+describe('lib/digest/schedule', function () {
+
+    function makeSetting(fields = {}) {
+        return Object.assign({
+            digestEnabled: true,
+            digestTime: '07:00',
+            digestTimezone: 'UTC',
+            digestLastSentOn: null,
+        }, fields);
+    }
+
+    function getDueDate(fields, now) {
+        return schedule.getDueDate(makeSetting(fields), new Date(now));
+    }
+
+    describe('getDueDate', function () {
+
+        it('is due from the send time, for up to 3 hours', function () {
+            assert.strictEqual(getDueDate({}, '2026-07-01T06:59:00Z'), null);
+            assert.strictEqual(getDueDate({}, '2026-07-01T07:00:00Z'), '2026-07-01');
+            assert.strictEqual(getDueDate({}, '2026-07-01T10:00:00Z'), '2026-07-01');
+            assert.strictEqual(getDueDate({}, '2026-07-01T10:01:00Z'), null);
+        });
+
+        it('is due once a local date', function () {
+            assert.strictEqual(getDueDate({digestLastSentOn: '2026-07-01'}, '2026-07-01T07:30:00Z'), null);
+            assert.strictEqual(getDueDate({digestLastSentOn: '2026-06-30'}, '2026-07-01T07:30:00Z'), '2026-07-01');
+        });
+
+        it("isn't due when the digest is off", function () {
+            assert.strictEqual(getDueDate({digestEnabled: false}, '2026-07-01T07:30:00Z'), null);
+        });
+
+        it('is due at the send time of the time zone of the user', function () {
+            // Israel is 3 hours ahead of UTC in the summer:
+            const jerusalem = {digestTimezone: 'Asia/Jerusalem'};
+            assert.strictEqual(getDueDate(jerusalem, '2026-07-01T03:59:00Z'), null);
+            assert.strictEqual(getDueDate(jerusalem, '2026-07-01T04:00:00Z'), '2026-07-01');
+            // New York is 4 hours behind:
+            const newYork = {digestTimezone: 'America/New_York'};
+            assert.strictEqual(getDueDate(newYork, '2026-07-01T07:00:00Z'), null);
+            assert.strictEqual(getDueDate(newYork, '2026-07-01T11:00:00Z'), '2026-07-01');
+        });
+
+        it('has the local date as the date of the digest, which may not be the UTC date', function () {
+            // 07:00 in Auckland (UTC+12 in July) is 19:00 UTC of the day before:
+            const auckland = {digestTimezone: 'Pacific/Auckland'};
+            assert.strictEqual(getDueDate(auckland, '2026-07-01T19:00:00Z'), '2026-07-02');
+            assert.strictEqual(getDueDate(Object.assign({digestLastSentOn: '2026-07-01'}, auckland),
+                '2026-07-01T19:00:00Z'), '2026-07-02');
+            assert.strictEqual(getDueDate(Object.assign({digestLastSentOn: '2026-07-02'}, auckland),
+                '2026-07-01T19:00:00Z'), null);
+        });
+
+        it('follows daylight saving time', function () {
+            const newYork = {digestTimezone: 'America/New_York'};
+            // Before March 8, 2026, New York is 5 hours behind UTC, and from then 4:
+            assert.strictEqual(getDueDate(newYork, '2026-03-07T11:00:00Z'), null);
+            assert.strictEqual(getDueDate(newYork, '2026-03-07T12:00:00Z'), '2026-03-07');
+            assert.strictEqual(getDueDate(newYork, '2026-03-08T10:59:00Z'), null);
+            assert.strictEqual(getDueDate(newYork, '2026-03-08T11:00:00Z'), '2026-03-08');
+            // And from November 1, 5 again:
+            assert.strictEqual(getDueDate(newYork, '2026-11-01T11:00:00Z'), null);
+            assert.strictEqual(getDueDate(newYork, '2026-11-01T12:00:00Z'), '2026-11-01');
+        });
+
+        it('is due right after a send time that daylight saving time skips', function () {
+            // On March 8, 2026 the clocks of New York go from 02:00 to 03:00 (07:00 UTC):
+            const newYork = {digestTimezone: 'America/New_York', digestTime: '02:30'};
+            assert.strictEqual(getDueDate(newYork, '2026-03-08T06:59:00Z'), null);
+            assert.strictEqual(getDueDate(newYork, '2026-03-08T07:00:00Z'), '2026-03-08');
+        });
+    });
+
+    describe('validation', function () {
+
+        it('accepts times of the day, HH:MM', function () {
+            assert.ok(['00:00', '07:30', '23:59'].every(schedule.isTime));
+            assert.ok(!['24:00', '7:30', '07:60', '', null].some(schedule.isTime));
+        });
+
+        it('accepts the time zones that Intl knows', function () {
+            assert.ok(['UTC', 'Asia/Jerusalem', 'America/New_York'].every(schedule.isTimezone));
+            assert.ok(!['Mars/Olympus_Mons', '', undefined].some(schedule.isTimezone));
+            assert.strictEqual(schedule.getTimezones()[0], 'UTC');
+        });
+    });
+});
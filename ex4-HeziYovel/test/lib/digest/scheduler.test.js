@@ -0,0 +1,96 @@
+const assert = require('assert');
+
+const config = require('../../../config');
+const models = require('../../../models');
+const forecast = require('../../../lib/weather/forecast');
+const scheduler = require('../../../lib/digest/scheduler');
+const weatherStub = require('../../support/weather-stub');
+const {clearDatabase, clearMail, createUser, readMail} = require('../../helpers');
+
+describe('lib/digest/scheduler', function () {
+
+    let stub;
+
+    before(async function () {
+        stub = await weatherStub.start();
+    });
+
+    after(async function () {
+        await stub.close();
+    });
+
+    beforeEach(async function () {
+        await clearDatabase();
+        await clearMail();
+        forecast.clearCache();
+        stub.respond = () => ({status: 200, body: weatherStub.makeCivilLight()});
+    });
+
+    /**
+     * A user with a location, whose digest is sent at 07:00 in Jerusalem (04:00 UTC in the summer).
+     * @param email
+     * @param userFields - overrides of the User
+     * @param settingFields - overrides of the UserSetting
+     * @returns {Promise<User>}
+     */
+    async function addSubscriber(email, userFields = {}, settingFields = {}) {
+        const user = await createUser(Object.assign({email: email}, userFields));
+        await models.Location.create({userId: user.id, name: 'Tel Aviv', lat: 32.1, lon: 34.8});
+        await models.UserSetting.create(Object.assign({
+            userId: user.id,
+            digestEnabled: true,
+            digestTime: '07:00',
+            digestTimezone: 'Asia/Jerusalem',
+        }, settingFields));
+        return user;
+    }
+
+    async function getLastSentOn(user) {
+        return (await models.UserSetting.findForUser(user.id)).digestLastSentOn;
+    }
+
+    it('emails the digest through the mail transport when it is due', async function () {
+        const user = await addSubscriber('dana@example.com');
+
+        assert.strictEqual(await scheduler.sendDueDigests(new Date('2026-07-01T03:59:00Z')), 0);
+        assert.strictEqual(await scheduler.sendDueDigests(new Date('2026-07-01T04:05:00Z')), 1);
+
+        const mail = await readMail();
+        assert.deepStrictEqual(mail.map(message => message.to), ['dana@example.com']);
+        assert.strictEqual(mail[0].subject, 'Your HWeather forecast for Wed, Jul 1');
+        assert.match(mail[0].text, /Tel Aviv/);
+        assert.match(mail[0].html, /Tel Aviv/);
+        assert.match(mail[0].headers['List-Unsubscribe'], new RegExp(`^<${config.baseURL}/unsubscribe\\?token=`));
+        assert.strictEqual(await getLastSentOn(user), '2026-07-01');
+    });
+
+    it('sends at most one digest a local date', async function () {
+        await addSubscriber('dana@example.com');
+
+        assert.strictEqual(await scheduler.sendDueDigests(new Date('2026-07-01T04:05:00Z')), 1);
+        assert.strictEqual(await scheduler.sendDueDigests(new Date('2026-07-01T04:10:00Z')), 0);
+        assert.strictEqual(await scheduler.sendDueDigests(new Date('2026-07-01T06:00:00Z')), 0);
+        assert.strictEqual((await readMail()).length, 1);
+
+        assert.strictEqual(await scheduler.sendDueDigests(new Date('2026-07-02T04:05:00Z')), 1);
+        assert.strictEqual((await readMail()).length, 2);
+    });
+
+    it("doesn't email users whose digest is off or whose email isn't verified", async function () {
+        await addSubscriber('off@example.com', {}, {digestEnabled: false});
+        const unverified = await addSubscriber('unverified@example.com', {verifiedAt: null});
+
+        assert.strictEqual(await scheduler.sendDueDigests(new Date('2026-07-01T04:05:00Z')), 0);
+        assert.deepStrictEqual(await readMail(), []);
+        assert.strictEqual(await getLastSentOn(unverified), null);
+    });
+
+    it("doesn't email a user without locations, but doesn't check them again that day", async function () {
+        const user = await addSubscriber('dana@example.com');
+        await models.Location.destroy({where: {userId: user.id}});
+
+        assert.strictEqual(await scheduler.sendDueDigests(new Date('2026-07-01T04:05:00Z')), 0);
+        assert.deepStrictEqual(await readMail(), []);
+        assert.strictEqual(await getLastSentOn(user), '2026-07-01');
+    });
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+
+const config = require('../../config');
+const models = require('../../models');
+const gazetteer = require('../../lib/gazetteer');
+const geocoding = require('../../lib/geocoding');
+const {clearDatabase} = require('../helpers');
+
+describe('lib/geocoding', function () {
+
+    beforeEach(clearDatabase);
+
+    function addPlaces(places) {
+        return models.Place.bulkCreate(places.map(([name, country, lat, lon, population]) => ({
+            name: name,
+            searchName: gazetteer.normalizeName(name),
+            country: country,
+            lat: lat,
+            lon: lon,
+            population: population,
+        })));
+    }
+
+    describe('the gazetteer', function () {
+
+        let placesFile;
+
+        beforeEach(function () {
+            placesFile = config.geocoding.placesFile;
+        });
+
+        afterEach(function () {
+            config.geocoding.placesFile = placesFile;
+        });
+
+        it('is loaded from the places file on first use, when the Places table is empty', async function () {
+            const places = await geocoding.search('tokyo');
+            assert.deepStrictEqual(places.map(place => [place.name, place.country]), [['Tokyo', 'JP']]);
+            assert.strictEqual(await models.Place.count(), 210);
+
+            // Not again:
+            await geocoding.reverse(35.69, 139.69);
+            assert.strictEqual(await models.Place.count(), 210);
+        });
+
+        it('fails loudly when the places file is missing, and loads it once it is there', async function () {
+            config.geocoding.placesFile = './data/no-such-file.csv';
+            await assert.rejects(geocoding.search('tokyo'), {code: 'ENOENT'});
+            await assert.rejects(geocoding.reverse(35.69, 139.69), {code: 'ENOENT'});
+
+            config.geocoding.placesFile = placesFile;
+            assert.strictEqual((await geocoding.search('tokyo')).length, 1);
+        });
+    });
+
+    describe('search', function () {
+
+        beforeEach(async function () {
+            await addPlaces([
+                ['Paris', 'FR', 48.85, 2.35, 2138551],
+                ['Paris', 'US', 33.66, -95.56, 24782],
+                ['Parma', 'IT', 44.8, 10.33, 146299],
+                ['Pardubice', 'CZ', 50.04, 15.78, 88741],
+                ['São Paulo', 'BR', -23.55, -46.64, 10021295],
+                ['Tel Aviv', 'IL', 32.08, 34.78, 432892],
+            ]);
+        });
+
+        function search(query, limit) {
+            return geocoding.search(query, limit).then(places => places.map(place => `${place.name} ${place.country}`));
+        }
+
+        it('finds the names that start with the query, the most populated first', async function () {
+            assert.deepStrictEqual(await search('par'),
+                ['Paris FR', 'Parma IT', 'Pardubice CZ', 'Paris US']);
+            assert.deepStrictEqual(await search('paris'), ['Paris FR', 'Paris US']);
+            assert.deepStrictEqual(await search('par', 2), ['Paris FR', 'Parma IT']);
+        });
+
+        it('ignores case, diacritics and punctuation', async function () {
+            assert.deepStrictEqual(await search('SAO PAULO'), ['São Paulo BR']);
+            assert.deepStrictEqual(await search('tel-aviv'), ['Tel Aviv IL']);
+        });
+
+        it('forgives a typo or two when nothing starts with the query', async function () {
+            assert.deepStrictEqual(await search('pariss'), ['Paris FR', 'Paris US']);
+            assert.deepStrictEqual(await search('tle aviv'), ['Tel Aviv IL']);
+            assert.deepStrictEqual(await search('xyzzy'), []);
+        });
+
+        it('finds nothing for a query that is too short', async function () {
+            assert.deepStrictEqual(await search('p'), []);
+            assert.deepStrictEqual(await search(' - '), []);
+        });
+    });
+
+    describe('reverse', function () {
+
+        beforeEach(async function () {
+            await addPlaces([
+                ['Tel Aviv', 'IL', 32.08, 34.78, 432892],
+                ['Jerusalem', 'IL', 31.77, 35.21, 801000],
+                ['Haifa', 'IL', 32.79, 34.99, 267300],
+                // On both sides of the antimeridian:
+                ['Labasa', 'FJ', -16.43, 179.38, 27949],
+                ['Apia', 'WS', -13.83, -171.76, 40407],
+            ]);
+        });
+
+        it('finds the nearest place, and its distance', async function () {
+            const place = await geocoding.reverse(32.1, 34.8);
+            assert.strictEqual(place.name, 'Tel Aviv');
+            assert.ok(place.distanceKm > 2 && place.distanceKm < 4, String(place.distanceKm));
+
+            assert.strictEqual((await geocoding.reverse(31.9, 35.1)).name, 'Jerusalem');
+            // Farther than the first box around the point:
+            assert.strictEqual((await geocoding.reverse(34, 35)).name, 'Haifa');
+        });
+
+        it('finds the nearest place across the antimeridian', async function () {
+            // Labasa is about 60 km west of this point, across 180°, and Apia about 900 km east:
+            const place = await geocoding.reverse(-16.43, -179.99);
+            assert.strictEqual(place.name, 'Labasa');
+            assert.ok(place.distanceKm < 70, String(place.distanceKm));
+
+            assert.strictEqual((await geocoding.reverse(-14, 179.9)).name, 'Labasa');
+            assert.strictEqual((await geocoding.reverse(-14, -173)).name, 'Apia');
+        });
+
+        it('finds nothing far from every place', async function () {
+            assert.strictEqual(await geocoding.reverse(-50, -140), null);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+
+const csv = require('../../../lib/location-formats/csv');
+
+describe('lib/location-formats/csv', function () {
+
+    it('reads what it writes', function () {
+        const locations = [
+            {name: 'Tel Aviv', lat: 32.0853, lon: 34.7818},
+            {name: 'Rio de Janeiro', lat: -22.9068, lon: -43.1729},
+        ];
+        const content = csv.serialize(locations);
+        assert.strictEqual(content, 'name,lat,lon\r\nTel Aviv,32.0853,34.7818\r\nRio de Janeiro,-22.9068,-43.1729\r\n');
+        assert.deepStrictEqual(csv.parse(content), [
+            {name: 'Tel Aviv', lat: '32.0853', lon: '34.7818'},
+            {name: 'Rio de Janeiro', lat: '-22.9068', lon: '-43.1729'},
+        ]);
+    });
+
+    it('quotes names with commas, quotes and line breaks, and reads them back', function () {
+        const names = ['Washington, D.C.', 'The "Big" Apple', 'Two\nlines', 'Windows\r\nline', 'Plain'];
+        const content = csv.serialize(names.map(name => ({name: name, lat: 1, lon: 2})));
+        assert.match(content, /^"Washington, D\.C\.",1,2\r$/m);
+        assert.match(content, /^"The ""Big"" Apple",1,2\r$/m);
+        assert.deepStrictEqual(csv.parse(content).map(row => row.name), names);
+    });
+
+    it('reads the columns in any order, ignores other columns and blank lines', function () {
+        const content = '﻿Lon, Name ,country,LAT\n34.78,Tel Aviv,IL,32.08\n\n35.21,"Jerusalem",IL,31.77';
+        assert.deepStrictEqual(csv.parse(content), [
+            {name: 'Tel Aviv', lat: '32.08', lon: '34.78'},
+            {name: 'Jerusalem', lat: '31.77', lon: '35.21'},
+        ]);
+    });
+
+    it('reads a row with missing values as undefined ones', function () {
+        assert.deepStrictEqual(csv.parse('name,lat,lon\nNowhere'), [{name: 'Nowhere', lat: undefined, lon: undefined}]);
+    });
+
+    it('rejects a file without the columns, and a quote that is not closed', function () {
+        assert.throws(() => csv.parse('name,latitude,longitude\nA,1,2\n'), /must have the columns name, lat and lon/);
+        assert.throws(() => csv.parse(''), /must have the columns/);
+        assert.throws(() => csv.parse('name,lat,lon\n"Open,1,2\n'), /not closed/);
+    });
+});
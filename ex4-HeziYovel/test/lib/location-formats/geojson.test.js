@@ -0,0 +1,45 @@
+const assert = require('assert');
+
+const geojson = require('../../../lib/location-formats/geojson');
+
+describe('lib/location-formats/geojson', function () {
+
+    const locations = [
+        {name: 'Tel Aviv', lat: 32.0853, lon: 34.7818},
+        {name: 'Rio de Janeiro', lat: -22.9068, lon: -43.1729},
+    ];
+
+    it('reads what it writes, with the coordinates as [lon, lat]', function () {
+        const content = geojson.serialize(locations);
+        assert.deepStrictEqual(JSON.parse(content).features[0].geometry,
+            {type: 'Point', coordinates: [34.7818, 32.0853]});
+        assert.deepStrictEqual(geojson.parse(content), locations);
+        assert.deepStrictEqual(geojson.parse(JSON.parse(content)), locations);
+    });
+
+    it('reads features that are not named points as rows without the missing values', function () {
+        const content = {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    geometry: {type: 'LineString', coordinates: [[1, 2], [3, 4]]},
+                    properties: {name: 'A'},
+                },
+                {type: 'Feature', geometry: {type: 'Point', coordinates: [1, 2]}, properties: null},
+                null,
+            ],
+        };
+        assert.deepStrictEqual(geojson.parse(content), [
+            {name: 'A', lat: undefined, lon: undefined},
+            {name: undefined, lat: 2, lon: 1},
+            {name: undefined, lat: undefined, lon: undefined},
+        ]);
+    });
+
+    it('rejects anything but a FeatureCollection', function () {
+        assert.throws(() => geojson.parse({type: 'Feature'}), /Expected a FeatureCollection/);
+        assert.throws(() => geojson.parse('null'), /Expected a FeatureCollection/);
+        assert.throws(() => geojson.parse('{'), SyntaxError);
+    });
+});
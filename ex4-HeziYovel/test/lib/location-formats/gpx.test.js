@@ -0,0 +1,44 @@
+const assert = require('assert');
+
+const gpx = require('../../../lib/location-formats/gpx');
+
+describe('lib/location-formats/gpx', function () {
+
+    it('reads what it writes, escaping the names', function () {
+        const locations = [
+            {name: 'Tel Aviv', lat: 32.0853, lon: 34.7818},
+            {name: `Ben & Jerry's <"Factory">`, lat: 44.35, lon: -72.73},
+        ];
+        const content = gpx.serialize(locations);
+        assert.match(content, /<name>Ben &amp; Jerry&apos;s &lt;&quot;Factory&quot;&gt;<\/name>/);
+        assert.deepStrictEqual(gpx.parse(content), [
+            {name: 'Tel Aviv', lat: '32.0853', lon: '34.7818'},
+            {name: `Ben & Jerry's <"Factory">`, lat: '44.35', lon: '-72.73'},
+        ]);
+    });
+
+    it('reads entities, character references and CDATA in names', function () {
+        const content = `<?xml version="1.0"?>
+<gpx version="1.1">
+  <wpt lon='34.78' lat="32.08"><ele>5</ele><name><![CDATA[Café <Tel> & Aviv]]></name></wpt>
+  <wpt lat="31.77" lon="35.21"><name>J&#233;rusalem &#x2014; &amp;old city</name></wpt>
+</gpx>`;
+        assert.deepStrictEqual(gpx.parse(content), [
+            {name: 'Café <Tel> & Aviv', lat: '32.08', lon: '34.78'},
+            {name: 'Jérusalem — &old city', lat: '31.77', lon: '35.21'},
+        ]);
+    });
+
+    it('reads waypoints without names, and ignores routes and tracks', function () {
+        const content = `<gpx>
+  <wpt lat="1" lon="2"/>
+  <rte><rtept lat="3" lon="4"><name>Route point</name></rtept></rte>
+  <trk><trkseg><trkpt lat="5" lon="6"/></trkseg></trk>
+</gpx>`;
+        assert.deepStrictEqual(gpx.parse(content), [{name: undefined, lat: '1', lon: '2'}]);
+    });
+
+    it('rejects a file without a gpx element', function () {
+        assert.throws(() => gpx.parse('<kml><Placemark/></kml>'), /no gpx element/);
+    });
+});
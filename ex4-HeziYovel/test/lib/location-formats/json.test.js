@@ -0,0 +1,29 @@
+const assert = require('assert');
+
+const json = require('../../../lib/location-formats/json');
+
+describe('lib/location-formats/json', function () {
+
+    const locations = [
+        {name: 'Tel Aviv', lat: 32.0853, lon: 34.7818},
+        {name: 'Rio de Janeiro', lat: -22.9068, lon: -43.1729},
+    ];
+
+    it('reads what it writes', function () {
+        const content = json.serialize(locations);
+        assert.deepStrictEqual(JSON.parse(content), {locations: locations});
+        assert.deepStrictEqual(json.parse(content), locations);
+    });
+
+    it('reads a bare array, and only the location fields', function () {
+        const withIds = locations.map((location, index) => Object.assign({id: index + 1}, location));
+        assert.deepStrictEqual(json.parse(withIds), locations);
+        assert.deepStrictEqual(json.parse([]), []);
+        assert.deepStrictEqual(json.parse([null, 'Haifa']), [{}, {}]);
+    });
+
+    it('rejects anything else', function () {
+        assert.throws(() => json.parse({places: []}), /Expected an array of locations/);
+        assert.throws(() => json.parse('null'), /Expected an array of locations/);
+    });
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const crypto = require('crypto');
+
+const passwords = require('../../lib/passwords');
+
+describe('lib/passwords', function () {
+
+    it('hashes with scrypt and a random salt', async function () {
+        const first = await passwords.hash('password1');
+        const second = await passwords.hash('password1');
+        assert.match(first, /^scrypt\$16384\$8\$1\$/);
+        assert.ok(passwords.isHashed(first));
+        assert.notStrictEqual(first, second);
+        assert.ok(!first.includes('password1'));
+    });
+
+    it('verifies a hash', async function () {
+        const stored = await passwords.hash('password1');
+        assert.deepStrictEqual(await passwords.verify('password1', stored), {match: true, needsRehash: false});
+        assert.deepStrictEqual(await passwords.verify('password2', stored), {match: false, needsRehash: false});
+    });
+
+    it('verifies a legacy plaintext password and asks to re-hash it', async function () {
+        assert.ok(!passwords.isHashed('password1'));
+        assert.deepStrictEqual(await passwords.verify('password1', 'password1'), {match: true, needsRehash: true});
+        assert.deepStrictEqual(await passwords.verify('password2', 'password1'), {match: false, needsRehash: false});
+    });
+
+    it('asks to re-hash a hash with outdated parameters', async function () {
+        const salt = crypto.randomBytes(16);
+        const key = crypto.scryptSync('password1', salt, 64, {N: 1024, r: 8, p: 1});
+        const outdated = ['scrypt', 1024, 8, 1, salt.toString('base64'), key.toString('base64')].join('$');
+        assert.ok(passwords.isHashed(outdated));
+        assert.deepStrictEqual(await passwords.verify('password1', outdated), {match: true, needsRehash: true});
+    });
+});
@@ -0,0 +1,99 @@
+const assert = require('assert');
+
+const image = require('../../../lib/weather/image');
+const config = require('../../../config').weather;
+
+/**
+ * The parts of an image URL that the tests check.
+ * @param url
+ * @returns {{script: string, params: {}}}
+ */
+function parseImageURL(url) {
+    assert.ok(url.startsWith(config.graphical.url), url);
+    const parsed = new URL(url);
+    return {
+        script: parsed.pathname.split('/').pop(),
+        params: Object.fromEntries(parsed.searchParams),
+    };
+}
+
+describe('lib/weather/image', function () {
+
+    describe('makeImageURL', function () {
+
+        it('uses the defaults', function () {
+            assert.deepStrictEqual(parseImageURL(image.makeImageURL(32.08, 34.78)), {
+                script: 'astro.php',
+                params: {lon: '34.78', lat: '32.08', ac: '0', lang: 'en', unit: 'metric', output: 'internal',
+                    tzshift: '0'},
+            });
+        });
+
+        it('keeps the sign of negative coordinates', function () {
+            const {params} = parseImageURL(image.makeImageURL(-33.87, -151.21));
+            assert.deepStrictEqual([params.lat, params.lon], ['-33.87', '-151.21']);
+        });
+
+        it('accepts the coordinates at the bounds', function () {
+            for (const [lat, lon] of [[90, 180], [-90, -180], [90, -180], [-90, 180], [0, 0]]) {
+                const {params} = parseImageURL(image.makeImageURL(lat, lon));
+                assert.deepStrictEqual([params.lat, params.lon], [String(lat), String(lon)]);
+            }
+        });
+
+        it('rejects coordinates beyond the bounds', function () {
+            assert.throws(() => image.makeImageURL(90.01, 0), /Invalid lat/);
+            assert.throws(() => image.makeImageURL(-90.01, 0), /Invalid lat/);
+            assert.throws(() => image.makeImageURL(0, 180.01), /Invalid lon/);
+            assert.throws(() => image.makeImageURL(0, -180.01), /Invalid lon/);
+            assert.throws(() => image.makeImageURL(NaN, 0), /Invalid lat/);
+            assert.throws(() => image.makeImageURL('32', 34), /Invalid lat/);
+        });
+
+        it('rounds the coordinates like the forecast', function () {
+            const {params} = parseImageURL(image.makeImageURL(32.123456, -34.987654));
+            assert.deepStrictEqual([params.lat, params.lon], ['32.12', '-34.99']);
+            // Floating point noise doesn't reach the URL:
+            assert.strictEqual(parseImageURL(image.makeImageURL(0.1 + 0.2, 0)).params.lat, '0.3');
+            // Neither does the sign of a coordinate that rounds to 0:
+            assert.strictEqual(parseImageURL(image.makeImageURL(-0.001, 0)).params.lat, '0');
+            assert.strictEqual(parseImageURL(image.makeImageURL(89.999, 179.999)).params.lat, '90');
+        });
+
+        it('makes the URL of every graphical product', function () {
+            const scripts = {astro: 'astro.php', civil: 'civil.php', meteo: 'meteo.php', two: 'two.php'};
+            assert.deepStrictEqual(image.products, Object.keys(scripts));
+            for (const product of image.products) {
+                const {script, params} = parseImageURL(image.makeImageURL(32, 34, {product: product}));
+                assert.strictEqual(script, scripts[product]);
+                assert.deepStrictEqual([params.lat, params.lon], ['32', '34']);
+            }
+            assert.throws(() => image.makeImageURL(32, 34, {product: 'pollen'}), /Unknown graphical product/);
+        });
+
+        it('passes the language', function () {
+            for (const lang of image.languages) {
+                assert.strictEqual(parseImageURL(image.makeImageURL(32, 34, {lang: lang})).params.lang, lang);
+            }
+            assert.throws(() => image.makeImageURL(32, 34, {lang: 'xx'}), /Unknown language/);
+        });
+
+        it('passes the time zone shift within its limits', function () {
+            const [min, max] = image.tzshiftLimits;
+            for (const tzshift of [min, -5, 0, 3, max]) {
+                const {params} = parseImageURL(image.makeImageURL(32, 34, {tzshift: tzshift}));
+                assert.strictEqual(params.tzshift, String(tzshift));
+            }
+            for (const tzshift of [min - 1, max + 1, 2.5, '2']) {
+                assert.throws(() => image.makeImageURL(32, 34, {tzshift: tzshift}), /Invalid tzshift/);
+            }
+        });
+
+        it('passes the unit', function () {
+            const unit = image.unitFromTemperatureUnit('fahrenheit');
+            assert.strictEqual(parseImageURL(image.makeImageURL(32, 34, {unit: unit})).params.unit, 'british');
+            assert.strictEqual(image.unitFromTemperatureUnit('celsius'), 'metric');
+            assert.throws(() => image.makeImageURL(32, 34, {unit: 'kelvin'}), /Unknown unit/);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+const assert = require('assert');
+
+const provider = require('../../../../lib/weather/providers/7timer');
+
+/**
+ * A civillight response with a day for every date.
+ * @param init - YYYYMMDDHH, UTC
+ * @param dates - YYYYMMDD numbers
+ * @returns {{product: string, init: string, dataseries: []}}
+ */
+function makeCivilLight(init, dates) {
+    return {
+        product: 'civillight',
+        init: init,
+        dataseries: dates.map(date => ({date: date, weather: 'clear', temp2m: {min: 10, max: 20}, wind10m_max: 3})),
+    };
+}
+
+const WEEK = [20210120, 20210121, 20210122, 20210123, 20210124, 20210125, 20210126];
+
+/**
+ * Run action with the time zone of the process set to timeZone.
+ * @param timeZone
+ * @param action
+ */
+function inTimeZone(timeZone, action) {
+    const previous = process.env.TZ;
+    process.env.TZ = timeZone;
+    try {
+        action();
+    } finally {
+        if (previous === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = previous;
+        }
+    }
+}
+
+describe('lib/weather/providers/7timer', function () {
+
+    describe('normalize civillight', function () {
+
+        it('normalizes the days', function () {
+            const forecast = provider.normalize(makeCivilLight('2021012000', WEEK), 'civillight');
+            assert.deepStrictEqual(forecast.hourly, []);
+            assert.deepStrictEqual(forecast.daily.map(day => day.date), ['2021-01-20', '2021-01-21', '2021-01-22',
+                '2021-01-23', '2021-01-24', '2021-01-25', '2021-01-26']);
+            assert.deepStrictEqual(forecast.daily[0], {
+                date: '2021-01-20',
+                weather: {type: 'clear', description: 'Total cloud cover less than 20%'},
+                temperature: {min: 10, max: 20},
+                wind: {class: 3, label: 'moderate', min: 3.4, max: 8},
+            });
+        });
+
+        it("validates the dates against the init time, not the server's clock or time zone", function () {
+            // The fixture is years old, and the init time is late in the day, when the date in most time zones
+            // east of Greenwich is already the next one:
+            for (const timeZone of ['UTC', 'Pacific/Kiritimati', 'Pacific/Pago_Pago', 'Asia/Jerusalem']) {
+                inTimeZone(timeZone, () => {
+                    const forecast = provider.normalize(makeCivilLight('2021012021', WEEK), 'civillight');
+                    assert.strictEqual(forecast.daily.length, 7, timeZone);
+                });
+            }
+        });
+
+        it('accepts a first date the day before the init date', function () {
+            const forecast = provider.normalize(makeCivilLight('2021012100', WEEK), 'civillight');
+            assert.strictEqual(forecast.daily[0].date, '2021-01-20');
+        });
+
+        it('rejects dates out of the range of the forecast', function () {
+            assert.throws(() => provider.normalize(makeCivilLight('2021012100', [20210119]), 'civillight'),
+                /Invalid date information/);
+            assert.throws(() => provider.normalize(makeCivilLight('2021012000', [20210128]), 'civillight'),
+                /Invalid date information/);
+            provider.normalize(makeCivilLight('2021012000', [20210127]), 'civillight');
+        });
+
+        it('rejects dates that are not dates', function () {
+            assert.throws(() => provider.normalize(makeCivilLight('2021022700', [20210230]), 'civillight'),
+                /Invalid date information/);
+            assert.throws(() => provider.normalize(makeCivilLight('2021122700', [20211301]), 'civillight'),
+                /Invalid date information/);
+        });
+
+        it('rejects a response without an init time or a dataseries', function () {
+            assert.throws(() => provider.normalize(makeCivilLight(undefined, WEEK), 'civillight'), /Invalid init time/);
+            assert.throws(() => provider.normalize({init: '2021012000'}, 'civillight'), /no dataseries/);
+            assert.throws(() => provider.normalize(null, 'civillight'), /no dataseries/);
+        });
+    });
+
+    describe('normalize civil', function () {
+
+        it('times the timepoints from the init time', function () {
+            const forecast = provider.normalize({
+                init: '2021012018',
+                dataseries: [{
+                    timepoint: 9, cloudcover: 4, prec_type: 'rain', temp2m: 14, rh2m: '65%',
+                    wind10m: {direction: 'NW', speed: 3}, weather: 'lightrainnight',
+                }],
+            }, 'civil');
+            assert.deepStrictEqual(forecast.daily, []);
+            assert.deepStrictEqual(forecast.hourly, [{
+                time: '2021-01-21T03:00:00.000Z',
+                weather: {type: 'lightrain',
+                    description: 'Precipitation rate less than 4mm/hr with total cloud cover more than 80%'},
+                temperature: 14,
+                cloudCover: 38,
+                precipitation: {type: 'rain'},
+                humidity: 65,
+                wind: {class: 3, label: 'moderate', min: 3.4, max: 8, direction: 'NW'},
+            }]);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+const assert = require('assert');
+
+const provider = require('../../../../lib/weather/providers/open-meteo');
+const schema = require('../../../../lib/weather/schema');
+const dailyFixture = require('./fixtures/open-meteo-daily.json');
+const hourlyFixture = require('./fixtures/open-meteo-hourly.json');
+
+/**
+ * Assert that a normalized weather object and wind object are what schema.js makes of their type and class.
+ * @param entry - a normalized day or hour
+ */
+function assertSchemaValues(entry) {
+    assert.ok(entry.weather.type in schema.WEATHER_TYPES, entry.weather.type);
+    assert.strictEqual(entry.weather.description, schema.WEATHER_TYPES[entry.weather.type]);
+    const windClass = schema.WIND_CLASSES[entry.wind.class];
+    assert.ok(windClass, String(entry.wind.class));
+    assert.strictEqual(entry.wind.label, windClass.label);
+    assert.strictEqual(entry.wind.min, windClass.min);
+    assert.strictEqual(entry.wind.max, windClass.max);
+}
+
+describe('lib/weather/providers/open-meteo', function () {
+
+    describe('normalize daily', function () {
+
+        const forecast = provider.normalize(dailyFixture, 'daily');
+
+        it('normalizes the days into the common schema', function () {
+            assert.deepStrictEqual(forecast.hourly, []);
+            assert.deepStrictEqual(forecast.daily.map(day => day.date), dailyFixture.daily.time);
+            assert.deepStrictEqual(forecast.daily[1], {
+                date: '2026-10-20',
+                weather: {type: 'mcloudy', description: 'Total cloud cover between 60%-80%'},
+                temperature: {min: 19.8, max: 28.1},
+                wind: {class: 2, label: 'light', min: 0.3, max: 3.4},
+            });
+            forecast.daily.forEach(assertSchemaValues);
+        });
+
+        it('maps the WMO weather codes to weather types', function () {
+            assert.deepStrictEqual(forecast.daily.map(day => day.weather.type),
+                ['clear', 'mcloudy', 'humid', 'lightrain', 'ishower', 'tsrain', 'cloudy']);
+        });
+
+        it('classifies the max wind speed of the day', function () {
+            assert.deepStrictEqual(forecast.daily.map(day => `${day.wind.class} ${day.wind.label}`),
+                ['1 calm', '2 light', '3 moderate', '4 fresh', '5 strong', '7 storm', '4 fresh']);
+        });
+    });
+
+    describe('normalize hourly', function () {
+
+        const forecast = provider.normalize(hourlyFixture, 'hourly');
+
+        it('normalizes the hours into the common schema', function () {
+            assert.deepStrictEqual(forecast.daily, []);
+            assert.strictEqual(forecast.hourly.length, hourlyFixture.hourly.time.length);
+            assert.deepStrictEqual(forecast.hourly[1], {
+                time: '2026-10-19T05:00:00.000Z',
+                weather: {type: 'lightrain',
+                    description: 'Precipitation rate less than 4mm/hr with total cloud cover more than 80%'},
+                temperature: 11.8,
+                cloudCover: 90,
+                precipitation: {type: 'rain'},
+                humidity: 88,
+                wind: {class: 3, label: 'moderate', min: 3.4, max: 8, direction: 'NE'},
+            });
+            forecast.hourly.forEach(assertSchemaValues);
+        });
+
+        it('applies the UTC offset of the location to the local times', function () {
+            assert.strictEqual(forecast.hourly[0].time, '2026-10-19T04:00:00.000Z');
+            // The last local hour of the day is the next day in UTC:
+            assert.strictEqual(forecast.hourly[7].time, '2026-10-20T03:00:00.000Z');
+        });
+
+        it('maps the WMO weather codes to weather types and precipitation types', function () {
+            assert.deepStrictEqual(forecast.hourly.map(hour => `${hour.weather.type} ${hour.precipitation.type}`), [
+                'pcloudy none', 'lightrain rain', 'rainsnow frzr', 'lightsnow snow',
+                'snow snow', 'rain rain', 'snow snow', 'tsrain rain',
+            ]);
+        });
+
+        it('classifies the wind speeds, a class boundary being the min of its class', function () {
+            assert.deepStrictEqual(forecast.hourly.map(hour => hour.wind.class), [2, 3, 5, 6, 7, 8, 8, 3]);
+            assert.strictEqual(forecast.hourly[6].wind.max, null);
+        });
+
+        it('converts the wind directions to compass points', function () {
+            assert.deepStrictEqual(forecast.hourly.map(hour => hour.wind.direction),
+                ['N', 'NE', 'E', 'SE', 'SW', 'W', 'NW', 'N']);
+        });
+    });
+
+    it('maps every WMO code it knows to a weather type of the schema', function () {
+        for (const code of [0, 1, 2, 3, 45, 48, 51, 53, 55, 56, 57, 61, 63, 65, 66, 67, 71, 73, 75, 77, 80, 81, 82, 85,
+            86, 95, 96, 99]) {
+            const forecast = provider.normalize({daily: {time: ['2026-10-19'], weathercode: [code],
+                temperature_2m_max: [20], temperature_2m_min: [10], windspeed_10m_max: [1]}}, 'daily');
+            assertSchemaValues(forecast.daily[0]);
+        }
+    });
+
+    it('rejects unknown weather codes and responses without the product', function () {
+        const daily = Object.assign({}, dailyFixture.daily, {weathercode: [0, 2, 45, 61, 80, 95, 4]});
+        assert.throws(() => provider.normalize({daily: daily}, 'daily'), /Invalid weather code: 4/);
+        assert.throws(() => provider.normalize(dailyFixture, 'hourly'), /no hourly forecast/);
+        assert.throws(() => provider.normalize(null, 'daily'), /no daily forecast/);
+    });
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+
+const models = require('../../../models');
+const snapshots = require('../../../lib/weather/snapshots');
+const config = require('../../../config');
+const {clearDatabase, createUser} = require('../../helpers');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+describe('lib/weather/snapshots', function () {
+
+    const now = new Date('2026-06-15T12:00:00Z');
+    let locations;
+
+    beforeEach(async function () {
+        await clearDatabase();
+        const user = await createUser();
+        locations = [
+            await models.Location.create({userId: user.id, name: 'Viewed', lat: 32, lon: 34.8}),
+            await models.Location.create({userId: user.id, name: 'Forgotten', lat: 31, lon: 35}),
+        ];
+    });
+
+    function addSnapshot(location, daysAgo) {
+        return models.ForecastSnapshot.create({
+            locationId: location.id,
+            provider: '7timer',
+            fetchedAt: new Date(now.getTime() - daysAgo * MS_PER_DAY),
+            firstDate: '2026-06-15',
+            lastDate: '2026-06-15',
+            days: [{date: '2026-06-15'}],
+        });
+    }
+
+    async function listAges() {
+        const rows = await models.ForecastSnapshot.findAll({order: [['locationId', 'ASC'], ['fetchedAt', 'ASC']]});
+        return rows.map(row => [row.locationId, (now.getTime() - row.fetchedAt.getTime()) / MS_PER_DAY]);
+    }
+
+    it('deletes the snapshots of every location that are older than the history', async function () {
+        const historyDays = config.weather.historyDays;
+        for (const location of locations) {
+            await addSnapshot(location, historyDays + 1);
+            await addSnapshot(location, historyDays - 1);
+            await addSnapshot(location, 0);
+        }
+
+        assert.strictEqual(await snapshots.deleteExpired(now), 2);
+        assert.deepStrictEqual(await listAges(), [
+            [locations[0].id, historyDays - 1], [locations[0].id, 0],
+            [locations[1].id, historyDays - 1], [locations[1].id, 0],
+        ]);
+        assert.strictEqual(await snapshots.deleteExpired(now), 0);
+    });
+
+    it('keeps a snapshot that is exactly as old as the history', async function () {
+        await addSnapshot(locations[0], config.weather.historyDays);
+
+        assert.strictEqual(await snapshots.deleteExpired(now), 0);
+    });
+});
@@ -0,0 +1,81 @@
+const assert = require('assert');
+
+const destinations = require('../../../lib/webhooks/destinations');
+
+describe('lib/webhooks/destinations', function () {
+
+    describe('isPublicAddress', function () {
+
+        it('accepts public addresses', function () {
+            for (const address of ['8.8.8.8', '1.1.1.1', '93.184.216.34', '172.32.0.1', '100.128.0.1',
+                '2606:4700::1111', '2a00:1450:4001:82a::200e', '::ffff:8.8.8.8', '64:ff9b::8.8.8.8']) {
+                assert.ok(destinations.isPublicAddress(address), address);
+            }
+        });
+
+        it('rejects loopback, private and link-local addresses', function () {
+            for (const address of ['127.0.0.1', '127.255.0.9', '10.0.0.1', '10.255.255.255', '172.16.0.1',
+                '172.31.255.255', '192.168.0.1', '192.168.255.255', '169.254.169.254', '169.254.0.1', '100.64.0.1',
+                '0.0.0.0', '::1', '::', 'fe80::1', 'fe80::1%eth0', 'fc00::1', 'fd12:3456::1']) {
+                assert.ok(!destinations.isPublicAddress(address), address);
+            }
+        });
+
+        it('rejects reserved, documentation and multicast addresses', function () {
+            for (const address of ['192.0.2.1', '198.51.100.1', '203.0.113.1', '198.18.0.1', '224.0.0.1',
+                '239.255.255.250', '240.0.0.1', '255.255.255.255', '2001:db8::1', 'ff02::1']) {
+                assert.ok(!destinations.isPublicAddress(address), address);
+            }
+        });
+
+        it('checks an IPv4 address embedded in IPv6 as the IPv4 address', function () {
+            for (const address of ['::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:169.254.169.254', '::ffff:10.0.0.1',
+                '64:ff9b::127.0.0.1', '::127.0.0.1']) {
+                assert.ok(!destinations.isPublicAddress(address), address);
+            }
+        });
+
+        it("rejects what isn't an address", function () {
+            assert.ok(!destinations.isPublicAddress('localhost'));
+            assert.ok(!destinations.isPublicAddress(''));
+        });
+    });
+
+    describe('checkURL', function () {
+
+        it('accepts a URL of a public address', async function () {
+            await destinations.checkURL('https://93.184.216.34/hooks');
+            await destinations.checkURL('http://[2606:4700::1111]:8080/hooks');
+        });
+
+        it('rejects a URL of an address that is not public', async function () {
+            for (const url of ['http://127.0.0.1:3000/', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data/',
+                'http://10.1.2.3/', 'http://192.168.1.1/', 'http://[::ffff:127.0.0.1]/',
+                // The URL parser reads these as 127.0.0.1:
+                'http://2130706433/', 'http://0x7f.1/']) {
+                await assert.rejects(destinations.checkURL(url), {code: 'EBLOCKEDADDRESS'}, url);
+            }
+        });
+
+        it('resolves the host and rejects one that resolves to a loopback address', async function () {
+            await assert.rejects(destinations.checkURL('http://localhost:3000/'), {code: 'EBLOCKEDADDRESS'});
+        });
+    });
+
+    describe('lookup', function () {
+
+        it('fails to resolve a host that resolves to a loopback address', function (done) {
+            destinations.lookup('localhost', {}, (err) => {
+                assert.strictEqual(err && err.code, 'EBLOCKEDADDRESS');
+                done();
+            });
+        });
+
+        it('fails to resolve it with the all option too', function (done) {
+            destinations.lookup('localhost', {all: true}, (err) => {
+                assert.strictEqual(err && err.code, 'EBLOCKEDADDRESS');
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const {Sequelize} = require('sequelize');
+
+const createUser = require('../../migrations/20210109155149-create-user');
+const createLocation = require('../../migrations/20210120182115-create-location');
+const migration = require('../../migrations/20261019090000-annotate-user-password');
+
+describe('migrations/20261019090000-annotate-user-password', function () {
+
+    let sequelize;
+    let queryInterface;
+
+    beforeEach(async function () {
+        // A database of its own, as it was before the migration:
+        sequelize = new Sequelize({dialect: 'sqlite', storage: ':memory:', logging: false});
+        queryInterface = sequelize.getQueryInterface();
+        await createUser.up(queryInterface, Sequelize);
+        await createLocation.up(queryInterface, Sequelize);
+    });
+
+    afterEach(async function () {
+        await sequelize.close();
+    });
+
+    function getTableSQL(table) {
+        return sequelize.query("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", {
+            replacements: [table],
+            type: Sequelize.QueryTypes.SELECT,
+        }).then(([row]) => row.sql);
+    }
+
+    function select(sql) {
+        return sequelize.query(sql, {type: Sequelize.QueryTypes.SELECT});
+    }
+
+    async function insertUser(email) {
+        const now = new Date().toISOString();
+        await sequelize.query('INSERT INTO Users (email, firstName, lastName, password, createdAt, updatedAt) ' +
+            'VALUES (?, ?, ?, ?, ?, ?)', {replacements: [email, 'Test', 'User', 'password1', now, now]});
+    }
+
+    it('widens the password column and keeps the users, their ids and their locations', async function () {
+        await insertUser('alice@example.com');
+        await insertUser('bob@example.com');
+        const now = new Date().toISOString();
+        await sequelize.query('INSERT INTO Locations (name, lat, lon, userId, createdAt, updatedAt) ' +
+            'VALUES (?, ?, ?, ?, ?, ?)', {replacements: ['Home', 32, 34.8, 2, now, now]});
+
+        await migration.up(queryInterface, Sequelize);
+
+        assert.match(await getTableSQL('Users'), /`password` VARCHAR\(512\) NOT NULL/);
+        assert.deepStrictEqual(await select('SELECT id, email, password FROM Users ORDER BY id'), [
+            {id: 1, email: 'alice@example.com', password: 'password1'},
+            {id: 2, email: 'bob@example.com', password: 'password1'},
+        ]);
+        assert.deepStrictEqual(await select('SELECT name, userId FROM Locations'), [{name: 'Home', userId: 2}]);
+        assert.deepStrictEqual(await select('PRAGMA foreign_key_check'), []);
+        await assert.rejects(insertUser('alice@example.com'), Sequelize.UniqueConstraintError);
+    });
+
+    for (const direction of ['up', 'down']) {
+        it(`keeps the ids of the users increasing, ${direction}`, async function () {
+            await migration.up(queryInterface, Sequelize);
+            if (direction === 'down') {
+                await migration.down(queryInterface, Sequelize);
+                assert.match(await getTableSQL('Users'), /`password` VARCHAR\(255\) NOT NULL/);
+            }
+            assert.match(await getTableSQL('Users'), /`id` INTEGER PRIMARY KEY AUTOINCREMENT/);
+
+            // The id of a deleted user isn't given to the next user:
+            await insertUser('alice@example.com');
+            await insertUser('bob@example.com');
+            await sequelize.query("DELETE FROM Users WHERE email = 'bob@example.com'");
+            await insertUser('carol@example.com');
+            assert.deepStrictEqual(await select('SELECT id FROM Users ORDER BY id'), [{id: 1}, {id: 3}]);
+        });
+    }
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+
+const models = require('../../models');
+const {clearDatabase, createUser} = require('../helpers');
+
+/**
+ * The password column as it is stored, without the model in between.
+ * @param userId
+ * @returns {Promise<string>}
+ */
+async function getStoredPassword(userId) {
+    const [row] = await models.sequelize.query('SELECT password FROM Users WHERE id = ?', {
+        replacements: [userId],
+        type: models.Sequelize.QueryTypes.SELECT,
+    });
+    return row.password;
+}
+
+describe('models/user', function () {
+
+    beforeEach(clearDatabase);
+
+    it('stores a hash, not the plaintext password, on create', async function () {
+        const user = await createUser({password: 'password1'});
+        const stored = await getStoredPassword(user.id);
+        assert.match(stored, /^scrypt\$/);
+        assert.ok(!stored.includes('password1'));
+    });
+
+    it('stores a new hash when the password is updated', async function () {
+        const user = await createUser({password: 'password1'});
+        const before = await getStoredPassword(user.id);
+
+        await user.update({password: 'password2'});
+        const after = await getStoredPassword(user.id);
+        assert.match(after, /^scrypt\$/);
+        assert.notStrictEqual(after, before);
+        assert.ok(!after.includes('password2'));
+    });
+
+    it("doesn't hash the hash again when other fields are updated", async function () {
+        const user = await createUser({password: 'password1'});
+        const before = await getStoredPassword(user.id);
+
+        await user.update({firstName: 'Renamed'});
+        assert.strictEqual(await getStoredPassword(user.id), before);
+    });
+});
@@ -0,0 +1,97 @@
+const assert = require('assert');
+
+const units = require('../../../public/javascripts/units');
+
+/**
+ * Compare numbers that went through floating point arithmetic.
+ * @param actual
+ * @param expected
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+describe('public/javascripts/units', function () {
+
+    describe('temperature', function () {
+
+        it('converts Celsius to Fahrenheit', function () {
+            assertClose(units.convertTemperature(0, 'fahrenheit'), 32);
+            assertClose(units.convertTemperature(100, 'fahrenheit'), 212);
+            assertClose(units.convertTemperature(-40, 'fahrenheit'), -40);
+            assertClose(units.convertTemperature(21.5, 'celsius'), 21.5);
+        });
+
+        it('converts Fahrenheit to Celsius', function () {
+            assertClose(units.convertTemperatureToCelsius(32, 'fahrenheit'), 0);
+            assertClose(units.convertTemperatureToCelsius(212, 'fahrenheit'), 100);
+            assertClose(units.convertTemperatureToCelsius(-40, 'fahrenheit'), -40);
+            assertClose(units.convertTemperatureToCelsius(21.5, 'celsius'), 21.5);
+        });
+
+        it('converts back to the same temperature', function () {
+            for (const celsius of [-273.15, -12.3, 0, 36.6, 1000]) {
+                assertClose(units.convertTemperatureToCelsius(units.convertTemperature(celsius, 'fahrenheit'),
+                    'fahrenheit'), celsius);
+            }
+        });
+
+        it('formats rounded to whole degrees', function () {
+            assert.strictEqual(units.formatTemperature(21.5, 'celsius'), '22&#8451;');
+            assert.strictEqual(units.formatTemperature(21.4, 'celsius'), '21&#8451;');
+            assert.strictEqual(units.formatTemperature(-0.4, 'celsius'), '0&#8451;');
+            // 20C is 68F, 20.3C is 68.54F:
+            assert.strictEqual(units.formatTemperature(20, 'fahrenheit'), '68&#8457;');
+            assert.strictEqual(units.formatTemperature(20.3, 'fahrenheit'), '69&#8457;');
+            assert.strictEqual(units.getTemperatureLabel('fahrenheit'), '°F');
+        });
+    });
+
+    describe('wind speed', function () {
+
+        it('converts m/s to km/h and mph', function () {
+            assertClose(units.convertWindSpeed(10, 'ms'), 10);
+            assertClose(units.convertWindSpeed(10, 'kmh'), 36);
+            assertClose(units.convertWindSpeed(10, 'mph'), 22.36936);
+            assertClose(units.convertWindSpeed(0, 'mph'), 0);
+        });
+
+        it('converts between km/h and mph through m/s', function () {
+            // 100 km/h is 27.78 m/s, which is 62.14 mph:
+            const speed = 100 / 3.6;
+            assert.strictEqual(units.formatWindSpeed(speed, 'kmh'), '100.0');
+            assert.strictEqual(units.formatWindSpeed(speed, 'mph'), '62.1');
+        });
+
+        it('formats with one decimal digit', function () {
+            assert.strictEqual(units.formatWindSpeed(3.4, 'ms'), '3.4');
+            assert.strictEqual(units.formatWindSpeed(3.4, 'kmh'), '12.2');
+            assert.strictEqual(units.formatWindSpeed(8, 'knots'), '15.6');
+            assert.strictEqual(units.getWindSymbol('kmh'), 'km/h');
+        });
+    });
+
+    describe('unknown units', function () {
+
+        it('recognizes only the known units', function () {
+            assert.deepStrictEqual(units.temperatureUnits, ['celsius', 'fahrenheit']);
+            assert.deepStrictEqual(units.windUnits, ['ms', 'kmh', 'mph', 'knots']);
+            assert.ok(!units.isTemperatureUnit('kelvin'));
+            assert.ok(!units.isWindUnit('kmh '));
+            assert.ok(!units.isTemperatureUnit('toString'));
+        });
+
+        it('throws on an unknown temperature unit', function () {
+            assert.throws(() => units.convertTemperature(20, 'kelvin'), /Unknown temperature unit: kelvin/);
+            assert.throws(() => units.convertTemperatureToCelsius(20, 'kelvin'), /Unknown temperature unit/);
+            assert.throws(() => units.formatTemperature(20, undefined), /Unknown temperature unit/);
+            assert.throws(() => units.getTemperatureLabel('kelvin'), /Unknown temperature unit/);
+        });
+
+        it('throws on an unknown wind unit', function () {
+            assert.throws(() => units.convertWindSpeed(5, 'beaufort'), /Unknown wind unit: beaufort/);
+            assert.throws(() => units.formatWindSpeed(5, 'beaufort'), /Unknown wind unit/);
+            assert.throws(() => units.getWindSymbol('beaufort'), /Unknown wind unit/);
+        });
+    });
+});
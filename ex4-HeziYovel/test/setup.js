@@ -0,0 +1,17 @@
+/**
+ * Runs before the tests are loaded: selects the test section of config/config.json (an in-memory database, a local
+ * weather stub) before anything reads the configuration.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+// The emails of the tests are written outside of the repository:
+process.env.MAIL_DIR = path.join(os.tmpdir(), `hweather-test-mail-${process.pid}`);
+
+exports.mochaHooks = {
+    afterAll: function () {
+        fs.rmSync(process.env.MAIL_DIR, {recursive: true, force: true});
+    },
+};
@@ -0,0 +1,65 @@
+/**
+ * A local stand-in for the weather service: the test section of config/config.json points the providers at it, so
+ * that the tests never reach the real one.
+ */
+const http = require('http');
+
+const config = require('../../config').weather;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * A date as 7timer writes it: the number YYYYMMDD.
+ * @param date - Date, the UTC date is used
+ * @returns {number}
+ */
+function to7timerDate(date) {
+    return Number(date.toISOString().slice(0, 10).replace(/-/g, ''));
+}
+
+/**
+ * A 7timer civillight response of 7 days, the first of them the UTC date of now.
+ * @param now - Date
+ * @param days - overrides of the days, by index: {weather, temp2m, wind10m_max}
+ * @returns {{product: string, init: string, dataseries: []}}
+ */
+function makeCivilLight(now = new Date(), days = []) {
+    const dataseries = [];
+    for (let i = 0; i < 7; i++) {
+        dataseries.push(Object.assign({
+            date: to7timerDate(new Date(now.getTime() + i * MS_PER_DAY)),
+            weather: 'clear',
+            temp2m: {min: 10, max: 20 + i},
+            wind10m_max: 3,
+        }, days[i]));
+    }
+    return {product: 'civillight', init: `${to7timerDate(now)}00`, dataseries: dataseries};
+}
+
+/**
+ * Start the stub. Every request is answered by stub.respond (a civillight forecast by default), which may also return
+ * a promise of the answer, to answer late. The URL of every request is kept in stub.requests.
+ * @returns {Promise<{requests: URL[], respond: function(URL): {status, body}|Promise, close: function(): Promise}>}
+ */
+async function start() {
+    const stub = {
+        requests: [],
+        respond: () => ({status: 200, body: makeCivilLight()}),
+    };
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        stub.requests.push(url);
+        const {status, body} = await stub.respond(url);
+        res.writeHead(status, {'Content-Type': 'application/json'});
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    stub.close = () => new Promise(resolve => server.close(resolve));
+
+    await new Promise(resolve => server.listen(new URL(config.providers['7timer'].url).port, resolve));
+    return stub;
+}
+
+module.exports = {
+    makeCivilLight: makeCivilLight,
+    start: start,
+};